@@ -0,0 +1,34 @@
+// client/public/sw.js
+// Service worker de las notificaciones push: muestra cada aviso que envía el servidor y, al pulsarlo,
+// abre (o enfoca) la aplicación en la página de la notificación.
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch {
+        data = { body: event.data?.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'Buscador de Empleos', {
+        body: data.body || '',
+        icon: '/favicon.svg',
+        tag: data.notificationId || undefined, // Evita mostrar dos veces la misma notificación
+        data: { url: data.url || '/notifications' },
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/notifications', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (existing) {
+            await existing.focus();
+            return existing.navigate(url);
+        }
+        return self.clients.openWindow(url);
+    })());
+});
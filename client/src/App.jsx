@@ -10,6 +10,7 @@ import Footer from "./components/common/Footer";
 import LoadingSpinner from "./components/common/LoadingSpinner";
 import Navbar from "./components/common/Navbar";
 import PrivateRoute from "./components/common/PrivateRoute"; // Componente para proteger rutas
+import AdminRoute from "./components/common/AdminRoute"; // Protege las rutas que requieren el rol 'admin'
 
 // Páginas Públicas
 import AuthSuccess from "./components/Auth/AuthSuccess"; // Para manejo de OAuth
@@ -23,10 +24,19 @@ import AppliedJobsPage from "./pages/Authenticated/AppliedJobsPage"; // Empleos
 import FavoritesPage from "./pages/Authenticated/FavoritesPage"; // Empleos favoritos
 import HomePage from "./pages/Authenticated/HomePage"; // Página principal de búsqueda de empleos
 import JobDetailPage from "./pages/Authenticated/JobDetailPage"; // Detalles de un empleo
+import NotificationsPage from "./pages/Authenticated/NotificationsPage"; // Centro de notificaciones
 import ProfileEditPage from "./pages/Authenticated/ProfileEditPage"; // Edición de perfil
 import UserProfilePage from "./pages/Authenticated/UserProfilePage"; // Perfil del usuario
 import UserSettingsPage from "./pages/Authenticated/UserSettingsPage"; // Configuración del usuario
 
+// Páginas de Administración
+import AdminLayout from "./components/Admin/AdminLayout"; // Pestañas comunes de la sección
+import AdminDashboardPage from "./pages/Admin/AdminDashboardPage"; // Resumen de la plataforma
+import AdminJobsPage from "./pages/Admin/AdminJobsPage"; // Moderación de empleos
+import AdminUsersPage from "./pages/Admin/AdminUsersPage"; // Gestión de usuarios
+import ScrapingAdminPage from "./pages/Admin/ScrapingAdminPage"; // Programaciones y tareas de scraping
+import SourceHealthPage from "./pages/Admin/SourceHealthPage"; // Salud de las fuentes de empleo
+
 /**
  * @description Este código de App.js utiliza react-router-dom para manejar la navegación
  * y useAuth para acceder al estado de autenticación.
@@ -93,6 +103,16 @@ function App() {
           <Route path="/profile/edit" element={<PrivateRoute><ProfileEditPage showAlert={showAlert} /></PrivateRoute>} />
           <Route path="/applied-jobs" element={<PrivateRoute><AppliedJobsPage showAlert={showAlert} /></PrivateRoute>} />
           <Route path="/settings" element={<PrivateRoute><UserSettingsPage showAlert={showAlert} /></PrivateRoute>} />
+          <Route path="/notifications" element={<PrivateRoute><NotificationsPage showAlert={showAlert} /></PrivateRoute>} />
+
+          {/* Rutas de Administración (protegidas por AdminRoute; la API también rechaza a quien no tenga el rol 'admin') */}
+          <Route path="/admin" element={<AdminRoute><AdminLayout /></AdminRoute>}>
+            <Route index element={<AdminDashboardPage />} />
+            <Route path="users" element={<AdminUsersPage showAlert={showAlert} />} />
+            <Route path="jobs" element={<AdminJobsPage showAlert={showAlert} />} />
+            <Route path="scraping" element={<ScrapingAdminPage showAlert={showAlert} />} />
+            <Route path="sources/health" element={<SourceHealthPage showAlert={showAlert} />} />
+          </Route>
         
           {/* Ruta 404 (Siempre al final) */}
           <Route path="*" element={<NotFoundPage />} />
@@ -0,0 +1,41 @@
+// client/src/components/Admin/AdminLayout.js
+// Estructura común de la sección de administración: pestañas de navegación y la página activa.
+import { Container, Nav } from "react-bootstrap";
+import { Activity, BriefcaseFill, ClockHistory, PeopleFill, Speedometer2 } from "react-bootstrap-icons";
+import { NavLink, Outlet } from "react-router-dom";
+
+// Páginas de la sección, en el orden de las pestañas.
+const ADMIN_SECTIONS = [
+    { to: '/admin', label: 'Resumen', icon: Speedometer2, end: true },
+    { to: '/admin/users', label: 'Usuarios', icon: PeopleFill },
+    { to: '/admin/jobs', label: 'Empleos', icon: BriefcaseFill },
+    { to: '/admin/scraping', label: 'Scraping', icon: ClockHistory },
+    { to: '/admin/sources/health', label: 'Salud de las Fuentes', icon: Activity },
+];
+
+/**
+ * @description Componente AdminLayout.
+ * Muestra las pestañas de la sección de administración y, debajo, la página de la ruta anidada activa.
+ * @returns Las pestañas y el `Outlet` de react-router.
+ */
+const AdminLayout = () => (
+    <>
+        <Container className="mt-4">
+            <Nav variant="tabs">
+                {ADMIN_SECTIONS.map((section) => {
+                    const Icon = section.icon;
+                    return (
+                        <Nav.Item key={section.to}>
+                            <Nav.Link as={NavLink} to={section.to} end={section.end}>
+                                <Icon className="me-1" /> {section.label}
+                            </Nav.Link>
+                        </Nav.Item>
+                    );
+                })}
+            </Nav>
+        </Container>
+        <Outlet />
+    </>
+);
+
+export default AdminLayout;
@@ -0,0 +1,84 @@
+// client/src/components/Admin/ConfirmActionModal.js
+// Ventana de confirmación de las acciones de moderación, con un motivo opcional.
+import PropTypes from "prop-types";
+import { useEffect, useState } from "react";
+import { Button, Form, Modal, Spinner } from "react-bootstrap";
+
+// Longitud máxima del motivo (la misma que valida la API).
+const MAX_REASON_LENGTH = 255;
+
+/**
+ * @description Componente ConfirmActionModal.
+ * Pide confirmación antes de una acción de administración (desactivar una cuenta, ocultar o eliminar
+ * una oferta) y, si `withReason` está activo, un motivo opcional que se pasa a `onConfirm`.
+ * @param {Object} props
+ * @param {boolean} props.show - Si la ventana está abierta.
+ * @param {string} props.title - Título de la ventana.
+ * @param {node} props.children - Texto que explica la acción.
+ * @param {string} props.confirmLabel - Texto del botón de confirmación.
+ * @param {string} [props.variant='danger'] - Color del botón de confirmación.
+ * @param {boolean} [props.withReason=false] - Si se muestra el campo de motivo.
+ * @param {boolean} [props.submitting=false] - Deshabilita los botones mientras se envía la acción.
+ * @param {function} props.onConfirm - Recibe el motivo escrito (cadena vacía si no hay).
+ * @param {function} props.onHide - Cierra la ventana sin hacer nada.
+ */
+const ConfirmActionModal = ({ show, title, children, confirmLabel, variant = 'danger', withReason = false, submitting = false, onConfirm, onHide }) => {
+    const [reason, setReason] = useState('');
+
+    // Cada apertura empieza con el motivo vacío.
+    useEffect(() => {
+        if (show) setReason('');
+    }, [show]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onConfirm(reason.trim());
+    };
+
+    return (
+        <Modal show={show} onHide={submitting ? undefined : onHide} centered>
+            <Form onSubmit={handleSubmit}>
+                <Modal.Header closeButton={!submitting}>
+                    <Modal.Title>{title}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <div className={withReason ? 'mb-3' : undefined}>{children}</div>
+                    {withReason && (
+                        <Form.Group controlId="adminActionReason">
+                            <Form.Label>Motivo (opcional)</Form.Label>
+                            <Form.Control
+                                as="textarea"
+                                rows={2}
+                                maxLength={MAX_REASON_LENGTH}
+                                value={reason}
+                                onChange={(e) => setReason(e.target.value)}
+                                disabled={submitting}
+                            />
+                        </Form.Group>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="secondary" onClick={onHide} disabled={submitting}>Cancelar</Button>
+                    <Button type="submit" variant={variant} disabled={submitting}>
+                        {submitting && <Spinner as="span" animation="border" size="sm" className="me-2" />}
+                        {confirmLabel}
+                    </Button>
+                </Modal.Footer>
+            </Form>
+        </Modal>
+    );
+};
+
+ConfirmActionModal.propTypes = {
+    show: PropTypes.bool.isRequired,
+    title: PropTypes.string.isRequired,
+    children: PropTypes.node.isRequired,
+    confirmLabel: PropTypes.string.isRequired,
+    variant: PropTypes.string,
+    withReason: PropTypes.bool,
+    submitting: PropTypes.bool,
+    onConfirm: PropTypes.func.isRequired,
+    onHide: PropTypes.func.isRequired,
+};
+
+export default ConfirmActionModal;
@@ -0,0 +1,61 @@
+// client/src/components/Admin/RunYieldChart.js
+// Gráfico de barras de las ofertas encontradas en las últimas ejecuciones de una fuente en un país.
+import PropTypes from "prop-types";
+
+// Altura del área de barras, en píxeles.
+const CHART_HEIGHT = 120;
+
+/**
+ * @description Componente RunYieldChart.
+ * Dibuja una barra por ejecución, de la más antigua a la más reciente, con la altura proporcional a las
+ * ofertas encontradas. Las ejecuciones degradadas o con la descarga fallida se pintan en rojo, y una línea
+ * discontinua marca el promedio móvil de la ejecución más reciente: una caída brusca de las barras por
+ * debajo de la línea suele indicar selectores obsoletos.
+ * @param {Object} props
+ * @param {Array<Object>} props.runs - Ejecuciones recientes, de la más reciente a la más antigua (como las devuelve la API).
+ * @returns {JSX.Element}
+ */
+const RunYieldChart = ({ runs }) => {
+    const ordered = [...runs].reverse();
+    const latestAverage = runs[0]?.rollingAverage ?? null;
+    const maxValue = Math.max(1, latestAverage || 0, ...ordered.map(run => run.itemsFound));
+    const toHeight = (value) => `${(value / maxValue) * 100}%`;
+
+    return (
+        <div className="position-relative border-bottom mb-3" style={{ height: CHART_HEIGHT }} role="img"
+            aria-label={`Ofertas encontradas en las últimas ${runs.length} ejecuciones`}>
+            <div className="d-flex align-items-end h-100 gap-1">
+                {ordered.map(run => (
+                    <div
+                        key={run.id}
+                        className={`flex-fill rounded-top ${run.degraded || run.httpFailed ? 'bg-danger' : 'bg-primary'}`}
+                        style={{ height: toHeight(run.itemsFound), minHeight: 2 }}
+                        title={`${new Date(run.createdAt).toLocaleString()} · ${run.country.toUpperCase()} · ${run.keyword}: ${run.itemsFound} ofertas`}
+                    />
+                ))}
+            </div>
+            {latestAverage !== null && (
+                <div
+                    className="position-absolute start-0 end-0 border-top border-secondary"
+                    style={{ bottom: toHeight(latestAverage), borderTopStyle: 'dashed' }}
+                    title={`Promedio móvil: ${latestAverage.toFixed(1)}`}
+                />
+            )}
+        </div>
+    );
+};
+
+RunYieldChart.propTypes = {
+    runs: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        itemsFound: PropTypes.number.isRequired,
+        rollingAverage: PropTypes.number,
+        degraded: PropTypes.bool,
+        httpFailed: PropTypes.bool,
+        country: PropTypes.string.isRequired,
+        keyword: PropTypes.string.isRequired,
+        createdAt: PropTypes.string.isRequired,
+    })).isRequired,
+};
+
+export default RunYieldChart;
@@ -0,0 +1,26 @@
+// client/src/components/Applications/ApplicationStageBadge.js
+// Etapa de una postulación, común a la lista de postulaciones, su seguimiento y el perfil.
+import PropTypes from "prop-types";
+import { Badge } from "react-bootstrap";
+import { getApplicationStage } from "../../utils/applicationStages";
+
+/**
+ * @description Componente ApplicationStageBadge.
+ * @param {object} { status, className } - Etapa de la postulación y clases adicionales.
+ * @returns Un badge con el icono y el nombre de la etapa.
+ */
+const ApplicationStageBadge = ({ status, className = '' }) => {
+    const { label, variant, icon: Icon } = getApplicationStage(status);
+    return (
+        <Badge bg={variant} text={variant === 'light' ? 'dark' : undefined} className={`d-inline-flex align-items-center gap-1 ${className}`.trim()}>
+            <Icon aria-hidden="true" /> {label}
+        </Badge>
+    );
+};
+
+ApplicationStageBadge.propTypes = {
+    status: PropTypes.string,
+    className: PropTypes.string,
+};
+
+export default ApplicationStageBadge;
@@ -0,0 +1,257 @@
+// client/src/components/Applications/ApplicationTrackerModal.js
+// Seguimiento de una postulación: etapa, contacto, próximo paso, notas y línea de tiempo de sus etapas.
+import PropTypes from "prop-types";
+import { useEffect, useState } from "react";
+import { Alert, Button, Col, Form, ListGroup, Modal, Row, Spinner } from "react-bootstrap";
+import { ArrowRight, ClockHistory } from "react-bootstrap-icons";
+import api from "../../services/apiService";
+import { APPLICATION_STAGES } from "../../utils/applicationStages";
+import LoadingSpinner from "../common/LoadingSpinner";
+import ApplicationStageBadge from "./ApplicationStageBadge";
+
+// Campos de texto editables y su longitud máxima (la misma que valida la API).
+const TEXT_FIELDS = { contactName: 255, contactEmail: 255, nextStep: 255, notes: 5000 };
+
+/**
+ * @description Convierte una fecha al formato de un campo `datetime-local` (hora local, sin segundos).
+ * @param {string|null} value - Fecha en formato ISO.
+ * @returns {string} Cadena vacía si no hay fecha.
+ */
+const toLocalInputValue = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * @description Valores iniciales del formulario a partir de la postulación.
+ * @param {Object} application
+ * @returns {Object}
+ */
+const toFormValues = (application) => ({
+    status: application.status,
+    note: '',
+    contactName: application.contactName || '',
+    contactEmail: application.contactEmail || '',
+    nextStep: application.nextStep || '',
+    nextStepAt: toLocalInputValue(application.nextStepAt),
+    notes: application.notes || '',
+});
+
+/**
+ * @description Componente ApplicationTrackerModal.
+ * Carga la postulación con su línea de tiempo y permite cambiar la etapa (con un comentario opcional),
+ * el contacto, el próximo paso y las notas. Solo se envían los campos modificados.
+ * @param {Object} props
+ * @param {string|null} props.applicationId - Postulación a mostrar; la ventana está abierta mientras no sea null.
+ * @param {function} props.onHide - Cierra la ventana.
+ * @param {function} props.onSaved - Recibe la postulación actualizada, con su empleo y su línea de tiempo.
+ */
+const ApplicationTrackerModal = ({ applicationId, onHide, onSaved }) => {
+    const [application, setApplication] = useState(null);
+    const [form, setForm] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!applicationId) return;
+        const fetchApplication = async () => {
+            setLoading(true);
+            setError(null);
+            setApplication(null);
+            try {
+                const response = await api.get(`/auth/applications/${applicationId}`);
+                setApplication(response.data.application);
+                setForm(toFormValues(response.data.application));
+            } catch (err) {
+                console.error('Error al cargar la postulación:', err.response?.data || err.message);
+                setError(err.response?.data?.message || 'No se pudo cargar la postulación.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchApplication();
+    }, [applicationId]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const initial = toFormValues(application);
+        const changes = {};
+        for (const field of Object.keys(TEXT_FIELDS)) {
+            if (form[field].trim() !== initial[field]) changes[field] = form[field].trim();
+        }
+        if (form.nextStepAt !== initial.nextStepAt) {
+            changes.nextStepAt = form.nextStepAt ? new Date(form.nextStepAt).toISOString() : null;
+        }
+        if (form.status !== initial.status) {
+            changes.status = form.status;
+            if (form.note.trim()) changes.note = form.note.trim();
+        }
+        if (Object.keys(changes).length === 0) {
+            onHide();
+            return;
+        }
+
+        setSaving(true);
+        setError(null);
+        try {
+            const response = await api.patch(`/auth/applications/${applicationId}`, changes);
+            onSaved(response.data.application);
+        } catch (err) {
+            console.error('Error al actualizar la postulación:', err.response?.data || err.message);
+            setError(err.response?.data?.message || 'No se pudo actualizar la postulación.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const statusChanged = application && form && form.status !== application.status;
+
+    return (
+        <Modal show={Boolean(applicationId)} onHide={saving ? undefined : onHide} size="lg" centered>
+            <Form onSubmit={handleSubmit}>
+                <Modal.Header closeButton={!saving}>
+                    <Modal.Title>Seguimiento de la postulación</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {error && <Alert variant="danger">{error}</Alert>}
+                    {loading ? (
+                        <LoadingSpinner message="Cargando la postulación..." />
+                    ) : application && form && (
+                        <>
+                            <h5 className="mb-1">{application.Job?.title || 'Empleo desconocido'}</h5>
+                            <p className="text-muted">{application.Job?.companyName || 'Empresa desconocida'}</p>
+
+                            <Row className="g-3 mb-3">
+                                <Form.Group as={Col} md={statusChanged ? 4 : 12} controlId="applicationStatus">
+                                    <Form.Label>Etapa</Form.Label>
+                                    <Form.Select name="status" value={form.status} onChange={handleChange} disabled={saving}>
+                                        {APPLICATION_STAGES.map(stage => (
+                                            <option key={stage.value} value={stage.value}>{stage.label}</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                                {statusChanged && (
+                                    <Form.Group as={Col} md={8} controlId="applicationStatusNote">
+                                        <Form.Label>Comentario del cambio (opcional)</Form.Label>
+                                        <Form.Control
+                                            name="note"
+                                            value={form.note}
+                                            onChange={handleChange}
+                                            maxLength={TEXT_FIELDS.notes}
+                                            placeholder="Ej. Me llamaron de RR. HH."
+                                            disabled={saving}
+                                        />
+                                    </Form.Group>
+                                )}
+                                <Form.Group as={Col} md={6} controlId="applicationContactName">
+                                    <Form.Label>Contacto</Form.Label>
+                                    <Form.Control
+                                        name="contactName"
+                                        value={form.contactName}
+                                        onChange={handleChange}
+                                        maxLength={TEXT_FIELDS.contactName}
+                                        placeholder="Nombre del reclutador"
+                                        disabled={saving}
+                                    />
+                                </Form.Group>
+                                <Form.Group as={Col} md={6} controlId="applicationContactEmail">
+                                    <Form.Label>Email del contacto</Form.Label>
+                                    <Form.Control
+                                        type="email"
+                                        name="contactEmail"
+                                        value={form.contactEmail}
+                                        onChange={handleChange}
+                                        maxLength={TEXT_FIELDS.contactEmail}
+                                        disabled={saving}
+                                    />
+                                </Form.Group>
+                                <Form.Group as={Col} md={7} controlId="applicationNextStep">
+                                    <Form.Label>Próximo paso</Form.Label>
+                                    <Form.Control
+                                        name="nextStep"
+                                        value={form.nextStep}
+                                        onChange={handleChange}
+                                        maxLength={TEXT_FIELDS.nextStep}
+                                        placeholder="Ej. Entrevista técnica"
+                                        disabled={saving}
+                                    />
+                                </Form.Group>
+                                <Form.Group as={Col} md={5} controlId="applicationNextStepAt">
+                                    <Form.Label>Fecha del próximo paso</Form.Label>
+                                    <Form.Control
+                                        type="datetime-local"
+                                        name="nextStepAt"
+                                        value={form.nextStepAt}
+                                        onChange={handleChange}
+                                        disabled={saving}
+                                    />
+                                </Form.Group>
+                                <Form.Group as={Col} xs={12} controlId="applicationNotes">
+                                    <Form.Label>Notas</Form.Label>
+                                    <Form.Control
+                                        as="textarea"
+                                        rows={4}
+                                        name="notes"
+                                        value={form.notes}
+                                        onChange={handleChange}
+                                        maxLength={TEXT_FIELDS.notes}
+                                        disabled={saving}
+                                    />
+                                </Form.Group>
+                            </Row>
+
+                            <h6 className="d-flex align-items-center gap-2">
+                                <ClockHistory /> Línea de tiempo
+                            </h6>
+                            <ListGroup variant="flush">
+                                {(application.history || []).map(change => (
+                                    <ListGroup.Item key={change.id} className="px-0">
+                                        <div className="d-flex flex-wrap align-items-center gap-2">
+                                            {change.fromStatus ? (
+                                                <>
+                                                    <ApplicationStageBadge status={change.fromStatus} />
+                                                    <ArrowRight aria-label="a" />
+                                                    <ApplicationStageBadge status={change.toStatus} />
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <ApplicationStageBadge status={change.toStatus} />
+                                                    <span>Postulación registrada</span>
+                                                </>
+                                            )}
+                                            <small className="text-muted ms-auto">{new Date(change.createdAt).toLocaleString()}</small>
+                                        </div>
+                                        {change.note && <div className="text-muted mt-1">{change.note}</div>}
+                                    </ListGroup.Item>
+                                ))}
+                            </ListGroup>
+                        </>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="secondary" onClick={onHide} disabled={saving}>Cancelar</Button>
+                    <Button type="submit" variant="primary" disabled={saving || !form || !application}>
+                        {saving && <Spinner as="span" animation="border" size="sm" className="me-2" />}
+                        Guardar
+                    </Button>
+                </Modal.Footer>
+            </Form>
+        </Modal>
+    );
+};
+
+ApplicationTrackerModal.propTypes = {
+    applicationId: PropTypes.string,
+    onHide: PropTypes.func.isRequired,
+    onSaved: PropTypes.func.isRequired,
+};
+
+export default ApplicationTrackerModal;
@@ -0,0 +1,36 @@
+// client/src/components/Jobs/JobStatusBadge.js
+// Aviso de que una oferta ya no está vigente en su fuente.
+import PropTypes from "prop-types";
+import { Badge } from "react-bootstrap";
+
+// Texto y color de cada estado no vigente (ver `Job.status` en el backend)
+const STATUS_BADGES = {
+    expired: { text: 'Esta oferta ha vencido', bg: 'secondary', title: 'La oferta no aparece en su fuente desde hace tiempo o pasó su fecha límite.' },
+    closed: { text: 'Esta oferta se ha cerrado', bg: 'danger', title: 'La fuente indica que la oferta ya no admite postulaciones.' },
+};
+
+/**
+ * Componente JobStatusBadge.
+ * Muestra un aviso cuando la oferta está vencida o cerrada; no muestra nada si sigue activa.
+ * @param {Object} param0 - Props del componente.
+ * @param {string} [param0.status] - Estado de la oferta ('active', 'expired' o 'closed').
+ * @param {string} [param0.className] - Clases adicionales para el badge.
+ * @returns {JSX.Element|null}
+ */
+const JobStatusBadge = ({ status, className = '' }) => {
+    const badge = STATUS_BADGES[status];
+    if (!badge) return null;
+
+    return (
+        <Badge bg={badge.bg} className={className} title={badge.title}>
+            {badge.text}
+        </Badge>
+    );
+};
+
+JobStatusBadge.propTypes = {
+    status: PropTypes.oneOf(['active', 'expired', 'closed']),
+    className: PropTypes.string,
+};
+
+export default JobStatusBadge;
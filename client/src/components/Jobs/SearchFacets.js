@@ -0,0 +1,91 @@
+// client/src/components/Jobs/SearchFacets.js
+// Barra lateral con los recuentos de resultados por cada valor de filtro.
+import PropTypes from "prop-types";
+import { Badge, Card, ListGroup } from "react-bootstrap";
+
+// Etiquetas de las bandas de fecha de publicación (valores de `postedWithinDays`)
+const POSTED_WITHIN_LABELS = {
+    '1': 'Últimas 24 horas',
+    '7': 'Última semana',
+    '30': 'Último mes',
+};
+
+/**
+ * Secciones de la barra lateral, en orden. `filterable` indica qué valores se pueden
+ * usar como filtro (p. ej. "No especificada" se cuenta pero no se puede filtrar).
+ */
+const FACET_SECTIONS = [
+    { key: 'country', title: 'País', param: 'country', format: value => value.toUpperCase() },
+    { key: 'modality', title: 'Modalidad', param: 'modality', filterable: value => ['Remoto', 'Presencial', 'Híbrido'].includes(value) },
+    { key: 'experience', title: 'Experiencia', param: 'experience', filterable: value => ['Junior', 'Semi-Senior', 'Senior'].includes(value) },
+    { key: 'sourceName', title: 'Fuente', param: 'sourceName' },
+    { key: 'postedWithinDays', title: 'Fecha de publicación', param: 'postedWithinDays', format: value => POSTED_WITHIN_LABELS[value] || `${value} días` },
+];
+
+/**
+ * Componente SearchFacets.
+ * Muestra, para la búsqueda actual, cuántos resultados dejaría cada valor de filtro,
+ * para que el usuario no elija filtros que no devuelven nada.
+ * @param {Object} param0 - Props del componente.
+ * @param {Object} param0.facets - Facetas devueltas por GET /api/jobs (`{ country: [{ value, count }], ... }`).
+ * @param {function} param0.isActive - (param, value) => boolean, si el valor ya está aplicado.
+ * @param {function} param0.onToggle - (param, value) => void, aplica o quita el valor.
+ * @returns {JSX.Element|null} Una tarjeta por dimensión con sus valores y recuentos.
+ */
+const SearchFacets = ({ facets, isActive, onToggle }) => {
+    if (!facets) return null;
+
+    return (
+        <>
+            {FACET_SECTIONS.map(section => {
+                const values = facets[section.key] || [];
+                if (values.length === 0) return null;
+
+                return (
+                    <Card key={section.key} className="mb-3 shadow-sm">
+                        <Card.Header className="fw-semibold">{section.title}</Card.Header>
+                        <ListGroup variant="flush">
+                            {values.map(({ value, count }) => {
+                                const active = isActive(section.param, value);
+                                const filterable = (!section.filterable || section.filterable(value)) && (count > 0 || active);
+                                return (
+                                    <ListGroup.Item
+                                        key={value}
+                                        action={filterable}
+                                        active={active}
+                                        disabled={!filterable}
+                                        onClick={filterable ? () => onToggle(section.param, value) : undefined}
+                                        className="d-flex justify-content-between align-items-center"
+                                    >
+                                        <span>{section.format ? section.format(value) : value}</span>
+                                        <Badge bg={active ? 'light' : 'secondary'} text={active ? 'dark' : undefined} pill>{count}</Badge>
+                                    </ListGroup.Item>
+                                );
+                            })}
+                        </ListGroup>
+                    </Card>
+                );
+            })}
+        </>
+    );
+};
+
+/**
+ * PropTypes para el componente SearchFacets.
+ * - `facets` es el objeto de facetas de la respuesta de búsqueda (opcional mientras carga).
+ * - `isActive` y `onToggle` son funciones requeridas que conectan la barra con los filtros de la URL.
+ */
+SearchFacets.propTypes = {
+    facets: PropTypes.objectOf(
+        PropTypes.arrayOf(
+            PropTypes.shape({
+                value: PropTypes.string.isRequired,
+                count: PropTypes.number.isRequired,
+            })
+        )
+    ),
+    isActive: PropTypes.func.isRequired,
+    onToggle: PropTypes.func.isRequired,
+};
+
+export default SearchFacets;
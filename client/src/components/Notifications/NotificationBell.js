@@ -0,0 +1,150 @@
+// client/src/components/Notifications/NotificationBell.js
+// Campana de la barra de navegación con el número de notificaciones no leídas y las más recientes.
+import { useCallback, useEffect, useState } from "react";
+import { Badge, NavDropdown, Spinner } from "react-bootstrap";
+import { BellFill, CheckAll } from "react-bootstrap-icons";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import useRealtime from "../../hooks/useRealtime";
+import api from "../../services/apiService";
+import NotificationIcon from "./NotificationIcon";
+
+// Cada cuánto se vuelve a pedir el número de no leídas si no hay conexión de eventos en tiempo real.
+const UNREAD_POLL_INTERVAL_MS = 60000;
+// Notificaciones que se muestran en el desplegable.
+const RECENT_LIMIT = 5;
+
+/**
+ * @description Componente NotificationBell.
+ * Muestra una campana con el número de notificaciones no leídas, que se actualiza al llegar cada notificación
+ * (o periódicamente, sin conexión en tiempo real) y al cambiar de página. Al abrirla carga las más recientes;
+ * al pulsar una, la marca como leída y lleva a su enlace.
+ * @returns Un `NavDropdown` para la barra de navegación.
+ */
+const NotificationBell = () => {
+    const navigate = useNavigate();
+    const { pathname } = useLocation();
+    const { connected, subscribe } = useRealtime();
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const fetchUnreadCount = useCallback(async () => {
+        try {
+            const response = await api.get('/notifications/unread-count');
+            setUnreadCount(response.data.unreadCount || 0);
+        } catch (err) {
+            console.error('Error al cargar las notificaciones no leídas:', err.response?.data || err.message);
+        }
+    }, []);
+
+    const fetchRecent = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/notifications', { params: { limit: RECENT_LIMIT } });
+            setNotifications(response.data.notifications || []);
+            setUnreadCount(response.data.unreadCount || 0);
+        } catch (err) {
+            console.error('Error al cargar las notificaciones:', err.response?.data || err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    // Se actualiza al cambiar de página (ej. después de leerlas en /notifications) y al reconectar.
+    useEffect(() => {
+        fetchUnreadCount();
+    }, [fetchUnreadCount, pathname, connected]);
+
+    // Las notificaciones nuevas llegan en tiempo real; sin conexión, se consulta cada minuto.
+    useEffect(() => {
+        if (connected) {
+            return subscribe('notification', (notification) => {
+                setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)].slice(0, RECENT_LIMIT));
+                setUnreadCount(prev => prev + 1);
+            });
+        }
+        const intervalId = setInterval(fetchUnreadCount, UNREAD_POLL_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [connected, subscribe, fetchUnreadCount]);
+
+    const handleToggle = (isOpen) => {
+        if (isOpen) fetchRecent();
+    };
+
+    const handleSelect = async (notification) => {
+        if (!notification.readAt) {
+            setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, readAt: new Date().toISOString() } : n)));
+            setUnreadCount(prev => Math.max(prev - 1, 0));
+            try {
+                await api.patch(`/notifications/${notification.id}/read`);
+            } catch (err) {
+                console.error('Error al marcar la notificación como leída:', err.response?.data || err.message);
+            }
+        }
+        if (notification.link) navigate(notification.link);
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await api.patch('/notifications/read-all');
+            const now = new Date().toISOString();
+            setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || now })));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error('Error al marcar las notificaciones como leídas:', err.response?.data || err.message);
+        }
+    };
+
+    return (
+        <NavDropdown
+            title={
+                <>
+                    <BellFill aria-label="Notificaciones" />
+                    {unreadCount > 0 && (
+                        <Badge bg="danger" pill className="ms-1">{unreadCount > 99 ? '99+' : unreadCount}</Badge>
+                    )}
+                </>
+            }
+            id="notifications-dropdown"
+            align="end"
+            onToggle={handleToggle}
+        >
+            <div className="d-flex justify-content-between align-items-center px-3 py-1" style={{ minWidth: '20rem' }}>
+                <strong>Notificaciones</strong>
+                {unreadCount > 0 && (
+                    <button type="button" className="btn btn-link btn-sm p-0" onClick={handleMarkAllRead}>
+                        <CheckAll className="me-1" /> Marcar todas como leídas
+                    </button>
+                )}
+            </div>
+            <NavDropdown.Divider />
+            {loading && notifications.length === 0 ? (
+                <div className="text-center py-2"><Spinner animation="border" size="sm" /></div>
+            ) : notifications.length === 0 ? (
+                <NavDropdown.ItemText className="text-muted small">No tienes notificaciones.</NavDropdown.ItemText>
+            ) : (
+                notifications.map(notification => (
+                    <NavDropdown.Item
+                        key={notification.id}
+                        onClick={() => handleSelect(notification)}
+                        className={`d-flex gap-2 py-2 text-wrap ${notification.readAt ? '' : 'fw-semibold'}`}
+                        style={{ maxWidth: '24rem' }}
+                    >
+                        <NotificationIcon type={notification.type} className="mt-1 flex-shrink-0" />
+                        <span>
+                            {notification.title}
+                            {notification.message && <small className="d-block text-muted fw-normal">{notification.message}</small>}
+                            <small className="d-block text-muted fw-normal">{new Date(notification.createdAt).toLocaleString()}</small>
+                        </span>
+                    </NavDropdown.Item>
+                ))
+            )}
+            <NavDropdown.Divider />
+            <NavDropdown.Item as={Link} to="/notifications" className="text-center small">
+                Ver todas las notificaciones
+            </NavDropdown.Item>
+        </NavDropdown>
+    );
+};
+
+export default NotificationBell;
@@ -0,0 +1,29 @@
+// client/src/components/Notifications/NotificationIcon.js
+// Icono de cada tipo de notificación, común a la campana de la barra de navegación y a la página de notificaciones.
+import PropTypes from "prop-types";
+import { AlarmFill, BellFill, BriefcaseFill, HeartbreakFill, Search } from "react-bootstrap-icons";
+
+// Icono y color de cada tipo de notificación que crea el servidor.
+const TYPE_ICONS = {
+    saved_search_matches: { icon: Search, className: 'text-primary' },
+    favorite_unavailable: { icon: HeartbreakFill, className: 'text-danger' },
+    application_status: { icon: BriefcaseFill, className: 'text-success' },
+    application_reminder: { icon: AlarmFill, className: 'text-warning' },
+};
+
+/**
+ * @description Componente NotificationIcon.
+ * @param {object} { type, className } - Tipo de la notificación y clases adicionales.
+ * @returns El icono del tipo (una campana si el tipo no se conoce).
+ */
+const NotificationIcon = ({ type, className = '' }) => {
+    const { icon: Icon, className: color } = TYPE_ICONS[type] || { icon: BellFill, className: 'text-secondary' };
+    return <Icon className={`${color} ${className}`.trim()} aria-hidden="true" />;
+};
+
+NotificationIcon.propTypes = {
+    type: PropTypes.string.isRequired,
+    className: PropTypes.string,
+};
+
+export default NotificationIcon;
@@ -0,0 +1,30 @@
+// client/src/components/common/AdminRoute.js
+// Protege las rutas de administración: además de estar autenticado, el usuario debe tener el rol 'admin'.
+import PropTypes from "prop-types";
+import { Navigate } from "react-router-dom";
+import useAuth from "../../hooks/useAuth";
+import PrivateRoute from "./PrivateRoute";
+
+/**
+ * @description Componente AdminRoute.
+ * Se apoya en PrivateRoute (que redirige al login a quien no está autenticado) y, si el usuario
+ * autenticado no es administrador, lo redirige a la página de inicio.
+ * La API aplica la misma comprobación, así que esto solo evita mostrar páginas que fallarían.
+ * @param {Object} { children } - Los componentes que se renderizan si el usuario es administrador.
+ * @returns Los componentes hijos, o una redirección.
+ */
+const AdminRoute = ({ children }) => {
+    const { user } = useAuth();
+
+    return (
+        <PrivateRoute>
+            {user?.role === 'admin' ? children : <Navigate to="/home" replace />}
+        </PrivateRoute>
+    );
+};
+
+AdminRoute.propTypes = {
+    children: PropTypes.node.isRequired,
+};
+
+export default AdminRoute;
@@ -1,9 +1,10 @@
 // client/src/components/Common/Navbar.js
 // La barra de navegación (se muestra cuando el usuario está logueado).
 import { Navbar as BootstrapNavbar, Container, Nav, NavDropdown } from "react-bootstrap";
-import { BoxArrowRight, BriefcaseFill, GearFill, HeartFill, HouseFill, PencilSquare, PersonBadge, PersonCircle } from "react-bootstrap-icons";
+import { BoxArrowRight, BriefcaseFill, GearFill, HeartFill, HouseFill, PencilSquare, PersonBadge, PersonCircle, Speedometer2 } from "react-bootstrap-icons";
 import { Link, useNavigate } from "react-router-dom";
 import useAuth from "../../hooks/useAuth";
+import NotificationBell from "../Notifications/NotificationBell";
 
 /**
  * @description Componente Navbar.
@@ -56,6 +57,9 @@ const Navbar = ({ showAlert }) => {
                                     <HeartFill className="me-1" /> Favoritos
                                 </Nav.Link>
 
+                                {/* Campana con las notificaciones no leídas */}
+                                <NotificationBell />
+
                                 {/* Dropdown para Perfil y Configuración */}
                                 <NavDropdown
                                     title={
@@ -75,6 +79,11 @@ const Navbar = ({ showAlert }) => {
                                     <NavDropdown.Item as={Link} to="/settings">
                                         <GearFill className="me-1" /> Configuración
                                     </NavDropdown.Item>
+                                    {user?.role === 'admin' && (
+                                        <NavDropdown.Item as={Link} to="/admin">
+                                            <Speedometer2 className="me-1" /> Administración
+                                        </NavDropdown.Item>
+                                    )}
                                     <NavDropdown.Divider />
                                     <NavDropdown.Item onClick={handleLogout}>
                                         <BoxArrowRight className="me-1" /> Cerrar Sesión
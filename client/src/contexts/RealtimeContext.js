@@ -0,0 +1,70 @@
+// client/src/contexts/RealtimeContext.js
+// Mantiene abierta la conexión de eventos en tiempo real (Server-Sent Events) del usuario logueado.
+import { createContext, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import useAuth from "../hooks/useAuth";
+import api from "../services/apiService";
+import { getAuthToken } from "../utils/authUtils";
+
+// Eventos que envía GET /api/events.
+const EVENT_TYPES = ['scrape-status', 'scrape-progress', 'notification'];
+
+// Crea el Contexto de Tiempo Real
+export const RealtimeContext = createContext();
+
+/**
+ * Proveedor de Tiempo Real. Abre una única conexión a GET /api/events mientras hay un usuario logueado
+ * (el navegador la reconecta solo si se corta) y reparte cada evento entre los componentes suscritos.
+ * `EventSource` no permite enviar encabezados, así que el token viaja en `?access_token=`.
+ * @param {object} { children } - Los componentes hijos que tendrán acceso al contexto.
+ */
+export const RealtimeProvider = ({ children }) => {
+    const { user } = useAuth();
+    const [connected, setConnected] = useState(false);
+    const listenersRef = useRef(new Map()); // nombre del evento -> Set de funciones
+
+    useEffect(() => {
+        const token = getAuthToken();
+        if (!user || !token || typeof EventSource === 'undefined') return undefined;
+
+        const source = new EventSource(`${api.defaults.baseURL}/events?access_token=${encodeURIComponent(token)}`);
+        source.onopen = () => setConnected(true);
+        // Con un corte de red el navegador reintenta; si el servidor rechaza el token, la conexión queda cerrada.
+        source.onerror = () => setConnected(false);
+        EVENT_TYPES.forEach(type => {
+            source.addEventListener(type, (event) => {
+                let data;
+                try {
+                    data = JSON.parse(event.data);
+                } catch {
+                    return;
+                }
+                listenersRef.current.get(type)?.forEach(listener => listener(data));
+            });
+        });
+
+        return () => {
+            source.close();
+            setConnected(false);
+        };
+    }, [user]);
+
+    /**
+     * @description Suscribe una función a un tipo de evento.
+     * @param {string} type - Nombre del evento (ej. 'notification').
+     * @param {function} listener - Recibe los datos del evento ya convertidos desde JSON.
+     * @returns {function} Función que cancela la suscripción (para el cleanup de un useEffect).
+     */
+    const subscribe = useCallback((type, listener) => {
+        if (!listenersRef.current.has(type)) listenersRef.current.set(type, new Set());
+        listenersRef.current.get(type).add(listener);
+        return () => listenersRef.current.get(type)?.delete(listener);
+    }, []);
+
+    const realtimeContextValue = useMemo(() => ({ connected, subscribe }), [connected, subscribe]);
+
+    return (
+        <RealtimeContext.Provider value={realtimeContextValue}>
+            {children}
+        </RealtimeContext.Provider>
+    );
+};
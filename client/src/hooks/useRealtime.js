@@ -0,0 +1,24 @@
+// client/src/hooks/useRealtime.js
+// Hook para recibir los eventos en tiempo real del servidor.
+import { useContext } from "react";
+import { RealtimeContext } from "../contexts/RealtimeContext";
+
+/**
+ * @description Hook personalizado para acceder a la conexión de eventos en tiempo real.
+ * @returns {object} Un objeto que contiene:
+ * - connected: Booleano, true mientras la conexión con GET /api/events está abierta.
+ * - subscribe: Función `(tipo, listener) => cancelar` para recibir un tipo de evento.
+ */
+const useRealtime = () => {
+    const context = useContext(RealtimeContext);
+
+    if (!context) {
+        throw new Error(
+            'useRealtime debe usarse dentro de un RealtimeProvider. ' +
+            'Asegúrate de que tu aplicación esté envuelta en <RealtimeProvider>'
+        );
+    }
+
+    return context;
+};
+export default useRealtime;
@@ -6,6 +6,7 @@ import ReactDOM from "react-dom/client";
 import App from "./App";
 import ErrorBoundary from "./components/common/ErrorBoundary";
 import { AuthProvider } from "./contexts/AuthContext";
+import { RealtimeProvider } from "./contexts/RealtimeContext";
 import "./styles/custom.css";
 import "./styles/footer.css";
 import "./styles/main.css";
@@ -26,7 +27,10 @@ root.render(
           proporcionadas por AuthContext a través del hook useAuth.
         */}
         <AuthProvider>
-            <App />
+            {/* La conexión de eventos en tiempo real depende del usuario logueado */}
+            <RealtimeProvider>
+                <App />
+            </RealtimeProvider>
         </AuthProvider>
       </ErrorBoundary>
   </React.StrictMode>
@@ -0,0 +1,157 @@
+// client/src/pages/Admin/AdminDashboardPage.js
+// Resumen de la plataforma para los administradores: usuarios, ofertas y scrapings.
+import PropTypes from "prop-types";
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Button, Card, Col, Container, ListGroup, ProgressBar, Row } from "react-bootstrap";
+import { ArrowClockwise } from "react-bootstrap-icons";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import api from "../../services/apiService";
+
+// Etiquetas de los valores que devuelve la API.
+const ROLE_LABELS = { admin: 'Administradores', user: 'Usuarios', guest: 'Invitados' };
+const JOB_STATUS_LABELS = { active: 'Activas', expired: 'Expiradas', closed: 'Cerradas' };
+const TASK_STATUS_LABELS = { pending: 'Pendientes', running: 'En curso', completed: 'Completadas', failed: 'Fallidas' };
+
+/**
+ * Tarjeta con una cifra destacada y su desglose.
+ * @param {Object} props
+ * @param {string} props.title - Título de la tarjeta.
+ * @param {number} props.value - Cifra principal.
+ * @param {Array<[string, number]>} props.rows - Pares etiqueta / valor del desglose.
+ */
+const StatCard = ({ title, value, rows }) => (
+    <Card className="shadow-sm h-100">
+        <Card.Header>{title}</Card.Header>
+        <Card.Body>
+            <p className="display-6 mb-0">{value}</p>
+        </Card.Body>
+        <ListGroup variant="flush">
+            {rows.map(([label, count]) => (
+                <ListGroup.Item key={label} className="d-flex justify-content-between">
+                    <span className="text-muted">{label}</span> {count}
+                </ListGroup.Item>
+            ))}
+        </ListGroup>
+    </Card>
+);
+
+StatCard.propTypes = {
+    title: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+    rows: PropTypes.arrayOf(PropTypes.array).isRequired,
+};
+
+/**
+ * @description Componente AdminDashboardPage.
+ * Muestra las estadísticas de GET /api/admin/stats: usuarios por rol, ofertas por estado y por fuente,
+ * tareas de scraping, favoritos y postulaciones.
+ * @returns Tarjetas con las cifras y un gráfico de barras de las ofertas por fuente.
+ */
+const AdminDashboardPage = () => {
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchStats = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await api.get('/admin/stats');
+            setStats(response.data.stats);
+        } catch (err) {
+            console.error('Error al cargar las estadísticas:', err.response?.data || err.message);
+            setError(err.response?.data?.message || 'No se pudieron cargar las estadísticas de la plataforma.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchStats();
+    }, [fetchStats]);
+
+    if (loading) {
+        return <LoadingSpinner message="Cargando estadísticas..." />;
+    }
+
+    if (error) {
+        return (
+            <Container className="my-5">
+                <Alert variant="danger" className="text-center">{error}</Alert>
+            </Container>
+        );
+    }
+
+    const { users, jobs, scrapeTasks } = stats;
+    const sources = Object.entries(jobs.bySource).sort(([, a], [, b]) => b - a);
+    const maxSourceCount = Math.max(1, ...sources.map(([, count]) => count));
+
+    return (
+        <Container className="my-4">
+            <div className="d-flex justify-content-between align-items-center mb-4">
+                <h1 className="mb-0">Resumen de la Plataforma</h1>
+                <Button variant="outline-primary" onClick={fetchStats}>
+                    <ArrowClockwise className="me-2" /> Actualizar
+                </Button>
+            </div>
+
+            <Row xs={1} md={2} lg={4} className="g-4 mb-4">
+                <Col>
+                    <StatCard
+                        title="Usuarios"
+                        value={users.total}
+                        rows={[
+                            ...Object.entries(users.byRole).map(([role, count]) => [ROLE_LABELS[role] || role, count]),
+                            ['Desactivados', users.disabled],
+                            ['Nuevos (7 días)', users.newLast7Days],
+                        ]}
+                    />
+                </Col>
+                <Col>
+                    <StatCard
+                        title="Ofertas"
+                        value={jobs.total}
+                        rows={[
+                            ...Object.entries(jobs.byStatus).map(([status, count]) => [JOB_STATUS_LABELS[status] || status, count]),
+                            ['Ocultas', jobs.hidden],
+                            ['Con detalle', jobs.enriched],
+                            ['Vacantes (clusters)', jobs.clusters],
+                            ['Nuevas (24 h)', jobs.newLast24Hours],
+                        ]}
+                    />
+                </Col>
+                <Col>
+                    <StatCard
+                        title="Tareas de scraping (24 h)"
+                        value={scrapeTasks.last24Hours}
+                        rows={Object.entries(TASK_STATUS_LABELS).map(([status, label]) => [label, scrapeTasks.byStatus[status] || 0])}
+                    />
+                </Col>
+                <Col>
+                    <StatCard
+                        title="Actividad"
+                        value={stats.favorites + stats.applications}
+                        rows={[['Favoritos', stats.favorites], ['Postulaciones', stats.applications]]}
+                    />
+                </Col>
+            </Row>
+
+            <Card className="shadow-sm">
+                <Card.Header>Ofertas por fuente</Card.Header>
+                <Card.Body>
+                    {sources.length === 0 ? (
+                        <p className="text-muted mb-0">Aún no hay ofertas guardadas.</p>
+                    ) : sources.map(([sourceName, count]) => (
+                        <Row key={sourceName} className="align-items-center mb-2">
+                            <Col xs={4} md={2} className="text-truncate">{sourceName}</Col>
+                            <Col><ProgressBar now={(count / maxSourceCount) * 100} /></Col>
+                            <Col xs={2} md={1} className="text-end">{count}</Col>
+                        </Row>
+                    ))}
+                </Card.Body>
+            </Card>
+        </Container>
+    );
+};
+
+export default AdminDashboardPage;
@@ -0,0 +1,285 @@
+// client/src/pages/Admin/AdminJobsPage.js
+// Moderación de ofertas para los administradores: búsqueda, ocultación, borrado y relectura del detalle.
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Badge, Button, ButtonGroup, Col, Container, Form, Row, Spinner, Table } from "react-bootstrap";
+import { ArrowRepeat, Eye, EyeSlash, Search, Trash } from "react-bootstrap-icons";
+import { Link } from "react-router-dom";
+import ConfirmActionModal from "../../components/Admin/ConfirmActionModal";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import PaginationControls from "../../components/Jobs/Pagination";
+import api from "../../services/apiService";
+
+// Etiqueta y color de cada estado de una oferta.
+const STATUS_BADGES = {
+    active: { bg: 'success', label: 'Activa' },
+    expired: { bg: 'secondary', label: 'Expirada' },
+    closed: { bg: 'danger', label: 'Cerrada' },
+};
+const EMPTY_FILTERS = { q: '', hidden: '', status: '' };
+
+/**
+ * @description Componente AdminJobsPage.
+ * Lista todas las ofertas (incluidas las ocultas, duplicadas e inactivas) con filtros de texto, visibilidad
+ * y estado. Cada oferta se puede ocultar de la búsqueda o volver a mostrar, eliminar, o completar de nuevo
+ * con su página de detalle.
+ * @param {object} { showAlert } - Función para mostrar alertas, pasada desde App.js.
+ * @returns El formulario de búsqueda, la tabla de ofertas y la paginación.
+ */
+const AdminJobsPage = ({ showAlert }) => {
+    const [jobs, setJobs] = useState([]);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(0);
+    const [totalResults, setTotalResults] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    // Acción en curso sobre una oferta: { id, action: 'hide' | 'show' | 'delete' | 'enrich' }
+    const [pending, setPending] = useState(null);
+    // Ventana de confirmación abierta: { job, action: 'hide' | 'delete' }
+    const [confirm, setConfirm] = useState(null);
+
+    const fetchJobs = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = { page: currentPage };
+            Object.entries(appliedFilters).forEach(([key, value]) => {
+                if (value) params[key] = value;
+            });
+            const response = await api.get('/admin/jobs', { params });
+            setJobs(response.data.jobs || []);
+            setTotalPages(response.data.totalPages || 0);
+            setTotalResults(response.data.totalResults || 0);
+        } catch (err) {
+            console.error('Error al cargar los empleos:', err.response?.data || err.message);
+            setError(err.response?.data?.message || 'No se pudieron cargar los empleos.');
+        } finally {
+            setLoading(false);
+        }
+    }, [appliedFilters, currentPage]);
+
+    useEffect(() => {
+        fetchJobs();
+    }, [fetchJobs]);
+
+    const handleFilterChange = (e) => {
+        setFilters({ ...filters, [e.target.name]: e.target.value });
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setCurrentPage(1);
+        setAppliedFilters({ ...filters, q: filters.q.trim() });
+    };
+
+    /**
+     * Ejecuta una acción sobre una oferta y muestra el resultado.
+     * @param {Object} job - Oferta de la tabla.
+     * @param {string} action - 'hide', 'show', 'delete' o 'enrich'.
+     * @param {Function} request - Llamada a la API; devuelve la respuesta de axios.
+     * @returns {Promise<Object|null>} La respuesta, o null si falló.
+     */
+    const runAction = async (job, action, request) => {
+        setPending({ id: job.id, action });
+        try {
+            const response = await request();
+            showAlert(response.data.message, 'success');
+            return response;
+        } catch (err) {
+            console.error(`Error en la acción ${action} sobre el empleo:`, err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo completar la acción sobre el empleo.', 'danger');
+            return null;
+        } finally {
+            setPending(null);
+        }
+    };
+
+    // Reemplaza la fila de una oferta conservando los campos que la respuesta no trae.
+    const replaceJob = (updated) => {
+        setJobs(prev => prev.map(job => (job.id === updated.id ? { ...job, ...updated } : job)));
+    };
+
+    const handleSetHidden = async (job, hidden, reason) => {
+        const response = await runAction(job, hidden ? 'hide' : 'show', () => api.patch(`/admin/jobs/${job.id}`, { hidden, reason }));
+        if (response) {
+            replaceJob(response.data.job);
+            setConfirm(null);
+        }
+    };
+
+    const handleDelete = async (job) => {
+        const response = await runAction(job, 'delete', () => api.delete(`/admin/jobs/${job.id}`));
+        if (response) {
+            setConfirm(null);
+            fetchJobs();
+        }
+    };
+
+    const handleEnrich = async (job) => {
+        const response = await runAction(job, 'enrich', () => api.post(`/admin/jobs/${job.id}/enrich`));
+        if (response) replaceJob(response.data.job);
+    };
+
+    const handleConfirm = (reason) => {
+        if (confirm.action === 'hide') {
+            handleSetHidden(confirm.job, true, reason);
+        } else {
+            handleDelete(confirm.job);
+        }
+    };
+
+    return (
+        <Container className="my-4">
+            <h1 className="mb-4">Empleos</h1>
+
+            <Form onSubmit={handleSearch} className="mb-4">
+                <Row className="g-2">
+                    <Col md={6}>
+                        <Form.Control
+                            name="q"
+                            placeholder="Título o empresa"
+                            value={filters.q}
+                            onChange={handleFilterChange}
+                        />
+                    </Col>
+                    <Col md={2}>
+                        <Form.Select name="hidden" value={filters.hidden} onChange={handleFilterChange} aria-label="Visibilidad">
+                            <option value="">Visibles y ocultas</option>
+                            <option value="false">Visibles</option>
+                            <option value="true">Ocultas</option>
+                        </Form.Select>
+                    </Col>
+                    <Col md={2}>
+                        <Form.Select name="status" value={filters.status} onChange={handleFilterChange} aria-label="Estado">
+                            <option value="">Todos los estados</option>
+                            {Object.entries(STATUS_BADGES).map(([status, { label }]) => (
+                                <option key={status} value={status}>{label}</option>
+                            ))}
+                        </Form.Select>
+                    </Col>
+                    <Col md={2} className="d-grid">
+                        <Button type="submit" variant="primary">
+                            <Search className="me-2" /> Buscar
+                        </Button>
+                    </Col>
+                </Row>
+            </Form>
+
+            {loading ? (
+                <LoadingSpinner message="Cargando empleos..." />
+            ) : error ? (
+                <Alert variant="danger" className="text-center">{error}</Alert>
+            ) : jobs.length === 0 ? (
+                <Alert variant="info" className="text-center">No hay empleos que coincidan con la búsqueda.</Alert>
+            ) : (
+                <>
+                    <p className="text-muted">{totalResults} empleos encontrados.</p>
+                    <Table responsive hover className="align-middle">
+                        <thead>
+                            <tr>
+                                <th>Empleo</th>
+                                <th>Fuente</th>
+                                <th>País</th>
+                                <th>Estado</th>
+                                <th>Guardado</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {jobs.map((job) => {
+                                const badge = STATUS_BADGES[job.status] || STATUS_BADGES.active;
+                                const busy = pending?.id === job.id;
+                                return (
+                                    <tr key={job.id} className={job.isHidden ? 'table-secondary' : undefined}>
+                                        <td>
+                                            <Link to={`/jobs/${job.id}`}>{job.title}</Link>
+                                            <small className="text-muted d-block">{job.companyName}{job.location && ` · ${job.location}`}</small>
+                                            {job.isHidden && (
+                                                <small className="text-danger d-block">
+                                                    Oculta{job.hiddenReason && `: ${job.hiddenReason}`}
+                                                </small>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <a href={job.sourceUrl} target="_blank" rel="noopener noreferrer">{job.sourceName}</a>
+                                            {job.clusterId && !job.isCanonical && <Badge bg="light" text="dark" className="ms-1">Duplicada</Badge>}
+                                        </td>
+                                        <td>{job.country?.toUpperCase()}</td>
+                                        <td><Badge bg={badge.bg}>{badge.label}</Badge></td>
+                                        <td>{new Date(job.createdAt).toLocaleDateString()}</td>
+                                        <td className="text-end text-nowrap">
+                                            <ButtonGroup size="sm">
+                                                <Button
+                                                    variant="outline-primary"
+                                                    title="Volver a leer la página de detalle"
+                                                    disabled={busy}
+                                                    onClick={() => handleEnrich(job)}
+                                                >
+                                                    {busy && pending.action === 'enrich'
+                                                        ? <Spinner as="span" animation="border" size="sm" />
+                                                        : <ArrowRepeat />}
+                                                </Button>
+                                                {job.isHidden ? (
+                                                    <Button
+                                                        variant="outline-success"
+                                                        title="Mostrar en la búsqueda"
+                                                        disabled={busy}
+                                                        onClick={() => handleSetHidden(job, false)}
+                                                    >
+                                                        <Eye />
+                                                    </Button>
+                                                ) : (
+                                                    <Button
+                                                        variant="outline-warning"
+                                                        title="Ocultar de la búsqueda"
+                                                        disabled={busy}
+                                                        onClick={() => setConfirm({ job, action: 'hide' })}
+                                                    >
+                                                        <EyeSlash />
+                                                    </Button>
+                                                )}
+                                                <Button
+                                                    variant="outline-danger"
+                                                    title="Eliminar"
+                                                    disabled={busy}
+                                                    onClick={() => setConfirm({ job, action: 'delete' })}
+                                                >
+                                                    <Trash />
+                                                </Button>
+                                            </ButtonGroup>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </Table>
+                    {totalPages > 1 && (
+                        <div className="d-flex justify-content-center">
+                            <PaginationControls currentPage={currentPage} totalPages={totalPages} onPageChange={setCurrentPage} />
+                        </div>
+                    )}
+                </>
+            )}
+
+            <ConfirmActionModal
+                show={Boolean(confirm)}
+                title={confirm?.action === 'hide' ? 'Ocultar empleo' : 'Eliminar empleo'}
+                confirmLabel={confirm?.action === 'hide' ? 'Ocultar' : 'Eliminar'}
+                variant={confirm?.action === 'hide' ? 'warning' : 'danger'}
+                withReason={confirm?.action === 'hide'}
+                submitting={Boolean(confirm) && pending?.id === confirm.job.id}
+                onConfirm={handleConfirm}
+                onHide={() => setConfirm(null)}
+            >
+                {confirm?.action === 'hide' ? (
+                    <><strong>{confirm.job.title}</strong> dejará de aparecer en la búsqueda, aunque los próximos scrapings la vuelvan a encontrar.</>
+                ) : (
+                    <>Se eliminará <strong>{confirm?.job.title}</strong> con sus favoritos y postulaciones. Si la fuente la sigue publicando, el próximo scraping la volverá a crear: para retirarla de forma permanente, ocúltala.</>
+                )}
+            </ConfirmActionModal>
+        </Container>
+    );
+};
+
+export default AdminJobsPage;
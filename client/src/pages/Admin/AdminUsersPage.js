@@ -0,0 +1,241 @@
+// client/src/pages/Admin/AdminUsersPage.js
+// Gestión de usuarios para los administradores: búsqueda, cambio de rol y desactivación de cuentas.
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Badge, Button, Col, Container, Form, Row, Table } from "react-bootstrap";
+import { PersonCheck, PersonSlash, Search } from "react-bootstrap-icons";
+import ConfirmActionModal from "../../components/Admin/ConfirmActionModal";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import PaginationControls from "../../components/Jobs/Pagination";
+import useAuth from "../../hooks/useAuth";
+import api from "../../services/apiService";
+
+// Roles que admite la API, con su etiqueta.
+const ROLE_OPTIONS = [
+    { value: 'user', label: 'Usuario' },
+    { value: 'admin', label: 'Administrador' },
+    { value: 'guest', label: 'Invitado' },
+];
+const EMPTY_FILTERS = { q: '', role: '', status: '' };
+
+/**
+ * @description Componente AdminUsersPage.
+ * Lista los usuarios con filtros de texto, rol y estado. Desde la tabla se cambia el rol de cada usuario
+ * y se desactiva (con un motivo opcional) o reactiva su cuenta. La cuenta propia no se puede modificar.
+ * @param {object} { showAlert } - Función para mostrar alertas, pasada desde App.js.
+ * @returns El formulario de búsqueda, la tabla de usuarios y la paginación.
+ */
+const AdminUsersPage = ({ showAlert }) => {
+    const { user: currentUser } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(0);
+    const [totalResults, setTotalResults] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [updatingId, setUpdatingId] = useState(null);
+    const [userToDisable, setUserToDisable] = useState(null);
+
+    const fetchUsers = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = { page: currentPage };
+            Object.entries(appliedFilters).forEach(([key, value]) => {
+                if (value) params[key] = value;
+            });
+            const response = await api.get('/admin/users', { params });
+            setUsers(response.data.users || []);
+            setTotalPages(response.data.totalPages || 0);
+            setTotalResults(response.data.totalResults || 0);
+        } catch (err) {
+            console.error('Error al cargar los usuarios:', err.response?.data || err.message);
+            setError(err.response?.data?.message || 'No se pudieron cargar los usuarios.');
+        } finally {
+            setLoading(false);
+        }
+    }, [appliedFilters, currentPage]);
+
+    useEffect(() => {
+        fetchUsers();
+    }, [fetchUsers]);
+
+    const handleFilterChange = (e) => {
+        setFilters({ ...filters, [e.target.name]: e.target.value });
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setCurrentPage(1);
+        setAppliedFilters({ ...filters, q: filters.q.trim() });
+    };
+
+    /**
+     * Envía un cambio del usuario a la API y reemplaza la fila con la respuesta.
+     * @param {string} userId
+     * @param {Object} changes - `{ role }` o `{ disabled, reason }`.
+     * @returns {Promise<boolean>} Si el cambio se guardó.
+     */
+    const updateUser = async (userId, changes) => {
+        setUpdatingId(userId);
+        try {
+            const response = await api.patch(`/admin/users/${userId}`, changes);
+            setUsers(prev => prev.map(u => (u.id === userId ? response.data.user : u)));
+            showAlert(response.data.message || 'Usuario actualizado.', 'success');
+            return true;
+        } catch (err) {
+            console.error('Error al actualizar el usuario:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo actualizar el usuario.', 'danger');
+            return false;
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handleDisableConfirm = async (reason) => {
+        if (await updateUser(userToDisable.id, { disabled: true, reason })) {
+            setUserToDisable(null);
+        }
+    };
+
+    return (
+        <Container className="my-4">
+            <h1 className="mb-4">Usuarios</h1>
+
+            <Form onSubmit={handleSearch} className="mb-4">
+                <Row className="g-2">
+                    <Col md={6}>
+                        <Form.Control
+                            name="q"
+                            placeholder="Nombre de usuario o email"
+                            value={filters.q}
+                            onChange={handleFilterChange}
+                        />
+                    </Col>
+                    <Col md={2}>
+                        <Form.Select name="role" value={filters.role} onChange={handleFilterChange} aria-label="Rol">
+                            <option value="">Todos los roles</option>
+                            {ROLE_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </Form.Select>
+                    </Col>
+                    <Col md={2}>
+                        <Form.Select name="status" value={filters.status} onChange={handleFilterChange} aria-label="Estado">
+                            <option value="">Todos los estados</option>
+                            <option value="active">Activas</option>
+                            <option value="disabled">Desactivadas</option>
+                        </Form.Select>
+                    </Col>
+                    <Col md={2} className="d-grid">
+                        <Button type="submit" variant="primary">
+                            <Search className="me-2" /> Buscar
+                        </Button>
+                    </Col>
+                </Row>
+            </Form>
+
+            {loading ? (
+                <LoadingSpinner message="Cargando usuarios..." />
+            ) : error ? (
+                <Alert variant="danger" className="text-center">{error}</Alert>
+            ) : users.length === 0 ? (
+                <Alert variant="info" className="text-center">No hay usuarios que coincidan con la búsqueda.</Alert>
+            ) : (
+                <>
+                    <p className="text-muted">{totalResults} usuarios encontrados.</p>
+                    <Table responsive hover className="align-middle">
+                        <thead>
+                            <tr>
+                                <th>Usuario</th>
+                                <th>Email</th>
+                                <th>Acceso</th>
+                                <th>Registro</th>
+                                <th>Rol</th>
+                                <th>Estado</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map((u) => {
+                                const isSelf = u.id === currentUser?.id;
+                                const isUpdating = updatingId === u.id;
+                                return (
+                                    <tr key={u.id}>
+                                        <td>{u.username} {isSelf && <Badge bg="info">Tú</Badge>}</td>
+                                        <td>{u.email}</td>
+                                        <td>{u.provider}</td>
+                                        <td>{new Date(u.createdAt).toLocaleDateString()}</td>
+                                        <td>
+                                            <Form.Select
+                                                size="sm"
+                                                value={u.role}
+                                                disabled={isSelf || isUpdating}
+                                                onChange={(e) => updateUser(u.id, { role: e.target.value })}
+                                                aria-label={`Rol de ${u.username}`}
+                                            >
+                                                {ROLE_OPTIONS.map(option => (
+                                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                            </Form.Select>
+                                        </td>
+                                        <td>
+                                            {u.isDisabled ? (
+                                                <Badge bg="danger" title={u.disabledReason || undefined}>
+                                                    Desactivada{u.disabledAt && ` el ${new Date(u.disabledAt).toLocaleDateString()}`}
+                                                </Badge>
+                                            ) : (
+                                                <Badge bg="success">Activa</Badge>
+                                            )}
+                                        </td>
+                                        <td className="text-end">
+                                            {u.isDisabled ? (
+                                                <Button
+                                                    size="sm"
+                                                    variant="outline-success"
+                                                    disabled={isSelf || isUpdating}
+                                                    onClick={() => updateUser(u.id, { disabled: false })}
+                                                >
+                                                    <PersonCheck className="me-1" /> Reactivar
+                                                </Button>
+                                            ) : (
+                                                <Button
+                                                    size="sm"
+                                                    variant="outline-danger"
+                                                    disabled={isSelf || isUpdating}
+                                                    onClick={() => setUserToDisable(u)}
+                                                >
+                                                    <PersonSlash className="me-1" /> Desactivar
+                                                </Button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </Table>
+                    {totalPages > 1 && (
+                        <div className="d-flex justify-content-center">
+                            <PaginationControls currentPage={currentPage} totalPages={totalPages} onPageChange={setCurrentPage} />
+                        </div>
+                    )}
+                </>
+            )}
+
+            <ConfirmActionModal
+                show={Boolean(userToDisable)}
+                title="Desactivar cuenta"
+                confirmLabel="Desactivar"
+                withReason
+                submitting={Boolean(userToDisable) && updatingId === userToDisable.id}
+                onConfirm={handleDisableConfirm}
+                onHide={() => setUserToDisable(null)}
+            >
+                <strong>{userToDisable?.username}</strong> no podrá iniciar sesión y sus sesiones abiertas dejarán de ser válidas hasta que reactives la cuenta.
+            </ConfirmActionModal>
+        </Container>
+    );
+};
+
+export default AdminUsersPage;
@@ -0,0 +1,456 @@
+// client/src/pages/Admin/ScrapingAdminPage.js
+// Scrapings para los administradores: programaciones recurrentes, scrapings manuales y tareas recientes.
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Badge, Button, ButtonGroup, Card, Col, Container, Form, InputGroup, Row, Spinner, Table } from "react-bootstrap";
+import { ArrowClockwise, Check2, PauseFill, PencilSquare, PlayFill, PlusCircle, Trash, X } from "react-bootstrap-icons";
+import ConfirmActionModal from "../../components/Admin/ConfirmActionModal";
+import PaginationControls from "../../components/Jobs/Pagination";
+import api from "../../services/apiService";
+
+// Expresión cron que propone el formulario (la misma que usa el servidor por defecto).
+const DEFAULT_CRON_EXPRESSION = '0 */6 * * *';
+// Etiqueta y color de cada estado de una tarea de scraping.
+const TASK_STATUS_BADGES = {
+    pending: { bg: 'secondary', label: 'Pendiente' },
+    running: { bg: 'info', label: 'En curso' },
+    completed: { bg: 'success', label: 'Completada' },
+    failed: { bg: 'danger', label: 'Fallida' },
+};
+
+/**
+ * Convierte el texto de países del formulario ("co, es") en la lista que espera la API.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const parseCountries = (text) => text.split(',').map(country => country.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Formatea una fecha opcional de la API.
+ * @param {string|null} value
+ * @returns {string}
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * @description Componente ScrapingAdminPage.
+ * Reúne la administración del scraping: crear, pausar, reanudar, cambiar la frecuencia y eliminar las
+ * programaciones; encolar un scraping manual; y consultar las tareas recientes con su resultado.
+ * @param {object} { showAlert } - Función para mostrar alertas, pasada desde App.js.
+ * @returns Una tarjeta por sección.
+ */
+const ScrapingAdminPage = ({ showAlert }) => {
+    // Programaciones
+    const [schedules, setSchedules] = useState([]);
+    const [schedulesLoading, setSchedulesLoading] = useState(true);
+    const [schedulesError, setSchedulesError] = useState(null);
+    const [newSchedule, setNewSchedule] = useState({ keyword: '', countries: '', cronExpression: DEFAULT_CRON_EXPRESSION });
+    const [creating, setCreating] = useState(false);
+    const [updatingId, setUpdatingId] = useState(null);
+    // Edición de la expresión cron de una programación: { id, cronExpression }
+    const [cronDraft, setCronDraft] = useState(null);
+    const [scheduleToDelete, setScheduleToDelete] = useState(null);
+
+    // Scraping manual
+    const [manualScrape, setManualScrape] = useState({ keyword: '', countries: '' });
+    const [triggering, setTriggering] = useState(false);
+
+    // Tareas recientes
+    const [tasks, setTasks] = useState([]);
+    const [taskStatus, setTaskStatus] = useState('');
+    const [taskPage, setTaskPage] = useState(1);
+    const [taskTotalPages, setTaskTotalPages] = useState(0);
+    const [tasksLoading, setTasksLoading] = useState(true);
+    const [tasksError, setTasksError] = useState(null);
+
+    const fetchSchedules = useCallback(async () => {
+        setSchedulesLoading(true);
+        setSchedulesError(null);
+        try {
+            const response = await api.get('/admin/schedules');
+            setSchedules(response.data.schedules || []);
+        } catch (err) {
+            console.error('Error al cargar las programaciones:', err.response?.data || err.message);
+            setSchedulesError(err.response?.data?.message || 'No se pudieron cargar las programaciones de scraping.');
+        } finally {
+            setSchedulesLoading(false);
+        }
+    }, []);
+
+    const fetchTasks = useCallback(async () => {
+        setTasksLoading(true);
+        setTasksError(null);
+        try {
+            const params = { page: taskPage };
+            if (taskStatus) params.status = taskStatus;
+            const response = await api.get('/admin/scrape-tasks', { params });
+            setTasks(response.data.tasks || []);
+            setTaskTotalPages(response.data.totalPages || 0);
+        } catch (err) {
+            console.error('Error al cargar las tareas de scraping:', err.response?.data || err.message);
+            setTasksError(err.response?.data?.message || 'No se pudieron cargar las tareas de scraping.');
+        } finally {
+            setTasksLoading(false);
+        }
+    }, [taskPage, taskStatus]);
+
+    useEffect(() => {
+        fetchSchedules();
+    }, [fetchSchedules]);
+
+    useEffect(() => {
+        fetchTasks();
+    }, [fetchTasks]);
+
+    const handleCreateSchedule = async (e) => {
+        e.preventDefault();
+        setCreating(true);
+        try {
+            const response = await api.post('/admin/schedules', {
+                keyword: newSchedule.keyword.trim(),
+                countries: parseCountries(newSchedule.countries),
+                cronExpression: newSchedule.cronExpression.trim(),
+            });
+            showAlert(response.data.message, 'success');
+            setNewSchedule({ keyword: '', countries: '', cronExpression: DEFAULT_CRON_EXPRESSION });
+            fetchSchedules();
+        } catch (err) {
+            console.error('Error al crear la programación:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo crear la programación.', 'danger');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    /**
+     * Guarda un cambio de una programación (`active` o `cronExpression`) y reemplaza su fila.
+     * @param {Object} schedule
+     * @param {Object} changes
+     * @returns {Promise<boolean>} Si el cambio se guardó.
+     */
+    const updateSchedule = async (schedule, changes) => {
+        setUpdatingId(schedule.id);
+        try {
+            const response = await api.patch(`/admin/schedules/${schedule.id}`, changes);
+            setSchedules(prev => prev.map(s => (s.id === schedule.id ? response.data.schedule : s)));
+            showAlert(response.data.message, 'success');
+            return true;
+        } catch (err) {
+            console.error('Error al actualizar la programación:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo actualizar la programación.', 'danger');
+            return false;
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handleSaveCron = async (schedule) => {
+        if (await updateSchedule(schedule, { cronExpression: cronDraft.cronExpression.trim() })) {
+            setCronDraft(null);
+        }
+    };
+
+    const handleDeleteSchedule = async () => {
+        setUpdatingId(scheduleToDelete.id);
+        try {
+            const response = await api.delete(`/admin/schedules/${scheduleToDelete.id}`);
+            setSchedules(prev => prev.filter(s => s.id !== scheduleToDelete.id));
+            setScheduleToDelete(null);
+            showAlert(response.data.message, 'success');
+        } catch (err) {
+            console.error('Error al eliminar la programación:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo eliminar la programación.', 'danger');
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handleTriggerScrape = async (e) => {
+        e.preventDefault();
+        setTriggering(true);
+        try {
+            const response = await api.post('/admin/scrape-tasks', {
+                keyword: manualScrape.keyword.trim(),
+                countries: parseCountries(manualScrape.countries),
+            });
+            showAlert(response.data.message, 'success');
+            setManualScrape({ keyword: '', countries: '' });
+            // La tarea nueva aparece la primera de la lista.
+            if (taskPage === 1 && !taskStatus) {
+                fetchTasks();
+            } else {
+                setTaskStatus('');
+                setTaskPage(1);
+            }
+        } catch (err) {
+            console.error('Error al encolar el scraping:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo encolar el scraping.', 'danger');
+        } finally {
+            setTriggering(false);
+        }
+    };
+
+    return (
+        <Container className="my-4">
+            <h1 className="mb-4">Scraping</h1>
+
+            <Card className="shadow-sm mb-4">
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                    <strong>Programaciones</strong>
+                    <Button size="sm" variant="outline-primary" onClick={fetchSchedules}>
+                        <ArrowClockwise className="me-1" /> Actualizar
+                    </Button>
+                </Card.Header>
+                <Card.Body>
+                    <Form onSubmit={handleCreateSchedule} className="mb-3">
+                        <Row className="g-2">
+                            <Col md={4}>
+                                <Form.Control
+                                    placeholder="Palabra clave"
+                                    value={newSchedule.keyword}
+                                    onChange={(e) => setNewSchedule({ ...newSchedule, keyword: e.target.value })}
+                                    required
+                                />
+                            </Col>
+                            <Col md={3}>
+                                <Form.Control
+                                    placeholder="Países (ej. co, es)"
+                                    value={newSchedule.countries}
+                                    onChange={(e) => setNewSchedule({ ...newSchedule, countries: e.target.value })}
+                                    required
+                                />
+                            </Col>
+                            <Col md={3}>
+                                <Form.Control
+                                    placeholder="Expresión cron"
+                                    value={newSchedule.cronExpression}
+                                    onChange={(e) => setNewSchedule({ ...newSchedule, cronExpression: e.target.value })}
+                                    title="Cinco campos: minuto hora día mes día-semana"
+                                    required
+                                />
+                            </Col>
+                            <Col md={2} className="d-grid">
+                                <Button type="submit" variant="primary" disabled={creating}>
+                                    <PlusCircle className="me-2" /> Programar
+                                </Button>
+                            </Col>
+                        </Row>
+                    </Form>
+
+                    {schedulesLoading ? (
+                        <div className="text-center py-3"><Spinner animation="border" variant="primary" /></div>
+                    ) : schedulesError ? (
+                        <Alert variant="danger" className="mb-0">{schedulesError}</Alert>
+                    ) : schedules.length === 0 ? (
+                        <p className="text-muted mb-0">No hay scrapings programados.</p>
+                    ) : (
+                        <Table size="sm" responsive hover className="align-middle mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Búsqueda</th>
+                                    <th>Frecuencia</th>
+                                    <th>Próxima ejecución</th>
+                                    <th>Última ejecución</th>
+                                    <th>Ejecuciones</th>
+                                    <th />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {schedules.map((schedule) => {
+                                    const busy = updatingId === schedule.id;
+                                    const editing = cronDraft?.id === schedule.id;
+                                    return (
+                                        <tr key={schedule.id} className={schedule.active ? undefined : 'table-secondary'}>
+                                            <td>
+                                                {schedule.keyword}
+                                                <small className="text-muted d-block">{schedule.countries.join(', ').toUpperCase()}</small>
+                                            </td>
+                                            <td>
+                                                {editing ? (
+                                                    <InputGroup size="sm">
+                                                        <Form.Control
+                                                            value={cronDraft.cronExpression}
+                                                            onChange={(e) => setCronDraft({ ...cronDraft, cronExpression: e.target.value })}
+                                                            aria-label="Expresión cron"
+                                                        />
+                                                        <Button variant="outline-success" disabled={busy} onClick={() => handleSaveCron(schedule)} title="Guardar">
+                                                            <Check2 />
+                                                        </Button>
+                                                        <Button variant="outline-secondary" disabled={busy} onClick={() => setCronDraft(null)} title="Cancelar">
+                                                            <X />
+                                                        </Button>
+                                                    </InputGroup>
+                                                ) : (
+                                                    <code>{schedule.cronExpression}</code>
+                                                )}
+                                            </td>
+                                            <td>{schedule.active ? formatDate(schedule.nextRunAt) : <Badge bg="secondary">Pausada</Badge>}</td>
+                                            <td>
+                                                {formatDate(schedule.lastRunAt)}
+                                                {schedule.lastStatus === 'success' && (
+                                                    <small className="text-success d-block">{schedule.lastNewJobs} nuevas, {schedule.lastUpdatedJobs} actualizadas</small>
+                                                )}
+                                                {schedule.lastStatus === 'failed' && (
+                                                    <small className="text-danger d-block" title={schedule.lastError || undefined}>Fallida</small>
+                                                )}
+                                            </td>
+                                            <td>{schedule.totalRuns} <small className="text-muted">({schedule.failureCount} fallidas)</small></td>
+                                            <td className="text-end text-nowrap">
+                                                <ButtonGroup size="sm">
+                                                    <Button
+                                                        variant="outline-primary"
+                                                        title="Cambiar la frecuencia"
+                                                        disabled={busy || editing}
+                                                        onClick={() => setCronDraft({ id: schedule.id, cronExpression: schedule.cronExpression })}
+                                                    >
+                                                        <PencilSquare />
+                                                    </Button>
+                                                    <Button
+                                                        variant={schedule.active ? 'outline-warning' : 'outline-success'}
+                                                        title={schedule.active ? 'Pausar' : 'Reanudar'}
+                                                        disabled={busy}
+                                                        onClick={() => updateSchedule(schedule, { active: !schedule.active })}
+                                                    >
+                                                        {schedule.active ? <PauseFill /> : <PlayFill />}
+                                                    </Button>
+                                                    <Button
+                                                        variant="outline-danger"
+                                                        title="Eliminar"
+                                                        disabled={busy}
+                                                        onClick={() => setScheduleToDelete(schedule)}
+                                                    >
+                                                        <Trash />
+                                                    </Button>
+                                                </ButtonGroup>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </Table>
+                    )}
+                </Card.Body>
+            </Card>
+
+            <Card className="shadow-sm mb-4">
+                <Card.Header><strong>Scraping manual</strong></Card.Header>
+                <Card.Body>
+                    <p className="text-muted">
+                        Encola un scraping inmediato, aunque la búsqueda se haya raspado hace poco.
+                    </p>
+                    <Form onSubmit={handleTriggerScrape}>
+                        <Row className="g-2">
+                            <Col md={5}>
+                                <Form.Control
+                                    placeholder="Palabra clave"
+                                    value={manualScrape.keyword}
+                                    onChange={(e) => setManualScrape({ ...manualScrape, keyword: e.target.value })}
+                                    required
+                                />
+                            </Col>
+                            <Col md={5}>
+                                <Form.Control
+                                    placeholder="Países (ej. co, es)"
+                                    value={manualScrape.countries}
+                                    onChange={(e) => setManualScrape({ ...manualScrape, countries: e.target.value })}
+                                    required
+                                />
+                            </Col>
+                            <Col md={2} className="d-grid">
+                                <Button type="submit" variant="primary" disabled={triggering}>
+                                    <PlayFill className="me-2" /> Lanzar
+                                </Button>
+                            </Col>
+                        </Row>
+                    </Form>
+                </Card.Body>
+            </Card>
+
+            <Card className="shadow-sm">
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                    <strong>Tareas recientes</strong>
+                    <div className="d-flex gap-2">
+                        <Form.Select
+                            size="sm"
+                            value={taskStatus}
+                            onChange={(e) => { setTaskStatus(e.target.value); setTaskPage(1); }}
+                            aria-label="Estado de las tareas"
+                        >
+                            <option value="">Todos los estados</option>
+                            {Object.entries(TASK_STATUS_BADGES).map(([status, { label }]) => (
+                                <option key={status} value={status}>{label}</option>
+                            ))}
+                        </Form.Select>
+                        <Button size="sm" variant="outline-primary" onClick={fetchTasks} title="Actualizar">
+                            <ArrowClockwise />
+                        </Button>
+                    </div>
+                </Card.Header>
+                <Card.Body>
+                    {tasksLoading ? (
+                        <div className="text-center py-3"><Spinner animation="border" variant="primary" /></div>
+                    ) : tasksError ? (
+                        <Alert variant="danger" className="mb-0">{tasksError}</Alert>
+                    ) : tasks.length === 0 ? (
+                        <p className="text-muted mb-0">No hay tareas de scraping.</p>
+                    ) : (
+                        <>
+                            <Table size="sm" responsive hover className="align-middle">
+                                <thead>
+                                    <tr>
+                                        <th>Creada</th>
+                                        <th>Búsqueda</th>
+                                        <th>Solicitada por</th>
+                                        <th>Estado</th>
+                                        <th>Intentos</th>
+                                        <th>Ofertas</th>
+                                        <th>Finalizada</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {tasks.map((task) => {
+                                        const badge = TASK_STATUS_BADGES[task.status] || TASK_STATUS_BADGES.pending;
+                                        return (
+                                            <tr key={task.id}>
+                                                <td>{formatDate(task.createdAt)}</td>
+                                                <td>
+                                                    {task.keyword}
+                                                    <small className="text-muted d-block">{task.countries.join(', ').toUpperCase()}</small>
+                                                </td>
+                                                <td>{task.User ? task.User.username : <span className="text-muted">Visitante</span>}</td>
+                                                <td>
+                                                    <Badge bg={badge.bg}>{badge.label}</Badge>
+                                                    {task.lastError && <small className="text-danger d-block text-truncate" style={{ maxWidth: '16rem' }} title={task.lastError}>{task.lastError}</small>}
+                                                </td>
+                                                <td>{task.attempts} / {task.maxAttempts}</td>
+                                                <td>{task.jobsFound ?? '—'}</td>
+                                                <td>{formatDate(task.finishedAt)}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </Table>
+                            {taskTotalPages > 1 && (
+                                <div className="d-flex justify-content-center">
+                                    <PaginationControls currentPage={taskPage} totalPages={taskTotalPages} onPageChange={setTaskPage} />
+                                </div>
+                            )}
+                        </>
+                    )}
+                </Card.Body>
+            </Card>
+
+            <ConfirmActionModal
+                show={Boolean(scheduleToDelete)}
+                title="Eliminar programación"
+                confirmLabel="Eliminar"
+                submitting={Boolean(scheduleToDelete) && updatingId === scheduleToDelete.id}
+                onConfirm={handleDeleteSchedule}
+                onHide={() => setScheduleToDelete(null)}
+            >
+                Se dejará de raspar <strong>{scheduleToDelete?.keyword}</strong> ({scheduleToDelete?.countries.join(', ').toUpperCase()}). Las ofertas ya guardadas no se borran.
+            </ConfirmActionModal>
+        </Container>
+    );
+};
+
+export default ScrapingAdminPage;
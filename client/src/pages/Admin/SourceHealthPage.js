@@ -0,0 +1,163 @@
+// client/src/pages/Admin/SourceHealthPage.js
+// Estado de salud de las fuentes de empleo (solo administradores).
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Badge, Button, Card, Col, Container, Row, Table } from "react-bootstrap";
+import { ArrowClockwise, ExclamationTriangleFill } from "react-bootstrap-icons";
+import RunYieldChart from "../../components/Admin/RunYieldChart";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import api from "../../services/apiService";
+
+// Etiqueta y color de cada estado de salud devuelto por la API.
+const STATUS_BADGES = {
+    healthy: { bg: 'success', label: 'Sana' },
+    degraded: { bg: 'danger', label: 'Degradada' },
+    unknown: { bg: 'secondary', label: 'Sin datos' },
+};
+
+/**
+ * Formatea un promedio numérico con un decimal, o devuelve 'N/A' si no hay datos.
+ * @param {number|null} value - Valor a formatear.
+ * @returns {string}
+ */
+const formatAverage = (value) => (value === null || value === undefined ? 'N/A' : value.toFixed(1));
+
+/**
+ * @description Componente SourceHealthPage.
+ * Muestra, por cada fuente de empleo y cada país que cubre, su estado (sana, degradada o sin datos)
+ * y las métricas de sus últimas ejecuciones en ese país: ofertas encontradas, tarjetas omitidas,
+ * errores de parseo, fallos de descarga y duración, con un gráfico de las ofertas encontradas por ejecución.
+ * Una fuente degradada suele indicar que sus selectores quedaron obsoletos.
+ * @param {object} { showAlert } - Función para mostrar alertas, pasada desde App.js.
+ * @returns Una tarjeta por fuente con una sección por país: su resumen, el gráfico y una tabla de ejecuciones recientes.
+ */
+const SourceHealthPage = ({ showAlert }) => {
+    const [sources, setSources] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchHealth = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await api.get('/admin/sources/health');
+            setSources(response.data.sources || []);
+        } catch (err) {
+            console.error('Error al cargar la salud de las fuentes:', err.response?.data || err.message);
+            setError(err.response?.data?.message || 'No se pudo cargar el estado de las fuentes.');
+            showAlert(err.response?.data?.message || 'Error al cargar el estado de las fuentes.', 'danger');
+        } finally {
+            setLoading(false);
+        }
+    }, [showAlert]);
+
+    useEffect(() => {
+        fetchHealth();
+    }, [fetchHealth]);
+
+    if (loading) {
+        return <LoadingSpinner message="Cargando el estado de las fuentes..." />;
+    }
+
+    if (error) {
+        return (
+            <Container className="my-5">
+                <Alert variant="danger" className="text-center">{error}</Alert>
+            </Container>
+        );
+    }
+
+    // Pares fuente/país degradados, para el aviso de la cabecera (ej. "Computrabajo (CO)")
+    const degradedLabels = sources.flatMap(source => source.countries
+        .filter(country => country.status === 'degraded')
+        .map(country => `${source.name} (${country.country.toUpperCase()})`));
+
+    return (
+        <Container className="my-4">
+            <div className="d-flex justify-content-between align-items-center mb-4">
+                <h1 className="mb-0">Salud de las Fuentes</h1>
+                <Button variant="outline-primary" onClick={fetchHealth}>
+                    <ArrowClockwise className="me-2" /> Actualizar
+                </Button>
+            </div>
+
+            {degradedLabels.length > 0 && (
+                <Alert variant="warning">
+                    <ExclamationTriangleFill className="me-2" />
+                    {degradedLabels.join(', ')}: el rendimiento cayó respecto a su promedio en ese país o la descarga falló. Revisa sus selectores.
+                </Alert>
+            )}
+
+            <Row xs={1} className="g-4">
+                {sources.map((source) => {
+                    const badge = STATUS_BADGES[source.status] || STATUS_BADGES.unknown;
+                    return (
+                        <Col key={source.id}>
+                            <Card className="shadow-sm">
+                                <Card.Header className="d-flex justify-content-between align-items-center">
+                                    <strong>{source.name}</strong>
+                                    <Badge bg={badge.bg}>{badge.label}</Badge>
+                                </Card.Header>
+                                <Card.Body>
+                                    {source.countries.map((country, index) => {
+                                        const countryBadge = STATUS_BADGES[country.status] || STATUS_BADGES.unknown;
+                                        return (
+                                            <section key={country.country} className={index > 0 ? 'border-top pt-3 mt-3' : undefined}>
+                                                <div className="d-flex align-items-center gap-2 mb-3">
+                                                    <h2 className="h6 mb-0">{country.country.toUpperCase()}</h2>
+                                                    <Badge bg={countryBadge.bg}>{countryBadge.label}</Badge>
+                                                </div>
+                                                <Row className="mb-3 text-center">
+                                                    <Col><small className="text-muted d-block">Promedio de ofertas</small>{formatAverage(country.rollingAverage)}</Col>
+                                                    <Col><small className="text-muted d-block">Omitidas</small>{country.itemsSkipped}</Col>
+                                                    <Col><small className="text-muted d-block">Errores de parseo</small>{country.parseErrors}</Col>
+                                                    <Col><small className="text-muted d-block">Descargas fallidas</small>{country.httpFailures}</Col>
+                                                    <Col><small className="text-muted d-block">Duración media (s)</small>{country.averageDurationMs === null ? 'N/A' : (country.averageDurationMs / 1000).toFixed(1)}</Col>
+                                                </Row>
+
+                                                {country.recentRuns.length === 0 ? (
+                                                    <p className="text-muted mb-0">Esta fuente aún no se ha ejecutado en este país.</p>
+                                                ) : (
+                                                    <>
+                                                        <RunYieldChart runs={country.recentRuns} />
+                                                        <Table size="sm" responsive hover className="mb-0">
+                                                            <thead>
+                                                                <tr>
+                                                                    <th>Fecha</th>
+                                                                    <th>Palabra clave</th>
+                                                                    <th>Encontradas</th>
+                                                                    <th>Omitidas</th>
+                                                                    <th>Errores</th>
+                                                                    <th>Descarga</th>
+                                                                    <th>Duración (s)</th>
+                                                                </tr>
+                                                            </thead>
+                                                            <tbody>
+                                                                {country.recentRuns.map((run) => (
+                                                                    <tr key={run.id} className={run.degraded ? 'table-danger' : undefined}>
+                                                                        <td>{new Date(run.createdAt).toLocaleString()}</td>
+                                                                        <td>{run.keyword}</td>
+                                                                        <td>{run.itemsFound} <small className="text-muted">/ {formatAverage(run.rollingAverage)}</small></td>
+                                                                        <td>{run.itemsSkipped}</td>
+                                                                        <td>{run.parseErrors}</td>
+                                                                        <td>{run.httpFailed ? 'Fallida' : 'OK'}</td>
+                                                                        <td>{(run.durationMs / 1000).toFixed(1)}</td>
+                                                                    </tr>
+                                                                ))}
+                                                            </tbody>
+                                                        </Table>
+                                                    </>
+                                                )}
+                                            </section>
+                                        );
+                                    })}
+                                </Card.Body>
+                            </Card>
+                        </Col>
+                    );
+                })}
+            </Row>
+        </Container>
+    );
+};
+
+export default SourceHealthPage;
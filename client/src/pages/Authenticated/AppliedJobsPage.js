@@ -1,24 +1,29 @@
 // client/src/pages/Authenticated/AppliedJobsPage.js
 // Empleos a los que ha aplicado.
-import { useEffect, useState } from "react";
-import { Alert, Button, Card, Col, Container, ListGroup, Row } from "react-bootstrap";
+import { useEffect, useMemo, useState } from "react";
+import { Alert, Button, ButtonGroup, Card, Col, Container, Dropdown, ListGroup, Row } from "react-bootstrap";
 import {
     ArrowLeftCircle,
-    BriefcaseFill,
     BuildingFill,
     CalendarCheckFill,
-    CheckCircleFill,
+    CalendarEvent,
     GeoAltFill,
-    HourglassSplit,
-    XCircleFill
+    KanbanFill,
+    PersonLinesFill,
+    Trash
 } from "react-bootstrap-icons";
 import { Link, useNavigate } from "react-router-dom";
+import ApplicationStageBadge from "../../components/Applications/ApplicationStageBadge";
+import ApplicationTrackerModal from "../../components/Applications/ApplicationTrackerModal";
+import JobStatusBadge from "../../components/Jobs/JobStatusBadge";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import api from "../../services/apiService";
+import { APPLICATION_STAGES } from "../../utils/applicationStages";
 
 /**
  * Componente AppliedJobsPage.
- * Muestra la lista de empleos a los que el usuario se ha postulado.
+ * Muestra la lista de empleos a los que el usuario se ha postulado, con un filtro por etapa. Cada postulación
+ * se puede mover de etapa, abrir en su seguimiento (contacto, próximo paso, notas y línea de tiempo) o eliminar.
  * @param {object} { showAlert } - Función para mostrar alertas, pasada desde App.js.
  * @returns Lista de empleos que tiene el usuario aplicados o dependiendo el estado
  */
@@ -27,6 +32,9 @@ const AppliedJobsPage = ({ showAlert }) => {
     const [applications, setApplications] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [stageFilter, setStageFilter] = useState(null);
+    const [trackedId, setTrackedId] = useState(null);
+    const [updatingId, setUpdatingId] = useState(null);
 
     useEffect(() => {
         const fetchAppliedJobs = async () => {
@@ -69,19 +77,53 @@ const AppliedJobsPage = ({ showAlert }) => {
         return isNaN(date.getTime()) ? 'Fecha inválida' : date.toLocaleDateString();
     };
 
-    // Función para obtener el ícono y el color del estado de la postulación
-    const getStatusDisplay = (status) => {
-        switch (status?.toLowerCase()) {
-            case 'pending':
-                return { icon: <HourglassSplit className="text-warning me-1" />, text: 'Pendiente' };
-            case 'reviewed':
-                return { icon: <BriefcaseFill className="text-info me-1" />, text: 'Revisado' };
-            case 'accepted':
-                return { icon: <CheckCircleFill className="text-success me-1" />, text: 'Aceptado' };
-            case 'rejected':
-                return { icon: <XCircleFill className="text-danger me-1" />, text: 'Rechazado' };
-            default:
-                return { icon: <BriefcaseFill className="text-muted me-1" />, text: status || 'Desconocido' };
+    // Número de postulaciones en cada etapa, para el filtro.
+    const stageCounts = useMemo(() => applications.reduce((counts, app) => {
+        counts[app.status] = (counts[app.status] || 0) + 1;
+        return counts;
+    }, {}), [applications]);
+
+    const visibleApplications = stageFilter ? applications.filter(app => app.status === stageFilter) : applications;
+
+    /**
+     * Reemplaza una postulación de la lista por su versión actualizada.
+     * @param {Object} updated - Postulación devuelta por la API.
+     */
+    const replaceApplication = (updated) => {
+        setApplications(prev => prev.map(app => (app.id === updated.id ? updated : app)));
+    };
+
+    const handleMoveStage = async (app, status) => {
+        setUpdatingId(app.id);
+        try {
+            const response = await api.patch(`/auth/applications/${app.id}`, { status });
+            replaceApplication(response.data.application);
+        } catch (err) {
+            console.error('Error al cambiar la etapa de la postulación:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo cambiar la etapa de la postulación.', 'danger');
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handleTrackerSaved = (updated) => {
+        replaceApplication(updated);
+        setTrackedId(null);
+        showAlert('Postulación actualizada.', 'success');
+    };
+
+    const handleDelete = async (app) => {
+        if (!window.confirm(`¿Eliminar la postulación a "${app.Job?.title || 'este empleo'}" y su seguimiento?`)) return;
+        setUpdatingId(app.id);
+        try {
+            const response = await api.delete(`/auth/applications/${app.id}`);
+            setApplications(prev => prev.filter(item => item.id !== app.id));
+            showAlert(response.data.message, 'success');
+        } catch (err) {
+            console.error('Error al eliminar la postulación:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo eliminar la postulación.', 'danger');
+        } finally {
+            setUpdatingId(null);
         }
     };
 
@@ -117,48 +159,107 @@ const AppliedJobsPage = ({ showAlert }) => {
                     <p>¡Explora nuestra <Link to="/home">página de inicio</Link> para encontrar nuevas oportunidades!</p>
                 </Alert>
             ) : (
-                <Row xs={1} md={2} lg={3} className="g-4">
-                    {applications.map((app) => (
-                        <Col key={app.id}>
-                            <Card className="h-100 shadow-sm">
-                                <Card.Body>
-                                    <Card.Title className="mb-2">{app.job?.title || 'Empleo desconocido'}</Card.Title>
-                                    <Card.Subtitle className="mb-2 text-muted">
-                                        <BuildingFill className="me-1" /> {app.job?.companyName || 'Empresa desconocida'}
-                                    </Card.Subtitle>
-                                    <ListGroup variant="flush" className="mt-3 mb-3">
-                                        <ListGroup.Item className="d-flex align-items-center">
-                                            <GeoAltFill className="me-1" />
-                                            {app.job?.location && app.job?.location !== 'No especificada'
-                                                ? `${app.job.location}, ${app.job.country?.toUpperCase() || ''}`
-                                                : `País: ${app.job?.country?.toUpperCase() || 'No especificado'}`
-                                            }
-                                        </ListGroup.Item>
-                                        <ListGroup.Item className="d-flex align-items-center">
-                                            <CalendarCheckFill className="me-1" />
-                                            <strong className="me-1">Postulado el:</strong> {formatDate(app.applicationDate)}
-                                        </ListGroup.Item>
-                                        <ListGroup.Item className="d-flex align-items-center">
-                                            {getStatusDisplay(app.status).icon}
-                                            <strong className="me-1">Estado:</strong> {getStatusDisplay(app.status).text}
-                                        </ListGroup.Item>
-                                    </ListGroup>
-                                    <div className="d-grid gap-2">
-                                        <Button variant="primary" as={Link} to={`/jobs/${app.jobId}`}>
-                                            Ver Detalles del Empleo
-                                        </Button>
-                                        {/* Puedes añadir un botón para actualizar el estado de la aplicación si el backend lo permite */}
-                                        {/* <Button variant="outline-info" size="sm">Actualizar Estado</Button> */}
-                                    </div>
-                                </Card.Body>
-                                <Card.Footer className="text-muted">
-                                    Última actualización: {formatDate(app.updatedAt || app.applicationDate)}
-                                </Card.Footer>
-                            </Card>
-                        </Col>
-                    ))}
-                </Row>
+                <>
+                    <ButtonGroup className="mb-4 flex-wrap" aria-label="Filtrar por etapa">
+                        <Button variant={stageFilter ? 'outline-secondary' : 'secondary'} onClick={() => setStageFilter(null)}>
+                            Todas ({applications.length})
+                        </Button>
+                        {APPLICATION_STAGES.map(stage => (
+                            <Button
+                                key={stage.value}
+                                variant={stageFilter === stage.value ? stage.variant : `outline-${stage.variant}`}
+                                onClick={() => setStageFilter(stage.value)}
+                            >
+                                {stage.label} ({stageCounts[stage.value] || 0})
+                            </Button>
+                        ))}
+                    </ButtonGroup>
+                    {visibleApplications.length === 0 && (
+                        <Alert variant="info" className="text-center">No tienes postulaciones en esta etapa.</Alert>
+                    )}
+                    <Row xs={1} md={2} lg={3} className="g-4">
+                        {visibleApplications.map((app) => (
+                            <Col key={app.id}>
+                                <Card className="h-100 shadow-sm">
+                                    <Card.Body>
+                                        <Card.Title className="mb-2">{app.Job?.title || 'Empleo desconocido'}</Card.Title>
+                                        <JobStatusBadge status={app.Job?.status} className="d-inline-block mb-2" />
+                                        <Card.Subtitle className="mb-2 text-muted">
+                                            <BuildingFill className="me-1" /> {app.Job?.companyName || 'Empresa desconocida'}
+                                        </Card.Subtitle>
+                                        <ListGroup variant="flush" className="mt-3 mb-3">
+                                            <ListGroup.Item className="d-flex align-items-center">
+                                                <GeoAltFill className="me-1" />
+                                                {app.Job?.location && app.Job?.location !== 'No especificada'
+                                                    ? `${app.Job.location}, ${app.Job.country?.toUpperCase() || ''}`
+                                                    : `País: ${app.Job?.country?.toUpperCase() || 'No especificado'}`
+                                                }
+                                            </ListGroup.Item>
+                                            <ListGroup.Item className="d-flex align-items-center">
+                                                <CalendarCheckFill className="me-1" />
+                                                <strong className="me-1">Postulado el:</strong> {formatDate(app.applicationDate)}
+                                            </ListGroup.Item>
+                                            <ListGroup.Item className="d-flex align-items-center justify-content-between gap-2">
+                                                <span className="d-flex align-items-center">
+                                                    <strong className="me-1">Etapa:</strong> <ApplicationStageBadge status={app.status} />
+                                                </span>
+                                                <Dropdown>
+                                                    <Dropdown.Toggle variant="outline-secondary" size="sm" disabled={updatingId === app.id}>
+                                                        Mover a
+                                                    </Dropdown.Toggle>
+                                                    <Dropdown.Menu>
+                                                        {APPLICATION_STAGES.filter(stage => stage.value !== app.status).map(stage => (
+                                                            <Dropdown.Item key={stage.value} onClick={() => handleMoveStage(app, stage.value)}>
+                                                                {stage.label}
+                                                            </Dropdown.Item>
+                                                        ))}
+                                                    </Dropdown.Menu>
+                                                </Dropdown>
+                                            </ListGroup.Item>
+                                            {app.contactName && (
+                                                <ListGroup.Item className="d-flex align-items-center">
+                                                    <PersonLinesFill className="me-1" />
+                                                    <strong className="me-1">Contacto:</strong> {app.contactName}
+                                                </ListGroup.Item>
+                                            )}
+                                            {(app.nextStep || app.nextStepAt) && (
+                                                <ListGroup.Item className="d-flex align-items-center">
+                                                    <CalendarEvent className="me-1" />
+                                                    <strong className="me-1">Próximo paso:</strong>
+                                                    {[app.nextStep, app.nextStepAt && formatDate(app.nextStepAt)].filter(Boolean).join(' · ')}
+                                                </ListGroup.Item>
+                                            )}
+                                        </ListGroup>
+                                        <div className="d-grid gap-2">
+                                            <Button variant="primary" as={Link} to={`/jobs/${app.jobId}`}>
+                                                Ver Detalles del Empleo
+                                            </Button>
+                                            <div className="d-flex gap-2">
+                                                <Button variant="outline-info" className="flex-grow-1" onClick={() => setTrackedId(app.id)}>
+                                                    <KanbanFill className="me-1" /> Seguimiento
+                                                </Button>
+                                                <Button
+                                                    variant="outline-danger"
+                                                    title="Eliminar postulación"
+                                                    disabled={updatingId === app.id}
+                                                    onClick={() => handleDelete(app)}
+                                                >
+                                                    <Trash />
+                                                </Button>
+                                            </div>
+                                        </div>
+                                    </Card.Body>
+                                    <Card.Footer className="text-muted">
+                                        Última actualización: {formatDate(app.updatedAt || app.applicationDate)}
+                                    </Card.Footer>
+                                </Card>
+                            </Col>
+                        ))}
+                    </Row>
+                </>
             )}
+
+            <ApplicationTrackerModal applicationId={trackedId} onHide={() => setTrackedId(null)} onSaved={handleTrackerSaved} />
         </Container>
     );
 };
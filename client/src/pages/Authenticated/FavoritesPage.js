@@ -10,6 +10,7 @@ import {
     HeartFill
 } from "react-bootstrap-icons";
 import { Link, useNavigate } from "react-router-dom";
+import JobStatusBadge from "../../components/Jobs/JobStatusBadge";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import api from "../../services/apiService";
 
@@ -129,6 +130,7 @@ const FavoritesPage = ({ showAlert }) => {
                             <Card className="h-100 shadow-sm">
                                 <Card.Body className="d-flex flex-column">
                                     <Card.Title className="mb-2">{job.title || 'Título desconocido'}</Card.Title>
+                                    <JobStatusBadge status={job.status} className="align-self-start mb-2" />
                                     <Card.Subtitle className="mb-2 text-muted">
                                         <BuildingFill className="me-1" /> {job.companyName || 'Empresa desconocida'}
                                     </Card.Subtitle>
@@ -1,67 +1,148 @@
 // client/src/pages/Authenticated/HomePage.js
 // La página principal de búsqueda de empleos.
-import { useCallback, useEffect, useState } from "react";
-import { Alert, Button, Card, Col, Container, Form, Row, Spinner } from "react-bootstrap";
-import { BuildingFill, CalendarFill, GeoAltFill, Heart, HeartFill, Search } from "react-bootstrap-icons";
-import { Link } from "react-router-dom";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Alert, Badge, Button, Card, Col, Container, Form, Row, Spinner } from "react-bootstrap";
+import { BuildingFill, CalendarFill, CashStack, GeoAltFill, Heart, HeartFill, Link45deg, Search } from "react-bootstrap-icons";
+import { Link, useSearchParams } from "react-router-dom";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import PaginationControls from "../../components/Jobs/Pagination";
+import SearchFacets from "../../components/Jobs/SearchFacets";
 import useAuth from "../../hooks/useAuth";
+import useRealtime from "../../hooks/useRealtime";
 import api from "../../services/apiService";
 
-const SUPPORTED_COUNTRIES_INFO = [
-    { code: 'co', name: 'Colombia', flag: 'https://flagcdn.com/co.svg' },
-    { code: 'es', name: 'España', flag: 'https://flagcdn.com/es.svg' },
-    { code: 'mx', name: 'México', flag: 'https://flagcdn.com/mx.svg' },
-    { code: 'ar', name: 'Argentina', flag: 'https://flagcdn.com/ar.svg' },
-    { code: 'cl', name: 'Chile', flag: 'https://flagcdn.com/cl.svg' },
-    { code: 'pe', name: 'Perú', flag: 'https://flagcdn.com/pe.svg' },
-    { code: 'us', name: 'Estados Unidos', flag: 'https://flagcdn.com/us.svg' },
+/**
+ * Construye la URL de la bandera de un país a partir de su código ISO.
+ * @param {string} code - Código de país (ej. 'co').
+ * @returns {string} URL de la imagen SVG de la bandera.
+ */
+const getFlagUrl = (code) => `https://flagcdn.com/${code}.svg`;
+
+// Intervalo de sondeo del estado de una tarea de scraping en segundo plano sin conexión en tiempo real
+const SCRAPE_TASK_POLL_INTERVAL_MS = 4000;
+// Con conexión en tiempo real se sigue sondeando, más despacio, por si el evento de fin no llega
+// (lo emitió otro proceso del servidor o se emitió antes de suscribirse)
+const SCRAPE_TASK_FALLBACK_POLL_INTERVAL_MS = 15000;
+
+// Filtros estructurados que se envían tal cual a GET /api/jobs y se guardan en la URL
+const FILTER_PARAMS = ['modality', 'experience', 'sourceName', 'postedWithinDays', 'salaryMin', 'salaryMax'];
+const MODALITY_OPTIONS = ['Remoto', 'Presencial', 'Híbrido'];
+const EXPERIENCE_OPTIONS = ['Junior', 'Semi-Senior', 'Senior'];
+const POSTED_WITHIN_OPTIONS = [
+    { value: '1', label: 'Últimas 24 horas' },
+    { value: '7', label: 'Última semana' },
+    { value: '30', label: 'Último mes' },
 ];
 
 const HomePage = ({ showAlert }) => {
     const { user } = useAuth();
+    const { connected: realtimeConnected, subscribe } = useRealtime();
+    // La búsqueda vive en la URL (?keyword=...&country=...&modality=...) para poder compartirla y guardarla
+    const [searchParams, setSearchParams] = useSearchParams();
+    const searchTerm = searchParams.get('keyword') || '';
+    const location = searchParams.get('country') || '';
+    const sortBy = searchParams.get('sort') || 'relevance'; // 'relevance', 'date' o 'salary'
+    const currentPage = parseInt(searchParams.get('page'), 10) || 1;
+    const hasActiveFilters = FILTER_PARAMS.some(param => searchParams.get(param));
     const [jobs, setJobs] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [currentPage, setCurrentPage] = useState(1);
     const [jobsPerPage] = useState(6);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [location, setLocation] = useState('');
     const [totalPages, setTotalPages] = useState(1);
     const [totalResults, setTotalResults] = useState(0);
+    const [facets, setFacets] = useState(null); // Recuentos por valor de filtro de la búsqueda actual
+    const [currency, setCurrency] = useState(null); // Moneda de los salarios y del filtro de salario (la decide la API)
     const [favoritedJobIds, setFavoritedJobIds] = useState(new Set());
     const [togglingFavoriteId, setTogglingFavoriteId] = useState(null);
+    const [supportedCountries, setSupportedCountries] = useState([]);
+    const [availableSources, setAvailableSources] = useState([]);
+    const [scrapeTaskId, setScrapeTaskId] = useState(null); // Tarea de scraping que puede traer más resultados
+    const [scrapeProgress, setScrapeProgress] = useState(null); // Último avance recibido de esa tarea
+    const [newJobIds, setNewJobIds] = useState(new Set()); // Empleos que llegaron con el scraping en curso
+    const jobsRef = useRef([]); // Empleos mostrados, para saber cuáles son nuevos al recargar
+
+    /**
+     * Actualiza parámetros de búsqueda en la URL. Los valores vacíos se eliminan y,
+     * salvo que se cambie la página, se vuelve a la primera.
+     * @param {object} changes - Parámetros a cambiar (ej. { modality: 'Remoto' }).
+     */
+    const updateSearchParams = useCallback((changes) => {
+        setSearchParams(prevParams => {
+            const nextParams = new URLSearchParams(prevParams);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value === '' || value === null || value === undefined) {
+                    nextParams.delete(key);
+                } else {
+                    nextParams.set(key, value);
+                }
+            });
+            if (!('page' in changes)) {
+                nextParams.delete('page');
+            }
+            return nextParams;
+        }, { replace: !('page' in changes) });
+    }, [setSearchParams]);
 
-    const fetchJobs = useCallback(async () => {
-        setLoading(true);
-        setError(null);
+    /**
+     * Busca los empleos de la página actual.
+     * @param {object} [options]
+     * @param {boolean} [options.silent=false] - Recarga sin spinner ni alertas (al llegar resultados de un
+     * scraping en curso) y marca como nuevos los empleos que no se mostraban.
+     */
+    const fetchJobs = useCallback(async ({ silent = false } = {}) => {
+        if (!silent) {
+            setLoading(true);
+            setError(null);
+            setNewJobIds(new Set());
+        }
         try {
+            const filterParams = {};
+            FILTER_PARAMS.forEach(param => {
+                const value = searchParams.get(param);
+                if (value) filterParams[param] = value;
+            });
+
             const response = await api.get('/jobs', {
                 params: {
                     keyword: searchTerm,
                     country: location,
                     page: currentPage,
-                    limit: jobsPerPage
+                    limit: jobsPerPage,
+                    sort: sortBy,
+                    ...filterParams
                 }
             });
 
-            setJobs(response.data.jobs || []);
+            const nextJobs = response.data.jobs || [];
+            if (silent) {
+                const shownIds = new Set(jobsRef.current.map(job => job.id));
+                const arrivedIds = nextJobs.filter(job => !shownIds.has(job.id)).map(job => job.id);
+                setNewJobIds(prev => new Set([...prev, ...arrivedIds]));
+            }
+            jobsRef.current = nextJobs;
+            setJobs(nextJobs);
             setTotalPages(response.data.totalPages || 1);
             setTotalResults(response.data.totalResults || 0);
+            setFacets(response.data.facets || null);
+            setCurrency(response.data.currency || null);
+            setScrapeTaskId(response.data.scrapeTaskId || null);
 
         } catch (err) {
             console.error('Error al cargar los trabajos:', err.response?.data || err.message);
+            if (silent) return;
             const errorMessage = err.response?.data?.message || 'No se pudieron cargar los trabajos. Por favor, intenta de nuevo.';
             setError(errorMessage);
             showAlert(errorMessage, 'danger');
+            jobsRef.current = [];
             setJobs([]);
             setTotalResults(0);
             setTotalPages(1);
+            setFacets(null);
+            setScrapeTaskId(null);
         } finally {
-            setLoading(false);
+            if (!silent) setLoading(false);
         }
-    }, [searchTerm, location, currentPage, jobsPerPage, showAlert]);
+    }, [searchParams, searchTerm, location, currentPage, jobsPerPage, sortBy, showAlert]);
 
     const fetchFavoriteJobIds = useCallback(async () => {
         try {
@@ -73,6 +154,84 @@ const HomePage = ({ showAlert }) => {
         }
     }, []);
 
+    // Carga los países admitidos desde el registro de fuentes del backend
+    useEffect(() => {
+        const fetchSupportedCountries = async () => {
+            try {
+                const response = await api.get('/sources');
+                setSupportedCountries(response.data.countries || []);
+                setAvailableSources(response.data.sources || []);
+            } catch (err) {
+                console.error('Error al cargar las fuentes de empleo:', err.response?.data || err.message);
+            }
+        };
+
+        fetchSupportedCountries();
+    }, []);
+
+    // Mientras haya una tarea de scraping en curso, los empleos se insertan a medida que cada fuente termina
+    // (eventos 'scrape-progress') y la búsqueda se recarga al acabar, en lugar de bloquear la búsqueda.
+    useEffect(() => {
+        setScrapeProgress(null);
+    }, [scrapeTaskId]);
+
+    // Aplica el estado final de la tarea, llegue por evento o por sondeo
+    const handleScrapeTaskStatus = useCallback((status) => {
+        if (status === 'completed') {
+            setScrapeTaskId(null);
+            fetchJobs({ silent: true });
+        } else if (status === 'failed') {
+            setScrapeTaskId(null);
+            showAlert('No se pudieron obtener más ofertas de las bolsas de empleo en este momento.', 'warning');
+        }
+    }, [fetchJobs, showAlert]);
+
+    useEffect(() => {
+        if (!scrapeTaskId || !realtimeConnected) return undefined;
+
+        const unsubscribeProgress = subscribe('scrape-progress', (progress) => {
+            if (progress.taskId !== scrapeTaskId) return;
+            setScrapeProgress(progress);
+            fetchJobs({ silent: true });
+        });
+        const unsubscribeStatus = subscribe('scrape-status', ({ taskId, status }) => {
+            if (taskId !== scrapeTaskId) return;
+            handleScrapeTaskStatus(status);
+        });
+        return () => {
+            unsubscribeProgress();
+            unsubscribeStatus();
+        };
+    }, [scrapeTaskId, realtimeConnected, subscribe, fetchJobs, handleScrapeTaskStatus]);
+
+    // Consulta el estado de la tarea al empezar (o al suscribirse a los eventos) y después periódicamente:
+    // cada pocos segundos sin conexión en tiempo real y, con ella, más despacio como respaldo.
+    useEffect(() => {
+        if (!scrapeTaskId) return undefined;
+        let cancelled = false;
+
+        const checkStatus = async () => {
+            try {
+                const response = await api.get(`/scrape-tasks/${scrapeTaskId}`);
+                if (!cancelled) handleScrapeTaskStatus(response.data.task.status);
+            } catch (err) {
+                console.error('Error al consultar la tarea de scraping:', err.response?.data || err.message);
+                if (!cancelled) setScrapeTaskId(null);
+            }
+        };
+
+        checkStatus();
+        const intervalId = setInterval(
+            checkStatus,
+            realtimeConnected ? SCRAPE_TASK_FALLBACK_POLL_INTERVAL_MS : SCRAPE_TASK_POLL_INTERVAL_MS
+        );
+
+        return () => {
+            cancelled = true;
+            clearInterval(intervalId);
+        };
+    }, [scrapeTaskId, realtimeConnected, handleScrapeTaskStatus]);
+
     useEffect(() => {
         if (searchTerm && location) {
             fetchJobs();
@@ -80,6 +239,8 @@ const HomePage = ({ showAlert }) => {
             setJobs([]);
             setTotalPages(1);
             setTotalResults(0);
+            setFacets(null);
+            setScrapeTaskId(null);
             setLoading(false);
             setError('Por favor, ingresa una palabra clave y al menos un país para iniciar la búsqueda.');
         }
@@ -87,17 +248,53 @@ const HomePage = ({ showAlert }) => {
     }, [fetchJobs, fetchFavoriteJobIds, searchTerm, location, currentPage]);
 
     const handleSearchChange = (e) => {
-        setSearchTerm(e.target.value);
-        setCurrentPage(1);
+        updateSearchParams({ keyword: e.target.value });
     };
 
     const handleLocationChange = (e) => {
-        setLocation(e.target.value);
-        setCurrentPage(1);
+        updateSearchParams({ country: e.target.value });
+    };
+
+    const handleSortChange = (e) => {
+        updateSearchParams({ sort: e.target.value === 'relevance' ? '' : e.target.value });
+    };
+
+    const handleFilterChange = (e) => {
+        updateSearchParams({ [e.target.name]: e.target.value });
+    };
+
+    const handleClearFilters = () => {
+        updateSearchParams(Object.fromEntries(FILTER_PARAMS.map(param => [param, ''])));
+    };
+
+    /**
+     * Indica si un valor de faceta ya está aplicado. El país admite varios valores separados por coma.
+     */
+    const isFacetActive = (param, value) => {
+        const current = searchParams.get(param) || '';
+        if (param === 'country') {
+            return current.split(',').map(c => c.trim().toLowerCase()).includes(value);
+        }
+        return current === value;
+    };
+
+    /**
+     * Aplica o quita un valor de faceta. En el país se añade o elimina de la lista de países.
+     */
+    const handleFacetToggle = (param, value) => {
+        if (param === 'country') {
+            const countries = location.split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+            const nextCountries = countries.includes(value)
+                ? countries.filter(c => c !== value)
+                : [...countries, value];
+            updateSearchParams({ country: nextCountries.join(',') });
+            return;
+        }
+        updateSearchParams({ [param]: isFacetActive(param, value) ? '' : value });
     };
 
     const handlePageChange = (page) => {
-        setCurrentPage(page);
+        updateSearchParams({ page: page > 1 ? page : '' });
         window.scrollTo(0, 0);
     };
 
@@ -136,6 +333,29 @@ const HomePage = ({ showAlert }) => {
         return isNaN(date.getTime()) ? 'Fecha inválida' : date.toLocaleDateString();
     };
 
+    /**
+     * Muestra el salario en la moneda preferida y en equivalente mensual (`convertedSalary` de la API).
+     * Si no se pudo convertir, muestra el texto publicado por la fuente.
+     */
+    const formatSalary = (job) => {
+        const converted = job.convertedSalary;
+        if (!converted) {
+            return job.salary && job.salary !== 'Confidencial' ? job.salary : 'No publicado';
+        }
+        const format = (amount) => new Intl.NumberFormat('es', {
+            style: 'currency',
+            currency: converted.currency,
+            maximumFractionDigits: 0,
+        }).format(amount);
+        const { monthlyMin, monthlyMax } = converted;
+        let range;
+        if (monthlyMin === null) range = `Hasta ${format(monthlyMax)}`;
+        else if (monthlyMax === null) range = `Desde ${format(monthlyMin)}`;
+        else if (monthlyMin === monthlyMax) range = format(monthlyMin);
+        else range = `${format(monthlyMin)} - ${format(monthlyMax)}`;
+        return `≈ ${range} al mes`;
+    };
+
     if (loading && !error && (!searchTerm && !location)) {
         return <LoadingSpinner message="Cargando empleos..." />;
     }
@@ -149,7 +369,7 @@ const HomePage = ({ showAlert }) => {
             {/* Search Form */}
             <Form className="mb-4 p-4 border rounded shadow-sm bg-light">
                 <Row className="g-3">
-                    <Col md={6}>
+                    <Col md={5}>
                         <Form.Group controlId="searchTerm">
                             <Form.Label>Buscar por palabra clave</Form.Label>
                             <div className="input-group">
@@ -163,9 +383,11 @@ const HomePage = ({ showAlert }) => {
                             </div>
                         </Form.Group>
                     </Col>
-                    <Col md={6}>
+                    <Col md={4}>
                         <Form.Group controlId="location">
-                            <Form.Label>País (código ISO ej: co, es, mx, ar, cl, pe, us)</Form.Label>
+                            <Form.Label>
+                                País (código ISO{supportedCountries.length > 0 ? ` ej: ${supportedCountries.map(c => c.code).join(', ')}` : ''})
+                            </Form.Label>
                             <div className="input-group">
                                 <span className="input-group-text"><GeoAltFill /></span>
                                 <Form.Control
@@ -177,7 +399,74 @@ const HomePage = ({ showAlert }) => {
                             </div>
                         </Form.Group>
                     </Col>
+                    <Col md={3}>
+                        <Form.Group controlId="sortBy">
+                            <Form.Label>Ordenar por</Form.Label>
+                            <Form.Select value={sortBy} onChange={handleSortChange}>
+                                <option value="relevance">Relevancia</option>
+                                <option value="date">Más recientes</option>
+                                <option value="salary">Mayor salario</option>
+                            </Form.Select>
+                        </Form.Group>
+                    </Col>
+                </Row>
+
+                {/* Filtros estructurados */}
+                <Row className="g-3 mt-1 align-items-end">
+                    <Col sm={6} md={2}>
+                        <Form.Group controlId="modality">
+                            <Form.Label>Modalidad</Form.Label>
+                            <Form.Select name="modality" value={searchParams.get('modality') || ''} onChange={handleFilterChange}>
+                                <option value="">Todas</option>
+                                {MODALITY_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+                            </Form.Select>
+                        </Form.Group>
+                    </Col>
+                    <Col sm={6} md={2}>
+                        <Form.Group controlId="experience">
+                            <Form.Label>Experiencia</Form.Label>
+                            <Form.Select name="experience" value={searchParams.get('experience') || ''} onChange={handleFilterChange}>
+                                <option value="">Todas</option>
+                                {EXPERIENCE_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+                            </Form.Select>
+                        </Form.Group>
+                    </Col>
+                    <Col sm={6} md={2}>
+                        <Form.Group controlId="sourceName">
+                            <Form.Label>Fuente</Form.Label>
+                            <Form.Select name="sourceName" value={searchParams.get('sourceName') || ''} onChange={handleFilterChange}>
+                                <option value="">Todas</option>
+                                {availableSources.map(source => <option key={source.id} value={source.name}>{source.name}</option>)}
+                            </Form.Select>
+                        </Form.Group>
+                    </Col>
+                    <Col sm={6} md={2}>
+                        <Form.Group controlId="postedWithinDays">
+                            <Form.Label>Publicado</Form.Label>
+                            <Form.Select name="postedWithinDays" value={searchParams.get('postedWithinDays') || ''} onChange={handleFilterChange}>
+                                <option value="">Cualquier fecha</option>
+                                {POSTED_WITHIN_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                            </Form.Select>
+                        </Form.Group>
+                    </Col>
+                    <Col sm={6} md={2}>
+                        <Form.Group controlId="salaryMin">
+                            <Form.Label>Salario mínimo mensual{currency ? ` (${currency})` : ''}</Form.Label>
+                            <Form.Control type="number" min="0" name="salaryMin" placeholder="Desde" value={searchParams.get('salaryMin') || ''} onChange={handleFilterChange} />
+                        </Form.Group>
+                    </Col>
+                    <Col sm={6} md={2}>
+                        <Form.Group controlId="salaryMax">
+                            <Form.Label>Salario máximo mensual{currency ? ` (${currency})` : ''}</Form.Label>
+                            <Form.Control type="number" min="0" name="salaryMax" placeholder="Hasta" value={searchParams.get('salaryMax') || ''} onChange={handleFilterChange} />
+                        </Form.Group>
+                    </Col>
                 </Row>
+                {hasActiveFilters && (
+                    <div className="text-end mt-2">
+                        <Button variant="link" size="sm" onClick={handleClearFilters}>Limpiar filtros</Button>
+                    </div>
+                )}
             </Form>
 
             {/* Supported Countries Guide */}
@@ -187,10 +476,10 @@ const HomePage = ({ showAlert }) => {
                 </Card.Header>
                 <Card.Body>
                     <Row xs={2} sm={3} md={4} lg={6} className="g-3">
-                        {SUPPORTED_COUNTRIES_INFO.map((c) => (
+                        {supportedCountries.map((c) => (
                             <Col key={c.code} className="d-flex align-items-center">
                                 <img 
-                                    src={c.flag} 
+                                    src={getFlagUrl(c.code)} 
                                     alt={c.name} 
                                     style={{ 
                                         width: '24px', 
@@ -219,33 +508,64 @@ const HomePage = ({ showAlert }) => {
                     <Spinner animation="border" role="status">
                         <span className="visually-hidden">Cargando empleos...</span>
                     </Spinner>
-                    <p className="mt-2">Buscando y/o raspando empleos...</p>
+                    <p className="mt-2">Buscando empleos...</p>
                 </div>
             )}
 
+            {scrapeTaskId && !loading && (
+                <Alert variant="info" className="d-flex align-items-center mb-4">
+                    <Spinner animation="grow" size="sm" className="me-2" />
+                    {scrapeProgress ? (
+                        <span>
+                            Buscando nuevas ofertas: {scrapeProgress.source} ({scrapeProgress.country.toUpperCase()}) terminó con {scrapeProgress.found} ofertas.
+                            {' '}{scrapeProgress.jobsFound} encontradas hasta ahora ({scrapeProgress.completedRuns}/{scrapeProgress.totalRuns} fuentes); se añaden aquí a medida que llegan.
+                        </span>
+                    ) : (
+                        'Llegarán más resultados: estamos buscando nuevas ofertas en las bolsas de empleo y se mostrarán aquí automáticamente.'
+                    )}
+                </Alert>
+            )}
+
             {totalResults > 0 && (
                 <div className="text-muted mb-3">
                     Mostrando {(currentPage - 1) * jobsPerPage + 1}-{Math.min(currentPage * jobsPerPage, totalResults)} de {totalResults} empleos
                 </div>
             )}
 
-            {jobs.length === 0 && !loading && searchTerm && location && !error ? (
-                <Alert variant="info" className="text-center py-4">
-                    No se encontraron empleos que coincidan con tus criterios de búsqueda.
-                </Alert>
+            {jobs.length === 0 && !loading && scrapeTaskId ? null : jobs.length === 0 && !loading && searchTerm && location && !error ? (
+                <Row className="g-4">
+                    {/* Con filtros activos, las facetas muestran qué otros valores sí tienen resultados */}
+                    {hasActiveFilters && (
+                        <Col lg={3}>
+                            <SearchFacets facets={facets} isActive={isFacetActive} onToggle={handleFacetToggle} />
+                        </Col>
+                    )}
+                    <Col>
+                        <Alert variant="info" className="text-center py-4">
+                            No se encontraron empleos que coincidan con tus criterios de búsqueda.
+                        </Alert>
+                    </Col>
+                </Row>
             ) : jobs.length === 0 && !loading && (!searchTerm || !location) && !error ? (
                 <Alert variant="info" className="text-center py-4">
                     Por favor, ingresa una **palabra clave** y al menos un **código de país** (ej. "co" para Colombia, "es" para España) para buscar empleos.
                 </Alert>
             ) : (
-                <>
-                    <Row xs={1} md={2} lg={3} className="g-4">
+                <Row className="g-4">
+                    <Col lg={3}>
+                        <SearchFacets facets={facets} isActive={isFacetActive} onToggle={handleFacetToggle} />
+                    </Col>
+                    <Col lg={9}>
+                    <Row xs={1} md={2} xl={3} className="g-4">
                         {jobs.map((job) => (
                             <Col key={job.id}>
                                 <Card className="h-100 shadow-sm">
                                     <Card.Body className="d-flex flex-column">
                                         <div className="d-flex justify-content-between align-items-start mb-2">
-                                            <Card.Title className="mb-0 fs-5">{job.title || 'Título desconocido'}</Card.Title>
+                                            <Card.Title className="mb-0 fs-5">
+                                                {job.title || 'Título desconocido'}
+                                                {newJobIds.has(job.id) && <Badge bg="success" className="ms-2 fs-6 align-middle">Nuevo</Badge>}
+                                            </Card.Title>
                                             <Button
                                                 variant="link"
                                                 className="p-0 border-0"
@@ -276,6 +596,26 @@ const HomePage = ({ showAlert }) => {
                                                 <CalendarFill className="me-1" />
                                                 Publicado el: {formatDate(job.postedAt || job.creationDate)}
                                             </p>
+                                            <p className="mb-1" title={job.salary || ''}>
+                                                <CashStack className="me-1" />
+                                                {formatSalary(job)}
+                                            </p>
+                                            {job.postings?.length > 1 && (
+                                                <p className="mb-1">
+                                                    <Link45deg className="me-1" />
+                                                    Disponible en:{' '}
+                                                    {job.postings.map((posting, index) => (
+                                                        <span key={posting.id}>
+                                                            {index > 0 && ', '}
+                                                            {posting.sourceUrl ? (
+                                                                <a href={posting.sourceUrl} target="_blank" rel="noopener noreferrer">
+                                                                    {posting.sourceName}
+                                                                </a>
+                                                            ) : posting.sourceName}
+                                                        </span>
+                                                    ))}
+                                                </p>
+                                            )}
                                         </div>
                                         <Card.Text className="text-truncate" style={{ maxHeight: '3em' }}>
                                             {job.description || 'No hay descripción disponible.'}
@@ -300,7 +640,8 @@ const HomePage = ({ showAlert }) => {
                             />
                         </div>
                     )}
-                </>
+                    </Col>
+                </Row>
             )}
         </Container>
     );
@@ -17,6 +17,7 @@ import {
     StopwatchFill
 } from "react-bootstrap-icons";
 import { useNavigate, useParams } from "react-router-dom";
+import JobStatusBadge from "../../components/Jobs/JobStatusBadge";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import api from "../../services/apiService";
 
@@ -35,6 +36,7 @@ const JobDetailPage = ({ showAlert }) => {
     const [error, setError] = useState(null);
     const [isApplied, setIsApplied] = useState(false); // Estado para rastrear si el usuario ya registró la postulación para *este trabajo específico*
     const [isFavorite, setIsFavorite] = useState(false);
+    const [postings, setPostings] = useState([]); // Publicaciones del mismo empleo en otras fuentes
     const [togglingFavorite, setTogglingFavorite] = useState(false);
 
     useEffect(() => {
@@ -46,6 +48,15 @@ const JobDetailPage = ({ showAlert }) => {
                 const jobResponse = await api.get(`/jobs/${id}`);
                 setJob(jobResponse.data.job);
 
+                // 1.1. Si el empleo forma parte de un grupo de duplicados, obtener todas sus publicaciones
+                const clusterId = jobResponse.data.job?.clusterId;
+                if (clusterId) {
+                    const clusterResponse = await api.get(`/jobs/clusters/${clusterId}`);
+                    setPostings(clusterResponse.data.cluster?.postings || []);
+                } else {
+                    setPostings([]);
+                }
+
                 // 2. Verificar si el usuario ya se ha postulado a este trabajo
                 const applicationsResponse = await api.get('/auth/applications');
                 const userApplications = applicationsResponse.data.applications || [];
@@ -207,6 +218,17 @@ const JobDetailPage = ({ showAlert }) => {
                     {job.title}
                 </Card.Header>
                 <Card.Body>
+                    {job.status && job.status !== 'active' && (
+                        <Alert variant={job.status === 'closed' ? 'danger' : 'secondary'} className="d-flex align-items-center gap-2">
+                            <JobStatusBadge status={job.status} />
+                            <span>
+                                {job.status === 'closed'
+                                    ? 'La fuente indica que esta oferta ya no admite postulaciones.'
+                                    : 'Esta oferta no aparece en su fuente desde hace tiempo o pasó su fecha límite.'}
+                                {job.statusHistory?.[0] && ` (desde el ${formatDate(job.statusHistory[0].createdAt)})`}
+                            </span>
+                        </Alert>
+                    )}
                     <Row className="mb-3">
                         <Col md={6}>
                             <p className="lead text-muted mb-0">
@@ -239,6 +261,28 @@ const JobDetailPage = ({ showAlert }) => {
                         </ListGroupItem>
                     </ListGroup>
 
+                    {postings.length > 1 && (
+                        <>
+                            <h4 className="mb-3">Publicado en {postings.length} fuentes</h4>
+                            <ListGroup className="mb-4">
+                                {postings.map(posting => (
+                                    <ListGroupItem key={posting.id} className="d-flex justify-content-between align-items-center">
+                                        <span>
+                                            <strong>{posting.sourceName}</strong>
+                                            <JobStatusBadge status={posting.status} className="ms-2" />
+                                            <small className="text-muted ms-2">{formatDate(posting.creationDate || posting.createdAt)}</small>
+                                        </span>
+                                        {posting.sourceUrl && (
+                                            <a href={posting.sourceUrl} target="_blank" rel="noopener noreferrer">
+                                                <Link45deg className="me-1" /> Ver publicación
+                                            </a>
+                                        )}
+                                    </ListGroupItem>
+                                ))}
+                            </ListGroup>
+                        </>
+                    )}
+
                     <h4 className="mb-3">Descripción</h4>
                     <p className="mb-4">
                         {job.description && job.description !== 'N/A' 
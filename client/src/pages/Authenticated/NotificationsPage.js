@@ -0,0 +1,199 @@
+// client/src/pages/Authenticated/NotificationsPage.js
+// Centro de notificaciones del usuario: todas sus notificaciones, con filtro de no leídas.
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Badge, Button, ButtonGroup, Container, ListGroup } from "react-bootstrap";
+import { BoxArrowUpRight, Check2, CheckAll, Trash } from "react-bootstrap-icons";
+import { Link } from "react-router-dom";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import PaginationControls from "../../components/Jobs/Pagination";
+import NotificationIcon from "../../components/Notifications/NotificationIcon";
+import useRealtime from "../../hooks/useRealtime";
+import api from "../../services/apiService";
+
+// Notificaciones por página.
+const PAGE_SIZE = 20;
+
+/**
+ * @description Componente NotificationsPage.
+ * Lista las notificaciones del usuario, de la más reciente a la más antigua. Cada una se puede abrir
+ * (lleva a la oferta, la búsqueda o las postulaciones), marcar como leída o eliminar. Las que llegan en tiempo
+ * real se añaden al principio de la primera página.
+ * @param {object} { showAlert } - Función para mostrar alertas, pasada desde App.js.
+ * @returns El filtro, la lista de notificaciones y la paginación.
+ */
+const NotificationsPage = ({ showAlert }) => {
+    const { subscribe } = useRealtime();
+    const [notifications, setNotifications] = useState([]);
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(0);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [updatingId, setUpdatingId] = useState(null);
+
+    const fetchNotifications = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await api.get('/notifications', {
+                params: { page: currentPage, limit: PAGE_SIZE, ...(unreadOnly ? { unread: true } : {}) },
+            });
+            setNotifications(response.data.notifications || []);
+            setTotalPages(response.data.totalPages || 0);
+            setUnreadCount(response.data.unreadCount || 0);
+        } catch (err) {
+            console.error('Error al cargar las notificaciones:', err.response?.data || err.message);
+            setError(err.response?.data?.message || 'No se pudieron cargar las notificaciones.');
+        } finally {
+            setLoading(false);
+        }
+    }, [currentPage, unreadOnly]);
+
+    useEffect(() => {
+        fetchNotifications();
+    }, [fetchNotifications]);
+
+    useEffect(() => subscribe('notification', (notification) => {
+        setUnreadCount(prev => prev + 1);
+        if (currentPage === 1) {
+            setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)].slice(0, PAGE_SIZE));
+        }
+    }), [subscribe, currentPage]);
+
+    const handleFilterChange = (value) => {
+        setUnreadOnly(value);
+        setCurrentPage(1);
+    };
+
+    const handleMarkRead = async (notification) => {
+        setUpdatingId(notification.id);
+        try {
+            const response = await api.patch(`/notifications/${notification.id}/read`);
+            setNotifications(prev => (unreadOnly
+                ? prev.filter(n => n.id !== notification.id)
+                : prev.map(n => (n.id === notification.id ? response.data.notification : n))));
+            setUnreadCount(prev => Math.max(prev - 1, 0));
+        } catch (err) {
+            console.error('Error al marcar la notificación como leída:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo marcar la notificación como leída.', 'danger');
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            const response = await api.patch('/notifications/read-all');
+            showAlert(response.data.message, 'success');
+            if (currentPage === 1) {
+                fetchNotifications();
+            } else {
+                setCurrentPage(1);
+            }
+        } catch (err) {
+            console.error('Error al marcar las notificaciones como leídas:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudieron marcar las notificaciones como leídas.', 'danger');
+        }
+    };
+
+    const handleDelete = async (notification) => {
+        setUpdatingId(notification.id);
+        try {
+            await api.delete(`/notifications/${notification.id}`);
+            setNotifications(prev => prev.filter(n => n.id !== notification.id));
+            if (!notification.readAt) setUnreadCount(prev => Math.max(prev - 1, 0));
+        } catch (err) {
+            console.error('Error al eliminar la notificación:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo eliminar la notificación.', 'danger');
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    return (
+        <Container className="my-4">
+            <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-4">
+                <h1 className="mb-0">
+                    Notificaciones {unreadCount > 0 && <Badge bg="danger" pill className="fs-6 align-middle">{unreadCount}</Badge>}
+                </h1>
+                <div className="d-flex gap-2">
+                    <ButtonGroup>
+                        <Button variant={unreadOnly ? 'outline-secondary' : 'secondary'} onClick={() => handleFilterChange(false)}>Todas</Button>
+                        <Button variant={unreadOnly ? 'secondary' : 'outline-secondary'} onClick={() => handleFilterChange(true)}>No leídas</Button>
+                    </ButtonGroup>
+                    <Button variant="outline-primary" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+                        <CheckAll className="me-1" /> Marcar todas como leídas
+                    </Button>
+                </div>
+            </div>
+
+            {loading ? (
+                <LoadingSpinner message="Cargando notificaciones..." />
+            ) : error ? (
+                <Alert variant="danger" className="text-center">{error}</Alert>
+            ) : notifications.length === 0 ? (
+                <Alert variant="info" className="text-center">
+                    {unreadOnly ? 'No tienes notificaciones sin leer.' : 'Aún no tienes notificaciones. Te avisaremos cuando tus búsquedas guardadas tengan ofertas nuevas o cuando venza un favorito.'}
+                </Alert>
+            ) : (
+                <>
+                    <ListGroup className="mb-4">
+                        {notifications.map(notification => (
+                            <ListGroup.Item
+                                key={notification.id}
+                                className={`d-flex gap-3 align-items-start ${notification.readAt ? '' : 'bg-light border-start border-primary border-3'}`}
+                            >
+                                <NotificationIcon type={notification.type} className="fs-5 mt-1 flex-shrink-0" />
+                                <div className="flex-grow-1">
+                                    <div className={notification.readAt ? '' : 'fw-semibold'}>{notification.title}</div>
+                                    {notification.message && <div className="text-muted">{notification.message}</div>}
+                                    <small className="text-muted">{new Date(notification.createdAt).toLocaleString()}</small>
+                                </div>
+                                <div className="d-flex gap-1 flex-shrink-0">
+                                    {notification.link && (
+                                        <Button
+                                            as={Link}
+                                            to={notification.link}
+                                            variant="outline-primary"
+                                            size="sm"
+                                            title="Abrir"
+                                            onClick={() => !notification.readAt && handleMarkRead(notification)}
+                                        >
+                                            <BoxArrowUpRight />
+                                        </Button>
+                                    )}
+                                    {!notification.readAt && (
+                                        <Button
+                                            variant="outline-success"
+                                            size="sm"
+                                            title="Marcar como leída"
+                                            disabled={updatingId === notification.id}
+                                            onClick={() => handleMarkRead(notification)}
+                                        >
+                                            <Check2 />
+                                        </Button>
+                                    )}
+                                    <Button
+                                        variant="outline-danger"
+                                        size="sm"
+                                        title="Eliminar"
+                                        disabled={updatingId === notification.id}
+                                        onClick={() => handleDelete(notification)}
+                                    >
+                                        <Trash />
+                                    </Button>
+                                </div>
+                            </ListGroup.Item>
+                        ))}
+                    </ListGroup>
+                    {totalPages > 1 && (
+                        <PaginationControls currentPage={currentPage} totalPages={totalPages} onPageChange={setCurrentPage} />
+                    )}
+                </>
+            )}
+        </Container>
+    );
+};
+
+export default NotificationsPage;
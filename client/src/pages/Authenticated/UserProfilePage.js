@@ -7,17 +7,15 @@ import {
     BriefcaseFill,
     BuildingFill,
     CalendarCheckFill,
-    CheckCircleFill,
     GearFill,
     GeoAltFill,
     HeartFill,
-    HourglassSplit,
     ListUl,
     PencilSquare,
-    PersonFill,
-    XCircleFill
+    PersonFill
 } from "react-bootstrap-icons";
 import { Link, useNavigate } from "react-router-dom";
+import ApplicationStageBadge from "../../components/Applications/ApplicationStageBadge";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import useAuth from "../../hooks/useAuth";
 import api from "../../services/apiService";
@@ -104,23 +102,6 @@ const UserProfilePage = ({ showAlert }) => {
         return isNaN(date.getTime()) ? 'Fecha inválida' : date.toLocaleDateString('es-ES');
     };
 
-    /**
-     * Obtiene los elementos visuales para el estado de postulación
-     * @param {string} status - Estado de la postulación
-     * @returns {Object} {icon: JSX.Element, text: string}
-     */
-    const getStatusDisplay = (status) => {
-        const statusMap = {
-        pending: { icon: <HourglassSplit className="text-warning" />, text: 'Pendiente' },
-        reviewed: { icon: <BriefcaseFill className="text-info" />, text: 'Revisado' },
-        accepted: { icon: <CheckCircleFill className="text-success" />, text: 'Aceptado' },
-        rejected: { icon: <XCircleFill className="text-danger" />, text: 'Rechazado' },
-        default: { icon: <BriefcaseFill className="text-muted" />, text: 'Desconocido' }
-        };
-
-        return statusMap[status?.toLowerCase()] || statusMap.default;
-    };
-
     // Estados de carga y error
     if (!user) return <LoadingSpinner message="Redirigiendo..." />;
     if (loading) return <LoadingSpinner message="Cargando tu perfil..." />;
@@ -237,10 +218,8 @@ const UserProfilePage = ({ showAlert }) => {
                             </ListGroup.Item>
                             
                             <ListGroup.Item className="d-flex align-items-center px-0">
-                            <span className="me-2">
-                                {getStatusDisplay(app.status).icon}
-                            </span>
-                            Estado: {getStatusDisplay(app.status).text}
+                            <span className="me-2">Etapa:</span>
+                            <ApplicationStageBadge status={app.status} />
                             </ListGroup.Item>
                         </ListGroup>
                         
@@ -5,6 +5,7 @@ import { Alert, Button, Card, Col, Container, Form, Row, Spinner } from "react-b
 import {
     ArrowLeftCircle,
     BellFill,
+    CashStack,
     CheckCircleFill,
     GearFill,
     LockFill,
@@ -14,10 +15,11 @@ import { useNavigate } from "react-router-dom";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import useAuth from "../../hooks/useAuth";
 import api from "../../services/apiService";
+import { disablePush, enablePush, isPushSupported } from "../../utils/pushUtils";
 
 /**
  * Página de configuración del usuario
- * Permite modificar preferencias de notificaciones, privacidad, apariencia y cambiar contraseña
+ * Permite modificar preferencias de notificaciones, privacidad, apariencia, moneda y cambiar contraseña
  */
 const UserSettingsPage = ({ showAlert }) => {
     const { user: authUser, updateUser } = useAuth();
@@ -34,7 +36,7 @@ const UserSettingsPage = ({ showAlert }) => {
     const [settings, setSettings] = useState({
         notifications: {
             email: true,
-            push: true,
+            push: false,
             news: true
         },
         privacy: {
@@ -44,6 +46,9 @@ const UserSettingsPage = ({ showAlert }) => {
         appearance: {
             theme: 'light',
             fontSize: 'medium'
+        },
+        preferences: {
+            currency: 'USD'
         }
     });
     
@@ -54,9 +59,13 @@ const UserSettingsPage = ({ showAlert }) => {
         confirmPassword: ''
     });
     
+    // Monedas con tasa de cambio disponibles para mostrar los salarios
+    const [currencies, setCurrencies] = useState([]);
+
     // Estados de carga
     const [loading, setLoading] = useState(true);
     const [updating, setUpdating] = useState(false);
+    const [sendingTestPush, setSendingTestPush] = useState(false);
     const [error, setError] = useState(null);
 
     // Inicialización segura del componente
@@ -82,14 +91,18 @@ const UserSettingsPage = ({ showAlert }) => {
                     setUserData(safeUser);
                 }
 
-                // Carga segura de configuración
-                const response = await api.get(`/auth/${safeUser.id}/settings`);
+                // Carga segura de configuración y de las monedas disponibles
+                const [response, ratesResponse] = await Promise.all([
+                    api.get(`/auth/${safeUser.id}/settings`),
+                    api.get('/currency-rates'),
+                ]);
                 
                 if (isMounted) {
-                    setSettings(response.data || {
+                    setCurrencies((ratesResponse.data.rates || []).map(rate => rate.currency));
+                    setSettings(response.data?.settings || {
                         notifications: {
                             email: true,
-                            push: true,
+                            push: false,
                             news: true
                         },
                         privacy: {
@@ -99,6 +112,9 @@ const UserSettingsPage = ({ showAlert }) => {
                         appearance: {
                             theme: 'light',
                             fontSize: 'medium'
+                        },
+                        preferences: {
+                            currency: 'USD'
                         }
                     });
                 }
@@ -187,7 +203,9 @@ const UserSettingsPage = ({ showAlert }) => {
         setError(null);
 
         try {
-            const response = await api.put(`/auth/${userData.id}/settings`, settings);
+            // Solo se envían las secciones que admite la API (la configuración guardada puede traer otras claves)
+            const { notifications, privacy, appearance, preferences } = settings;
+            const response = await api.put(`/auth/${userData.id}/settings`, { notifications, privacy, appearance, preferences });
             
             // Actualización segura del contexto
             if (authUser) {
@@ -197,7 +215,23 @@ const UserSettingsPage = ({ showAlert }) => {
                 });
             }
 
-            showAlert('Configuración guardada exitosamente', 'success');
+            // Suscribe o da de baja este navegador según la preferencia de notificaciones push
+            let pushError = null;
+            try {
+                if (notifications.push) {
+                    await enablePush();
+                } else {
+                    await disablePush();
+                }
+            } catch (err) {
+                pushError = err.response?.data?.message || err.message;
+            }
+
+            if (pushError) {
+                showAlert(`Configuración guardada, pero no se activaron las notificaciones push en este navegador: ${pushError}`, 'warning');
+            } else {
+                showAlert('Configuración guardada exitosamente', 'success');
+            }
         } catch (err) {
             const errorMessage = err.response?.data?.message || 'Error al guardar configuración';
             console.error('Error al guardar configuración:', errorMessage);
@@ -208,6 +242,20 @@ const UserSettingsPage = ({ showAlert }) => {
         }
     };
 
+    // Envía una notificación push de prueba a los navegadores suscritos
+    const sendTestPush = async () => {
+        setSendingTestPush(true);
+        try {
+            const response = await api.post('/push/test');
+            showAlert(response.data.message, 'success');
+        } catch (err) {
+            console.error('Error al enviar la notificación de prueba:', err.response?.data || err.message);
+            showAlert(err.response?.data?.message || 'No se pudo enviar la notificación de prueba', 'danger');
+        } finally {
+            setSendingTestPush(false);
+        }
+    };
+
     // Renderizado condicional seguro
     if (loading) {
         return <LoadingSpinner message="Cargando configuración..." />;
@@ -289,7 +337,7 @@ const UserSettingsPage = ({ showAlert }) => {
                                 <Form.Check
                                     type="switch"
                                     id="push-notifications"
-                                    label="Notificaciones push en la aplicación"
+                                    label="Notificaciones push en el navegador"
                                     checked={settings.notifications.push}
                                     onChange={(e) => handleSettingChange(
                                         'notifications', 
@@ -297,6 +345,24 @@ const UserSettingsPage = ({ showAlert }) => {
                                         e.target.checked
                                     )}
                                 />
+                                <Form.Text className="text-muted">
+                                    {isPushSupported()
+                                        ? 'Al guardar, este navegador te pedirá permiso para mostrar los avisos aunque la aplicación esté cerrada.'
+                                        : 'Este navegador no admite notificaciones push.'}
+                                </Form.Text>
+                                {settings.notifications.push && isPushSupported() && (
+                                    <div>
+                                        <Button
+                                            variant="link"
+                                            size="sm"
+                                            className="p-0"
+                                            onClick={sendTestPush}
+                                            disabled={sendingTestPush}
+                                        >
+                                            Enviar una notificación de prueba
+                                        </Button>
+                                    </div>
+                                )}
                             </Form.Group>
                             <Form.Group>
                                 <Form.Check
@@ -396,6 +462,36 @@ const UserSettingsPage = ({ showAlert }) => {
                         </Card.Body>
                     </Card>
 
+                    {/* Sección de Preferencias */}
+                    <Card className="mb-4 shadow-sm">
+                        <Card.Header className="bg-light">
+                            <h3 className="mb-0">
+                                <CashStack className="me-2 text-primary" />
+                                Preferencias
+                            </h3>
+                        </Card.Header>
+                        <Card.Body>
+                            <Form.Group>
+                                <Form.Label>Moneda de los salarios</Form.Label>
+                                <Form.Select
+                                    value={settings.preferences?.currency || 'USD'}
+                                    onChange={(e) => handleSettingChange(
+                                        'preferences', 
+                                        'currency', 
+                                        e.target.value
+                                    )}
+                                >
+                                    {currencies.map(currency => (
+                                        <option key={currency} value={currency}>{currency}</option>
+                                    ))}
+                                </Form.Select>
+                                <Form.Text className="text-muted">
+                                    Los salarios de todos los países se convierten a esta moneda y a su equivalente mensual.
+                                </Form.Text>
+                            </Form.Group>
+                        </Card.Body>
+                    </Card>
+
                     {/* Botón para guardar configuración */}
                     <div className="text-end mb-5">
                         <Button
@@ -0,0 +1,21 @@
+// client/src/utils/applicationStages.js
+// Etapas del seguimiento de postulaciones (ver `JobApplication.status` en el backend).
+import { Award, BoxArrowLeft, BriefcaseFill, HourglassSplit, PeopleFill, SendCheck, XCircleFill } from "react-bootstrap-icons";
+
+// Etapas en el orden del proceso de selección, con su texto, color e icono.
+export const APPLICATION_STAGES = [
+    { value: 'applied', label: 'Postulado', variant: 'secondary', icon: SendCheck },
+    { value: 'screening', label: 'En revisión', variant: 'info', icon: HourglassSplit },
+    { value: 'interview', label: 'Entrevistas', variant: 'primary', icon: PeopleFill },
+    { value: 'offer', label: 'Oferta', variant: 'success', icon: Award },
+    { value: 'rejected', label: 'Rechazado', variant: 'danger', icon: XCircleFill },
+    { value: 'withdrawn', label: 'Retirado', variant: 'dark', icon: BoxArrowLeft },
+];
+
+/**
+ * @description Devuelve la etapa con el valor indicado.
+ * @param {string} value - Valor de `JobApplication.status`.
+ * @returns {{value: string, label: string, variant: string, icon: Function}} Una etapa genérica si el valor no se conoce.
+ */
+export const getApplicationStage = (value) => APPLICATION_STAGES.find(stage => stage.value === value)
+    || { value, label: value || 'Desconocido', variant: 'light', icon: BriefcaseFill };
@@ -0,0 +1,75 @@
+// client/src/utils/pushUtils.js
+// Suscripción del navegador a las notificaciones push (Web Push) a través del service worker de public/sw.js.
+import api from "../services/apiService";
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * @description Convierte la clave pública VAPID (base64url) al formato que pide `pushManager.subscribe`.
+ * @param {string} base64Url
+ * @returns {Uint8Array}
+ */
+const urlBase64ToUint8Array = (base64Url) => {
+    const base64 = (base64Url + '='.repeat((4 - (base64Url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+/**
+ * @description Indica si el navegador admite notificaciones push.
+ * @returns {boolean}
+ */
+export const isPushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+/**
+ * @description Devuelve la suscripción push de este navegador, si la tiene.
+ * @returns {Promise<PushSubscription | null>}
+ */
+export const getPushSubscription = async () => {
+    if (!isPushSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * @description Suscribe este navegador a las notificaciones push: pide permiso al usuario, registra el
+ * service worker y envía la suscripción al servidor. Si ya estaba suscrito, la vuelve a registrar.
+ * @throws {Error} Con un mensaje para el usuario si el navegador no lo admite, no da permiso o el servidor
+ * no tiene las notificaciones push configuradas.
+ */
+export const enablePush = async () => {
+    if (!isPushSupported()) {
+        throw new Error('Este navegador no admite notificaciones push.');
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('No diste permiso para mostrar notificaciones en este navegador.');
+    }
+    const { data } = await api.get('/push/public-key');
+    if (!data.enabled) {
+        throw new Error('Las notificaciones push no están disponibles en este servidor.');
+    }
+
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription()
+        || await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(data.publicKey),
+        });
+    await api.post('/push/subscriptions', subscription.toJSON());
+};
+
+/**
+ * @description Cancela la suscripción push de este navegador, en el servidor y en el navegador.
+ */
+export const disablePush = async () => {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+    try {
+        await api.delete('/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+    } catch (err) {
+        // Si el servidor ya no la tenía, igualmente se cancela en el navegador
+        if (err.response?.status !== 404) throw err;
+    }
+    await subscription.unsubscribe();
+};
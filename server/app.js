@@ -12,6 +12,22 @@ const { syncDatabase } = require('./models'); // Importa la función para sincro
 const authRoutes = require('./routes/authRoutes'); // Rutas de autenticación
 const jobRoutes = require('./routes/jobRoutes'); // Rutas de empleos
 const favoriteRoutes = require('./routes/favoriteRoutes'); // Rutas de favoritos
+const sourceRoutes = require('./routes/sourceRoutes'); // Rutas de fuentes de empleo
+const scrapeTaskRoutes = require('./routes/scrapeTaskRoutes'); // Rutas de tareas de scraping
+const adminRoutes = require('./routes/adminRoutes'); // Rutas de administración
+const currencyRoutes = require('./routes/currencyRoutes'); // Rutas de tasas de cambio
+const savedSearchRoutes = require('./routes/savedSearchRoutes'); // Rutas de búsquedas guardadas
+const notificationRoutes = require('./routes/notificationRoutes'); // Rutas del centro de notificaciones
+const eventRoutes = require('./routes/eventRoutes'); // Flujo de eventos en tiempo real
+const pushRoutes = require('./routes/pushRoutes'); // Suscripciones a las notificaciones push
+const { startScrapeWorkers } = require('./services/scrapeQueueService'); // Workers de la cola de scraping
+const { startScheduler } = require('./services/schedulerService'); // Planificador de scrapings recurrentes
+const { initCurrencyRates } = require('./services/currencyService'); // Tasas de cambio para comparar salarios
+const { startLifecycleSweeper } = require('./services/jobLifecycleService'); // Barrido de ofertas vencidas y cerradas
+const { startEnrichmentWorker } = require('./services/jobEnrichmentService'); // Lectura de las páginas de detalle
+const { startSnapshotPruner } = require('./services/pageSnapshotService'); // Limpieza del archivo de páginas descargadas
+const { startSavedSearchDigest } = require('./services/savedSearchService'); // Resúmenes por email de las búsquedas guardadas
+const { startNextStepReminders } = require('./services/applicationService'); // Recordatorios de los próximos pasos de las postulaciones
 
 const errorHandler = require('./utils/errorHandler'); // Middleware centralizado para el manejo de errores
 
@@ -66,6 +82,22 @@ app.use('/api/auth', authRoutes);
 app.use('/api/jobs', jobRoutes);
 // Define la ruta base '/api/favorites' para todas las rutas de empleos favoritos.
 app.use('/api/favorites', favoriteRoutes);
+// Define la ruta base '/api/sources' para consultar las fuentes de empleo y su cobertura.
+app.use('/api/sources', sourceRoutes);
+// Define la ruta base '/api/scrape-tasks' para consultar el estado de los scrapings en segundo plano.
+app.use('/api/scrape-tasks', scrapeTaskRoutes);
+// Define la ruta base '/api/currency-rates' para consultar las tasas de cambio.
+app.use('/api/currency-rates', currencyRoutes);
+// Define la ruta base '/api/saved-searches' para las búsquedas guardadas y sus alertas por email.
+app.use('/api/saved-searches', savedSearchRoutes);
+// Define la ruta base '/api/notifications' para el centro de notificaciones de cada usuario.
+app.use('/api/notifications', notificationRoutes);
+// Define la ruta base '/api/events' para el flujo de eventos en tiempo real (Server-Sent Events).
+app.use('/api/events', eventRoutes);
+// Define la ruta base '/api/push' para las suscripciones Web Push de los navegadores.
+app.use('/api/push', pushRoutes);
+// Define la ruta base '/api/admin' para las rutas reservadas a administradores.
+app.use('/api/admin', adminRoutes);
 
 // --- Documentación de Swagger UI ---
 
@@ -84,14 +116,38 @@ app.use(errorHandler);
 
 /**
  * Función asíncrona para iniciar el servidor Express.
- * Primero sincroniza los modelos de Sequelize con la base de datos,
- * y luego inicia el servidor para escuchar las peticiones HTTP.
+ * Primero sincroniza los modelos de Sequelize con la base de datos, arranca los workers
+ * de la cola de scraping, el planificador y el barrido de ofertas vencidas, y luego inicia el servidor para escuchar las peticiones HTTP.
  */
 async function startServer() {
-    // Sincroniza la base de datos (crea tablas si no existen, o altera si es necesario).
+    // Comprueba las migraciones de la base de datos (las aplica en desarrollo; en producción no arranca si hay pendientes).
     // Esto asegura que la DB esté lista antes de que la aplicación reciba peticiones.
     await syncDatabase();
 
+    // Carga las tasas de cambio del archivo local para convertir y comparar salarios.
+    await initCurrencyRates();
+
+    // Inicia los workers que procesan la cola de scraping fuera del ciclo de las peticiones HTTP.
+    await startScrapeWorkers();
+
+    // Inicia el planificador que vuelve a raspar periódicamente las búsquedas programadas.
+    await startScheduler();
+
+    // Inicia el barrido que marca como vencidas o cerradas las ofertas que ya no se publican.
+    startLifecycleSweeper();
+
+    // Inicia la segunda pasada que completa las ofertas con su página de detalle (si está activada).
+    startEnrichmentWorker();
+
+    // Inicia la limpieza periódica de las páginas archivadas más antiguas que la retención configurada.
+    startSnapshotPruner();
+
+    // Inicia el envío periódico de las ofertas nuevas de las búsquedas guardadas por email.
+    startSavedSearchDigest();
+
+    // Inicia los recordatorios de los próximos pasos de las postulaciones.
+    startNextStepReminders();
+
     // Inicia el servidor y lo pone a escuchar en el puerto especificado.
     app.listen(PORT, () => {
         console.log(`Servidor backend corriendo en http://localhost:${PORT}`);
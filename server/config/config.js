@@ -10,6 +10,16 @@ module.exports = {
         dialect: 'postgres',
         logging: false, // Desactiva el log de SQL en consola para desarrollo
     },
+    // Usada por Jest (NODE_ENV=test). Las pruebas unitarias no abren conexiones a la DB.
+    test: {
+        username: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_TEST_NAME || process.env.DB_NAME,
+        host: process.env.DB_HOST,
+        port: process.env.DB_PORT,
+        dialect: 'postgres',
+        logging: false,
+    },
     production: {
         username: process.env.DB_USER,
         password: process.env.DB_PASSWORD,
@@ -0,0 +1,154 @@
+// server/config/migrator.js
+// Migraciones versionadas de la base de datos (umzug), con el formato de sequelize-cli: cada archivo de
+// `migrations/` exporta `up(queryInterface, Sequelize)` y `down(queryInterface, Sequelize)`
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { Umzug, SequelizeStorage } = require('umzug');
+const { sequelize } = require('./database');
+
+// Tabla donde se registran las migraciones aplicadas (la misma que usa sequelize-cli).
+const MIGRATIONS_TABLE = 'SequelizeMeta';
+// Esquemas que pudo dejar `sequelize.sync({ alter: true })` antes de usar migraciones, con las migraciones que
+// crean cada uno; ver `baselineExistingDatabase`. Las columnas de cada tabla deben coincidir con las que crean esas
+// migraciones (lo comprueba tests/migrations/migrations.test.js).
+const BASELINE_TABLES = {
+    users: [
+        'id', 'username', 'email', 'password', 'role', 'googleId', 'githubId', 'provider', 'providerId',
+        'verificationToken', 'profilePicture', 'settings', 'createdAt', 'updatedAt',
+    ],
+    jobs: [
+        'id', 'title', 'companyName', 'description', 'salary', 'experienceRequired', 'requirements', 'modality',
+        'employmentType', 'location', 'creationDate', 'deadlineDate', 'postedAt', 'sourceUrl', 'sourceName', 'country',
+        'createdAt', 'updatedAt',
+    ],
+    favorite_jobs: ['id', 'userId', 'jobId', 'createdAt', 'updatedAt'],
+    job_applications: ['id', 'userId', 'jobId', 'status', 'applicationDate', 'createdAt', 'updatedAt'],
+};
+const SYNC_SCHEMAS = [
+    {
+        // Los modelos originales.
+        migrations: ['20261019120000-initial-schema.js'],
+        tables: BASELINE_TABLES,
+    },
+    {
+        // Los modelos justo antes de las migraciones.
+        migrations: ['20261019120000-initial-schema.js', '20261019120010-add-scraping-and-search-schema.js'],
+        tables: {
+            ...BASELINE_TABLES,
+            jobs: [
+                ...BASELINE_TABLES.jobs, 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod', 'clusterId',
+                'isCanonical', 'status', 'lastSeenAt', 'lastCheckedAt', 'isEnriched', 'enrichedAt', 'enrichmentAttempts',
+                'searchVector',
+            ],
+            job_clusters: [
+                'id', 'fingerprint', 'normalizedTitle', 'normalizedCompany', 'normalizedLocation', 'country',
+                'canonicalJobId', 'jobCount', 'createdAt', 'updatedAt',
+            ],
+            scrape_tasks: [
+                'id', 'keyword', 'countries', 'status', 'attempts', 'maxAttempts', 'runAfter', 'startedAt', 'finishedAt',
+                'jobsFound', 'lastError', 'requestedBy', 'createdAt', 'updatedAt',
+            ],
+            scrape_schedules: [
+                'id', 'keyword', 'countries', 'cronExpression', 'active', 'nextRunAt', 'lastRunAt', 'lastStatus',
+                'lastNewJobs', 'lastUpdatedJobs', 'lastError', 'totalRuns', 'failureCount', 'createdBy', 'createdAt', 'updatedAt',
+            ],
+            source_health_runs: [
+                'id', 'sourceId', 'country', 'keyword', 'itemsFound', 'itemsSkipped', 'parseErrors', 'httpFailed',
+                'durationMs', 'rollingAverage', 'degraded', 'createdAt',
+            ],
+            currency_rates: ['currency', 'unitsPerUsd', 'source', 'createdAt', 'updatedAt'],
+            job_status_changes: ['id', 'jobId', 'fromStatus', 'toStatus', 'reason', 'createdAt'],
+            page_snapshots: ['id', 'url', 'fetchedAt', 'sourceName', 'kind', 'country', 'keyword', 'content', 'contentLength'],
+        },
+    },
+];
+
+const migrator = new Umzug({
+    migrations: {
+        glob: ['migrations/*.js', { cwd: path.join(__dirname, '..') }],
+        resolve: ({ name, path: migrationPath, context }) => {
+            const migration = require(migrationPath);
+            return {
+                name,
+                up: () => migration.up(context, Sequelize),
+                down: () => migration.down(context, Sequelize),
+            };
+        },
+    },
+    context: sequelize.getQueryInterface(),
+    storage: new SequelizeStorage({ sequelize, tableName: MIGRATIONS_TABLE }),
+    logger: {
+        info: ({ event, name, durationSeconds }) => {
+            if (event === 'migrated') console.log(`[MIGRATIONS] ${name} aplicada (${durationSeconds}s).`);
+            if (event === 'reverted') console.log(`[MIGRATIONS] ${name} revertida (${durationSeconds}s).`);
+        },
+        warn: (message) => console.warn('[MIGRATIONS]', message),
+        error: (message) => console.error('[MIGRATIONS]', message),
+        debug: () => {},
+    },
+});
+
+/**
+ * Indica si las tablas de la base de datos son exactamente las de un esquema, con las mismas columnas.
+ * @param {Object<string, string[]>} existing - Tabla -> columnas de la base de datos.
+ * @param {Object<string, string[]>} expected - Tabla -> columnas del esquema.
+ * @returns {boolean}
+ */
+function matchesSchema(existing, expected) {
+    const sameSet = (a, b) => a.length === b.length && a.every(value => b.includes(value));
+    return sameSet(Object.keys(existing), Object.keys(expected))
+        && Object.entries(expected).every(([table, columns]) => sameSet(existing[table], columns));
+}
+
+/**
+ * Adopta una base de datos creada antes de las migraciones con `sequelize.sync({ alter: true })`: si ya tiene
+ * tablas pero ninguna migración registrada, se comparan sus tablas y columnas con cada esquema de `SYNC_SCHEMAS`
+ * y las migraciones del que coincide se marcan como aplicadas sin ejecutarse. Las posteriores se aplican con
+ * normalidad.
+ * @returns {Promise<boolean>} Si se adoptó la base de datos.
+ * @throws {Error} Si la base de datos tiene tablas que no coinciden con ningún esquema conocido.
+ */
+async function baselineExistingDatabase() {
+    const executed = await migrator.executed();
+    if (executed.length > 0) return false;
+
+    const queryInterface = sequelize.getQueryInterface();
+    const tables = (await queryInterface.showAllTables())
+        .map(table => table.tableName || table)
+        .filter(table => table !== MIGRATIONS_TABLE);
+    if (tables.length === 0) return false;
+
+    const existing = {};
+    for (const table of tables) {
+        existing[table] = Object.keys(await queryInterface.describeTable(table));
+    }
+    const schema = SYNC_SCHEMAS.find(candidate => matchesSchema(existing, candidate.tables));
+    if (!schema) {
+        throw new Error(`La base de datos tiene tablas (${tables.join(', ')}) pero ninguna migración registrada, y su esquema `
+            + 'no coincide con ninguna versión creada con sync. Revísala y marca a mano las migraciones que ya tiene aplicadas.');
+    }
+
+    const storage = new SequelizeStorage({ sequelize, tableName: MIGRATIONS_TABLE });
+    for (const name of schema.migrations) {
+        await storage.logMigration({ name });
+    }
+    const marked = schema.migrations.length === 1 ? 'se marca como aplicada' : 'se marcan como aplicadas';
+    console.log(`[MIGRATIONS] Base de datos creada con sync: ${schema.migrations.join(', ')} ${marked}.`);
+    return true;
+}
+
+/**
+ * @returns {Promise<{executed: string[], pending: string[]}>} Las migraciones aplicadas y pendientes, en orden.
+ */
+async function getMigrationStatus() {
+    await baselineExistingDatabase();
+    const [executed, pending] = await Promise.all([migrator.executed(), migrator.pending()]);
+    return { executed: executed.map(m => m.name), pending: pending.map(m => m.name) };
+}
+
+module.exports = {
+    migrator,
+    SYNC_SCHEMAS,
+    baselineExistingDatabase,
+    getMigrationStatus,
+};
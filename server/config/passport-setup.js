@@ -14,7 +14,7 @@ passport.use(new JwtStrategy({
 }, async (payload, done) => {
     try {
         const user = await User.findByPk(payload.id);
-        if (user) {
+        if (user && !user.isDisabled) {
         return done(null, user);
         }
         return done(null, false);
@@ -53,13 +53,14 @@ passport.use(new GoogleStrategy(
             let user = await User.findOne({ where: { googleId: profile.id } });
 
             if (user) {
-                // Si el usuario ya existe con este googleId, lo devuelve
-                done(null, user);
+                // Si el usuario ya existe con este googleId, lo devuelve (salvo que su cuenta esté desactivada)
+                done(null, user.isDisabled ? false : user);
             } else {
                 // Si no existe, verifica si hay un usuario con el mismo email para vincular
                 user = await User.findOne({ where: { email: profile.emails[0].value } });
 
                 if (user) {
+                    if (user.isDisabled) return done(null, false); // Cuenta desactivada por un administrador
                      // Si existe un usuario con el mismo email, vincular la cuenta de Google
                     user.googleId = profile.id;
                     await user.save();
@@ -98,7 +99,7 @@ passport.use(new GitHubStrategy(
             let user = await User.findOne({ where: { githubId: profile.id } });
 
             if (user) {
-                done(null, user);
+                done(null, user.isDisabled ? false : user); // Una cuenta desactivada no puede iniciar sesión
             } else {
                 // GitHub puede no devolver el email en el perfil directamente, puede requerir una llamada a la API o un scope específico.
                 // Si el email no está en profile.emails, puedes intentar obtenerlo de profile._json.email
@@ -114,6 +115,7 @@ passport.use(new GitHubStrategy(
                 user = await User.findOne({ where: { email: userEmail } });
 
                 if (user) {
+                    if (user.isDisabled) return done(null, false); // Cuenta desactivada por un administrador
                     // Vincular la cuenta de GitHub
                     user.githubId = profile.id;
                     await user.save();
@@ -0,0 +1,327 @@
+// server/controllers/adminController.js
+// Lógica de la API de administración: usuarios, moderación de ofertas, scrapings manuales y estadísticas
+const { User, Job } = require('../models');
+const adminService = require('../services/adminService');
+const scrapeQueueService = require('../services/scrapeQueueService');
+const jobEnrichmentService = require('../services/jobEnrichmentService');
+const sourceRegistry = require('../services/sourceRegistry');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Longitud máxima del motivo de una desactivación u ocultación (columna STRING).
+const MAX_REASON_LENGTH = 255;
+
+/**
+ * Valida el motivo opcional de una acción de moderación.
+ * @param {*} reason - Valor recibido en el body.
+ * @returns {{reason: string|null, error: string|null}}
+ */
+function parseReason(reason) {
+    if (reason === undefined || reason === null || reason === '') return { reason: null, error: null };
+    if (typeof reason !== 'string' || reason.trim().length > MAX_REASON_LENGTH) {
+        return { reason: null, error: `El motivo debe ser un texto de hasta ${MAX_REASON_LENGTH} caracteres.` };
+    }
+    return { reason: reason.trim(), error: null };
+}
+
+/**
+ * @route GET /api/admin/users
+ * @desc Lista los usuarios, del más reciente al más antiguo. Filtros opcionales: `q` (nombre de usuario
+ * o email), `role` y `status` ('active' o 'disabled'), con paginación `page` / `limit`.
+ * @access Private (solo administradores)
+ */
+exports.listUsers = async (req, res, next) => {
+    try {
+        const { q, role, status, page, limit } = req.query;
+        if (role && !adminService.ROLES.includes(role)) {
+            return res.status(400).json({ message: `Rol no válido. Valores admitidos: ${adminService.ROLES.join(', ')}.` });
+        }
+        if (status && !['active', 'disabled'].includes(status)) {
+            return res.status(400).json({ message: 'Estado no válido. Valores admitidos: active, disabled.' });
+        }
+
+        const { users, total, page: currentPage, totalPages } = await adminService.searchUsers({ q, role, status, page, limit });
+
+        res.status(200).json({
+            message: 'Usuarios obtenidos exitosamente.',
+            totalResults: total,
+            currentPage,
+            totalPages,
+            users,
+        });
+    } catch (error) {
+        logWarn('Error en listUsers:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route PATCH /api/admin/users/:id
+ * @desc Cambia el rol de un usuario (`role`) o desactiva / reactiva su cuenta (`disabled`, con `reason`
+ * opcional). Una cuenta desactivada no puede iniciar sesión y sus tokens dejan de ser válidos.
+ * Un administrador no puede cambiar su propio rol ni desactivar su propia cuenta.
+ * @access Private (solo administradores)
+ */
+exports.updateUser = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { role, disabled } = req.body;
+
+        const changes = {};
+        if (role !== undefined) {
+            if (!adminService.ROLES.includes(role)) {
+                return res.status(400).json({ message: `Rol no válido. Valores admitidos: ${adminService.ROLES.join(', ')}.` });
+            }
+            changes.role = role;
+        }
+        if (disabled !== undefined) {
+            if (typeof disabled !== 'boolean') {
+                return res.status(400).json({ message: 'El campo disabled debe ser true o false.' });
+            }
+            const { reason, error: reasonError } = parseReason(req.body.reason);
+            if (reasonError) {
+                return res.status(400).json({ message: reasonError });
+            }
+            Object.assign(changes, disabled
+                ? { isDisabled: true, disabledAt: new Date(), disabledReason: reason }
+                : { isDisabled: false, disabledAt: null, disabledReason: null });
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ message: 'No se indicaron cambios. Campos admitidos: role, disabled, reason.' });
+        }
+        if (id === req.user.id) {
+            return res.status(400).json({ message: 'No puedes cambiar el rol ni desactivar tu propia cuenta.' });
+        }
+
+        const user = await User.findByPk(id, { attributes: adminService.USER_ADMIN_ATTRIBUTES });
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+        // Desactivar una cuenta ya desactivada solo cambia el motivo: conserva la fecha original.
+        if (changes.isDisabled === true && user.isDisabled) {
+            delete changes.disabledAt;
+        }
+        await user.update(changes);
+        logInfo(`[ADMIN] ${req.user.username || req.user.id} actualizó el usuario ${user.id}: ${JSON.stringify(changes)}`);
+
+        res.status(200).json({
+            message: 'Usuario actualizado exitosamente.',
+            user,
+        });
+    } catch (error) {
+        logWarn('Error en updateUser:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc Lista las ofertas para moderarlas, incluidas las ocultas, las duplicadas y las inactivas.
+ * Filtros opcionales: `q` (título o empresa), `hidden` ('true' o 'false'), `status` y `sourceName`,
+ * con paginación `page` / `limit`.
+ * @access Private (solo administradores)
+ */
+exports.listJobs = async (req, res, next) => {
+    try {
+        const { q, hidden, status, sourceName, page, limit } = req.query;
+        if (hidden !== undefined && !['true', 'false'].includes(hidden)) {
+            return res.status(400).json({ message: 'El filtro hidden debe ser true o false.' });
+        }
+        if (status && !['active', 'expired', 'closed'].includes(status)) {
+            return res.status(400).json({ message: 'Estado no válido. Valores admitidos: active, expired, closed.' });
+        }
+
+        const { jobs, total, page: currentPage, totalPages } = await adminService.searchJobs({
+            q,
+            hidden: hidden === undefined ? undefined : hidden === 'true',
+            status,
+            sourceName,
+            page,
+            limit,
+        });
+
+        res.status(200).json({
+            message: 'Empleos obtenidos exitosamente.',
+            totalResults: total,
+            currentPage,
+            totalPages,
+            jobs,
+        });
+    } catch (error) {
+        logWarn('Error en listJobs (admin):', error);
+        next(error);
+    }
+};
+
+/**
+ * @route PATCH /api/admin/jobs/:id
+ * @desc Oculta una oferta de la búsqueda (`hidden: true`, con `reason` opcional) o la vuelve a mostrar.
+ * Una oferta oculta sigue oculta aunque los scrapings la vuelvan a encontrar.
+ * @access Private (solo administradores)
+ */
+exports.updateJob = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { hidden } = req.body;
+
+        if (typeof hidden !== 'boolean') {
+            return res.status(400).json({ message: 'Se requiere el campo hidden (true o false).' });
+        }
+        const { reason, error: reasonError } = parseReason(req.body.reason);
+        if (reasonError) {
+            return res.status(400).json({ message: reasonError });
+        }
+
+        const job = await Job.findByPk(id);
+        if (!job) {
+            return res.status(404).json({ message: 'Empleo no encontrado.' });
+        }
+        await adminService.setJobHidden(job, { hidden, reason });
+
+        res.status(200).json({
+            message: hidden ? 'Empleo ocultado exitosamente.' : 'Empleo visible de nuevo.',
+            job,
+        });
+    } catch (error) {
+        logWarn('Error en updateJob (admin):', error);
+        next(error);
+    }
+};
+
+/**
+ * @route DELETE /api/admin/jobs/:id
+ * @desc Elimina una oferta con sus favoritos, postulaciones e historial de estados.
+ * @access Private (solo administradores)
+ */
+exports.deleteJob = async (req, res, next) => {
+    try {
+        const job = await Job.findByPk(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Empleo no encontrado.' });
+        }
+        await adminService.deleteJob(job);
+
+        res.status(200).json({
+            message: 'Empleo eliminado exitosamente.',
+        });
+    } catch (error) {
+        logWarn('Error en deleteJob (admin):', error);
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/admin/jobs/:id/enrich
+ * @desc Vuelve a leer la página de detalle de una oferta y guarda los datos que aporte, aunque ya se
+ * hubiera completado o agotado sus intentos (ver jobEnrichmentService). Espera a que termine la lectura.
+ * @access Private (solo administradores)
+ */
+exports.enrichJob = async (req, res, next) => {
+    try {
+        const job = await Job.findByPk(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Empleo no encontrado.' });
+        }
+        const source = sourceRegistry.getSourceByName(job.sourceName);
+        if (!source || typeof source.parseDetail !== 'function') {
+            return res.status(400).json({ message: `La fuente ${job.sourceName} no permite leer las páginas de detalle.` });
+        }
+
+        const enriched = await jobEnrichmentService.enrichJob(job);
+        if (!enriched) {
+            return res.status(502).json({ message: 'No se pudo leer la página de detalle de la oferta. Inténtalo más tarde.' });
+        }
+
+        res.status(200).json({
+            message: 'Empleo completado con su página de detalle.',
+            job,
+        });
+    } catch (error) {
+        logWarn('Error en enrichJob (admin):', error);
+        next(error);
+    }
+};
+
+/**
+ * @route GET /api/admin/scrape-tasks
+ * @desc Lista las tareas de scraping que encolan las búsquedas y los scrapings manuales, de la más
+ * reciente a la más antigua. Filtro opcional `status`, con paginación `page` / `limit`.
+ * @access Private (solo administradores)
+ */
+exports.listScrapeTasks = async (req, res, next) => {
+    try {
+        const { status, page, limit } = req.query;
+        if (status && !['pending', 'running', 'completed', 'failed'].includes(status)) {
+            return res.status(400).json({ message: 'Estado no válido. Valores admitidos: pending, running, completed, failed.' });
+        }
+
+        const { tasks, total, page: currentPage, totalPages } = await adminService.listScrapeTasks({ status, page, limit });
+
+        res.status(200).json({
+            message: 'Tareas de scraping obtenidas exitosamente.',
+            totalResults: total,
+            currentPage,
+            totalPages,
+            tasks,
+        });
+    } catch (error) {
+        logWarn('Error en listScrapeTasks:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/admin/scrape-tasks
+ * @desc Encola un scraping para una palabra clave y sus países, aunque la búsqueda ya se haya raspado
+ * hace poco (solo se reutiliza una tarea equivalente pendiente o en curso). El estado se consulta con
+ * GET /api/scrape-tasks/:id.
+ * @access Private (solo administradores)
+ */
+exports.triggerScrape = async (req, res, next) => {
+    try {
+        const { keyword, countries } = req.body;
+
+        if (!keyword || typeof keyword !== 'string' || !keyword.trim()) {
+            return res.status(400).json({ message: 'Se requiere una palabra clave.' });
+        }
+        const countryList = (Array.isArray(countries) ? countries.map(String) : String(countries || '').split(','))
+            .map(country => country.trim().toLowerCase())
+            .filter(Boolean);
+        if (countryList.length === 0) {
+            return res.status(400).json({ message: 'Se requiere al menos un país.' });
+        }
+        const supportedCountries = sourceRegistry.getSupportedCountries();
+        const unsupported = countryList.filter(country => !supportedCountries.includes(country));
+        if (unsupported.length > 0) {
+            return res.status(400).json({ message: `Países no admitidos por ninguna fuente: ${unsupported.join(', ')}` });
+        }
+
+        const task = await scrapeQueueService.enqueueScrapeTask(keyword, countryList, { requestedBy: req.user.id, force: true });
+
+        res.status(202).json({
+            message: 'Scraping encolado exitosamente.',
+            task,
+        });
+    } catch (error) {
+        logWarn('Error en triggerScrape:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route GET /api/admin/stats
+ * @desc Estadísticas básicas de la plataforma: usuarios, ofertas, tareas de scraping, favoritos y postulaciones.
+ * @access Private (solo administradores)
+ */
+exports.getStats = async (req, res, next) => {
+    try {
+        const stats = await adminService.getPlatformStats();
+
+        res.status(200).json({
+            message: 'Estadísticas obtenidas exitosamente.',
+            stats,
+        });
+    } catch (error) {
+        logWarn('Error en getStats:', error);
+        next(error);
+    }
+};
@@ -6,6 +6,8 @@ const { User, JobApplication, Job } = require('../models'); // / Importa el mode
 const fs = require('fs'); // Módulo de Node.js para manejar el sistema de archivos
 const path = require('path'); // Módulo de Node.js para manejar rutas de archivos
 const { Op } = require('sequelize'); // Importa Op para operaciones de Sequelize
+const currencyService = require('../services/currencyService'); // Monedas disponibles para la preferencia de moneda
+const applicationService = require('../services/applicationService'); // Seguimiento de las postulaciones
 
 /**
  * Función auxiliar para generar un JSON Web Token (JWT).
@@ -128,10 +130,15 @@ exports.login = async (req, res, next) => {
             return res.status(400).json({ message: 'Credenciales inválidas. Contraseña incorrecta.' });
         }
 
-        // 3. Si las credenciales son válidas, generar un token JWT para el usuario
+        // 3. Una cuenta desactivada por un administrador no puede iniciar sesión
+        if (user.isDisabled) {
+            return res.status(403).json({ message: 'Tu cuenta ha sido desactivada. Contacta con un administrador.' });
+        }
+
+        // 4. Si las credenciales son válidas, generar un token JWT para el usuario
         const token = generateToken(user);
 
-        // 4. Enviar una respuesta exitosa (código 200 OK) con el token y los datos del usuario
+        // 5. Enviar una respuesta exitosa (código 200 OK) con el token y los datos del usuario
         res.status(200).json({
             message: '¡Inicio de sesión exitoso!',
             token, // El token JWT
@@ -424,10 +431,11 @@ exports.getUserSettings = async (req, res, next) => {
         }
 
         // Configuración por defecto si no existe
+        const userSettings = user.settings || {};
         const defaultSettings = {
             notifications: {
                 email: true,
-                push: true,
+                push: userSettings.pushNotifications === true, // Las notificaciones push empiezan desactivadas
                 news: true
             },
             privacy: {
@@ -437,11 +445,13 @@ exports.getUserSettings = async (req, res, next) => {
             appearance: {
                 theme: 'light',
                 fontSize: 'medium'
+            },
+            preferences: {
+                currency: currencyService.DEFAULT_CURRENCY // Moneda en la que se muestran los salarios
             }
         };
 
         // Fusionar con configuración por defecto si es necesario
-        const userSettings = user.settings || {};
         const mergedSettings = {
             ...defaultSettings,
             ...userSettings
@@ -491,7 +501,7 @@ exports.updateUserSettings = async (req, res, next) => {
         }
 
         // Validar estructura de settings
-        const validSections = ['notifications', 'privacy', 'appearance'];
+        const validSections = ['notifications', 'privacy', 'appearance', 'preferences'];
         const invalidSections = Object.keys(newSettings).filter(
             key => !validSections.includes(key)
         );
@@ -524,6 +534,16 @@ exports.updateUserSettings = async (req, res, next) => {
             }
         }
 
+        if (newSettings.preferences?.currency !== undefined) {
+            const rates = await currencyService.getRates();
+            if (!rates[newSettings.preferences.currency]) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Moneda no válida: ${newSettings.preferences.currency}. Las monedas disponibles se consultan en /api/currency-rates.`
+                });
+            }
+        }
+
         // Actualizar en base de datos
         const user = await User.findByPk(userId);
         if (!user) {
@@ -587,7 +607,7 @@ exports.updateUserSettings = async (req, res, next) => {
  *     "id": "567e4567-e89b-12d3-a456-426614174000",
  *     "userId": "123e4567-e89b-12d3-a456-426614174000",
  *     "jobId": "123e4567-e89b-12d3-a456-426614174000",
- *     "status": "pending",
+ *     "status": "applied",
  *     "applicationDate": "2023-12-31T00:00:00.000Z"
  *   }
  * }
@@ -601,30 +621,21 @@ exports.createApplication = async (req, res, next) => {
             return res.status(400).json({ message: 'El ID del trabajo es requerido.' });
         }
 
-        // Verificar si el usuario ya ha registrado una postulación para este trabajo
-        const existingApplication = await JobApplication.findOne({
-            where: { userId, jobId }
-        });
+        // Si el usuario ya había registrado una postulación para este trabajo, se devuelve la existente.
+        // No queremos crear duplicados si el usuario hace clic varias veces.
+        // Las nuevas empiezan en la etapa 'applied', que es también el primer paso de su línea de tiempo.
+        const { application, created } = await applicationService.createApplication(userId, jobId);
 
-        if (existingApplication) {
-            // Si ya existe un registro de postulación, simplemente devuelve un mensaje de éxito/información.
-            // No queremos crear duplicados si el usuario hace clic varias veces.
+        if (!created) {
             return res.status(200).json({
                 message: 'Ya has registrado una postulación para este trabajo a través de nuestra plataforma.',
-                application: existingApplication
+                application
             });
         }
 
-        const newApplication = await JobApplication.create({
-            userId,
-            jobId,
-            status: 'pending', // Estado por defecto: 'pending' (significa, registrado de tu lado, esperando acción/cambio de estado externo)
-            applicationDate: new Date()
-        });
-
         res.status(201).json({
             message: 'Postulación registrada exitosamente en nuestra plataforma.',
-            application: newApplication
+            application
         });
 
     } catch (error) {
@@ -664,8 +675,10 @@ exports.createApplication = async (req, res, next) => {
  *       "id": "550e8400-e29b-41d4-a716-446655440000",
  *       "userId": "123e4567-e89b-12d3-a456-426614174000",
  *       "jobId": "789e0123-e89b-12d3-a456-426614174000",
- *       "status": "pending",
+ *       "status": "interview",
  *       "applicationDate": "2023-12-31T00:00:00.000Z",
+ *       "nextStep": "Entrevista técnica",
+ *       "nextStepAt": "2024-01-10T15:00:00.000Z",
  *       "Job": {
  *         "id": "789e0123-e89b-12d3-a456-426614174000",
  *         "title": "Desarrollador Frontend",
@@ -685,12 +698,7 @@ exports.getAppliedJobs = async (req, res, next) => {
             where: { userId },
             include: [{
                 model: Job, // Esto incluye el objeto completo del Job anidado dentro de cada postulación
-                attributes: [ // Lista los atributos del Job que deseas incluir para no sobrecargar
-                    'id', 'title', 'companyName', 'location', 'country',
-                    'employmentType', 'description', 'postedAt', 'sourceUrl', 'sourceName',
-                    'salary', 'experienceRequired', 'requirements', 'modality',
-                    'creationDate', 'deadlineDate'
-                ]
+                attributes: applicationService.JOB_ATTRIBUTES // Solo los atributos del Job que se muestran, para no sobrecargar
             }],
             order: [['applicationDate', 'DESC']] // Ordena por fecha de postulación descendente
         });
@@ -706,6 +714,83 @@ exports.getAppliedJobs = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc Obtiene una postulación del usuario autenticado con los detalles de la oferta y su línea de tiempo
+ *       (los cambios de etapa, del más antiguo al más reciente).
+ * @route GET /auth/applications/:id
+ * @access Private (Requiere autenticación; solo sus propias postulaciones)
+ */
+exports.getApplication = async (req, res, next) => {
+    try {
+        const application = await applicationService.findApplication(req.user.id, req.params.id);
+        if (!application) {
+            return res.status(404).json({ message: 'Postulación no encontrada.' });
+        }
+
+        res.status(200).json({
+            message: 'Postulación obtenida exitosamente.',
+            application
+        });
+    } catch (error) {
+        console.error('Error al obtener la postulación:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc Actualiza el seguimiento de una postulación del usuario autenticado: etapa (`status`), notas, persona
+ *       de contacto y próximo paso. Cada cambio de etapa queda en la línea de tiempo, con el comentario `note`.
+ * @route PATCH /auth/applications/:id
+ * @access Private (Requiere autenticación; solo sus propias postulaciones)
+ *
+ * @returns {Object} Respuesta JSON con:
+ * - 200 OK: La postulación actualizada, con su línea de tiempo.
+ * - 400 Bad Request: Etapa, email o fecha no válidos, o ningún cambio.
+ * - 404 Not Found: La postulación no existe o es de otro usuario.
+ */
+exports.updateApplication = async (req, res, next) => {
+    try {
+        const { values, note, error } = applicationService.parseApplicationUpdate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const application = await JobApplication.findOne({ where: { id: req.params.id, userId: req.user.id } });
+        if (!application) {
+            return res.status(404).json({ message: 'Postulación no encontrada.' });
+        }
+
+        await applicationService.updateApplication(application, values, { note });
+
+        res.status(200).json({
+            message: 'Postulación actualizada exitosamente.',
+            application: await applicationService.findApplication(req.user.id, application.id)
+        });
+    } catch (error) {
+        console.error('Error al actualizar la postulación:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc Elimina una postulación del usuario autenticado junto con su línea de tiempo.
+ * @route DELETE /auth/applications/:id
+ * @access Private (Requiere autenticación; solo sus propias postulaciones)
+ */
+exports.deleteApplication = async (req, res, next) => {
+    try {
+        const deleted = await JobApplication.destroy({ where: { id: req.params.id, userId: req.user.id } });
+        if (!deleted) {
+            return res.status(404).json({ message: 'Postulación no encontrada.' });
+        }
+
+        res.status(200).json({ message: 'Postulación eliminada exitosamente.' });
+    } catch (error) {
+        console.error('Error al eliminar la postulación:', error);
+        next(error);
+    }
+};
+
 /**
  * @async
  * Actualiza la contraseña del usuario
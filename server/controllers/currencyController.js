@@ -0,0 +1,69 @@
+// server/controllers/currencyController.js
+// Lógica para consultar y administrar las tasas de cambio
+const currencyService = require('../services/currencyService');
+const { logWarn } = require('../utils/helpers');
+
+/**
+ * @route GET /api/currency-rates
+ * @desc Lista las tasas de cambio vigentes y la moneda por defecto, para elegir la moneda preferida.
+ * @access Public
+ */
+exports.listRates = async (req, res, next) => {
+    try {
+        const rates = await currencyService.listRates();
+
+        res.status(200).json({
+            message: 'Tasas de cambio obtenidas exitosamente.',
+            baseCurrency: currencyService.BASE_CURRENCY,
+            defaultCurrency: currencyService.DEFAULT_CURRENCY,
+            rates,
+        });
+    } catch (error) {
+        logWarn('Error en listRates:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route PUT /api/admin/currency-rates
+ * @desc Fija una o varias tasas de cambio. Prevalecen sobre las del archivo local hasta que se recargue.
+ * @access Private (solo administradores)
+ */
+exports.updateRates = async (req, res, next) => {
+    try {
+        const rates = req.body?.rates;
+        const error = currencyService.validateRates(rates);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const currencies = await currencyService.setRates(rates);
+
+        res.status(200).json({
+            message: `Tasas de cambio actualizadas: ${currencies.join(', ')}.`,
+            rates: await currencyService.listRates(),
+        });
+    } catch (error) {
+        logWarn('Error en updateRates:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/admin/currency-rates/reload
+ * @desc Vuelve a cargar las tasas del archivo local, sobrescribiendo también las fijadas por un administrador.
+ * @access Private (solo administradores)
+ */
+exports.reloadRates = async (req, res, next) => {
+    try {
+        const currencies = await currencyService.loadRatesFromFile({ keepAdminRates: false });
+
+        res.status(200).json({
+            message: `Tasas de cambio recargadas desde el archivo: ${currencies.join(', ')}.`,
+            rates: await currencyService.listRates(),
+        });
+    } catch (error) {
+        logWarn('Error en reloadRates:', error);
+        next(error);
+    }
+};
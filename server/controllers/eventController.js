@@ -0,0 +1,20 @@
+// server/controllers/eventController.js
+// Flujo de eventos en tiempo real de cada usuario (Server-Sent Events)
+const realtimeService = require('../services/realtimeService');
+const { logWarn } = require('../utils/helpers');
+
+/**
+ * @route GET /api/events
+ * @desc Abre un flujo de Server-Sent Events para el usuario autenticado. La respuesta no termina: envía el
+ * progreso de sus tareas de scraping ('scrape-status', 'scrape-progress') y sus notificaciones nuevas
+ * ('notification') hasta que el cliente cierra la conexión.
+ * @access Private (usuarios registrados; el token puede ir en `?access_token=`)
+ */
+exports.streamEvents = (req, res, next) => {
+    try {
+        realtimeService.openStream(req, res);
+    } catch (error) {
+        logWarn('Error en streamEvents:', error);
+        next(error);
+    }
+};
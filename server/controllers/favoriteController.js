@@ -20,7 +20,7 @@ exports.addFavoriteJob = async (req, res, next) => {
 
         // 1. Verificar si el empleo existe
         const job = await Job.findByPk(jobId);
-        if (!job) {
+        if (!job || job.isHidden) {
             return res.status(404).json({ message: 'El empleo que intentas agregar a favoritos no existe.' });
         }
 
@@ -1,107 +1,118 @@
 // server/controllers/jobController.js
 // Lógica para obtener empleos, buscar, filtrar
-const { Job, User } = require('../models'); // Importa el modelo Job y User
-const scrapingService = require('../services/scrapingService'); // Importa el servicio de scraping
+const { Job, User, JobCluster, JobStatusChange } = require('../models'); // Importa los modelos de empleos y usuarios
+const scrapeQueueService = require('../services/scrapeQueueService'); // Cola de tareas de scraping en segundo plano
+const jobSearchService = require('../services/jobSearchService'); // Búsqueda de texto completo
+const currencyService = require('../services/currencyService'); // Conversión de salarios entre monedas
+const jobDedupService = require('../services/jobDedupService'); // Clusters de publicaciones duplicadas
+const realtimeService = require('../services/realtimeService'); // Eventos en tiempo real para el cliente
 const { Op } = require('sequelize');
 const { logInfo, logWarn } = require('../utils/helpers');
 
 /**
  * @route GET /api/jobs
- * @desc Busca empleos basados en parámetros de consulta (keyword, country, page, limit)
- * y maneja la lógica de scraping si no hay empleos en la DB o si se fuerza la búsqueda.
+ * @desc Busca empleos basados en parámetros de consulta (keyword, country, page, limit, sort).
+ * La palabra clave se busca con texto completo (español e inglés) y, por defecto, los resultados
+ * se ordenan por relevancia; con `sort=date` se ordenan por fecha de registro y con `sort=salary`,
+ * por salario mensual normalizado.
+ * Filtros opcionales: modality, experience, sourceName (listas separadas por coma),
+ * postedWithinDays, salaryMin y salaryMax. Las ofertas vencidas o cerradas solo se incluyen con
+ * `includeInactive=true`.
+ * Cada empleo incluye `convertedSalary` en la moneda del parámetro `currency`, en la preferencia
+ * `preferences.currency` del usuario autenticado o en la moneda por defecto.
+ * Se devuelve una tarjeta por vacante (la publicación canónica de su cluster) con `postings`:
+ * todas las publicaciones de esa vacante en las distintas fuentes.
+ * Responde de inmediato con los empleos ya almacenados en la DB; si no hay suficientes,
+ * encola una tarea de scraping en segundo plano y devuelve su ID para que el cliente la consulte.
  * @access Public (invitado) o Autenticado (usuario)
  */
 exports.searchJobs = async (req, res, next) => {
     let keyword;
     let countriesInput; // Renombrado para evitar conflicto con el array 'countries'
+    let countries;
     let page;
     let limit;
+    let sort;
 
     try {
-        ({ keyword, country: countriesInput, page = 1, limit = 10 } = req.query);
+        ({ keyword, country: countriesInput, page = 1, limit = 10, sort = jobSearchService.DEFAULT_SORT } = req.query);
         const offset = (parseInt(page) - 1) * parseInt(limit);
 
         if (!keyword || !countriesInput) {
         return res.status(400).json({ message: 'Se requiere una palabra clave y al menos un país para la búsqueda.' });
         }
 
-        // Convertir la entrada de países (ej. "co,es,us") en un array de códigos de país en minúsculas.
-        const countries = countriesInput.split(',').map(c => c.trim().toLowerCase());
-
-        // Opcional: Podrías añadir una validación aquí para asegurar que todos los países están en 'allowedCountries'
-        // Sin embargo, scrapingService.performScraping ya maneja países no admitidos saltándolos.
-
-        let jobs = [];
-        let totalJobs = 0;
-
-        // --- INICIO DE LOGS PARA LA PRIMERA CONSULTA A LA DB ---
-        logInfo(`[JOB_CONTROLLER] Intentando primera búsqueda en DB para keyword: "${keyword}", countries: [${countries.join(', ')}], page: ${page}, limit: ${limit}`);
-        // --- FIN DE LOGS PARA LA PRIMERA CONSULTA A LA DB ---
-
-
-        // Primero, intenta buscar empleos en la base de datos que coincidan con los criterios
-        const { count, rows } = await Job.findAndCountAll({
-        where: {
-            [Op.or]: [
-                { title: { [Op.iLike]: `%${keyword}%` } },
-                { description: { [Op.iLike]: `%${keyword}%` } },
-                { requirements: { [Op.iLike]: `%${keyword}%` } },
-            ],
-            // CAMBIO CLAVE: Buscar empleos en CUALQUIERA de los países proporcionados
-            country: { [Op.in]: countries },
-        },
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [['createdAt', 'DESC']]
-        });
+        if (!jobSearchService.SORT_OPTIONS.includes(sort)) {
+        return res.status(400).json({ message: `Ordenación no válida. Valores admitidos: ${jobSearchService.SORT_OPTIONS.join(', ')}.` });
+        }
 
-        jobs = rows;
-        totalJobs = count;
+        const { filters, error: filtersError } = jobSearchService.parseSearchFilters(req.query);
+        if (filtersError) {
+        return res.status(400).json({ message: filtersError });
+        }
 
-        // --- INICIO DE LOGS PARA RESULTADOS DE LA PRIMERA CONSULTA ---
-        logInfo(`[JOB_CONTROLLER] Primera búsqueda en DB finalizada. Encontrados ${totalJobs} empleos en DB.`);
-        // --- FIN DE LOGS PARA RESULTADOS DE LA PRIMERA CONSULTA ---
+        const rates = await currencyService.getRates();
+        const requestedCurrency = req.query.currency ? String(req.query.currency).trim().toUpperCase() : null;
+        if (requestedCurrency && !rates[requestedCurrency]) {
+        return res.status(400).json({ message: `Moneda no válida: ${requestedCurrency}. Las monedas disponibles se consultan en /api/currency-rates.` });
+        }
+        // Moneda de los salarios de la respuesta y del filtro salaryMin/salaryMax
+        const currency = requestedCurrency || currencyService.resolveCurrency(req.user?.settings, rates);
 
+        // Convertir la entrada de países (ej. "co,es,us") en un array de códigos de país en minúsculas.
+        countries = countriesInput.split(',').map(c => c.trim().toLowerCase());
 
-        // Si no se encontraron suficientes empleos o si es una nueva búsqueda, iniciar scraping.
-        // Consideramos scraping si no hay resultados para CUALQUIERA de los países solicitados.
-        if (jobs.length === 0) { // O puedes usar un umbral, ej. `if (jobs.length < 10 && !req.query.noScrape)`
-        logWarn(`No se encontraron suficientes empleos en DB para "${keyword}" en [${countries.join(', ')}]. Iniciando scraping...`);
-        
-        // CAMBIO CLAVE: Pasar el ARRAY de países a performScraping
-        const scrapedJobs = await scrapingService.performScraping(keyword, countries); 
-        
-        // --- INICIO DE LOGS PARA LA SEGUNDA CONSULTA A LA DB (después de scraping) ---
-            logInfo(`[JOB_CONTROLLER] Scraping finalizado. Reconsultando DB para incluir nuevos empleos. Keyword: "${keyword}", countries: [${countries.join(', ')}], page: ${page}, limit: ${limit}`);
-            // --- FIN DE LOGS PARA LA SEGUNDA CONSULTA A LA DB ---
+        logInfo(`[JOB_CONTROLLER] Buscando en DB para keyword: "${keyword}", countries: [${countries.join(', ')}], page: ${page}, limit: ${limit}, sort: ${sort}, filtros: ${JSON.stringify(filters)}`);
 
-        // Después de scraping, vuelve a consultar la DB para incluir los nuevos empleos
-        const { count: newCount, rows: newRows } = await Job.findAndCountAll({
+        // Busca empleos en la base de datos que coincidan con los criterios
+        const keywordSearch = jobSearchService.buildKeywordSearch(keyword, sort, { rates });
+        const [{ count: totalJobs, rows: jobs }, facets] = await Promise.all([
+        Job.findAndCountAll({
             where: {
-            [Op.or]: [
-                { title: { [Op.iLike]: `%${keyword}%` } },
-                { description: { [Op.iLike]: `%${keyword}%` } },
-                { requirements: { [Op.iLike]: `%${keyword}%` } },
-            ],
-            country: { [Op.in]: countries }, // Usar el array de países de nuevo
+                [Op.and]: [
+                    keywordSearch.where,
+                    ...jobSearchService.buildVisibilityConditions(filters),
+                    ...jobSearchService.buildFilterConditions(filters, { rates, currency }),
+                ],
+                // Buscar empleos en CUALQUIERA de los países proporcionados
+                country: { [Op.in]: countries },
             },
             limit: parseInt(limit),
             offset: parseInt(offset),
-            order: [['createdAt', 'DESC']]
-        });
-        jobs = newRows;
-        totalJobs = newCount;
-        logInfo(`[JOB_CONTROLLER] Segunda búsqueda en DB finalizada. Se encontraron ${totalJobs} empleos (nuevos y existentes) para "${keyword}" en [${countries.join(', ')}].`);
-
+            order: keywordSearch.order
+        }),
+        // Cuántos resultados dejaría cada valor de filtro, para la barra lateral del cliente
+        jobSearchService.getSearchFacets({ keyword, countries, filters, rates, currency }),
+        ]);
+
+        logInfo(`[JOB_CONTROLLER] Búsqueda en DB finalizada. Encontrados ${totalJobs} empleos en DB.`);
+
+        // Si no hay suficientes empleos para llenar la primera página, se encola un scraping en segundo plano.
+        // La petición no espera a que termine: el cliente recibe su progreso por GET /api/events o consulta
+        // el estado con GET /api/scrape-tasks/:id.
+        let scrapeTask = null;
+        if (parseInt(page) === 1 && totalJobs < parseInt(limit)) {
+        logWarn(`No se encontraron suficientes empleos en DB para "${keyword}" en [${countries.join(', ')}]. Encolando scraping...`);
+        scrapeTask = await scrapeQueueService.enqueueScrapeTask(keyword, countries, { requestedBy: req.user?.id || null });
+        // Si la búsqueda reutiliza la tarea de otro usuario, este también recibe su progreso
+        if (req.user && ['pending', 'running'].includes(scrapeTask.status)) {
+            realtimeService.watchTask(scrapeTask.id, req.user.id);
+        }
         }
 
         const isGuest = req.user ? req.user.role === 'guest' : true;
+        const postingsByCluster = await jobDedupService.getPostingsByCluster(jobs.map(job => job.clusterId).filter(Boolean));
 
         const responseJobs = jobs.map(job => {
         const jobData = job.toJSON();
+        // Publicaciones de la misma vacante (la propia si todavía no se agrupó)
+        jobData.postings = (postingsByCluster.get(jobData.clusterId) || [jobData])
+            .map(({ id, status, sourceName, sourceUrl, country, creationDate }) => ({ id, status, sourceName, sourceUrl, country, creationDate }));
         if (isGuest) {
             delete jobData.sourceUrl;
+            jobData.postings.forEach(posting => delete posting.sourceUrl);
         }
+        jobData.convertedSalary = currencyService.convertSalary(jobData, currency, rates);
         return jobData;
         });
 
@@ -110,7 +121,11 @@ exports.searchJobs = async (req, res, next) => {
         totalResults: totalJobs,
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalJobs / limit),
+        currency,
         jobs: responseJobs,
+        facets,
+        // Solo se informa la tarea si todavía puede aportar resultados nuevos
+        scrapeTaskId: scrapeTask && ['pending', 'running'].includes(scrapeTask.status) ? scrapeTask.id : null,
         });
 
     } catch (error) {
@@ -123,15 +138,23 @@ exports.searchJobs = async (req, res, next) => {
 
 /**
  * @route GET /api/jobs/:id
- * @desc Obtiene los detalles de un empleo específico por su ID.
+ * @desc Obtiene los detalles de un empleo específico por su ID, con su historial de estados
+ * (`statusHistory`, del cambio más reciente al más antiguo). Las ofertas ocultas solo las ven los administradores.
  * @access Public (invitado) o Autenticado (usuario)
  */
 exports.getJobDetails = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const job = await Job.findByPk(id);
+        const job = await Job.findByPk(id, {
+            include: [{
+                model: JobStatusChange,
+                as: 'statusHistory',
+                attributes: ['fromStatus', 'toStatus', 'reason', 'createdAt'],
+            }],
+            order: [[{ model: JobStatusChange, as: 'statusHistory' }, 'createdAt', 'DESC']],
+        });
 
-        if (!job) {
+        if (!job || (job.isHidden && req.user?.role !== 'admin')) {
         return res.status(404).json({ message: 'Empleo no encontrado.' });
         }
 
@@ -152,3 +175,38 @@ exports.getJobDetails = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * @route GET /api/jobs/clusters/:clusterId
+ * @desc Obtiene un cluster de publicaciones duplicadas con todas sus publicaciones visibles (una por fuente o URL).
+ * @access Autenticado (usuario)
+ */
+exports.getJobCluster = async (req, res, next) => {
+    try {
+        const { clusterId } = req.params;
+        const cluster = await JobCluster.findByPk(clusterId, {
+            include: [{ model: Job, as: 'postings', where: { isHidden: false }, required: false }],
+            order: [[{ model: Job, as: 'postings' }, 'isCanonical', 'DESC'], [{ model: Job, as: 'postings' }, 'createdAt', 'DESC']],
+        });
+
+        if (!cluster) {
+        return res.status(404).json({ message: 'Cluster de empleos no encontrado.' });
+        }
+
+        const isGuest = req.user ? req.user.role === 'guest' : true;
+        const clusterData = cluster.toJSON();
+
+        if (isGuest) {
+        clusterData.postings.forEach(posting => delete posting.sourceUrl);
+        }
+
+        res.status(200).json({
+        message: 'Cluster de empleos obtenido exitosamente.',
+        cluster: clusterData,
+        });
+
+    } catch (error) {
+        logWarn('Error en getJobCluster:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,119 @@
+// server/controllers/notificationController.js
+// Lógica del centro de notificaciones de cada usuario
+const { Notification } = require('../models');
+const notificationService = require('../services/notificationService');
+const { logWarn } = require('../utils/helpers');
+
+/**
+ * @route GET /api/notifications
+ * @desc Lista las notificaciones del usuario autenticado, de la más reciente a la más antigua, con el total
+ * de no leídas. `?unread=true` devuelve solo las no leídas.
+ * @access Private (usuarios registrados)
+ */
+exports.listNotifications = async (req, res, next) => {
+    try {
+        const { unread, page, limit } = req.query;
+        if (unread !== undefined && !['true', 'false'].includes(unread)) {
+            return res.status(400).json({ message: 'unread debe ser true o false.' });
+        }
+
+        const { notifications, total, unreadCount, page: currentPage, totalPages } = await notificationService.listNotifications(req.user.id, {
+            unreadOnly: unread === 'true',
+            page,
+            limit,
+        });
+
+        res.status(200).json({
+            message: 'Notificaciones obtenidas exitosamente.',
+            totalResults: total,
+            currentPage,
+            totalPages,
+            unreadCount,
+            notifications,
+        });
+    } catch (error) {
+        logWarn('Error en listNotifications:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route GET /api/notifications/unread-count
+ * @desc Número de notificaciones no leídas del usuario autenticado (para el contador de la barra de navegación).
+ * @access Private (usuarios registrados)
+ */
+exports.getUnreadCount = async (req, res, next) => {
+    try {
+        const unreadCount = await notificationService.countUnread(req.user.id);
+        res.status(200).json({ unreadCount });
+    } catch (error) {
+        logWarn('Error en getUnreadCount:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route PATCH /api/notifications/:id/read
+ * @desc Marca una notificación del usuario autenticado como leída. Si ya lo estaba, conserva la fecha original.
+ * @access Private (usuarios registrados, solo sus propias notificaciones)
+ */
+exports.markAsRead = async (req, res, next) => {
+    try {
+        const notification = await Notification.findOne({ where: { id: req.params.id, userId: req.user.id } });
+        if (!notification) {
+            return res.status(404).json({ message: 'Notificación no encontrada.' });
+        }
+
+        if (!notification.readAt) {
+            await notification.update({ readAt: new Date() });
+        }
+
+        res.status(200).json({
+            message: 'Notificación marcada como leída.',
+            notification,
+        });
+    } catch (error) {
+        logWarn('Error en markAsRead:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route PATCH /api/notifications/read-all
+ * @desc Marca como leídas todas las notificaciones pendientes del usuario autenticado.
+ * @access Private (usuarios registrados)
+ */
+exports.markAllAsRead = async (req, res, next) => {
+    try {
+        const updated = await notificationService.markAllRead(req.user.id);
+
+        res.status(200).json({
+            message: updated === 1 ? '1 notificación marcada como leída.' : `${updated} notificaciones marcadas como leídas.`,
+            updated,
+        });
+    } catch (error) {
+        logWarn('Error en markAllAsRead:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route DELETE /api/notifications/:id
+ * @desc Elimina una notificación del usuario autenticado.
+ * @access Private (usuarios registrados, solo sus propias notificaciones)
+ */
+exports.deleteNotification = async (req, res, next) => {
+    try {
+        const deletedRows = await Notification.destroy({ where: { id: req.params.id, userId: req.user.id } });
+        if (deletedRows === 0) {
+            return res.status(404).json({ message: 'Notificación no encontrada.' });
+        }
+
+        res.status(200).json({
+            message: 'Notificación eliminada exitosamente.',
+        });
+    } catch (error) {
+        logWarn('Error en deleteNotification:', error);
+        next(error);
+    }
+};
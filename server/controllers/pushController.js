@@ -0,0 +1,107 @@
+// server/controllers/pushController.js
+// Lógica de las suscripciones Web Push de los navegadores de cada usuario
+const pushService = require('../services/pushService');
+const { logWarn } = require('../utils/helpers');
+
+// Respuesta cuando el servidor no tiene claves VAPID.
+const NOT_CONFIGURED_MESSAGE = 'Las notificaciones push no están disponibles en este servidor.';
+
+/**
+ * @route GET /api/push/public-key
+ * @desc Indica si las notificaciones push están disponibles y devuelve la clave pública VAPID con la que el
+ * navegador se suscribe.
+ * @access Private (usuarios registrados)
+ */
+exports.getPublicKey = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            enabled: pushService.isConfigured(),
+            publicKey: pushService.getPublicKey(),
+        });
+    } catch (error) {
+        logWarn('Error en getPublicKey:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/push/subscriptions
+ * @desc Registra la suscripción push del navegador del usuario autenticado (el resultado de
+ * `PushSubscription.toJSON()`). Si el navegador ya estaba suscrito, la actualiza.
+ * Las notificaciones solo se envían si además el usuario tiene activadas las notificaciones push.
+ * @access Private (usuarios registrados)
+ */
+exports.subscribe = async (req, res, next) => {
+    try {
+        if (!pushService.isConfigured()) {
+            return res.status(503).json({ message: NOT_CONFIGURED_MESSAGE });
+        }
+        const { values, error } = pushService.parseSubscriptionInput(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const { subscription, created } = await pushService.saveSubscription(req.user.id, values, {
+            userAgent: req.get('user-agent'),
+        });
+        res.status(created ? 201 : 200).json({
+            message: created ? 'Suscripción push registrada.' : 'Suscripción push actualizada.',
+            subscription: { id: subscription.id, endpoint: subscription.endpoint, createdAt: subscription.createdAt },
+        });
+    } catch (error) {
+        logWarn('Error en subscribe:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route DELETE /api/push/subscriptions
+ * @desc Elimina la suscripción push de un navegador del usuario autenticado (body: `{ endpoint }`).
+ * @access Private (usuarios registrados, solo sus propias suscripciones)
+ */
+exports.unsubscribe = async (req, res, next) => {
+    try {
+        const { endpoint } = req.body || {};
+        if (!endpoint) {
+            return res.status(400).json({ message: 'Se requiere el endpoint de la suscripción.' });
+        }
+
+        const removed = await pushService.removeSubscription(req.user.id, endpoint);
+        if (!removed) {
+            return res.status(404).json({ message: 'Suscripción push no encontrada.' });
+        }
+
+        res.status(200).json({ message: 'Suscripción push eliminada.' });
+    } catch (error) {
+        logWarn('Error en unsubscribe:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/push/test
+ * @desc Envía una notificación push de prueba a todos los navegadores suscritos del usuario autenticado.
+ * @access Private (usuarios registrados)
+ */
+exports.sendTest = async (req, res, next) => {
+    try {
+        if (!pushService.isConfigured()) {
+            return res.status(503).json({ message: NOT_CONFIGURED_MESSAGE });
+        }
+
+        const { sent, failed, removed } = await pushService.sendTestNotification(req.user.id);
+        if (sent + failed + removed === 0) {
+            return res.status(404).json({ message: 'No tienes navegadores suscritos a las notificaciones push.' });
+        }
+
+        res.status(200).json({
+            message: `Notificación de prueba enviada a ${sent} navegadores.`,
+            sent,
+            failed,
+            removed,
+        });
+    } catch (error) {
+        logWarn('Error en sendTest:', error);
+        next(error);
+    }
+};
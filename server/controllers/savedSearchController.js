@@ -0,0 +1,142 @@
+// server/controllers/savedSearchController.js
+// Lógica de las búsquedas guardadas de cada usuario y de sus alertas por email
+const { SavedSearch } = require('../models');
+const savedSearchService = require('../services/savedSearchService');
+const { logWarn } = require('../utils/helpers');
+
+/**
+ * Busca una búsqueda guardada del usuario autenticado con los mismos datos que `values`.
+ * @param {string} userId
+ * @param {Object} values - `keyword`, `countries` y `filters`.
+ * @param {string} [excludeId] - Búsqueda que se está actualizando.
+ * @returns {Promise<Object|undefined>}
+ */
+async function findDuplicate(userId, values, excludeId) {
+    const candidates = await SavedSearch.findAll({ where: { userId, keyword: values.keyword } });
+    return candidates.find(candidate => candidate.id !== excludeId && savedSearchService.isSameSearch(candidate, values));
+}
+
+/**
+ * @route GET /api/saved-searches
+ * @desc Lista las búsquedas guardadas del usuario autenticado, de la más reciente a la más antigua.
+ * @access Private (usuarios registrados)
+ */
+exports.listSavedSearches = async (req, res, next) => {
+    try {
+        const savedSearches = await SavedSearch.findAll({
+            where: { userId: req.user.id },
+            order: [['createdAt', 'DESC']],
+        });
+
+        res.status(200).json({
+            message: 'Búsquedas guardadas obtenidas exitosamente.',
+            savedSearches,
+        });
+    } catch (error) {
+        logWarn('Error en listSavedSearches:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/saved-searches
+ * @desc Guarda una búsqueda (palabra clave, países y filtros opcionales) con la frecuencia de su resumen
+ * por email ('daily' por defecto). El primer resumen solo incluye las ofertas registradas a partir de ahora.
+ * @access Private (usuarios registrados)
+ */
+exports.createSavedSearch = async (req, res, next) => {
+    try {
+        const { values, error } = savedSearchService.parseSavedSearchInput(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const count = await SavedSearch.count({ where: { userId: req.user.id } });
+        if (count >= savedSearchService.MAX_SAVED_SEARCHES) {
+            return res.status(400).json({ message: `Puedes guardar hasta ${savedSearchService.MAX_SAVED_SEARCHES} búsquedas. Elimina alguna para guardar otra.` });
+        }
+        const existing = await findDuplicate(req.user.id, values);
+        if (existing) {
+            return res.status(409).json({ message: 'Ya tienes guardada esa búsqueda.', savedSearch: existing });
+        }
+
+        const savedSearch = await SavedSearch.create({
+            ...values,
+            userId: req.user.id,
+            lastNotifiedAt: new Date(),
+        });
+
+        res.status(201).json({
+            message: 'Búsqueda guardada exitosamente.',
+            savedSearch,
+        });
+    } catch (error) {
+        logWarn('Error en createSavedSearch:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route PATCH /api/saved-searches/:id
+ * @desc Cambia la palabra clave, los países, los filtros o la frecuencia de una búsqueda guardada.
+ * Al reactivar las alertas (desde 'never'), el siguiente resumen empieza a contar desde ahora.
+ * @access Private (usuarios registrados, solo sus propias búsquedas)
+ */
+exports.updateSavedSearch = async (req, res, next) => {
+    try {
+        const { values, error } = savedSearchService.parseSavedSearchInput(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const savedSearch = await SavedSearch.findOne({ where: { id: req.params.id, userId: req.user.id } });
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Búsqueda guardada no encontrada.' });
+        }
+
+        const merged = {
+            keyword: values.keyword ?? savedSearch.keyword,
+            countries: values.countries ?? savedSearch.countries,
+            filters: values.filters ?? savedSearch.filters,
+        };
+        const existing = await findDuplicate(req.user.id, merged, savedSearch.id);
+        if (existing) {
+            return res.status(409).json({ message: 'Ya tienes guardada esa búsqueda.', savedSearch: existing });
+        }
+
+        const changes = { ...values };
+        if (savedSearch.frequency === 'never' && values.frequency && values.frequency !== 'never') {
+            changes.lastNotifiedAt = new Date();
+        }
+        await savedSearch.update(changes);
+
+        res.status(200).json({
+            message: 'Búsqueda guardada actualizada exitosamente.',
+            savedSearch,
+        });
+    } catch (error) {
+        logWarn('Error en updateSavedSearch:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route DELETE /api/saved-searches/:id
+ * @desc Elimina una búsqueda guardada del usuario autenticado.
+ * @access Private (usuarios registrados, solo sus propias búsquedas)
+ */
+exports.deleteSavedSearch = async (req, res, next) => {
+    try {
+        const deletedRows = await SavedSearch.destroy({ where: { id: req.params.id, userId: req.user.id } });
+        if (deletedRows === 0) {
+            return res.status(404).json({ message: 'Búsqueda guardada no encontrada.' });
+        }
+
+        res.status(200).json({
+            message: 'Búsqueda guardada eliminada exitosamente.',
+        });
+    } catch (error) {
+        logWarn('Error en deleteSavedSearch:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,182 @@
+// server/controllers/scheduleController.js
+// Lógica de administración de los scrapings programados
+const { Op } = require('sequelize');
+const { ScrapeSchedule } = require('../models');
+const schedulerService = require('../services/schedulerService');
+const sourceRegistry = require('../services/sourceRegistry');
+const { getNextRun, validateCronExpression } = require('../utils/cronExpression');
+const { logWarn } = require('../utils/helpers');
+
+/**
+ * Valida los países de una programación contra la cobertura de las fuentes registradas.
+ * @param {string[]} countries - Códigos de país normalizados.
+ * @returns {string|null} Un mensaje de error o null si son válidos.
+ */
+function validateCountries(countries) {
+    if (countries.length === 0) {
+        return 'Se requiere al menos un país.';
+    }
+    const supportedCountries = sourceRegistry.getSupportedCountries();
+    const unsupported = countries.filter(c => !supportedCountries.includes(c));
+    if (unsupported.length > 0) {
+        return `Países no admitidos por ninguna fuente: ${unsupported.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Convierte la entrada de países del body (array o cadena "co,es") en un array.
+ * @param {string[]|string|undefined} countries - Países recibidos.
+ * @returns {string[]}
+ */
+function toCountryArray(countries) {
+    if (Array.isArray(countries)) return countries.map(String);
+    if (typeof countries === 'string') return countries.split(',');
+    return [];
+}
+
+/**
+ * @route GET /api/admin/schedules
+ * @desc Lista todas las programaciones de scraping con el resultado de su última ejecución.
+ * @access Private (solo administradores)
+ */
+exports.listSchedules = async (req, res, next) => {
+    try {
+        const schedules = await ScrapeSchedule.findAll({
+            order: [['active', 'DESC'], ['nextRunAt', 'ASC']]
+        });
+
+        res.status(200).json({
+            message: 'Programaciones de scraping obtenidas exitosamente.',
+            schedules,
+        });
+    } catch (error) {
+        logWarn('Error en listSchedules:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route POST /api/admin/schedules
+ * @desc Crea una programación de scraping recurrente para una palabra clave y sus países.
+ * @access Private (solo administradores)
+ */
+exports.createSchedule = async (req, res, next) => {
+    try {
+        const { keyword, countries, cronExpression = schedulerService.DEFAULT_CRON_EXPRESSION, active = true } = req.body;
+
+        if (!keyword || typeof keyword !== 'string' || !keyword.trim()) {
+            return res.status(400).json({ message: 'Se requiere una palabra clave.' });
+        }
+        const search = schedulerService.normalizeSearch(keyword, toCountryArray(countries));
+        const countriesError = validateCountries(search.countries);
+        if (countriesError) {
+            return res.status(400).json({ message: countriesError });
+        }
+        const cronError = validateCronExpression(cronExpression);
+        if (cronError) {
+            return res.status(400).json({ message: `Expresión cron no válida. ${cronError}` });
+        }
+        if (!['true', 'false'].includes(String(active))) {
+            return res.status(400).json({ message: 'El campo active debe ser true o false.' });
+        }
+
+        const existing = await ScrapeSchedule.findOne({
+            where: { keyword: search.keyword, countries: { [Op.eq]: search.countries } }
+        });
+        if (existing) {
+            return res.status(409).json({ message: 'Ya existe una programación para esa palabra clave y países.', schedule: existing });
+        }
+
+        const schedule = await ScrapeSchedule.create({
+            ...search,
+            cronExpression,
+            active: String(active) === 'true',
+            nextRunAt: getNextRun(cronExpression),
+            createdBy: req.user.id,
+        });
+
+        res.status(201).json({
+            message: 'Programación de scraping creada exitosamente.',
+            schedule,
+        });
+    } catch (error) {
+        logWarn('Error en createSchedule:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route PATCH /api/admin/schedules/:id
+ * @desc Pausa o reanuda una programación (`active`) o cambia su expresión cron.
+ * @access Private (solo administradores)
+ */
+exports.updateSchedule = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { active, cronExpression } = req.body;
+
+        const schedule = await ScrapeSchedule.findByPk(id);
+        if (!schedule) {
+            return res.status(404).json({ message: 'Programación de scraping no encontrada.' });
+        }
+
+        const changes = {};
+        if (cronExpression !== undefined) {
+            changes.cronExpression = cronExpression;
+        }
+        if (active !== undefined) {
+            if (!['true', 'false'].includes(String(active))) {
+                return res.status(400).json({ message: 'El campo active debe ser true o false.' });
+            }
+            changes.active = String(active) === 'true';
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ message: 'No se indicaron cambios. Campos admitidos: active, cronExpression.' });
+        }
+
+        // La expresión guardada también se valida al reanudar: una fecha imposible no tendría próxima ejecución.
+        // Pausar sí se permite, para poder detener una programación que el planificador ya no puede calcular.
+        const effectiveCronExpression = cronExpression ?? schedule.cronExpression;
+        const cronError = validateCronExpression(effectiveCronExpression);
+        if (cronError && (cronExpression !== undefined || (changes.active ?? schedule.active))) {
+            return res.status(400).json({ message: `Expresión cron no válida. ${cronError}` });
+        }
+
+        // Al reanudar o cambiar la frecuencia, la próxima ejecución se calcula desde ahora
+        // para no disparar de golpe las ejecuciones perdidas mientras estuvo pausada.
+        changes.nextRunAt = cronError ? null : getNextRun(effectiveCronExpression);
+        await schedule.update(changes);
+
+        res.status(200).json({
+            message: 'Programación de scraping actualizada exitosamente.',
+            schedule,
+        });
+    } catch (error) {
+        logWarn('Error en updateSchedule:', error);
+        next(error);
+    }
+};
+
+/**
+ * @route DELETE /api/admin/schedules/:id
+ * @desc Elimina una programación de scraping.
+ * @access Private (solo administradores)
+ */
+exports.deleteSchedule = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const deletedRows = await ScrapeSchedule.destroy({ where: { id } });
+
+        if (deletedRows === 0) {
+            return res.status(404).json({ message: 'Programación de scraping no encontrada.' });
+        }
+
+        res.status(200).json({
+            message: 'Programación de scraping eliminada exitosamente.',
+        });
+    } catch (error) {
+        logWarn('Error en deleteSchedule:', error);
+        next(error);
+    }
+};
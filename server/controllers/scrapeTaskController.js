@@ -0,0 +1,38 @@
+// server/controllers/scrapeTaskController.js
+// Lógica para consultar el estado de las tareas de scraping en segundo plano
+const { ScrapeTask } = require('../models');
+const { logWarn } = require('../utils/helpers');
+
+/**
+ * @route GET /api/scrape-tasks/:id
+ * @desc Obtiene el estado de una tarea de scraping para que el cliente pueda sondearla
+ * mientras espera nuevos resultados de búsqueda. No incluye `lastError`: es un mensaje interno
+ * (base de datos, navegador, rutas) que solo se muestra en la API de administración.
+ * @access Public (invitado) o Autenticado (usuario)
+ * @param {Object} req - Objeto de la solicitud HTTP.
+ * @param {Object} res - Objeto de la respuesta HTTP.
+ * @param {Function} next - Función para pasar el control al siguiente middleware.
+ */
+exports.getScrapeTask = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const task = await ScrapeTask.findByPk(id, {
+            attributes: [
+                'id', 'keyword', 'countries', 'status', 'attempts', 'maxAttempts',
+                'jobsFound', 'runAfter', 'startedAt', 'finishedAt', 'createdAt'
+            ]
+        });
+
+        if (!task) {
+            return res.status(404).json({ message: 'Tarea de scraping no encontrada.' });
+        }
+
+        res.status(200).json({
+            message: 'Estado de la tarea de scraping obtenido exitosamente.',
+            task,
+        });
+    } catch (error) {
+        logWarn('Error en getScrapeTask:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,51 @@
+// server/controllers/sourceController.js
+// Lógica para exponer las fuentes de empleo disponibles y su cobertura de países
+const sourceRegistry = require('../services/sourceRegistry'); // Registro de adaptadores de fuentes
+const sourceHealthService = require('../services/sourceHealthService'); // Métricas de salud de las fuentes
+const { logWarn } = require('../utils/helpers');
+
+/**
+ * @route GET /api/sources
+ * @desc Lista las fuentes de empleo registradas y los países que cubre cada una.
+ * @access Public
+ * @param {Object} req - Objeto de la solicitud HTTP.
+ * @param {Object} res - Objeto de la respuesta HTTP.
+ * @param {Function} next - Función para pasar el control al siguiente middleware.
+ */
+exports.listSources = async (req, res, next) => {
+    try {
+        const { sources, countries } = sourceRegistry.describeSources();
+
+        res.status(200).json({
+            message: 'Fuentes de empleo obtenidas exitosamente.',
+            sources,
+            countries,
+        });
+    } catch (error) {
+        logWarn('Error en listSources:', error);
+        next(error);
+    }
+};
+
+
+/**
+ * @route GET /api/admin/sources/health
+ * @desc Muestra el estado de salud de cada fuente (sana, degradada o sin datos) y sus ejecuciones recientes.
+ * @access Private (solo administradores)
+ * @param {Object} req - Objeto de la solicitud HTTP.
+ * @param {Object} res - Objeto de la respuesta HTTP.
+ * @param {Function} next - Función para pasar el control al siguiente middleware.
+ */
+exports.getSourcesHealth = async (req, res, next) => {
+    try {
+        const sources = await sourceHealthService.getSourcesHealth();
+
+        res.status(200).json({
+            message: 'Estado de salud de las fuentes obtenido exitosamente.',
+            sources,
+        });
+    } catch (error) {
+        logWarn('Error en getSourcesHealth:', error);
+        next(error);
+    }
+};
@@ -47,7 +47,7 @@ const options = {
                         id: { type: 'string', format: 'uuid', description: 'ID único del usuario' },
                         username: { type: 'string', description: 'Nombre de usuario (único)' },
                         email: { type: 'string', format: 'email', description: 'Correo electrónico (único)' },
-                        role: { type: 'string', enum: ['guest', 'user'], description: 'Rol del usuario' },
+                        role: { type: 'string', enum: ['guest', 'user', 'admin'], description: 'Rol del usuario' },
                         profilePicture: { type: 'string', format: 'url', nullable: true, description: 'URL de la foto de perfil (para usuarios OAuth)' },
                         createdAt: { type: 'string', format: 'date-time', description: 'Fecha de creación del usuario' },
                         updatedAt: { type: 'string', format: 'date-time', description: 'Fecha de última actualización del usuario' },
@@ -94,7 +94,11 @@ const options = {
                         id: { type: 'string', format: 'uuid', description: 'ID único del empleo' },
                         title: { type: 'string', description: 'Título del puesto de trabajo' },
                         description: { type: 'string', description: 'Descripción completa del empleo' },
-                        salary: { type: 'string', nullable: true, description: 'Salario o rango salarial' },
+                        salary: { type: 'string', nullable: true, description: 'Salario o rango salarial tal como lo publica la fuente' },
+                        salaryMin: { type: 'number', nullable: true, description: 'Límite inferior del salario interpretado (nulo en "hasta X" o si no se publica)' },
+                        salaryMax: { type: 'number', nullable: true, description: 'Límite superior del salario interpretado (nulo en "desde X" o si no se publica)' },
+                        salaryCurrency: { type: 'string', nullable: true, description: 'Código ISO 4217 de la moneda del salario (ej. COP, USD)' },
+                        salaryPeriod: { type: 'string', enum: ['hour', 'day', 'week', 'month', 'year'], nullable: true, description: 'Periodo de pago del salario' },
                         experienceRequired: { type: 'string', nullable: true, description: 'Experiencia requerida' },
                         requirements: { type: 'string', nullable: true, description: 'Requisitos del puesto' },
                         modality: { type: 'string', nullable: true, description: 'Modalidad de trabajo (Presencial, Remoto, Híbrido)' },
@@ -104,6 +108,16 @@ const options = {
                         sourceUrl: { type: 'string', format: 'url', description: 'URL original del empleo (visible solo para usuarios autenticados)' },
                         sourceName: { type: 'string', description: 'Nombre de la plataforma de donde se obtuvo el empleo' },
                         country: { type: 'string', description: 'País del empleo' },
+                        clusterId: { type: 'string', format: 'uuid', nullable: true, description: 'Cluster de publicaciones duplicadas de la misma vacante' },
+                        isCanonical: { type: 'boolean', description: 'Si es la publicación que representa a su cluster en la búsqueda' },
+                        status: { type: 'string', enum: ['active', 'expired', 'closed'], description: 'Estado de la oferta: activa, vencida (no aparece en los scrapings o pasó su fecha límite) o cerrada (su URL responde 404 o muestra la oferta cerrada)' },
+                        lastSeenAt: { type: 'string', format: 'date-time', nullable: true, description: 'Última vez que un scraping encontró la oferta' },
+                        lastCheckedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Última comprobación de la URL de la oferta' },
+                        isEnriched: { type: 'boolean', description: 'Si la oferta ya se completó con los datos de su página de detalle' },
+                        enrichedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha en la que se leyó la página de detalle' },
+                        isHidden: { type: 'boolean', description: 'Si un administrador ocultó la oferta (solo la ven los administradores)' },
+                        hiddenAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha en la que se ocultó' },
+                        hiddenReason: { type: 'string', nullable: true, description: 'Motivo por el que se ocultó' },
                         createdAt: { type: 'string', format: 'date-time', description: 'Fecha de registro del empleo en la DB' },
                         updatedAt: { type: 'string', format: 'date-time', description: 'Fecha de última actualización del empleo en la DB' },
                     },
@@ -111,7 +125,11 @@ const options = {
                         id: 'b2c3d4e5-f678-9012-3456-7890abcdef12',
                         title: 'Desarrollador Full Stack',
                         description: 'Se busca desarrollador con experiencia en React y Node.js para unirse a nuestro equipo.',
-                        salary: '60000 - 80000 USD/año',
+                        salary: 'USD 60,000 - 80,000 al año',
+                        salaryMin: 60000,
+                        salaryMax: 80000,
+                        salaryCurrency: 'USD',
+                        salaryPeriod: 'year',
                         experienceRequired: '3+ años de experiencia',
                         requirements: 'Conocimiento en React, Node.js, PostgreSQL, APIs REST.',
                         modality: 'Remoto',
@@ -121,10 +139,372 @@ const options = {
                         sourceUrl: 'https://www.ejemplo.com/empleo/123',
                         sourceName: 'LinkedIn',
                         country: 'co',
+                        status: 'active',
+                        lastSeenAt: '2024-06-21T08:00:00Z',
                         createdAt: '2024-06-20T10:05:00Z',
                         updatedAt: '2024-06-20T10:05:00Z',
                     }
                 },
+                JobPosting: {
+                    type: 'object',
+                    description: 'Publicación de una vacante en una fuente concreta.',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'ID del empleo de esta publicación' },
+                        status: { type: 'string', enum: ['active', 'expired', 'closed'], description: 'Estado de la publicación en su fuente' },
+                        sourceName: { type: 'string', description: 'Fuente de la publicación' },
+                        sourceUrl: { type: 'string', format: 'url', description: 'URL de la publicación (visible solo para usuarios autenticados)' },
+                        country: { type: 'string', description: 'País de la publicación' },
+                        creationDate: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha de publicación' },
+                    },
+                    example: { id: 'b2c3d4e5-f678-9012-3456-7890abcdef12', status: 'active', sourceName: 'Computrabajo', sourceUrl: 'https://co.computrabajo.com/ofertas-de-trabajo/oferta-123', country: 'co', creationDate: '2024-06-20T10:00:00Z' },
+                },
+                JobCluster: {
+                    type: 'object',
+                    description: 'Grupo de publicaciones duplicadas de una misma vacante.',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        fingerprint: { type: 'string', description: 'Huella SHA-1 del título, la empresa y la ubicación normalizados' },
+                        normalizedTitle: { type: 'string' },
+                        normalizedCompany: { type: 'string' },
+                        normalizedLocation: { type: 'string' },
+                        country: { type: 'string' },
+                        canonicalJobId: { type: 'string', format: 'uuid', description: 'Publicación que representa al cluster en la búsqueda (la más reciente)' },
+                        jobCount: { type: 'integer', description: 'Número de publicaciones' },
+                        postings: { type: 'array', items: { $ref: '#/components/schemas/Job' } },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    },
+                },
+                JobStatusChange: {
+                    type: 'object',
+                    description: 'Cambio de estado de una oferta.',
+                    properties: {
+                        fromStatus: { type: 'string', enum: ['active', 'expired', 'closed'] },
+                        toStatus: { type: 'string', enum: ['active', 'expired', 'closed'] },
+                        reason: { type: 'string', description: 'Motivo: not_seen, deadline_passed, http_404, http_410, closed_page o seen_again' },
+                        createdAt: { type: 'string', format: 'date-time', description: 'Fecha del cambio' },
+                    },
+                    example: { fromStatus: 'active', toStatus: 'closed', reason: 'http_404', createdAt: '2024-07-02T03:00:00Z' },
+                },
+                ConvertedSalary: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Salario convertido a la moneda preferida. Nulo si el empleo no publica salario o no hay tasa para su moneda.',
+                    properties: {
+                        currency: { type: 'string', description: 'Moneda de destino (ISO 4217)' },
+                        min: { type: 'number', nullable: true, description: 'Límite inferior convertido, en el periodo original' },
+                        max: { type: 'number', nullable: true, description: 'Límite superior convertido, en el periodo original' },
+                        period: { type: 'string', nullable: true, enum: ['hour', 'day', 'week', 'month', 'year'], description: 'Periodo original del salario' },
+                        monthlyMin: { type: 'number', nullable: true, description: 'Límite inferior en equivalente mensual (40 h/semana; sin periodo se asume mensual)' },
+                        monthlyMax: { type: 'number', nullable: true, description: 'Límite superior en equivalente mensual' },
+                    },
+                    example: { currency: 'COP', min: 249000000, max: 332000000, period: 'year', monthlyMin: 20750000, monthlyMax: 27666666.67 },
+                },
+                CurrencyRate: {
+                    type: 'object',
+                    properties: {
+                        currency: { type: 'string', description: 'Código ISO 4217 de la moneda' },
+                        unitsPerUsd: { type: 'number', description: 'Unidades de la moneda por 1 USD' },
+                        source: { type: 'string', enum: ['file', 'admin'], description: 'Origen de la tasa: archivo local o API de administración' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time', description: 'Fecha de la última actualización de la tasa' },
+                    },
+                    example: { currency: 'COP', unitsPerUsd: 4150, source: 'file', createdAt: '2026-10-01T00:00:00Z', updatedAt: '2026-10-01T00:00:00Z' },
+                },
+                FacetCount: {
+                    type: 'object',
+                    properties: {
+                        value: { type: 'string', description: 'Valor del filtro (ej. "Remoto", "co", "7")' },
+                        count: { type: 'integer', description: 'Resultados que quedarían al elegir ese valor' },
+                    },
+                },
+                SearchFacets: {
+                    type: 'object',
+                    description: 'Recuentos por valor de filtro. Cada dimensión se cuenta con los demás filtros aplicados pero sin el suyo; la de país ignora los países pedidos.',
+                    properties: {
+                        country: { type: 'array', items: { $ref: '#/components/schemas/FacetCount' } },
+                        modality: { type: 'array', items: { $ref: '#/components/schemas/FacetCount' } },
+                        experience: { type: 'array', items: { $ref: '#/components/schemas/FacetCount' } },
+                        sourceName: { type: 'array', items: { $ref: '#/components/schemas/FacetCount' } },
+                        postedWithinDays: { type: 'array', items: { $ref: '#/components/schemas/FacetCount' }, description: 'Publicados en el último día, semana y mes (valores 1, 7 y 30)' },
+                    },
+                    example: {
+                        country: [{ value: 'co', count: 42 }, { value: 'es', count: 17 }],
+                        modality: [{ value: 'Remoto', count: 20 }, { value: 'Presencial', count: 15 }, { value: 'No especificada', count: 7 }],
+                        experience: [{ value: 'Senior', count: 12 }, { value: 'No especificada', count: 30 }],
+                        sourceName: [{ value: 'Computrabajo', count: 42 }],
+                        postedWithinDays: [{ value: '1', count: 3 }, { value: '7', count: 18 }, { value: '30', count: 40 }],
+                    }
+                },
+                JobSource: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', description: 'Identificador de la fuente' },
+                        name: { type: 'string', description: 'Nombre de la plataforma (se guarda en Job.sourceName)' },
+                        countries: { type: 'array', items: { type: 'string' }, description: 'Códigos de país que cubre la fuente' },
+                        fetchStrategy: { type: 'string', enum: ['puppeteer', 'fetch'], description: 'Estrategia de descarga de las páginas' },
+                    },
+                    example: {
+                        id: 'computrabajo',
+                        name: 'Computrabajo',
+                        countries: ['co', 'es', 'mx', 'pe', 'ar', 'cl'],
+                        fetchStrategy: 'puppeteer',
+                    }
+                },
+                ScrapeTask: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'ID único de la tarea' },
+                        keyword: { type: 'string', description: 'Palabra clave a raspar (normalizada en minúsculas)' },
+                        countries: { type: 'array', items: { type: 'string' }, description: 'Códigos de país a raspar' },
+                        status: { type: 'string', enum: ['pending', 'running', 'completed', 'failed'], description: 'Estado de la tarea en la cola' },
+                        attempts: { type: 'integer', description: 'Intentos realizados' },
+                        maxAttempts: { type: 'integer', description: 'Intentos permitidos antes de marcarla como fallida' },
+                        jobsFound: { type: 'integer', nullable: true, description: 'Empleos procesados al completarse' },
+                        lastError: { type: 'string', nullable: true, description: 'Último error ocurrido (solo en la API de administración)' },
+                        runAfter: { type: 'string', format: 'date-time', description: 'La tarea no se procesará antes de esta fecha' },
+                        startedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Inicio del último intento' },
+                        finishedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fin del último intento' },
+                        createdAt: { type: 'string', format: 'date-time', description: 'Fecha en que se encoló la tarea' },
+                    },
+                    example: {
+                        id: 'd4e5f6a7-b8c9-0123-4567-890abcdef123',
+                        keyword: 'desarrollador react',
+                        countries: ['co', 'es'],
+                        status: 'running',
+                        attempts: 1,
+                        maxAttempts: 3,
+                        jobsFound: null,
+                        lastError: null,
+                        runAfter: '2024-07-04T10:30:00Z',
+                        startedAt: '2024-07-04T10:30:02Z',
+                        finishedAt: null,
+                        createdAt: '2024-07-04T10:30:00Z',
+                    }
+                },
+                ScrapeSchedule: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'ID único de la programación' },
+                        keyword: { type: 'string', description: 'Palabra clave a raspar (normalizada en minúsculas)' },
+                        countries: { type: 'array', items: { type: 'string' }, description: 'Códigos de país a raspar' },
+                        cronExpression: { type: 'string', description: 'Expresión cron de 5 campos (minuto hora día mes día-semana)' },
+                        active: { type: 'boolean', description: 'Si es false, la programación está pausada' },
+                        nextRunAt: { type: 'string', format: 'date-time', nullable: true, description: 'Próxima ejecución' },
+                        lastRunAt: { type: 'string', format: 'date-time', nullable: true, description: 'Última ejecución' },
+                        lastStatus: { type: 'string', enum: ['success', 'failed'], nullable: true, description: 'Resultado de la última ejecución' },
+                        lastNewJobs: { type: 'integer', nullable: true, description: 'Empleos nuevos en la última ejecución' },
+                        lastUpdatedJobs: { type: 'integer', nullable: true, description: 'Empleos ya existentes actualizados en la última ejecución' },
+                        lastError: { type: 'string', nullable: true, description: 'Error de la última ejecución fallida' },
+                        totalRuns: { type: 'integer', description: 'Ejecuciones acumuladas' },
+                        failureCount: { type: 'integer', description: 'Ejecuciones fallidas acumuladas' },
+                        createdBy: { type: 'string', format: 'uuid', nullable: true, description: 'Administrador que la creó (nulo si proviene de .env)' },
+                    },
+                    example: {
+                        id: 'e5f6a7b8-c9d0-1234-5678-90abcdef1234',
+                        keyword: 'desarrollador react',
+                        countries: ['co', 'es'],
+                        cronExpression: '0 */6 * * *',
+                        active: true,
+                        nextRunAt: '2024-07-04T12:00:00Z',
+                        lastRunAt: '2024-07-04T06:00:00Z',
+                        lastStatus: 'success',
+                        lastNewJobs: 12,
+                        lastUpdatedJobs: 30,
+                        lastError: null,
+                        totalRuns: 8,
+                        failureCount: 1,
+                        createdBy: 'a1b2c3d4-e5f6-7890-1234-567890abcdef',
+                    }
+                },
+                SourceHealthRun: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'ID único de la ejecución' },
+                        sourceId: { type: 'string', description: 'Identificador de la fuente' },
+                        country: { type: 'string', description: 'Código de país raspado' },
+                        keyword: { type: 'string', description: 'Palabra clave de la búsqueda' },
+                        itemsFound: { type: 'integer', description: 'Ofertas extraídas' },
+                        itemsSkipped: { type: 'integer', description: 'Tarjetas omitidas por falta de título o URL' },
+                        parseErrors: { type: 'integer', description: 'Tarjetas que lanzaron una excepción al parsearse' },
+                        httpFailed: { type: 'boolean', description: 'Si falló la descarga de la página' },
+                        durationMs: { type: 'integer', description: 'Duración de la descarga y el parseo (ms)' },
+                        rollingAverage: { type: 'number', nullable: true, description: 'Promedio de ofertas de las ejecuciones anteriores de la fuente en el mismo país' },
+                        degraded: { type: 'boolean', description: 'Si la ejecución indica que la fuente está degradada' },
+                        createdAt: { type: 'string', format: 'date-time', description: 'Momento de la ejecución' },
+                    },
+                },
+                SourceCountryHealth: {
+                    type: 'object',
+                    properties: {
+                        country: { type: 'string', description: 'Código de país' },
+                        status: { type: 'string', enum: ['healthy', 'degraded', 'unknown'], description: "Estado según la última ejecución en el país ('unknown' si nunca se ejecutó)" },
+                        lastRunAt: { type: 'string', format: 'date-time', nullable: true, description: 'Última ejecución en el país' },
+                        rollingAverage: { type: 'number', nullable: true, description: 'Promedio de ofertas en las ejecuciones recientes descargadas con éxito en el país' },
+                        httpFailures: { type: 'integer', description: 'Descargas fallidas en las ejecuciones recientes' },
+                        itemsSkipped: { type: 'integer', description: 'Tarjetas omitidas en las ejecuciones recientes' },
+                        parseErrors: { type: 'integer', description: 'Errores de parseo en las ejecuciones recientes' },
+                        averageDurationMs: { type: 'number', nullable: true, description: 'Duración promedio (ms)' },
+                        recentRuns: { type: 'array', items: { $ref: '#/components/schemas/SourceHealthRun' } },
+                    },
+                },
+                SourceHealth: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', description: 'Identificador de la fuente' },
+                        name: { type: 'string', description: 'Nombre de la fuente' },
+                        status: { type: 'string', enum: ['healthy', 'degraded', 'unknown'], description: "'degraded' si lo está en algún país, 'unknown' si nunca se ejecutó" },
+                        lastRunAt: { type: 'string', format: 'date-time', nullable: true, description: 'Última ejecución en cualquier país' },
+                        countries: { type: 'array', items: { $ref: '#/components/schemas/SourceCountryHealth' }, description: 'Estado en cada país que cubre la fuente' },
+                    },
+                    example: {
+                        id: 'computrabajo',
+                        name: 'Computrabajo',
+                        status: 'degraded',
+                        lastRunAt: '2024-07-04T12:00:05Z',
+                        countries: [{
+                            country: 'co',
+                            status: 'degraded',
+                            lastRunAt: '2024-07-04T12:00:05Z',
+                            rollingAverage: 18.5,
+                            httpFailures: 0,
+                            itemsSkipped: 20,
+                            parseErrors: 0,
+                            averageDurationMs: 6400,
+                            recentRuns: [],
+                        }],
+                    }
+                },
+                SavedSearch: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'ID único de la búsqueda guardada' },
+                        userId: { type: 'string', format: 'uuid', description: 'Usuario dueño de la búsqueda' },
+                        keyword: { type: 'string', description: 'Palabra clave (normalizada en minúsculas)' },
+                        countries: { type: 'array', items: { type: 'string' }, description: 'Códigos de país' },
+                        filters: {
+                            type: 'object',
+                            description: 'Filtros de la búsqueda, con los mismos valores que GET /api/jobs/search (solo los indicados)',
+                            properties: {
+                                modality: { type: 'array', items: { type: 'string', enum: ['Remoto', 'Presencial', 'Híbrido'] } },
+                                experience: { type: 'array', items: { type: 'string', enum: ['Junior', 'Semi-Senior', 'Senior'] } },
+                                sourceName: { type: 'array', items: { type: 'string' } },
+                                salaryMin: { type: 'number' },
+                                salaryMax: { type: 'number' },
+                            },
+                        },
+                        frequency: { type: 'string', enum: ['daily', 'weekly', 'never'], description: 'Frecuencia del resumen por email de las ofertas nuevas (never: sin alertas)' },
+                        lastNotifiedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Hasta cuándo se revisaron las ofertas nuevas en el último resumen' },
+                        lastMatchCount: { type: 'integer', nullable: true, description: 'Ofertas nuevas encontradas en el último resumen' },
+                        createdAt: { type: 'string', format: 'date-time', description: 'Fecha de creación' },
+                        updatedAt: { type: 'string', format: 'date-time', description: 'Fecha de última actualización' },
+                    },
+                    example: {
+                        id: 'f1e2d3c4-b5a6-7890-1234-567890abcdef',
+                        userId: 'a1b2c3d4-e5f6-7890-1234-567890abcdef',
+                        keyword: 'desarrollador react',
+                        countries: ['co', 'es'],
+                        filters: { modality: ['Remoto'] },
+                        frequency: 'daily',
+                        lastNotifiedAt: '2024-07-04T08:00:00Z',
+                        lastMatchCount: 3,
+                        createdAt: '2024-07-01T12:00:00Z',
+                        updatedAt: '2024-07-04T08:00:00Z',
+                    }
+                },
+                Notification: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'ID único de la notificación' },
+                        userId: { type: 'string', format: 'uuid', description: 'Usuario que recibe la notificación' },
+                        type: { type: 'string', enum: ['saved_search_matches', 'favorite_unavailable', 'application_status', 'application_reminder'], description: 'Evento que la originó' },
+                        title: { type: 'string', example: '3 ofertas nuevas para "desarrollador react"' },
+                        message: { type: 'string', nullable: true, example: 'Desarrollador React, Frontend Developer, Ingeniero de Software.' },
+                        link: { type: 'string', nullable: true, description: 'Ruta del cliente a la que lleva la notificación', example: '/jobs/b3c1a7e2-0000-4000-8000-000000000000' },
+                        data: { type: 'object', description: 'Identificadores del evento (ej. savedSearchId y jobIds, jobId y status)' },
+                        readAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha de lectura (null si no se ha leído)' },
+                        createdAt: { type: 'string', format: 'date-time', description: 'Fecha del evento' },
+                    },
+                },
+                AdminUser: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid', description: 'ID único del usuario' },
+                        username: { type: 'string', nullable: true, description: 'Nombre de usuario' },
+                        email: { type: 'string', format: 'email', description: 'Correo electrónico' },
+                        role: { type: 'string', enum: ['guest', 'user', 'admin'], description: 'Rol del usuario' },
+                        provider: { type: 'string', enum: ['local', 'github', 'google'], description: 'Forma de registro' },
+                        profilePicture: { type: 'string', nullable: true, description: 'URL de la foto de perfil' },
+                        isDisabled: { type: 'boolean', description: 'Si la cuenta está desactivada (no puede iniciar sesión)' },
+                        disabledAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha de la desactivación' },
+                        disabledReason: { type: 'string', nullable: true, description: 'Motivo de la desactivación' },
+                        createdAt: { type: 'string', format: 'date-time', description: 'Fecha de registro' },
+                        updatedAt: { type: 'string', format: 'date-time', description: 'Fecha de última actualización' },
+                    },
+                    example: {
+                        id: 'a1b2c3d4-e5f6-7890-1234-567890abcdef',
+                        username: 'usuarioEjemplo',
+                        email: 'ejemplo@correo.com',
+                        role: 'user',
+                        provider: 'local',
+                        profilePicture: null,
+                        isDisabled: true,
+                        disabledAt: '2024-07-01T12:00:00Z',
+                        disabledReason: 'Publicidad no deseada',
+                        createdAt: '2024-01-01T00:00:00Z',
+                        updatedAt: '2024-07-01T12:00:00Z',
+                    }
+                },
+                PlatformStats: {
+                    type: 'object',
+                    properties: {
+                        users: {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'integer' },
+                                byRole: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Usuarios por rol' },
+                                disabled: { type: 'integer', description: 'Cuentas desactivadas' },
+                                newLast7Days: { type: 'integer', description: 'Registros de los últimos 7 días' },
+                            },
+                        },
+                        jobs: {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'integer', description: 'Publicaciones guardadas (incluidas las duplicadas)' },
+                                byStatus: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Publicaciones por estado' },
+                                bySource: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Publicaciones por fuente' },
+                                hidden: { type: 'integer', description: 'Publicaciones ocultadas por un administrador' },
+                                enriched: { type: 'integer', description: 'Publicaciones completadas con su página de detalle' },
+                                clusters: { type: 'integer', description: 'Clusters de publicaciones duplicadas (vacantes agrupadas)' },
+                                newLast24Hours: { type: 'integer', description: 'Publicaciones guardadas en las últimas 24 horas' },
+                            },
+                        },
+                        scrapeTasks: {
+                            type: 'object',
+                            properties: {
+                                byStatus: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Tareas de scraping por estado' },
+                                last24Hours: { type: 'integer', description: 'Tareas encoladas en las últimas 24 horas' },
+                            },
+                        },
+                        favorites: { type: 'integer', description: 'Empleos guardados como favoritos' },
+                        applications: { type: 'integer', description: 'Postulaciones registradas' },
+                    },
+                    example: {
+                        users: { total: 120, byRole: { guest: 3, user: 115, admin: 2 }, disabled: 1, newLast7Days: 9 },
+                        jobs: {
+                            total: 5400,
+                            byStatus: { active: 4100, expired: 1200, closed: 100 },
+                            bySource: { Computrabajo: 3900, Monster: 1500 },
+                            hidden: 12,
+                            enriched: 2300,
+                            clusters: 4700,
+                            newLast24Hours: 310,
+                        },
+                        scrapeTasks: { byStatus: { completed: 410, failed: 6, pending: 1 }, last24Hours: 25 },
+                        favorites: 640,
+                        applications: 210,
+                    }
+                },
                 // --- NUEVOS ESQUEMAS AGREGADOS ---
                 JobApplication: {
                     type: 'object',
@@ -132,8 +512,14 @@ const options = {
                         id: { type: 'string', format: 'uuid', description: 'ID único de la postulación' },
                         userId: { type: 'string', format: 'uuid', description: 'ID del usuario que postuló' },
                         jobId: { type: 'string', format: 'uuid', description: 'ID de la oferta de trabajo postulada' },
-                        status: { type: 'string', enum: ['pending', 'reviewed', 'rejected', 'accepted'], description: 'Estado de la postulación' },
+                        status: { type: 'string', enum: ['applied', 'screening', 'interview', 'offer', 'rejected', 'withdrawn'], description: 'Etapa de la postulación, que actualiza el usuario' },
                         applicationDate: { type: 'string', format: 'date-time', description: 'Fecha en que se realizó la postulación' },
+                        notes: { type: 'string', nullable: true, description: 'Notas del usuario' },
+                        contactName: { type: 'string', nullable: true, description: 'Persona de contacto en la empresa' },
+                        contactEmail: { type: 'string', nullable: true, description: 'Email de la persona de contacto' },
+                        nextStep: { type: 'string', nullable: true, description: 'Próximo paso del proceso' },
+                        nextStepAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha del próximo paso' },
+                        nextStepRemindedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Envío del recordatorio del próximo paso (null si está pendiente)' },
                         createdAt: { type: 'string', format: 'date-time', description: 'Fecha de creación del registro de postulación' },
                         updatedAt: { type: 'string', format: 'date-time', description: 'Fecha de última actualización del registro de postulación' },
                     },
@@ -141,20 +527,61 @@ const options = {
                         id: 'c1d2e3f4-g5h6-7890-1234-567890abcdef',
                         userId: 'a1b2c3d4-e5f6-7890-1234-567890abcdef',
                         jobId: 'b2c3d4e5-f678-9012-3456-7890abcdef12',
-                        status: 'pending',
+                        status: 'applied',
                         applicationDate: '2024-07-04T10:30:00Z',
                         createdAt: '2024-07-04T10:30:00Z',
                         updatedAt: '2024-07-04T10:30:00Z',
                     }
                 },
+                JobApplicationStatusChange: {
+                    type: 'object',
+                    description: 'Paso de la línea de tiempo de una postulación. No se modifica una vez registrado.',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        applicationId: { type: 'string', format: 'uuid' },
+                        fromStatus: { type: 'string', nullable: true, description: 'Etapa anterior (null al postularse)' },
+                        toStatus: { type: 'string', description: 'Etapa nueva' },
+                        note: { type: 'string', nullable: true, description: 'Comentario del usuario sobre el cambio' },
+                        createdAt: { type: 'string', format: 'date-time', description: 'Fecha del cambio' },
+                    },
+                    example: {
+                        id: 'd4e5f6a7-b8c9-0123-4567-890abcdef123',
+                        applicationId: 'c1d2e3f4-g5h6-7890-1234-567890abcdef',
+                        fromStatus: 'screening',
+                        toStatus: 'interview',
+                        note: 'Entrevista con el equipo técnico el martes.',
+                        createdAt: '2024-07-10T09:00:00Z',
+                    }
+                },
+                JobApplicationWithHistory: {
+                    allOf: [
+                        { $ref: '#/components/schemas/JobApplicationWithDetails' },
+                        {
+                            type: 'object',
+                            properties: {
+                                history: {
+                                    type: 'array',
+                                    description: 'Cambios de etapa, del más antiguo al más reciente.',
+                                    items: { $ref: '#/components/schemas/JobApplicationStatusChange' }
+                                }
+                            }
+                        }
+                    ]
+                },
                 JobApplicationWithDetails: {
                     type: 'object',
                     properties: {
                         id: { type: 'string', format: 'uuid', description: 'ID único de la postulación' },
                         userId: { type: 'string', format: 'uuid', description: 'ID del usuario que postuló' },
                         jobId: { type: 'string', format: 'uuid', description: 'ID de la oferta de trabajo postulada' },
-                        status: { type: 'string', enum: ['pending', 'reviewed', 'rejected', 'accepted'], description: 'Estado de la postulación' },
+                        status: { type: 'string', enum: ['applied', 'screening', 'interview', 'offer', 'rejected', 'withdrawn'], description: 'Etapa de la postulación, que actualiza el usuario' },
                         applicationDate: { type: 'string', format: 'date-time', description: 'Fecha en que se realizó la postulación' },
+                        notes: { type: 'string', nullable: true, description: 'Notas del usuario' },
+                        contactName: { type: 'string', nullable: true, description: 'Persona de contacto en la empresa' },
+                        contactEmail: { type: 'string', nullable: true, description: 'Email de la persona de contacto' },
+                        nextStep: { type: 'string', nullable: true, description: 'Próximo paso del proceso' },
+                        nextStepAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha del próximo paso' },
+                        nextStepRemindedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Envío del recordatorio del próximo paso (null si está pendiente)' },
                         createdAt: { type: 'string', format: 'date-time', description: 'Fecha de creación del registro de postulación' },
                         updatedAt: { type: 'string', format: 'date-time', description: 'Fecha de última actualización del registro de postulación' },
                         Job: { // Referencia al esquema Job para incluir los detalles
@@ -166,7 +593,7 @@ const options = {
                         id: 'c1d2e3f4-g5h6-7890-1234-567890abcdef',
                         userId: 'a1b2c3d4-e5f6-7890-1234-567890abcdef',
                         jobId: 'b2c3d4e5-f678-9012-3456-7890abcdef12',
-                        status: 'pending',
+                        status: 'applied',
                         applicationDate: '2024-07-04T10:30:00Z',
                         createdAt: '2024-07-04T10:30:00Z',
                         updatedAt: '2024-07-04T10:30:00Z',
@@ -230,13 +657,45 @@ const options = {
                 name: 'Empleos',
                 description: 'Endpoints para buscar ofertas de empleo y obtener detalles específicos de un empleo, incluyendo la funcionalidad de web scraping.'
             },
+            {
+                name: 'Fuentes',
+                description: 'Endpoints para consultar las bolsas de empleo disponibles para el scraping y los países que cubre cada una.'
+            },
+            {
+                name: 'Monedas',
+                description: 'Endpoints para consultar las tasas de cambio con las que se convierten y comparan los salarios entre países.'
+            },
+            {
+                name: 'Tareas de Scraping',
+                description: 'Endpoints para consultar el estado de los scrapings que se ejecutan en segundo plano tras una búsqueda sin resultados suficientes.'
+            },
+            {
+                name: 'Administración',
+                description: 'Endpoints reservados a administradores: usuarios y roles, moderación de ofertas, scrapings manuales y programados, salud de las fuentes, tasas de cambio y estadísticas de la plataforma.'
+            },
+            {
+                name: 'Búsquedas Guardadas',
+                description: 'Endpoints para guardar búsquedas frecuentes y recibir por email y en la aplicación las ofertas nuevas que coinciden con ellas.'
+            },
+            {
+                name: 'Eventos',
+                description: 'Flujo de eventos en tiempo real (Server-Sent Events): progreso de los scrapings de las búsquedas del usuario y notificaciones nuevas.'
+            },
             {
                 name: 'Favoritos',
                 description: 'Endpoints para gestionar la lista de empleos favoritos de un usuario autenticado.'
             },
+            {
+                name: 'Notificaciones',
+                description: 'Endpoints del centro de notificaciones: ofertas nuevas de las búsquedas guardadas y favoritos que vencieron o se cerraron.'
+            },
+            {
+                name: 'Notificaciones Push',
+                description: 'Suscripciones Web Push (VAPID) de los navegadores del usuario. Las notificaciones se envían como push solo si el usuario las tiene activadas en su configuración.'
+            },
             { // Nuevo tag para Postulaciones
                 name: 'Postulaciones',
-                description: 'Endpoints para gestionar las postulaciones de los usuarios a ofertas de trabajo.'
+                description: 'Endpoints para gestionar las postulaciones de los usuarios a ofertas de trabajo y su seguimiento: etapas, notas, contacto, próximo paso y línea de tiempo.'
             }
         ],
     },
@@ -47,6 +47,10 @@ module.exports = async (req, res, next) => {
             // Si el usuario no se encuentra en la DB, el token es válido pero el usuario ya no existe
             return res.status(401).json({ message: 'Acceso denegado. Usuario asociado al token no encontrado.' });
         }
+        // Una cuenta desactivada por un administrador pierde el acceso aunque su token siga vigente
+        if (user.isDisabled) {
+            return res.status(403).json({ message: 'Tu cuenta ha sido desactivada. Contacta con un administrador.' });
+        }
         // Asegurarse de que el rol en `req.user` sea el más reciente de la DB
         req.user.role = user.role;
 
@@ -0,0 +1,36 @@
+// server/middleware/optionalAuthMiddleware.js
+// Autenticación JWT opcional para las rutas públicas que personalizan la respuesta
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+
+/**
+ * Middleware que identifica al usuario si la petición trae un token válido, sin exigirlo.
+ * A diferencia de `authMiddleware`, un token ausente, inválido o expirado no responde 401:
+ * la petición continúa como invitado (sin `req.user`).
+ * Si el token es válido, adjunta a `req.user` el rol y las configuraciones actuales de la DB,
+ * para que las rutas públicas puedan respetar las preferencias del usuario (ej. su moneda).
+ * Las cuentas desactivadas se atienden como invitado.
+ * @param {Object} req - Objeto de la solicitud HTTP.
+ * @param {Object} res - Objeto de la respuesta HTTP.
+ * @param {Function} next - Función para pasar el control al siguiente middleware o ruta.
+ */
+module.exports = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return next();
+    }
+
+    try {
+        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+        const user = await User.findByPk(decoded.id, { attributes: ['id', 'role', 'settings', 'isDisabled'] });
+        if (user && !user.isDisabled) {
+            req.user = { ...decoded, role: user.role, settings: user.settings };
+        }
+        next();
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return next(); // Se atiende como invitado
+        }
+        next(error);
+    }
+};
@@ -0,0 +1,20 @@
+// server/middleware/queryTokenMiddleware.js
+// Acepta el JWT en la URL para las rutas que el navegador abre sin poder enviar encabezados
+
+/**
+ * Middleware que copia el token del parámetro `access_token` al encabezado de autorización, para que
+ * `authMiddleware` lo verifique como cualquier otro. `EventSource` (GET /api/events) no permite enviar el
+ * encabezado `Authorization`, así que el cliente pasa el token en la URL.
+ * Solo debe usarse en esas rutas: en el resto el token en la URL quedaría en el historial y en los logs.
+ * Si la petición ya trae el encabezado, se respeta.
+ * @param {Object} req - Objeto de la solicitud HTTP.
+ * @param {Object} res - Objeto de la respuesta HTTP.
+ * @param {Function} next - Función para pasar el control al siguiente middleware o ruta.
+ */
+module.exports = (req, res, next) => {
+    const token = req.query.access_token;
+    if (!req.headers.authorization && typeof token === 'string' && token) {
+        req.headers.authorization = `Bearer ${token}`;
+    }
+    next();
+};
@@ -1,5 +1,5 @@
 // sever/middleware/roleMiddleware.js
-// Verificación de roles (invitado, usuario)
+// Verificación de roles (invitado, usuario, administrador)
 
 /**
  * Middleware para verificar si el usuario autenticado tiene uno de los roles requeridos.
@@ -21,7 +21,7 @@ module.exports = (roles) => {
         }
 
         // 2. Verificar si el rol del usuario (adjuntado por `authMiddleware`) está incluido en los roles permitidos.
-        // `req.user.role` contendrá el rol actual del usuario (ej. 'guest' o 'user').
+        // `req.user.role` contendrá el rol actual del usuario ('guest', 'user' o 'admin').
         if (!roles.includes(req.user.role)) {
             // Si el rol del usuario no está en la lista de roles permitidos, devuelve un error 403 (Forbidden).
             return res.status(403).json({ message: 'Acceso denegado. No tienes los permisos necesarios para realizar esta acción.' });
@@ -0,0 +1,24 @@
+// server/middleware/uuidParamMiddleware.js
+// Validación de los IDs (UUID) que llegan en la ruta
+
+// Formato de un UUID (todas las tablas usan UUID como clave primaria).
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Middleware que responde 404 si un parámetro de la ruta no es un UUID. Un ID mal formado no puede
+ * corresponder a ningún registro, y sin esta comprobación llegaría a PostgreSQL y acabaría en un error 500.
+ *
+ * @param {string} paramName - Nombre del parámetro de la ruta (ej. 'id').
+ * @param {string} notFoundMessage - Mensaje del 404, el mismo que da el controlador si el registro no existe.
+ * @returns {Function} - Una función middleware de Express.
+ */
+module.exports = (paramName, notFoundMessage) => {
+    return (req, res, next) => {
+        if (!UUID_PATTERN.test(req.params[paramName])) {
+            return res.status(404).json({ message: notFoundMessage });
+        }
+        next();
+    };
+};
+
+module.exports.UUID_PATTERN = UUID_PATTERN;
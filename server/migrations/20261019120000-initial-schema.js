@@ -0,0 +1,101 @@
+// server/migrations/20261019120000-initial-schema.js
+// Migración inicial: el esquema tal como lo creaba `sequelize.sync({ alter: true })` con los modelos originales
+// (usuarios, empleos, favoritos y postulaciones). Lo que se añadió después con sync está en
+// 20261019120010-add-scraping-and-search-schema.js. En una base de datos ya creada con sync, estas migraciones
+// se marcan como aplicadas sin ejecutarse (ver config/migrator).
+
+// Tablas en orden de creación (las referenciadas antes que las que las referencian).
+const TABLES = ['users', 'jobs', 'favorite_jobs', 'job_applications'];
+
+/**
+ * Columnas `createdAt`/`updatedAt` de Sequelize.
+ * @param {Object} Sequelize
+ */
+function timestamps(Sequelize) {
+    return {
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false },
+    };
+}
+
+/**
+ * Referencia a otra tabla por su `id`.
+ * @param {string} table
+ * @param {string} onDelete - 'CASCADE' o 'SET NULL'.
+ */
+function references(table, onDelete) {
+    return { references: { model: table, key: 'id' }, onUpdate: 'CASCADE', onDelete };
+}
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const { Op } = Sequelize;
+
+        await queryInterface.createTable('users', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            username: { type: Sequelize.STRING, unique: true },
+            email: { type: Sequelize.STRING, allowNull: false, unique: true },
+            password: { type: Sequelize.STRING },
+            role: { type: Sequelize.ENUM('guest', 'user'), allowNull: false, defaultValue: 'guest' },
+            googleId: { type: Sequelize.STRING, unique: true },
+            githubId: { type: Sequelize.STRING, unique: true },
+            provider: { type: Sequelize.ENUM('local', 'github', 'google'), defaultValue: 'local' },
+            providerId: { type: Sequelize.STRING },
+            verificationToken: { type: Sequelize.STRING },
+            profilePicture: { type: Sequelize.STRING },
+            settings: {
+                type: Sequelize.JSONB,
+                allowNull: false,
+                defaultValue: { emailNotifications: true, pushNotifications: false, profileVisibility: 'public', language: 'es' },
+            },
+            ...timestamps(Sequelize),
+        });
+        for (const field of ['email', 'username', 'googleId', 'githubId']) {
+            await queryInterface.addIndex('users', [field], { unique: true, where: { [field]: { [Op.ne]: null } } });
+        }
+
+        await queryInterface.createTable('jobs', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            title: { type: Sequelize.STRING, allowNull: false },
+            companyName: { type: Sequelize.STRING },
+            description: { type: Sequelize.TEXT },
+            salary: { type: Sequelize.STRING },
+            experienceRequired: { type: Sequelize.STRING },
+            requirements: { type: Sequelize.TEXT },
+            modality: { type: Sequelize.STRING },
+            employmentType: { type: Sequelize.STRING },
+            location: { type: Sequelize.STRING, allowNull: false },
+            creationDate: { type: Sequelize.DATE },
+            deadlineDate: { type: Sequelize.DATE },
+            postedAt: { type: Sequelize.DATE },
+            sourceUrl: { type: Sequelize.STRING, allowNull: false, unique: true },
+            sourceName: { type: Sequelize.STRING, allowNull: false },
+            country: { type: Sequelize.STRING, allowNull: false },
+            ...timestamps(Sequelize),
+        });
+        for (const field of ['title', 'location', 'country', 'modality']) {
+            await queryInterface.addIndex('jobs', [field]);
+        }
+
+        for (const table of ['favorite_jobs', 'job_applications']) {
+            await queryInterface.createTable(table, {
+                id: { type: Sequelize.UUID, primaryKey: true },
+                userId: { type: Sequelize.UUID, allowNull: false, ...references('users', 'CASCADE') },
+                jobId: { type: Sequelize.UUID, allowNull: false, ...references('jobs', 'CASCADE') },
+                ...(table === 'job_applications' ? {
+                    status: { type: Sequelize.ENUM('pending', 'reviewed', 'accepted', 'rejected'), defaultValue: 'pending' },
+                    applicationDate: { type: Sequelize.DATE, defaultValue: Sequelize.fn('now') },
+                } : {}),
+                ...timestamps(Sequelize),
+            });
+            await queryInterface.addIndex(table, ['userId', 'jobId'], { unique: true });
+        }
+    },
+
+    async down(queryInterface) {
+        for (const table of [...TABLES].reverse()) {
+            await queryInterface.dropTable(table, {});
+        }
+        await queryInterface.dropAllEnums();
+    },
+};
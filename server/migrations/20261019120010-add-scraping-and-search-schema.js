@@ -0,0 +1,229 @@
+// server/migrations/20261019120010-add-scraping-and-search-schema.js
+// Lo que se añadió con `sequelize.sync({ alter: true })` después del esquema inicial y antes de usar migraciones:
+// clusters de duplicados, salarios normalizados, ciclo de vida y enriquecimiento de las ofertas, búsqueda de
+// texto completo (columna `searchVector` y su trigger), cola y programación de scrapings, salud de las fuentes,
+// tasas de cambio, instantáneas de páginas y el rol 'admin'.
+
+/**
+ * Función del trigger que calcula `jobs.searchVector` en cada INSERT/UPDATE.
+ * - El título pesa más (A) que la empresa (B) y que la descripción y los requisitos (C).
+ * - Se indexa con los diccionarios 'spanish' e 'english', así "desarrolladora" coincide con "desarrollador".
+ * - Las palabras con guion se indexan también unidas, así "back-end" coincide con "backend".
+ */
+const SEARCH_VECTOR_FUNCTION_SQL = `
+CREATE OR REPLACE FUNCTION jobs_search_vector_update() RETURNS trigger AS $$
+DECLARE
+    title_text text := coalesce(NEW."title", '');
+    company_text text := coalesce(NEW."companyName", '');
+    body_text text := coalesce(NEW."description", '') || ' ' || coalesce(NEW."requirements", '');
+BEGIN
+    title_text := title_text || ' ' || regexp_replace(title_text, '(?<=\\w)-(?=\\w)', '', 'g');
+    body_text := body_text || ' ' || regexp_replace(body_text, '(?<=\\w)-(?=\\w)', '', 'g');
+    NEW."searchVector" :=
+        setweight(to_tsvector('spanish', title_text), 'A') ||
+        setweight(to_tsvector('english', title_text), 'A') ||
+        setweight(to_tsvector('simple', company_text), 'B') ||
+        setweight(to_tsvector('spanish', body_text), 'C') ||
+        setweight(to_tsvector('english', body_text), 'C');
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;`;
+
+// Tablas nuevas en orden de creación (las referenciadas antes que las que las referencian).
+const TABLES = [
+    'job_clusters', 'scrape_tasks', 'scrape_schedules', 'source_health_runs', 'currency_rates',
+    'job_status_changes', 'page_snapshots',
+];
+// Columnas nuevas de `jobs`.
+const JOB_COLUMNS = [
+    'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod', 'clusterId', 'isCanonical', 'status', 'lastSeenAt',
+    'lastCheckedAt', 'isEnriched', 'enrichedAt', 'enrichmentAttempts', 'searchVector',
+];
+// Tipos ENUM que crean las tablas y columnas nuevas.
+const ENUM_TYPES = [
+    'enum_jobs_salaryPeriod', 'enum_jobs_status', 'enum_scrape_tasks_status', 'enum_scrape_schedules_lastStatus',
+    'enum_currency_rates_source', 'enum_job_status_changes_fromStatus', 'enum_job_status_changes_toStatus',
+    'enum_page_snapshots_kind',
+];
+
+/**
+ * Columnas `createdAt`/`updatedAt` de Sequelize.
+ * @param {Object} Sequelize
+ * @param {boolean} [withUpdatedAt=true]
+ */
+function timestamps(Sequelize, withUpdatedAt = true) {
+    const columns = { createdAt: { type: Sequelize.DATE, allowNull: false } };
+    if (withUpdatedAt) columns.updatedAt = { type: Sequelize.DATE, allowNull: false };
+    return columns;
+}
+
+/**
+ * Referencia a otra tabla por su `id`.
+ * @param {string} table
+ * @param {string} onDelete - 'CASCADE' o 'SET NULL'.
+ */
+function references(table, onDelete) {
+    return { references: { model: table, key: 'id' }, onUpdate: 'CASCADE', onDelete };
+}
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.sequelize.query(`ALTER TYPE "enum_users_role" ADD VALUE IF NOT EXISTS 'admin';`);
+
+        await queryInterface.createTable('job_clusters', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            fingerprint: { type: Sequelize.STRING(40), allowNull: false },
+            normalizedTitle: { type: Sequelize.STRING, allowNull: false },
+            normalizedCompany: { type: Sequelize.STRING, allowNull: false, defaultValue: '' },
+            normalizedLocation: { type: Sequelize.STRING, allowNull: false, defaultValue: '' },
+            country: { type: Sequelize.STRING, allowNull: false },
+            canonicalJobId: { type: Sequelize.UUID },
+            jobCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+            ...timestamps(Sequelize),
+        });
+        await queryInterface.addIndex('job_clusters', ['fingerprint']);
+        await queryInterface.addIndex('job_clusters', ['country', 'normalizedCompany']);
+        await queryInterface.addIndex('job_clusters', ['country', 'normalizedTitle']);
+
+        const jobColumns = {
+            salaryMin: { type: Sequelize.FLOAT },
+            salaryMax: { type: Sequelize.FLOAT },
+            salaryCurrency: { type: Sequelize.STRING(3) },
+            salaryPeriod: { type: Sequelize.ENUM('hour', 'day', 'week', 'month', 'year') },
+            clusterId: { type: Sequelize.UUID, ...references('job_clusters', 'SET NULL') },
+            isCanonical: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+            status: { type: Sequelize.ENUM('active', 'expired', 'closed'), allowNull: false, defaultValue: 'active' },
+            lastSeenAt: { type: Sequelize.DATE },
+            lastCheckedAt: { type: Sequelize.DATE },
+            isEnriched: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+            enrichedAt: { type: Sequelize.DATE },
+            enrichmentAttempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            searchVector: { type: Sequelize.TSVECTOR },
+        };
+        for (const column of JOB_COLUMNS) {
+            await queryInterface.addColumn('jobs', column, jobColumns[column]);
+        }
+        for (const fields of [['salaryMin'], ['salaryMax'], ['clusterId'], ['status', 'lastSeenAt'], ['isEnriched']]) {
+            await queryInterface.addIndex('jobs', fields);
+        }
+        await queryInterface.addIndex('jobs', ['searchVector'], { using: 'GIN' });
+        await queryInterface.sequelize.query(SEARCH_VECTOR_FUNCTION_SQL);
+        await queryInterface.sequelize.query(`
+            CREATE TRIGGER jobs_search_vector_trigger
+            BEFORE INSERT OR UPDATE ON "jobs"
+            FOR EACH ROW EXECUTE FUNCTION jobs_search_vector_update();`);
+        // El trigger calcula el vector de los empleos que ya existían
+        await queryInterface.sequelize.query('UPDATE "jobs" SET "searchVector" = NULL;');
+
+        await queryInterface.createTable('scrape_tasks', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            keyword: { type: Sequelize.STRING, allowNull: false },
+            countries: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false },
+            status: { type: Sequelize.ENUM('pending', 'running', 'completed', 'failed'), allowNull: false, defaultValue: 'pending' },
+            attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            maxAttempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 3 },
+            runAfter: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.fn('now') },
+            startedAt: { type: Sequelize.DATE },
+            finishedAt: { type: Sequelize.DATE },
+            jobsFound: { type: Sequelize.INTEGER },
+            lastError: { type: Sequelize.TEXT },
+            requestedBy: { type: Sequelize.UUID, ...references('users', 'SET NULL') },
+            ...timestamps(Sequelize),
+        });
+        await queryInterface.addIndex('scrape_tasks', ['status', 'runAfter']);
+        await queryInterface.addIndex('scrape_tasks', ['keyword']);
+
+        await queryInterface.createTable('scrape_schedules', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            keyword: { type: Sequelize.STRING, allowNull: false },
+            countries: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false },
+            cronExpression: { type: Sequelize.STRING, allowNull: false, defaultValue: '0 */6 * * *' },
+            active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+            nextRunAt: { type: Sequelize.DATE },
+            lastRunAt: { type: Sequelize.DATE },
+            lastStatus: { type: Sequelize.ENUM('success', 'failed') },
+            lastNewJobs: { type: Sequelize.INTEGER },
+            lastUpdatedJobs: { type: Sequelize.INTEGER },
+            lastError: { type: Sequelize.TEXT },
+            totalRuns: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            failureCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            createdBy: { type: Sequelize.UUID, ...references('users', 'SET NULL') },
+            ...timestamps(Sequelize),
+        });
+        await queryInterface.addIndex('scrape_schedules', ['keyword', 'countries'], { unique: true });
+        await queryInterface.addIndex('scrape_schedules', ['active', 'nextRunAt']);
+
+        await queryInterface.createTable('source_health_runs', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            sourceId: { type: Sequelize.STRING, allowNull: false },
+            country: { type: Sequelize.STRING, allowNull: false },
+            keyword: { type: Sequelize.STRING, allowNull: false },
+            itemsFound: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            itemsSkipped: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            parseErrors: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            httpFailed: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+            durationMs: { type: Sequelize.INTEGER, allowNull: false },
+            rollingAverage: { type: Sequelize.FLOAT },
+            degraded: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+            ...timestamps(Sequelize, false),
+        });
+        await queryInterface.addIndex('source_health_runs', ['sourceId', 'createdAt']);
+
+        await queryInterface.createTable('currency_rates', {
+            currency: { type: Sequelize.STRING(3), primaryKey: true },
+            unitsPerUsd: { type: Sequelize.DOUBLE, allowNull: false },
+            source: { type: Sequelize.ENUM('file', 'admin'), allowNull: false, defaultValue: 'file' },
+            ...timestamps(Sequelize),
+        });
+
+        await queryInterface.createTable('job_status_changes', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            jobId: { type: Sequelize.UUID, allowNull: false, ...references('jobs', 'CASCADE') },
+            fromStatus: { type: Sequelize.ENUM('active', 'expired', 'closed'), allowNull: false },
+            toStatus: { type: Sequelize.ENUM('active', 'expired', 'closed'), allowNull: false },
+            reason: { type: Sequelize.STRING, allowNull: false },
+            ...timestamps(Sequelize, false),
+        });
+        await queryInterface.addIndex('job_status_changes', ['jobId', 'createdAt']);
+
+        await queryInterface.createTable('page_snapshots', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            url: { type: Sequelize.TEXT, allowNull: false },
+            fetchedAt: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.fn('now') },
+            sourceName: { type: Sequelize.STRING },
+            kind: { type: Sequelize.ENUM('search', 'detail') },
+            country: { type: Sequelize.STRING },
+            keyword: { type: Sequelize.STRING },
+            content: { type: Sequelize.BLOB, allowNull: false },
+            contentLength: { type: Sequelize.INTEGER, allowNull: false },
+        });
+        await queryInterface.addIndex('page_snapshots', ['url', 'fetchedAt']);
+        await queryInterface.addIndex('page_snapshots', ['fetchedAt']);
+        await queryInterface.addIndex('page_snapshots', ['sourceName', 'kind', 'fetchedAt']);
+    },
+
+    async down(queryInterface) {
+        for (const table of [...TABLES].reverse().filter(table => table !== 'job_clusters')) {
+            await queryInterface.dropTable(table, {});
+        }
+        await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS jobs_search_vector_trigger ON "jobs";');
+        await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS jobs_search_vector_update();');
+        for (const column of [...JOB_COLUMNS].reverse()) {
+            await queryInterface.removeColumn('jobs', column);
+        }
+        await queryInterface.dropTable('job_clusters', {});
+        for (const type of ENUM_TYPES) {
+            await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}";`);
+        }
+
+        // Postgres no permite quitar un valor de un ENUM: se recrea el tipo sin 'admin'
+        await queryInterface.sequelize.query(`
+            UPDATE "users" SET "role" = 'user' WHERE "role" = 'admin';
+            ALTER TABLE "users" ALTER COLUMN "role" DROP DEFAULT;
+            ALTER TYPE "enum_users_role" RENAME TO "enum_users_role_old";
+            CREATE TYPE "enum_users_role" AS ENUM ('guest', 'user');
+            ALTER TABLE "users" ALTER COLUMN "role" TYPE "enum_users_role" USING "role"::text::"enum_users_role";
+            ALTER TABLE "users" ALTER COLUMN "role" SET DEFAULT 'guest';
+            DROP TYPE "enum_users_role_old";`);
+    },
+};
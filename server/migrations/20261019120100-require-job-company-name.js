@@ -0,0 +1,24 @@
+// server/migrations/20261019120100-require-job-company-name.js
+// Corrige los empleos guardados antes de que `normalizeJobData` copiara `company` (lo que entregan los
+// adaptadores) a `companyName` (la columna del modelo): quedaron sin empresa. Se les asigna 'Confidencial',
+// el mismo valor que usa la normalización cuando la fuente no publica la empresa, y la columna pasa a ser obligatoria.
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.sequelize.query(`
+            UPDATE "jobs" SET "companyName" = 'Confidencial'
+            WHERE "companyName" IS NULL OR btrim("companyName") = '';`);
+        await queryInterface.changeColumn('jobs', 'companyName', {
+            type: Sequelize.STRING,
+            allowNull: false,
+            defaultValue: 'Confidencial',
+        });
+    },
+
+    // Solo se revierte la restricción: los empleos corregidos conservan 'Confidencial'.
+    async down(queryInterface, Sequelize) {
+        await queryInterface.changeColumn('jobs', 'companyName', {
+            type: Sequelize.STRING,
+            allowNull: true,
+        });
+    },
+};
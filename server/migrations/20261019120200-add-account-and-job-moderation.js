@@ -0,0 +1,25 @@
+// server/migrations/20261019120200-add-account-and-job-moderation.js
+// Moderación desde la API de administración: cuentas desactivadas (`users.isDisabled`) y ofertas ocultas
+// de la búsqueda (`jobs.isHidden`), con la fecha y el motivo de cada acción.
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('users', 'isDisabled', { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false });
+        await queryInterface.addColumn('users', 'disabledAt', { type: Sequelize.DATE });
+        await queryInterface.addColumn('users', 'disabledReason', { type: Sequelize.STRING });
+
+        await queryInterface.addColumn('jobs', 'isHidden', { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false });
+        await queryInterface.addColumn('jobs', 'hiddenAt', { type: Sequelize.DATE });
+        await queryInterface.addColumn('jobs', 'hiddenReason', { type: Sequelize.STRING });
+        await queryInterface.addIndex('jobs', ['isHidden']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex('jobs', ['isHidden']);
+        for (const column of ['hiddenReason', 'hiddenAt', 'isHidden']) {
+            await queryInterface.removeColumn('jobs', column);
+        }
+        for (const column of ['disabledReason', 'disabledAt', 'isDisabled']) {
+            await queryInterface.removeColumn('users', column);
+        }
+    },
+};
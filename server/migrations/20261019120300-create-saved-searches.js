@@ -0,0 +1,32 @@
+// server/migrations/20261019120300-create-saved-searches.js
+// Búsquedas guardadas de los usuarios (`saved_searches`), con la frecuencia de su resumen por email y hasta
+// cuándo se revisaron las ofertas nuevas.
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('saved_searches', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: { model: 'users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE',
+            },
+            keyword: { type: Sequelize.STRING, allowNull: false },
+            countries: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false },
+            filters: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+            frequency: { type: Sequelize.ENUM('daily', 'weekly', 'never'), allowNull: false, defaultValue: 'daily' },
+            lastNotifiedAt: { type: Sequelize.DATE },
+            lastMatchCount: { type: Sequelize.INTEGER },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false },
+        });
+        await queryInterface.addIndex('saved_searches', ['userId']);
+        await queryInterface.addIndex('saved_searches', ['frequency', 'lastNotifiedAt']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('saved_searches', {});
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_saved_searches_frequency";');
+    },
+};
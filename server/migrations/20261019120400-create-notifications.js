@@ -0,0 +1,33 @@
+// server/migrations/20261019120400-create-notifications.js
+// Notificaciones de los usuarios dentro de la aplicación (`notifications`).
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('notifications', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: { model: 'users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE',
+            },
+            type: {
+                type: Sequelize.ENUM('saved_search_matches', 'favorite_unavailable', 'application_status'),
+                allowNull: false,
+            },
+            title: { type: Sequelize.STRING, allowNull: false },
+            message: { type: Sequelize.TEXT },
+            link: { type: Sequelize.STRING },
+            data: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+            readAt: { type: Sequelize.DATE },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+        });
+        await queryInterface.addIndex('notifications', ['userId', 'createdAt']);
+        await queryInterface.addIndex('notifications', ['userId', 'readAt']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('notifications', {});
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notifications_type";');
+    },
+};
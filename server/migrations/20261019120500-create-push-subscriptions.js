@@ -0,0 +1,29 @@
+// server/migrations/20261019120500-create-push-subscriptions.js
+// Suscripciones Web Push de los navegadores de cada usuario (`push_subscriptions`).
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('push_subscriptions', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: { model: 'users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE',
+            },
+            endpoint: { type: Sequelize.TEXT, allowNull: false, unique: true },
+            p256dh: { type: Sequelize.STRING, allowNull: false },
+            auth: { type: Sequelize.STRING, allowNull: false },
+            expirationTime: { type: Sequelize.DATE },
+            userAgent: { type: Sequelize.STRING },
+            lastSuccessAt: { type: Sequelize.DATE },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false },
+        });
+        await queryInterface.addIndex('push_subscriptions', ['userId']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('push_subscriptions', {});
+    },
+};
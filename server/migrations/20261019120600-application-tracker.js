@@ -0,0 +1,79 @@
+// server/migrations/20261019120600-application-tracker.js
+// Seguimiento de postulaciones: `job_applications.status` pasa de los estados fijos ('pending', 'reviewed',
+// 'accepted', 'rejected') a las etapas que actualiza el usuario, se añaden notas, contacto y próximo paso,
+// y cada cambio de etapa queda en `job_application_status_changes`.
+const STAGES = ['applied', 'screening', 'interview', 'offer', 'rejected', 'withdrawn'];
+const LEGACY_STATUSES = ['pending', 'reviewed', 'accepted', 'rejected'];
+// Equivalencias entre los estados anteriores y las etapas, en cada sentido.
+const TO_STAGE = { pending: 'applied', reviewed: 'screening', accepted: 'offer', rejected: 'rejected' };
+const TO_LEGACY = { applied: 'pending', screening: 'reviewed', interview: 'reviewed', offer: 'accepted', rejected: 'rejected', withdrawn: 'rejected' };
+const NEW_COLUMNS = ['notes', 'contactName', 'contactEmail', 'nextStep', 'nextStepAt'];
+
+/**
+ * Reemplaza el tipo ENUM de `job_applications.status` convirtiendo cada valor.
+ * @param {Object} queryInterface
+ * @param {Array<string>} values - Valores del nuevo tipo.
+ * @param {Object} mapping - Valor anterior -> valor nuevo.
+ * @param {string} defaultValue
+ */
+async function replaceStatusEnum(queryInterface, values, mapping, defaultValue) {
+    const cases = Object.entries(mapping).map(([from, to]) => `WHEN '${from}' THEN '${to}'`).join(' ');
+    await queryInterface.sequelize.query(`
+        ALTER TABLE "job_applications" ALTER COLUMN "status" DROP DEFAULT;
+        ALTER TABLE "job_applications" ALTER COLUMN "status" TYPE VARCHAR(255) USING "status"::text;
+        DROP TYPE IF EXISTS "enum_job_applications_status";
+        UPDATE "job_applications" SET "status" = CASE "status" ${cases} ELSE '${defaultValue}' END;
+        CREATE TYPE "enum_job_applications_status" AS ENUM (${values.map(value => `'${value}'`).join(', ')});
+        ALTER TABLE "job_applications" ALTER COLUMN "status" TYPE "enum_job_applications_status" USING "status"::"enum_job_applications_status";
+        ALTER TABLE "job_applications" ALTER COLUMN "status" SET DEFAULT '${defaultValue}';`);
+}
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await replaceStatusEnum(queryInterface, STAGES, TO_STAGE, 'applied');
+        await queryInterface.sequelize.query('ALTER TABLE "job_applications" ALTER COLUMN "status" SET NOT NULL;');
+
+        await queryInterface.addColumn('job_applications', 'notes', { type: Sequelize.TEXT });
+        await queryInterface.addColumn('job_applications', 'contactName', { type: Sequelize.STRING });
+        await queryInterface.addColumn('job_applications', 'contactEmail', { type: Sequelize.STRING });
+        await queryInterface.addColumn('job_applications', 'nextStep', { type: Sequelize.STRING });
+        await queryInterface.addColumn('job_applications', 'nextStepAt', { type: Sequelize.DATE });
+
+        await queryInterface.createTable('job_application_status_changes', {
+            id: { type: Sequelize.UUID, primaryKey: true },
+            applicationId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: { model: 'job_applications', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE',
+            },
+            fromStatus: { type: Sequelize.ENUM(...STAGES) },
+            toStatus: { type: Sequelize.ENUM(...STAGES), allowNull: false },
+            note: { type: Sequelize.TEXT },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+        });
+        await queryInterface.addIndex('job_application_status_changes', ['applicationId', 'createdAt']);
+
+        // Línea de tiempo de las postulaciones existentes: la postulación y, si ya no está en 'applied',
+        // el paso a su etapa actual en su última actualización.
+        await queryInterface.sequelize.query(`
+            INSERT INTO "job_application_status_changes" ("id", "applicationId", "fromStatus", "toStatus", "createdAt")
+            SELECT gen_random_uuid(), "id", NULL, 'applied', COALESCE("applicationDate", "createdAt") FROM "job_applications";
+            INSERT INTO "job_application_status_changes" ("id", "applicationId", "fromStatus", "toStatus", "createdAt")
+            SELECT gen_random_uuid(), "id", 'applied', "status"::text::"enum_job_application_status_changes_toStatus", "updatedAt"
+            FROM "job_applications" WHERE "status" <> 'applied';`);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('job_application_status_changes', {});
+        await queryInterface.sequelize.query(`
+            DROP TYPE IF EXISTS "enum_job_application_status_changes_fromStatus";
+            DROP TYPE IF EXISTS "enum_job_application_status_changes_toStatus";`);
+        for (const column of [...NEW_COLUMNS].reverse()) {
+            await queryInterface.removeColumn('job_applications', column);
+        }
+        await queryInterface.sequelize.query('ALTER TABLE "job_applications" ALTER COLUMN "status" DROP NOT NULL;');
+        await replaceStatusEnum(queryInterface, LEGACY_STATUSES, TO_LEGACY, 'pending');
+    },
+};
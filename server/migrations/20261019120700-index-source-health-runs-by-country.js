@@ -0,0 +1,14 @@
+// server/migrations/20261019120700-index-source-health-runs-by-country.js
+// El promedio móvil y el estado de salud de una fuente se calculan por país (una fuente puede fallar
+// en un país y no en otro), así que el historial reciente se consulta por fuente y país.
+module.exports = {
+    async up(queryInterface) {
+        await queryInterface.addIndex('source_health_runs', ['sourceId', 'country', 'createdAt']);
+        await queryInterface.removeIndex('source_health_runs', ['sourceId', 'createdAt']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.addIndex('source_health_runs', ['sourceId', 'createdAt']);
+        await queryInterface.removeIndex('source_health_runs', ['sourceId', 'country', 'createdAt']);
+    },
+};
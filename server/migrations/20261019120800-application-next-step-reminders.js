@@ -0,0 +1,27 @@
+// server/migrations/20261019120800-application-next-step-reminders.js
+// Recordatorios del próximo paso de una postulación: nuevo tipo de notificación 'application_reminder' (junto a
+// los avisos de cambio de etapa, 'application_status') y `job_applications.nextStepRemindedAt`, que evita repetir
+// el recordatorio de un mismo paso.
+const PREVIOUS_TYPES = ['saved_search_matches', 'favorite_unavailable', 'application_status'];
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        // Añadir el valor conserva las notificaciones existentes de todos los tipos.
+        await queryInterface.sequelize.query(`ALTER TYPE "enum_notifications_type" ADD VALUE IF NOT EXISTS 'application_reminder';`);
+        await queryInterface.addColumn('job_applications', 'nextStepRemindedAt', { type: Sequelize.DATE });
+        await queryInterface.addIndex('job_applications', ['nextStepAt']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex('job_applications', ['nextStepAt']);
+        await queryInterface.removeColumn('job_applications', 'nextStepRemindedAt');
+        // Postgres no permite quitar un valor de un ENUM: se recrea el tipo sin los recordatorios, que no tienen
+        // equivalente en el esquema anterior.
+        await queryInterface.sequelize.query(`
+            DELETE FROM "notifications" WHERE "type" = 'application_reminder';
+            ALTER TABLE "notifications" ALTER COLUMN "type" TYPE VARCHAR(255) USING "type"::text;
+            DROP TYPE IF EXISTS "enum_notifications_type";
+            CREATE TYPE "enum_notifications_type" AS ENUM (${PREVIOUS_TYPES.map(value => `'${value}'`).join(', ')});
+            ALTER TABLE "notifications" ALTER COLUMN "type" TYPE "enum_notifications_type" USING "type"::"enum_notifications_type";`);
+    },
+};
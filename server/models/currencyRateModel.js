@@ -0,0 +1,37 @@
+// server/models/currencyRateModel.js
+// Modelo de Sequelize para las tasas de cambio usadas al comparar salarios entre países
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Define el modelo CurrencyRate para la tabla 'currency_rates' en la base de datos.
+ * Cada fila indica cuántas unidades de una moneda equivalen a 1 USD (la moneda base).
+ * Las tasas se cargan desde un archivo local (ver services/currencyService) o desde la API de administración;
+ * no se consulta ningún servicio de cambio externo.
+ */
+const CurrencyRate = sequelize.define('CurrencyRate', {
+    // `currency`: Código ISO 4217 de la moneda (ej. "COP"). Es la clave primaria.
+    currency: {
+        type: DataTypes.STRING(3),
+        primaryKey: true,
+    },
+    // `unitsPerUsd`: Unidades de la moneda por 1 USD (ej. 4150 para COP). La tasa de USD es siempre 1.
+    unitsPerUsd: {
+        type: DataTypes.DOUBLE,
+        allowNull: false,
+        validate: {
+            min: 0.000001,
+        },
+    },
+    // `source`: Origen de la tasa. Las tasas fijadas por un administrador no se sobrescriben al recargar el archivo al arrancar.
+    source: {
+        type: DataTypes.ENUM('file', 'admin'),
+        allowNull: false,
+        defaultValue: 'file',
+    },
+}, {
+    tableName: 'currency_rates', // Nombre de la tabla en la base de datos
+    timestamps: true,            // Agrega `createdAt` y `updatedAt` (fecha de la última actualización de la tasa)
+});
+
+module.exports = CurrencyRate;
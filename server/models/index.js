@@ -1,38 +1,56 @@
 // server/models/index.js
 // Archivo para importar y exportar todos los modelos de Sequelize
 const { sequelize, testConnection } = require('../config/database');
+const { migrator, getMigrationStatus } = require('../config/migrator');
 const User = require('./userModel');
 const Job = require('./jobModel');
 const FavoriteJob = require('./favoriteJobModel'); // Este archivo ya contiene las asociaciones
 const JobApplication = require('./jobApplicationModel');
+const JobApplicationStatusChange = require('./jobApplicationStatusChangeModel');
+const ScrapeTask = require('./scrapeTaskModel');
+const ScrapeSchedule = require('./scrapeScheduleModel');
+const SourceHealthRun = require('./sourceHealthRunModel');
+const CurrencyRate = require('./currencyRateModel');
+const JobCluster = require('./jobClusterModel');
+const JobStatusChange = require('./jobStatusChangeModel');
+const PageSnapshot = require('./pageSnapshotModel');
+const SavedSearch = require('./savedSearchModel');
+const Notification = require('./notificationModel');
+const PushSubscription = require('./pushSubscriptionModel');
 
 // En este archivo `index.js`, se recomienda centralizar la importación de todos los modelos
-// y también la función para sincronizar la base de datos.
+// y también la función que prepara la base de datos (migraciones).
 // Las asociaciones entre modelos (ej. User.hasMany(FavoriteJob)) también pueden definirse aquí
 // si no se definieron directamente en los archivos de modelo individuales.
 // En este caso, ya están definidas en favoriteJobModel.js, por lo que no es estrictamente necesario duplicarlas aquí.
 
 /**
- * Sincroniza todos los modelos definidos con la base de datos.
- * Esta función debe ser llamada al iniciar la aplicación (usualmente en app.js)
- * para asegurar que las tablas existen y están actualizadas según los modelos.
+ * Prepara la base de datos al iniciar la aplicación (app.js) o un script: verifica la conexión y comprueba
+ * las migraciones de `migrations/` (ver config/migrator).
+ * - En desarrollo y pruebas, aplica las migraciones pendientes.
+ * - En producción (`NODE_ENV=production`) no las aplica: si hay alguna pendiente, termina el proceso para no
+ *   arrancar con un esquema desactualizado. Se aplican antes del despliegue con `npm run db:migrate`.
+ * El esquema ya no se sincroniza desde los modelos: todo cambio de un modelo necesita su migración.
  */
 async function syncDatabase() {
     await testConnection(); // Primero, se verifica que la conexión a la base de datos sea exitosa
     try {
-        // `sequelize.sync()` sincroniza los modelos con la base de datos.
-        // Opciones importantes:
-        // - `alter: true`: Intenta realizar los cambios necesarios en la tabla existente para que coincida con el modelo.
-        //   Es útil en desarrollo para cambios menores sin perder datos existentes.
-        //   En producción, para cambios de esquema mayores, se recomiendan migraciones (Sequelize CLI).
-        // - `force: true`: (¡ADVERTENCIA!) Elimina la tabla si existe y luego la recrea.
-        //   Esto es muy útil en las primeras etapas de desarrollo para empezar con una tabla limpia,
-        //   pero ¡nunca debe usarse en un entorno de producción con datos reales!
-        await sequelize.sync({ alter: true }); // Usamos alter: true para permitir cambios y mantener datos en desarrollo
-        console.log('Todos los modelos de la base de datos fueron sincronizados exitosamente.');
+        const { executed, pending } = await getMigrationStatus();
+        if (pending.length === 0) {
+            console.log(`La base de datos está al día (${executed.length} migraciones aplicadas).`);
+            return;
+        }
+
+        if (process.env.NODE_ENV === 'production') {
+            console.error(`¡ERROR! Hay ${pending.length} migraciones pendientes (${pending.join(', ')}). Ejecuta \`npm run db:migrate\` antes de iniciar la aplicación.`);
+            process.exit(1);
+        }
+
+        await migrator.up();
+        console.log(`${pending.length} migraciones pendientes aplicadas.`);
     } catch (error) {
-        console.error('¡ERROR! Ocurrió un problema al sincronizar la base de datos:', error);
-        // Si la sincronización falla, la aplicación no puede funcionar correctamente, por lo que se termina el proceso.
+        console.error('¡ERROR! Ocurrió un problema al aplicar las migraciones de la base de datos:', error);
+        // Con el esquema a medio migrar la aplicación no puede funcionar correctamente, por lo que se termina el proceso.
         process.exit(1);
     }
 }
@@ -43,5 +61,16 @@ module.exports = {
     Job,
     FavoriteJob,
     JobApplication,
-    syncDatabase, // Exportamos la función para sincronizar la base de datos
+    JobApplicationStatusChange,
+    ScrapeTask,
+    ScrapeSchedule,
+    SourceHealthRun,
+    CurrencyRate,
+    JobCluster,
+    JobStatusChange,
+    PageSnapshot,
+    SavedSearch,
+    Notification,
+    PushSubscription,
+    syncDatabase, // Exportamos la función que prepara la base de datos
 };
\ No newline at end of file
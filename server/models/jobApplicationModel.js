@@ -26,13 +26,48 @@ const JobApplication = sequelize.define('JobApplication', {
         },
         allowNull: false,
     },
+    // `status`: Etapa del proceso de selección, que el usuario actualiza. Cada cambio queda en el historial
+    // (JobApplicationStatusChange).
+    // - 'applied': se postuló. - 'screening': en revisión o primer filtro. - 'interview': en entrevistas.
+    // - 'offer': recibió una oferta. - 'rejected': fue descartado. - 'withdrawn': retiró la postulación.
     status: {
-        type: DataTypes.ENUM('pending', 'reviewed', 'accepted', 'rejected'),
-        defaultValue: 'pending'
+        type: DataTypes.ENUM('applied', 'screening', 'interview', 'offer', 'rejected', 'withdrawn'),
+        allowNull: false,
+        defaultValue: 'applied'
     },
     applicationDate: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
+    },
+    // `notes`: Notas libres del usuario sobre la postulación.
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    // `contactName` / `contactEmail`: Persona de contacto en la empresa (reclutador, entrevistador...).
+    contactName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    contactEmail: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: { isEmail: true },
+    },
+    // `nextStep` / `nextStepAt`: Próximo paso del proceso (ej. 'Entrevista técnica') y su fecha.
+    nextStep: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    nextStepAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `nextStepRemindedAt`: Cuándo se envió el recordatorio del próximo paso actual (null si está pendiente).
+    // Se vacía al cambiar `nextStepAt`.
+    nextStepRemindedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
     }
 }, {
     tableName: 'job_applications',
@@ -41,7 +76,8 @@ const JobApplication = sequelize.define('JobApplication', {
         {
             unique: true,
             fields: ['userId', 'jobId']
-        }
+        },
+        { fields: ['nextStepAt'] } // Recordatorios de los próximos pasos
     ]
 });
 
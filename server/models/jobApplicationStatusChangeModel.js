@@ -0,0 +1,70 @@
+// server/models/jobApplicationStatusChangeModel.js
+// Modelo de Sequelize para el historial de etapas de las postulaciones
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const JobApplication = require('./jobApplicationModel');
+
+// Las mismas etapas que `JobApplication.status`.
+const STAGES = JobApplication.getAttributes().status.values;
+
+/**
+ * Define el modelo JobApplicationStatusChange para la tabla 'job_application_status_changes' en la base de datos.
+ * Cada fila registra un paso de una postulación a otra etapa (la primera, sin `fromStatus`, es la postulación
+ * misma), con un comentario opcional del usuario. Es la línea de tiempo de la postulación: no se modifica.
+ */
+const JobApplicationStatusChange = sequelize.define('JobApplicationStatusChange', {
+    // `id`: Clave primaria única para cada cambio. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `applicationId`: Postulación cuya etapa cambió.
+    applicationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: JobApplication,
+            key: 'id',
+        },
+    },
+    // `fromStatus` / `toStatus`: Etapa anterior (null al postularse) y nueva.
+    fromStatus: {
+        type: DataTypes.ENUM(...STAGES),
+        allowNull: true,
+    },
+    toStatus: {
+        type: DataTypes.ENUM(...STAGES),
+        allowNull: false,
+    },
+    // `note`: Comentario del usuario sobre el cambio (ej. 'Me llamó la reclutadora').
+    note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+}, {
+    tableName: 'job_application_status_changes', // Nombre de la tabla en la base de datos
+    timestamps: true,                            // `createdAt` es la fecha del cambio
+    updatedAt: false,                            // Los cambios no se modifican una vez registrados
+    indexes: [
+        { fields: ['applicationId', 'createdAt'] } // Línea de tiempo de una postulación
+    ],
+    hooks: {
+        // El historial solo crece: un cambio registrado no se edita (se borra junto con su postulación)
+        beforeUpdate() {
+            throw new Error('El historial de una postulación no se puede modificar.');
+        },
+    },
+});
+
+// Una postulación tiene un historial de etapas; al borrarse la postulación se borra su historial.
+JobApplication.hasMany(JobApplicationStatusChange, {
+    foreignKey: 'applicationId',
+    as: 'history',
+    onDelete: 'CASCADE'
+});
+JobApplicationStatusChange.belongsTo(JobApplication, {
+    foreignKey: 'applicationId'
+});
+
+module.exports = JobApplicationStatusChange;
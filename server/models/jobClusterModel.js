@@ -0,0 +1,78 @@
+// server/models/jobClusterModel.js
+// Modelo de Sequelize para los grupos de publicaciones duplicadas de una misma vacante
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Job = require('./jobModel');
+
+/**
+ * Define el modelo JobCluster para la tabla 'job_clusters' en la base de datos.
+ * Un cluster agrupa las publicaciones (filas de `jobs`) que corresponden a la misma vacante:
+ * la misma oferta publicada de nuevo con otra URL o listada en varias bolsas de empleo.
+ * La búsqueda muestra una sola tarjeta por cluster, la de su publicación canónica.
+ * Los campos normalizados los calcula services/jobDedupService.
+ */
+const JobCluster = sequelize.define('JobCluster', {
+    // `id`: Clave primaria única para cada cluster. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `fingerprint`: Huella (SHA-1) del título, la empresa y la ubicación normalizados de la publicación que creó el cluster.
+    fingerprint: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+    },
+    // `normalizedTitle` / `normalizedCompany` / `normalizedLocation`: Datos normalizados con los que se
+    // buscan candidatos a duplicado (sin tildes, mayúsculas, signos ni sufijos societarios).
+    normalizedTitle: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    normalizedCompany: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '',
+    },
+    normalizedLocation: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '',
+    },
+    // `country`: País de las publicaciones del cluster (solo se agrupan publicaciones del mismo país).
+    country: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `canonicalJobId`: Publicación que representa al cluster en la búsqueda (la más reciente).
+    canonicalJobId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+    },
+    // `jobCount`: Número de publicaciones del cluster.
+    jobCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+    },
+}, {
+    tableName: 'job_clusters', // Nombre de la tabla en la base de datos
+    timestamps: true,          // Agrega `createdAt` y `updatedAt`
+    indexes: [
+        { fields: ['fingerprint'] },                 // Duplicados exactos
+        { fields: ['country', 'normalizedCompany'] }, // Candidatos de la misma empresa
+        { fields: ['country', 'normalizedTitle'] }    // Candidatos de empresa confidencial
+    ]
+});
+
+// Un cluster agrupa varias publicaciones; al borrarse, sus publicaciones quedan sin agrupar.
+JobCluster.hasMany(Job, {
+    foreignKey: 'clusterId',
+    as: 'postings'
+});
+Job.belongsTo(JobCluster, {
+    foreignKey: 'clusterId',
+    onDelete: 'SET NULL'
+});
+
+module.exports = JobCluster;
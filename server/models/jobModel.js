@@ -19,9 +19,11 @@ const Job = sequelize.define('Job', {
         type: DataTypes.STRING,
         allowNull: false,
     },
+    // `companyName`: Empresa que publica la oferta; 'Confidencial' si la fuente no la muestra.
     companyName: {
         type: DataTypes.STRING,
-        allowNull: true, // Puede ser nulo si no siempre se scrapea o es opcional
+        allowNull: false,
+        defaultValue: 'Confidencial',
     },
     // `description`: Descripción completa del empleo. Se usa TEXT para permitir textos largos.
     description: {
@@ -29,10 +31,31 @@ const Job = sequelize.define('Job', {
         allowNull: true, // Puede ser nulo si la descripción no se pudo extraer o no está disponible
     },
     // `salary`: Información salarial. Se usa STRING ya que puede ser un rango o texto descriptivo.
+    // Se conserva el texto original para mostrarlo; los campos `salary*` contienen su interpretación numérica.
     salary: {
         type: DataTypes.STRING,
         allowNull: true,
     },
+    // `salaryMin` / `salaryMax`: Rango salarial interpretado (ver utils/salaryParser).
+    // Un salario "hasta X" solo tiene máximo y uno "desde X" solo mínimo.
+    salaryMin: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+    },
+    salaryMax: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+    },
+    // `salaryCurrency`: Código ISO 4217 de la moneda del salario (ej. "COP", "USD").
+    salaryCurrency: {
+        type: DataTypes.STRING(3),
+        allowNull: true,
+    },
+    // `salaryPeriod`: Periodo de pago del salario.
+    salaryPeriod: {
+        type: DataTypes.ENUM('hour', 'day', 'week', 'month', 'year'),
+        allowNull: true,
+    },
     // `experienceRequired`: Experiencia laboral requerida para el puesto.
     experienceRequired: {
         type: DataTypes.STRING,
@@ -89,16 +112,101 @@ const Job = sequelize.define('Job', {
     country: {
         type: DataTypes.STRING,
         allowNull: false,
+    },
+    // `clusterId`: Grupo de publicaciones duplicadas al que pertenece el empleo (ver jobClusterModel).
+    // Es nulo hasta que services/jobDedupService lo agrupa.
+    clusterId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+    },
+    // `isCanonical`: Si es la publicación que representa a su cluster en la búsqueda.
+    // La búsqueda solo devuelve publicaciones canónicas, una por vacante.
+    isCanonical: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+    },
+    // `status`: Estado de la oferta en su fuente.
+    // - 'active': la fuente la sigue publicando.
+    // - 'expired': no aparece en los scrapings desde hace `JOB_EXPIRY_DAYS` días o venció su `deadlineDate`.
+    // - 'closed': su `sourceUrl` responde 404/410 o muestra una página de oferta cerrada.
+    // Los cambios de estado se registran en `job_status_changes` (ver jobStatusChangeModel).
+    status: {
+        type: DataTypes.ENUM('active', 'expired', 'closed'),
+        allowNull: false,
+        defaultValue: 'active',
+    },
+    // `lastSeenAt`: Última vez que un scraping encontró la oferta en su fuente.
+    lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `lastCheckedAt`: Última vez que se comprobó su `sourceUrl` (ver services/jobLifecycleService).
+    lastCheckedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `isEnriched`: Si ya se leyó la página de detalle de la oferta (ver services/jobEnrichmentService).
+    // El listado de las fuentes solo trae un resumen; el detalle completa descripción, requisitos, tipo de
+    // contrato, modalidad, experiencia, fecha límite y empresa.
+    isEnriched: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+    // `enrichedAt`: Fecha en la que se leyó la página de detalle.
+    enrichedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `enrichmentAttempts`: Intentos de leer la página de detalle; se deja de intentar tras `JOB_DETAIL_MAX_ATTEMPTS`.
+    enrichmentAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    // `isHidden`: Oferta ocultada por un administrador (spam, datos erróneos...). No aparece en la búsqueda
+    // ni en el detalle, y los scrapings posteriores no la vuelven a mostrar.
+    isHidden: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+    // `hiddenAt` / `hiddenReason`: Fecha y motivo por el que se ocultó (nulos si la oferta es visible).
+    hiddenAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    hiddenReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // `searchVector`: Documento de búsqueda de texto completo (español + inglés).
+    // Lo mantiene el trigger `jobs_search_vector_trigger` (ver migrations/); nunca se asigna desde la aplicación.
+    searchVector: {
+        type: DataTypes.TSVECTOR,
+        allowNull: true,
     }
 }, {
     tableName: 'jobs',    // Nombre de la tabla en la base de datos
     timestamps: true,     // Agrega `createdAt` y `updatedAt`
+    // El vector de búsqueda es interno: no se devuelve en las respuestas de la API.
+    defaultScope: {
+        attributes: { exclude: ['searchVector'] },
+    },
     // Índices para mejorar el rendimiento de las búsquedas y filtrados.
     indexes: [
         { fields: ['title'] },     // Búsqueda por título
         { fields: ['location'] },  // Búsqueda por ubicación
         { fields: ['country'] },   // Búsqueda por país
-        { fields: ['modality'] }   // Búsqueda por modalidad
+        { fields: ['modality'] },  // Búsqueda por modalidad
+        { fields: ['salaryMin'] }, // Filtros y orden por salario
+        { fields: ['salaryMax'] },
+        { fields: ['clusterId'] }, // Publicaciones de un cluster
+        { fields: ['status', 'lastSeenAt'] }, // Búsqueda de ofertas activas y barrido de vencidas
+        { fields: ['isEnriched'] }, // Ofertas pendientes de leer su página de detalle
+        { fields: ['isHidden'] }, // Ofertas ocultadas por un administrador
+        { fields: ['searchVector'], using: 'GIN' } // Búsqueda de texto completo
     ]
 });
 
@@ -0,0 +1,61 @@
+// server/models/jobStatusChangeModel.js
+// Modelo de Sequelize para el historial de estados de los empleos
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Job = require('./jobModel');
+
+/**
+ * Define el modelo JobStatusChange para la tabla 'job_status_changes' en la base de datos.
+ * Cada fila registra un cambio de `Job.status` (ej. de 'active' a 'closed') y su motivo,
+ * para saber cuándo y por qué una oferta dejó de mostrarse en la búsqueda.
+ */
+const JobStatusChange = sequelize.define('JobStatusChange', {
+    // `id`: Clave primaria única para cada cambio. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `jobId`: Empleo cuyo estado cambió.
+    jobId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Job,
+            key: 'id',
+        },
+    },
+    // `fromStatus` / `toStatus`: Estado anterior y nuevo del empleo.
+    fromStatus: {
+        type: DataTypes.ENUM('active', 'expired', 'closed'),
+        allowNull: false,
+    },
+    toStatus: {
+        type: DataTypes.ENUM('active', 'expired', 'closed'),
+        allowNull: false,
+    },
+    // `reason`: Motivo del cambio (ej. 'not_seen', 'deadline_passed', 'http_404', 'closed_page', 'seen_again').
+    reason: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+}, {
+    tableName: 'job_status_changes', // Nombre de la tabla en la base de datos
+    timestamps: true,                // `createdAt` es la fecha del cambio
+    updatedAt: false,                // Los cambios no se modifican una vez registrados
+    indexes: [
+        { fields: ['jobId', 'createdAt'] } // Historial de un empleo
+    ]
+});
+
+// Un empleo tiene un historial de estados; al borrarse el empleo se borra su historial.
+Job.hasMany(JobStatusChange, {
+    foreignKey: 'jobId',
+    as: 'statusHistory',
+    onDelete: 'CASCADE'
+});
+JobStatusChange.belongsTo(Job, {
+    foreignKey: 'jobId'
+});
+
+module.exports = JobStatusChange;
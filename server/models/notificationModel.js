@@ -0,0 +1,81 @@
+// server/models/notificationModel.js
+// Modelo de Sequelize para las notificaciones que cada usuario ve en la aplicación
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./userModel');
+
+/**
+ * Define el modelo Notification para la tabla 'notifications' en la base de datos.
+ * Cada fila es un aviso para un usuario (ofertas nuevas de una búsqueda guardada, un favorito que dejó de
+ * estar disponible). Se crean desde notificationService.
+ */
+const Notification = sequelize.define('Notification', {
+    // `id`: Clave primaria única para cada notificación. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `userId`: Usuario que recibe la notificación.
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    // `type`: Evento que la originó.
+    // - 'saved_search_matches': una búsqueda guardada tiene ofertas nuevas.
+    // - 'favorite_unavailable': un empleo favorito venció o se cerró.
+    // - 'application_status': una postulación cambió de etapa.
+    // - 'application_reminder': se acerca la fecha del próximo paso de una postulación.
+    type: {
+        type: DataTypes.ENUM('saved_search_matches', 'favorite_unavailable', 'application_status', 'application_reminder'),
+        allowNull: false,
+    },
+    // `title` / `message`: Texto que se muestra al usuario.
+    title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    // `link`: Ruta del cliente a la que lleva la notificación (ej. '/jobs/<id>').
+    link: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // `data`: Identificadores del evento (ej. `{ savedSearchId, jobIds, total }`), para el cliente.
+    data: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+    },
+    // `readAt`: Fecha en que el usuario la marcó como leída; null mientras no se haya leído.
+    readAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    tableName: 'notifications', // Nombre de la tabla en la base de datos
+    timestamps: true,           // `createdAt` es la fecha del evento
+    updatedAt: false,           // Solo cambia `readAt`
+    indexes: [
+        { fields: ['userId', 'createdAt'] }, // Listado del usuario, de la más reciente a la más antigua
+        { fields: ['userId', 'readAt'] }     // Contador de no leídas
+    ]
+});
+
+// Un usuario tiene muchas notificaciones; al borrarse el usuario se borran sus notificaciones.
+User.hasMany(Notification, {
+    foreignKey: 'userId',
+    onDelete: 'CASCADE'
+});
+Notification.belongsTo(User, {
+    foreignKey: 'userId'
+});
+
+module.exports = Notification;
@@ -0,0 +1,68 @@
+// server/models/pageSnapshotModel.js
+// Modelo de Sequelize para el archivo de páginas descargadas por el scraping
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Define el modelo PageSnapshot para la tabla 'page_snapshots' en la base de datos.
+ * Cada fila guarda, comprimido con gzip, el HTML de una página tal como se descargó (ver pageSnapshotService),
+ * para poder volver a parsearlo sin acceder a la fuente cuando se corrige un parser.
+ */
+const PageSnapshot = sequelize.define('PageSnapshot', {
+    // `id`: Clave primaria única para cada página. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `url`: URL descargada.
+    url: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    // `fetchedAt`: Fecha y hora de la descarga.
+    fetchedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+    // `sourceName`: Fuente a la que pertenece la página (ej. 'Computrabajo'); null si se descargó fuera de una fuente.
+    sourceName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // `kind`: 'search' para un listado de resultados, 'detail' para la página de una oferta.
+    kind: {
+        type: DataTypes.ENUM('search', 'detail'),
+        allowNull: true,
+    },
+    // `country` / `keyword`: País y palabra clave de la búsqueda (la palabra clave solo en los listados).
+    country: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    keyword: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // `content`: HTML comprimido con gzip.
+    content: {
+        type: DataTypes.BLOB,
+        allowNull: false,
+    },
+    // `contentLength`: Tamaño del HTML sin comprimir, en bytes.
+    contentLength: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+}, {
+    tableName: 'page_snapshots', // Nombre de la tabla en la base de datos
+    timestamps: false,           // `fetchedAt` es la única fecha relevante; las páginas no se modifican
+    indexes: [
+        { fields: ['url', 'fetchedAt'] },               // Versiones de una misma página
+        { fields: ['fetchedAt'] },                      // Limpieza por antigüedad
+        { fields: ['sourceName', 'kind', 'fetchedAt'] } // Reprocesado por fuente
+    ]
+});
+
+module.exports = PageSnapshot;
@@ -0,0 +1,75 @@
+// server/models/pushSubscriptionModel.js
+// Modelo de Sequelize para las suscripciones Web Push de los navegadores de cada usuario
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./userModel');
+
+/**
+ * Define el modelo PushSubscription para la tabla 'push_subscriptions' en la base de datos.
+ * Cada fila es un navegador en el que el usuario activó las notificaciones push: la URL del servicio de push
+ * del navegador y las claves con las que se cifra cada mensaje. Se gestionan desde pushService.
+ */
+const PushSubscription = sequelize.define('PushSubscription', {
+    // `id`: Clave primaria única para cada suscripción. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `userId`: Usuario que recibe las notificaciones en ese navegador.
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    // `endpoint`: URL del servicio de push del navegador. Identifica la suscripción.
+    endpoint: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        unique: true,
+    },
+    // `p256dh` / `auth`: Clave pública y secreto de autenticación del navegador (base64url), para cifrar los mensajes.
+    p256dh: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    auth: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `expirationTime`: Fecha en que el navegador da por vencida la suscripción, si la indica.
+    expirationTime: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `userAgent`: Navegador desde el que se suscribió, para identificarla.
+    userAgent: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // `lastSuccessAt`: Último envío aceptado por el servicio de push.
+    lastSuccessAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    tableName: 'push_subscriptions', // Nombre de la tabla en la base de datos
+    timestamps: true,                // Agrega `createdAt` y `updatedAt`
+    indexes: [
+        { fields: ['userId'] } // Suscripciones de cada usuario al enviar
+    ]
+});
+
+// Un usuario tiene muchas suscripciones (una por navegador); al borrarse el usuario se borran.
+User.hasMany(PushSubscription, {
+    foreignKey: 'userId',
+    onDelete: 'CASCADE'
+});
+PushSubscription.belongsTo(User, {
+    foreignKey: 'userId'
+});
+
+module.exports = PushSubscription;
@@ -0,0 +1,81 @@
+// server/models/savedSearchModel.js
+// Modelo de Sequelize para las búsquedas guardadas de los usuarios y sus alertas por email
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./userModel');
+
+/**
+ * Define el modelo SavedSearch para la tabla 'saved_searches' en la base de datos.
+ * Cada fila es una búsqueda (palabra clave + países + filtros) que el usuario repite a menudo. El resumen
+ * periódico (ver savedSearchService) le envía por email las ofertas nuevas que coinciden con ella.
+ */
+const SavedSearch = sequelize.define('SavedSearch', {
+    // `id`: Clave primaria única para cada búsqueda guardada. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `userId`: Usuario dueño de la búsqueda.
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    // `keyword`: Palabra clave normalizada (minúsculas, sin espacios sobrantes).
+    keyword: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `countries`: Códigos de país normalizados y ordenados (ej. ['co', 'es']).
+    countries: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+    },
+    // `filters`: Filtros estructurados de la búsqueda (`modality`, `experience`, `sourceName`, `salaryMin`, `salaryMax`),
+    // con los mismos valores que admite GET /api/jobs/search.
+    filters: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+    },
+    // `frequency`: Cada cuánto se envía el resumen de ofertas nuevas: 'daily', 'weekly' o 'never' (sin alertas).
+    frequency: {
+        type: DataTypes.ENUM('daily', 'weekly', 'never'),
+        allowNull: false,
+        defaultValue: 'daily',
+    },
+    // `lastNotifiedAt`: Hasta cuándo se revisaron las ofertas nuevas en el último resumen. El siguiente solo
+    // incluye las registradas después.
+    lastNotifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `lastMatchCount`: Ofertas nuevas encontradas en el último resumen.
+    lastMatchCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+}, {
+    tableName: 'saved_searches', // Nombre de la tabla en la base de datos
+    timestamps: true,            // Agrega `createdAt` y `updatedAt`
+    indexes: [
+        { fields: ['userId'] },
+        { fields: ['frequency', 'lastNotifiedAt'] } // Selección de las búsquedas con el resumen pendiente
+    ]
+});
+
+// Un usuario puede guardar muchas búsquedas; se eliminan con él.
+User.hasMany(SavedSearch, {
+    foreignKey: 'userId',
+    onDelete: 'CASCADE'
+});
+
+SavedSearch.belongsTo(User, {
+    foreignKey: 'userId'
+});
+
+module.exports = SavedSearch;
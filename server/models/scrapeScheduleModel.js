@@ -0,0 +1,106 @@
+// server/models/scrapeScheduleModel.js
+// Modelo de Sequelize para los scrapings programados (palabra clave + países recurrentes)
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./userModel');
+
+/**
+ * Define el modelo ScrapeSchedule para la tabla 'scrape_schedules' en la base de datos.
+ * Cada fila es una búsqueda popular que el planificador vuelve a raspar según su expresión cron,
+ * para que la tabla `jobs` no quede desactualizada a la espera de una búsqueda sin resultados.
+ */
+const ScrapeSchedule = sequelize.define('ScrapeSchedule', {
+    // `id`: Clave primaria única para cada programación. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `keyword`: Palabra clave a raspar.
+    keyword: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `countries`: Códigos de país a raspar (ej. ['co', 'es']), ordenados.
+    countries: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+    },
+    // `cronExpression`: Cuándo ejecutar el scraping (ej. '0 */6 * * *' = cada 6 horas).
+    cronExpression: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '0 */6 * * *',
+    },
+    // `active`: Si es false, la programación está pausada y el planificador la ignora.
+    active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+    },
+    // `nextRunAt`: Próxima ejecución calculada a partir de la expresión cron.
+    nextRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `lastRunAt`: Fecha de la última ejecución (exitosa o no).
+    lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `lastStatus`: Resultado de la última ejecución.
+    lastStatus: {
+        type: DataTypes.ENUM('success', 'failed'),
+        allowNull: true,
+    },
+    // `lastNewJobs` / `lastUpdatedJobs`: Empleos nuevos y actualizados en la última ejecución.
+    lastNewJobs: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    lastUpdatedJobs: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    // `lastError`: Mensaje del último error, si la última ejecución falló.
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    // `totalRuns` / `failureCount`: Contadores acumulados de ejecuciones y fallos.
+    totalRuns: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    failureCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    // `createdBy`: Administrador que creó la programación (nulo si proviene de .env).
+    createdBy: {
+        type: DataTypes.UUID,
+        references: {
+            model: User,
+            key: 'id',
+        },
+        allowNull: true,
+    },
+}, {
+    tableName: 'scrape_schedules', // Nombre de la tabla en la base de datos
+    timestamps: true,              // Agrega `createdAt` y `updatedAt`
+    indexes: [
+        // Una misma búsqueda (palabra clave + países) solo puede programarse una vez
+        { unique: true, fields: ['keyword', 'countries'] },
+        { fields: ['active', 'nextRunAt'] } // Selección de las programaciones vencidas
+    ]
+});
+
+// Una programación puede haber sido creada por un administrador.
+ScrapeSchedule.belongsTo(User, {
+    foreignKey: 'createdBy',
+    onDelete: 'SET NULL'
+});
+
+module.exports = ScrapeSchedule;
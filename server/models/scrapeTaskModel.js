@@ -0,0 +1,97 @@
+// server/models/scrapeTaskModel.js
+// Modelo de Sequelize para la cola persistente de tareas de scraping
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./userModel');
+
+/**
+ * Define el modelo ScrapeTask para la tabla 'scrape_tasks' en la base de datos.
+ * Cada fila es una petición de scraping (palabra clave + países) que los workers
+ * en segundo plano procesan fuera del ciclo de la petición HTTP de búsqueda.
+ */
+const ScrapeTask = sequelize.define('ScrapeTask', {
+    // `id`: Clave primaria única para cada tarea. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `keyword`: Palabra clave a buscar en las fuentes de empleo.
+    keyword: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `countries`: Códigos de país a raspar (ej. ['co', 'es']), ordenados para poder deduplicar tareas.
+    countries: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+    },
+    // `status`: Estado de la tarea dentro de la cola.
+    status: {
+        type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+        defaultValue: 'pending',
+        allowNull: false,
+    },
+    // `attempts`: Número de veces que un worker ha tomado la tarea.
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false,
+    },
+    // `maxAttempts`: Intentos permitidos antes de marcar la tarea como fallida.
+    maxAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 3,
+        allowNull: false,
+    },
+    // `runAfter`: La tarea no se procesará antes de esta fecha (se usa para espaciar los reintentos).
+    runAfter: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+    },
+    // `startedAt` / `finishedAt`: Marcas de tiempo del último intento.
+    startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // `jobsFound`: Cantidad de empleos procesados por la tarea al completarse.
+    jobsFound: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    // `lastError`: Mensaje del último error ocurrido, si lo hubo.
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    // `requestedBy`: Usuario cuya búsqueda originó la tarea (nulo para invitados o tareas internas).
+    requestedBy: {
+        type: DataTypes.UUID,
+        references: {
+            model: User,
+            key: 'id',
+        },
+        allowNull: true,
+    },
+}, {
+    tableName: 'scrape_tasks', // Nombre de la tabla en la base de datos
+    timestamps: true,          // Agrega `createdAt` y `updatedAt`
+    indexes: [
+        { fields: ['status', 'runAfter'] }, // Selección de la siguiente tarea pendiente
+        { fields: ['keyword'] }              // Deduplicación de tareas por palabra clave
+    ]
+});
+
+// Una tarea de scraping puede haber sido solicitada por un usuario.
+// Si el usuario se elimina, la tarea se conserva sin referencia.
+ScrapeTask.belongsTo(User, {
+    foreignKey: 'requestedBy',
+    onDelete: 'SET NULL'
+});
+
+module.exports = ScrapeTask;
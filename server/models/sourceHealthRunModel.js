@@ -0,0 +1,82 @@
+// server/models/sourceHealthRunModel.js
+// Modelo de Sequelize para las métricas de salud de cada ejecución de una fuente de empleo
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Define el modelo SourceHealthRun para la tabla 'source_health_runs' en la base de datos.
+ * Cada fila resume una descarga + parseo de una fuente (ej. Computrabajo en 'co'), para detectar
+ * cuándo un cambio de HTML deja de producir resultados antes de que lo noten los usuarios.
+ */
+const SourceHealthRun = sequelize.define('SourceHealthRun', {
+    // `id`: Clave primaria única para cada ejecución. Se genera automáticamente como un UUID v4.
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    // `sourceId`: Identificador de la fuente en el registro (ej. 'computrabajo').
+    sourceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `country`: Código de país raspado (ej. 'co').
+    country: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `keyword`: Palabra clave de la búsqueda.
+    keyword: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // `itemsFound`: Ofertas extraídas correctamente.
+    itemsFound: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    // `itemsSkipped`: Tarjetas omitidas por no tener título o URL (síntoma típico de selectores obsoletos).
+    itemsSkipped: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    // `parseErrors`: Tarjetas que lanzaron una excepción al parsearse.
+    parseErrors: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    // `httpFailed`: true si no se pudo descargar la página de resultados.
+    httpFailed: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+    // `durationMs`: Duración de la descarga y el parseo, en milisegundos.
+    durationMs: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // `rollingAverage`: Promedio de ofertas encontradas en las ejecuciones anteriores de la fuente en el mismo país.
+    rollingAverage: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+    },
+    // `degraded`: true si la ejecución falló o su rendimiento cayó bruscamente respecto al promedio.
+    degraded: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+}, {
+    tableName: 'source_health_runs', // Nombre de la tabla en la base de datos
+    timestamps: true,                // `createdAt` es el momento de la ejecución
+    updatedAt: false,                // Las ejecuciones no se modifican
+    indexes: [
+        { fields: ['sourceId', 'country', 'createdAt'] } // Historial reciente por fuente y país
+    ]
+});
+
+module.exports = SourceHealthRun;
@@ -35,9 +35,10 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: true, // Permite que sea nulo si el usuario usa OAuth
     },
-    // `role`: Define el tipo de rol del usuario. Puede ser 'guest' (invitado) o 'user' (usuario registrado).
+    // `role`: Define el tipo de rol del usuario. Puede ser 'guest' (invitado), 'user' (usuario registrado)
+    // o 'admin' (operador con acceso a las rutas de administración).
     role: {
-        type: DataTypes.ENUM('guest', 'user'), // Define un tipo de dato ENUM con valores permitidos
+        type: DataTypes.ENUM('guest', 'user', 'admin'), // Define un tipo de dato ENUM con valores permitidos
         defaultValue: 'guest',                // Valor por defecto para nuevos registros
         allowNull: false,
     },
@@ -68,6 +69,21 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING, // Para almacenar la URL de la foto
         allowNull: true,
     },
+    // `isDisabled`: Cuenta desactivada por un administrador. No puede iniciar sesión y sus tokens dejan de ser válidos.
+    isDisabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+    // `disabledAt` / `disabledReason`: Fecha y motivo de la desactivación (nulos si la cuenta está activa).
+    disabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    disabledReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
     // Nuevo campo: `settings` para almacenar las preferencias del usuario como un objeto JSONB
     settings: {
         type: DataTypes.JSONB,
@@ -0,0 +1,722 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/scheduleController');
+const sourceController = require('../controllers/sourceController');
+const currencyController = require('../controllers/currencyController');
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middleware/authMiddleware');
+const roleMiddleware = require('../middleware/roleMiddleware');
+const uuidParam = require('../middleware/uuidParamMiddleware');
+
+/**
+ * @swagger
+ * /api/admin/schedules:
+ *   get:
+ *     summary: Lista los scrapings programados y el resultado de su última ejecución.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Programaciones obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Programaciones de scraping obtenidas exitosamente."
+ *                 schedules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScrapeSchedule'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/schedules', authMiddleware, roleMiddleware(['admin']), scheduleController.listSchedules);
+
+/**
+ * @swagger
+ * /api/admin/schedules:
+ *   post:
+ *     summary: Crea un scraping recurrente para una palabra clave y sus países.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyword
+ *               - countries
+ *             properties:
+ *               keyword:
+ *                 type: string
+ *                 example: desarrollador react
+ *               countries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["co", "es"]
+ *               cronExpression:
+ *                 type: string
+ *                 description: Expresión cron de 5 campos (minuto hora día mes día-semana). Por defecto, cada 6 horas. Se rechazan las fechas imposibles, como "0 0 31 2 *".
+ *                 example: "0 0,6,12,18 * * *"
+ *               active:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Programación creada exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Programación de scraping creada exitosamente."
+ *                 schedule:
+ *                   $ref: '#/components/schemas/ScrapeSchedule'
+ *       400:
+ *         description: Palabra clave, países, expresión cron o `active` no válidos.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Ya existe una programación para esa palabra clave y países.
+ */
+router.post('/schedules', authMiddleware, roleMiddleware(['admin']), scheduleController.createSchedule);
+
+/**
+ * @swagger
+ * /api/admin/schedules/{id}:
+ *   patch:
+ *     summary: Pausa, reanuda o cambia la frecuencia de un scraping programado.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID de la programación.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               active:
+ *                 type: boolean
+ *                 example: false
+ *               cronExpression:
+ *                 type: string
+ *                 example: "30 8 * * 1-5"
+ *     responses:
+ *       200:
+ *         description: Programación actualizada exitosamente. La próxima ejecución se recalcula desde el momento actual.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Programación de scraping actualizada exitosamente."
+ *                 schedule:
+ *                   $ref: '#/components/schemas/ScrapeSchedule'
+ *       400:
+ *         description: Expresión cron o `active` no válidos, o ningún cambio indicado.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Programación de scraping no encontrada.
+ *   delete:
+ *     summary: Elimina un scraping programado.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID de la programación.
+ *     responses:
+ *       200:
+ *         description: Programación eliminada exitosamente.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Programación de scraping no encontrada.
+ */
+router.patch('/schedules/:id', authMiddleware, roleMiddleware(['admin']), uuidParam('id', 'Programación de scraping no encontrada.'), scheduleController.updateSchedule);
+router.delete('/schedules/:id', authMiddleware, roleMiddleware(['admin']), uuidParam('id', 'Programación de scraping no encontrada.'), scheduleController.deleteSchedule);
+
+/**
+ * @swagger
+ * /api/admin/sources/health:
+ *   get:
+ *     summary: Muestra el estado de salud de cada fuente de empleo.
+ *     tags: [Administración]
+ *     description: Cada descarga y parseo de una fuente registra las ofertas encontradas, las tarjetas omitidas por falta de título o URL, los errores de parseo, los fallos de descarga y la duración. El estado se calcula por país. Una fuente está 'degraded' en un país si su última ejecución allí falló o encontró muchas menos ofertas que su promedio móvil en ese país, lo que suele indicar que cambiaron los selectores; su estado global es 'degraded' si lo está en algún país.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estado de salud obtenido exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Estado de salud de las fuentes obtenido exitosamente."
+ *                 sources:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SourceHealth'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/sources/health', authMiddleware, roleMiddleware(['admin']), sourceController.getSourcesHealth);
+
+/**
+ * @swagger
+ * /api/admin/currency-rates:
+ *   put:
+ *     summary: Fija tasas de cambio.
+ *     tags: [Administración]
+ *     description: Crea o actualiza las tasas indicadas (unidades de la moneda por 1 USD). Estas tasas prevalecen sobre las del archivo local (`CURRENCY_RATES_FILE`) cuando se carga al arrancar, hasta que se recargue el archivo con /api/admin/currency-rates/reload.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rates
+ *             properties:
+ *               rates:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { "COP": 4100, "MXN": 18.2 }
+ *     responses:
+ *       200:
+ *         description: Tasas actualizadas. Devuelve todas las tasas vigentes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Tasas de cambio actualizadas: COP, MXN."
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CurrencyRate'
+ *       400:
+ *         description: Códigos de moneda o tasas no válidos.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/currency-rates', authMiddleware, roleMiddleware(['admin']), currencyController.updateRates);
+
+/**
+ * @swagger
+ * /api/admin/currency-rates/reload:
+ *   post:
+ *     summary: Recarga las tasas de cambio desde el archivo local.
+ *     tags: [Administración]
+ *     description: Vuelve a leer el archivo de tasas (JSON o CSV) y sobrescribe todas las tasas, incluidas las fijadas por un administrador.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tasas recargadas. Devuelve todas las tasas vigentes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CurrencyRate'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/currency-rates/reload', authMiddleware, roleMiddleware(['admin']), currencyController.reloadRates);
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Muestra estadísticas básicas de la plataforma.
+ *     tags: [Administración]
+ *     description: Usuarios por rol, cuentas desactivadas, publicaciones por estado y fuente, ofertas ocultas, tareas de scraping, favoritos y postulaciones.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estadísticas obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Estadísticas obtenidas exitosamente."
+ *                 stats:
+ *                   $ref: '#/components/schemas/PlatformStats'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/stats', authMiddleware, roleMiddleware(['admin']), adminController.getStats);
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Lista y busca usuarios.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar en el nombre de usuario o el email.
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [guest, user, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, disabled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Usuarios obtenidos exitosamente, del registro más reciente al más antiguo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 totalResults:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Rol o estado no válidos.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/users', authMiddleware, roleMiddleware(['admin']), adminController.listUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   patch:
+ *     summary: Cambia el rol de un usuario o desactiva / reactiva su cuenta.
+ *     tags: [Administración]
+ *     description: Una cuenta desactivada no puede iniciar sesión (con contraseña ni OAuth) y sus tokens vigentes dejan de ser válidos. Un administrador no puede cambiar su propio rol ni desactivar su propia cuenta.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID del usuario.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [guest, user, admin]
+ *               disabled:
+ *                 type: boolean
+ *                 example: true
+ *               reason:
+ *                 type: string
+ *                 description: Motivo de la desactivación (opcional).
+ *                 example: Publicidad no deseada
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Rol o estado no válidos, ningún cambio indicado o cambio sobre la propia cuenta.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Usuario no encontrado.
+ */
+router.patch('/users/:id', authMiddleware, roleMiddleware(['admin']), uuidParam('id', 'Usuario no encontrado.'), adminController.updateUser);
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: Lista las ofertas para moderarlas.
+ *     tags: [Administración]
+ *     description: Incluye las ofertas ocultas, las publicaciones duplicadas y las vencidas o cerradas, de la más reciente a la más antigua.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar en el título o la empresa.
+ *       - in: query
+ *         name: hidden
+ *         schema:
+ *           type: boolean
+ *         description: Solo las ocultas (true) o solo las visibles (false).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, expired, closed]
+ *       - in: query
+ *         name: sourceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Empleos obtenidos exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 totalResults:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Filtros no válidos.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/jobs', authMiddleware, roleMiddleware(['admin']), adminController.listJobs);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}:
+ *   patch:
+ *     summary: Oculta una oferta de la búsqueda o la vuelve a mostrar.
+ *     tags: [Administración]
+ *     description: Una oferta oculta no aparece en la búsqueda, el detalle ni los clusters, y sigue oculta aunque los scrapings la vuelvan a encontrar. Si era la publicación canónica de su cluster, otra publicación pasa a representar la vacante.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID del empleo.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hidden
+ *             properties:
+ *               hidden:
+ *                 type: boolean
+ *                 example: true
+ *               reason:
+ *                 type: string
+ *                 description: Motivo (opcional).
+ *                 example: Oferta fraudulenta
+ *     responses:
+ *       200:
+ *         description: Empleo actualizado exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Falta el campo hidden o el motivo no es válido.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Empleo no encontrado.
+ *   delete:
+ *     summary: Elimina una oferta.
+ *     tags: [Administración]
+ *     description: Borra la oferta con sus favoritos, postulaciones e historial de estados. Si la fuente la sigue publicando, un scraping posterior la vuelve a crear; para retirarla de forma permanente, ocúltala.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID del empleo.
+ *     responses:
+ *       200:
+ *         description: Empleo eliminado exitosamente.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Empleo no encontrado.
+ */
+router.patch('/jobs/:id', authMiddleware, roleMiddleware(['admin']), uuidParam('id', 'Empleo no encontrado.'), adminController.updateJob);
+router.delete('/jobs/:id', authMiddleware, roleMiddleware(['admin']), uuidParam('id', 'Empleo no encontrado.'), adminController.deleteJob);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/enrich:
+ *   post:
+ *     summary: Vuelve a leer la página de detalle de una oferta.
+ *     tags: [Administración]
+ *     description: Completa la oferta con los datos de su página de detalle aunque ya se hubiera completado o agotado sus intentos. La petición espera a que termine la lectura, que respeta los límites de rastreo del dominio.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID del empleo.
+ *     responses:
+ *       200:
+ *         description: Empleo completado con su página de detalle.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: La fuente de la oferta no permite leer las páginas de detalle.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Empleo no encontrado.
+ *       502:
+ *         description: No se pudo descargar o leer la página de detalle.
+ */
+router.post('/jobs/:id/enrich', authMiddleware, roleMiddleware(['admin']), uuidParam('id', 'Empleo no encontrado.'), adminController.enrichJob);
+
+/**
+ * @swagger
+ * /api/admin/scrape-tasks:
+ *   get:
+ *     summary: Lista las tareas de scraping.
+ *     tags: [Administración]
+ *     description: Tareas encoladas por las búsquedas y los scrapings manuales (las programaciones se ejecutan sin tarea), de la más reciente a la más antigua, con el usuario que las solicitó.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Tareas obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 totalResults:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScrapeTask'
+ *       400:
+ *         description: Estado no válido.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Encola un scraping manual.
+ *     tags: [Administración]
+ *     description: A diferencia de la búsqueda, encola la tarea aunque la misma búsqueda se haya raspado hace poco; solo se reutiliza una tarea equivalente pendiente o en curso. El estado se consulta con /api/scrape-tasks/{id}.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyword
+ *               - countries
+ *             properties:
+ *               keyword:
+ *                 type: string
+ *                 example: desarrollador react
+ *               countries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["co", "mx"]
+ *     responses:
+ *       202:
+ *         description: Scraping encolado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Scraping encolado exitosamente."
+ *                 task:
+ *                   $ref: '#/components/schemas/ScrapeTask'
+ *       400:
+ *         description: Palabra clave o países no válidos.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/scrape-tasks', authMiddleware, roleMiddleware(['admin']), adminController.listScrapeTasks);
+router.post('/scrape-tasks', authMiddleware, roleMiddleware(['admin']), adminController.triggerScrape);
+
+module.exports = router;
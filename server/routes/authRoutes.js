@@ -5,6 +5,7 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const passport = require('passport');
 const authMiddleware = require('../middleware/authMiddleware');
+const uuidParam = require('../middleware/uuidParamMiddleware');
 const upload = require('../middleware/uploadMiddleware'); // Middleware para manejar la subida de fotos de perfil
 
 /**
@@ -525,6 +526,13 @@ router.get('/:userId/settings', authMiddleware, authController.getUserSettings);
  *                 enum: [public, private]
  *               language:
  *                 type: string
+ *               preferences:
+ *                 type: object
+ *                 properties:
+ *                   currency:
+ *                     type: string
+ *                     description: Moneda en la que /api/jobs devuelve `convertedSalary` (una de las listadas en /api/currency-rates).
+ *                     example: COP
  *             example:
  *               emailNotifications: false
  *               language: en
@@ -557,7 +565,7 @@ router.get('/:userId/settings', authMiddleware, authController.getUserSettings);
  *                     profileVisibility: public
  *                     language: en
  *       400:
- *         description: Datos inválidos.
+ *         description: Datos inválidos (sección desconocida, valor no admitido o moneda sin tasa de cambio).
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
@@ -667,15 +675,157 @@ router.post('/applications', authMiddleware, authController.createApplication);
  *           format: uuid
  *         status:
  *           type: string
- *           enum: [pending, reviewed, rejected, accepted]
- *           example: "pending"
+ *           enum: [applied, screening, interview, offer, rejected, withdrawn]
+ *           example: "interview"
  *         applicationDate:
  *           type: string
  *           format: date-time
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         contactName:
+ *           type: string
+ *           nullable: true
+ *         contactEmail:
+ *           type: string
+ *           nullable: true
+ *         nextStep:
+ *           type: string
+ *           nullable: true
+ *           example: "Entrevista técnica"
+ *         nextStepAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         Job:
  *           $ref: '#/components/schemas/Job'
  */
 router.get('/applications', authMiddleware, authController.getAppliedJobs);
+
+/**
+ * @swagger
+ * /auth/applications/{id}:
+ *   get:
+ *     summary: Obtiene una postulación con su línea de tiempo
+ *     description: Incluye los datos de la oferta y `history`, los cambios de etapa del más antiguo al más reciente.
+ *     tags:
+ *       - Postulaciones
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Postulación obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 application:
+ *                   $ref: '#/components/schemas/JobApplicationWithHistory'
+ *       401:
+ *         description: No autorizado (token inválido o no proporcionado)
+ *       404:
+ *         description: La postulación no existe o es de otro usuario
+ *   patch:
+ *     summary: Actualiza el seguimiento de una postulación
+ *     description: |
+ *       Cambia la etapa, las notas, la persona de contacto o el próximo paso. Todos los campos son opcionales;
+ *       los de texto se vacían con null. Cada cambio de etapa queda en la línea de tiempo (que no se puede
+ *       modificar), con el comentario `note`, y genera una notificación `application_status`. Cambiar
+ *       `nextStepAt` programa un nuevo recordatorio (notificación `application_reminder`) antes de esa fecha.
+ *     tags:
+ *       - Postulaciones
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [applied, screening, interview, offer, rejected, withdrawn]
+ *               note:
+ *                 type: string
+ *                 description: Comentario del cambio de etapa (solo junto con `status`).
+ *                 example: "Me llamó la reclutadora para agendar la entrevista."
+ *               notes:
+ *                 type: string
+ *                 nullable: true
+ *               contactName:
+ *                 type: string
+ *                 nullable: true
+ *               contactEmail:
+ *                 type: string
+ *                 format: email
+ *                 nullable: true
+ *               nextStep:
+ *                 type: string
+ *                 nullable: true
+ *               nextStepAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Postulación actualizada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 application:
+ *                   $ref: '#/components/schemas/JobApplicationWithHistory'
+ *       400:
+ *         description: Etapa, email o fecha no válidos, o ningún cambio
+ *       401:
+ *         description: No autorizado (token inválido o no proporcionado)
+ *       404:
+ *         description: La postulación no existe o es de otro usuario
+ *   delete:
+ *     summary: Elimina una postulación y su línea de tiempo
+ *     tags:
+ *       - Postulaciones
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Postulación eliminada exitosamente
+ *       401:
+ *         description: No autorizado (token inválido o no proporcionado)
+ *       404:
+ *         description: La postulación no existe o es de otro usuario
+ */
+router.get('/applications/:id', authMiddleware, uuidParam('id', 'Postulación no encontrada.'), authController.getApplication);
+router.patch('/applications/:id', authMiddleware, uuidParam('id', 'Postulación no encontrada.'), authController.updateApplication);
+router.delete('/applications/:id', authMiddleware, uuidParam('id', 'Postulación no encontrada.'), authController.deleteApplication);
 /**
  * @swagger
  * /auth/password:
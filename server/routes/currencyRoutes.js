@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+
+/**
+ * @swagger
+ * /api/currency-rates:
+ *   get:
+ *     summary: Lista las tasas de cambio con las que se convierten los salarios.
+ *     tags: [Monedas]
+ *     description: Retorna las monedas disponibles (cuántas unidades equivalen a 1 USD) y la moneda por defecto. Las monedas listadas son las que se pueden elegir como `preferences.currency` en la configuración del usuario o como parámetro `currency` de /api/jobs.
+ *     responses:
+ *       200:
+ *         description: Tasas de cambio obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Tasas de cambio obtenidas exitosamente."
+ *                 baseCurrency:
+ *                   type: string
+ *                   example: "USD"
+ *                 defaultCurrency:
+ *                   type: string
+ *                   example: "USD"
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CurrencyRate'
+ */
+router.get('/', currencyController.listRates);
+
+module.exports = router;
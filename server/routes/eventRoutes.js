@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const queryTokenMiddleware = require('../middleware/queryTokenMiddleware');
+const authMiddleware = require('../middleware/authMiddleware');
+const roleMiddleware = require('../middleware/roleMiddleware');
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Abre el flujo de eventos en tiempo real del usuario autenticado (Server-Sent Events).
+ *     tags: [Eventos]
+ *     description: |
+ *       La respuesta no termina: cada evento llega con el formato `event: <nombre>` + `data: <JSON>`. Como `EventSource` no puede enviar el encabezado `Authorization`, el JWT se puede pasar en `?access_token=`.
+ *       - `connected`: al abrir el flujo.
+ *       - `scrape-status`: una tarea de scraping de una búsqueda del usuario empieza (`running`), termina (`completed`, con `jobsFound`), queda pendiente de reintento (`pending`, con `runAfter`) o falla (`failed`).
+ *       - `scrape-progress`: terminó una fuente de esa tarea: `source`, `country`, `found` (empleos de esa fuente), `jobsFound` y `created` (acumulados), `completedRuns` y `totalRuns`.
+ *       - `notification`: una notificación nueva (ver `Notification`).
+ *
+ *       Los eventos solo llegan a las conexiones abiertas en el mismo proceso que los genera.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT del usuario, si no se envía en el encabezado `Authorization`.
+ *     responses:
+ *       200:
+ *         description: Flujo de eventos abierto.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: scrape-progress\ndata: {\"taskId\":\"...\",\"keyword\":\"react\",\"source\":\"Computrabajo\",\"country\":\"co\",\"found\":20,\"jobsFound\":20,\"created\":12,\"completedRuns\":1,\"totalRuns\":2}\n\n"
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       403:
+ *         description: Acceso denegado (el usuario no tiene el rol 'user' o su cuenta está desactivada).
+ */
+router.get('/', queryTokenMiddleware, authMiddleware, roleMiddleware(['user', 'admin']), eventController.streamEvents);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const favoriteController = require('../controllers/favoriteController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const uuidParam = require('../middleware/uuidParamMiddleware');
 
 /**
  * @swagger
@@ -53,7 +54,7 @@ const roleMiddleware = require('../middleware/roleMiddleware');
  *       409:
  *         description: El empleo ya está en los favoritos del usuario.
  */
-router.post('/add', authMiddleware, roleMiddleware(['user']), favoriteController.addFavoriteJob);
+router.post('/add', authMiddleware, roleMiddleware(['user', 'admin']), favoriteController.addFavoriteJob);
 
 /**
  * @swagger
@@ -83,7 +84,7 @@ router.post('/add', authMiddleware, roleMiddleware(['user']), favoriteController
  *       403:
  *         description: Acceso denegado (el usuario no tiene el rol 'user').
  */
-router.get('/', authMiddleware, roleMiddleware(['user']), favoriteController.getFavoriteJobs);
+router.get('/', authMiddleware, roleMiddleware(['user', 'admin']), favoriteController.getFavoriteJobs);
 
 /**
  * @swagger
@@ -119,6 +120,6 @@ router.get('/', authMiddleware, roleMiddleware(['user']), favoriteController.get
  *       404:
  *         description: El empleo no se encontró en los favoritos del usuario.
  */
-router.delete('/:jobId', authMiddleware, roleMiddleware(['user']), favoriteController.removeFavoriteJob);
+router.delete('/:jobId', authMiddleware, roleMiddleware(['user', 'admin']), uuidParam('jobId', 'El empleo no se encontró en tus favoritos o ya fue eliminado.'), favoriteController.removeFavoriteJob);
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const jobController = require('../controllers/jobController');
 const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuthMiddleware = require('../middleware/optionalAuthMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const uuidParam = require('../middleware/uuidParamMiddleware');
 
 
 /**
@@ -17,20 +19,20 @@ const roleMiddleware = require('../middleware/roleMiddleware');
  *   get:
  *     summary: Busca empleos por palabra clave y país.
  *     tags: [Empleos]
- *     description: Retorna una lista de empleos basándose en los criterios de búsqueda. Si el usuario es 'guest', la URL de origen no se incluirá. Si no hay resultados en la DB, dispara el scraping.
+ *     description: Retorna de inmediato los empleos almacenados que coinciden con los criterios de búsqueda. Si el usuario es 'guest', la URL de origen no se incluirá. Las publicaciones duplicadas de una misma vacante (otra URL u otra bolsa de empleo) se agrupan y se devuelve una sola tarjeta por vacante, con sus enlaces en `postings`. Si no hay resultados suficientes en la DB, encola un scraping en segundo plano y devuelve `scrapeTaskId` para consultar su estado en /api/scrape-tasks/{id}.
  *     parameters:
  *       - in: query
  *         name: keyword
  *         schema:
  *           type: string
  *         required: true
- *         description: Palabra clave para buscar empleos (ej. "Desarrollador React").
+ *         description: Palabra clave para buscar empleos (ej. "Desarrollador React"). Se busca con texto completo en español e inglés sobre título, empresa, descripción y requisitos, así "desarrollador backend" también encuentra "Desarrolladora Back-End".
  *       - in: query
  *         name: country
  *         schema:
  *           type: string
  *         required: true
- *         description: Código del país para filtrar la búsqueda (ej. "co", "us", "es", "br", "uk", "cn").
+ *         description: Códigos de país separados por coma (ej. "co,es,us"). Los países admitidos se consultan en /api/sources.
  *       - in: query
  *         name: page
  *         schema:
@@ -43,6 +45,58 @@ const roleMiddleware = require('../middleware/roleMiddleware');
  *           type: integer
  *           default: 10
  *         description: Cantidad de resultados por página.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, date, salary]
+ *           default: relevance
+ *         description: Orden de los resultados. 'relevance' ordena por ts_rank (mejores coincidencias primero); 'date', por fecha de registro (más recientes primero); 'salary', por el salario mensual normalizado (límite superior convertido a USD con las tasas de cambio y llevado a su equivalente mensual; mayores primero, sin salario al final).
+ *       - in: query
+ *         name: modality
+ *         schema:
+ *           type: string
+ *         description: Modalidades separadas por coma (Remoto, Presencial, Híbrido). No distingue mayúsculas ni tildes.
+ *       - in: query
+ *         name: experience
+ *         schema:
+ *           type: string
+ *         description: Niveles de experiencia separados por coma (Junior, Semi-Senior, Senior).
+ *       - in: query
+ *         name: sourceName
+ *         schema:
+ *           type: string
+ *         description: Fuentes separadas por coma (ej. "Computrabajo,Monster"). Los nombres se consultan en /api/sources.
+ *       - in: query
+ *         name: postedWithinDays
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Solo empleos publicados en los últimos N días (según creationDate).
+ *       - in: query
+ *         name: salaryMin
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Salario mínimo mensual en la moneda de la respuesta (`currency`). Se incluyen las ofertas cuyo rango salarial, convertido a esa moneda y a su equivalente mensual, llega a este valor; las ofertas sin salario publicado o en monedas sin tasa se excluyen.
+ *       - in: query
+ *         name: salaryMax
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Salario máximo mensual en la moneda de la respuesta (`currency`). Se incluyen las ofertas cuyo rango salarial convertido empieza por debajo de este valor.
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: COP
+ *         description: Moneda en la que se devuelve `convertedSalary` y en la que se interpretan salaryMin y salaryMax (código ISO 4217 con tasa en /api/currency-rates). Por defecto, la preferencia `preferences.currency` del usuario autenticado o `DEFAULT_CURRENCY`.
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluye las ofertas vencidas y cerradas (por defecto solo se devuelven las activas).
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -65,10 +119,31 @@ const roleMiddleware = require('../middleware/roleMiddleware');
  *                 totalPages:
  *                   type: integer
  *                   example: 5
+ *                 currency:
+ *                   type: string
+ *                   example: "USD"
+ *                   description: Moneda de `convertedSalary` en cada empleo.
  *                 jobs:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Job'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Job'
+ *                       - type: object
+ *                         properties:
+ *                           convertedSalary:
+ *                             $ref: '#/components/schemas/ConvertedSalary'
+ *                           postings:
+ *                             type: array
+ *                             description: Publicaciones de la misma vacante en todas las fuentes (incluida esta).
+ *                             items:
+ *                               $ref: '#/components/schemas/JobPosting'
+ *                 facets:
+ *                   $ref: '#/components/schemas/SearchFacets'
+ *                 scrapeTaskId:
+ *                   type: string
+ *                   format: uuid
+ *                   nullable: true
+ *                   description: ID de la tarea de scraping encolada para esta búsqueda, si todavía está pendiente o en curso.
  *       400:
  *         description: Parámetros de búsqueda faltantes o inválidos.
  *         content:
@@ -80,7 +155,44 @@ const roleMiddleware = require('../middleware/roleMiddleware');
  *                   type: string
  *                   example: "Se requiere una palabra clave y un país para la búsqueda."
  */
-router.get('/', jobController.searchJobs);
+router.get('/', optionalAuthMiddleware, jobController.searchJobs);
+
+/**
+ * @swagger
+ * /api/jobs/clusters/{clusterId}:
+ *   get:
+ *     summary: Obtiene todas las publicaciones de una misma vacante.
+ *     tags: [Empleos]
+ *     description: Una vacante publicada de nuevo con otra URL o listada en varias bolsas de empleo forma un cluster. La búsqueda devuelve una sola tarjeta por cluster (con su `clusterId`); este endpoint devuelve todas sus publicaciones, la canónica primero. Si el usuario es 'guest', las URL de origen no se incluirán.
+ *     parameters:
+ *       - in: path
+ *         name: clusterId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID del cluster (campo `clusterId` del empleo).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cluster obtenido exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Cluster de empleos obtenido exitosamente."
+ *                 cluster:
+ *                   $ref: '#/components/schemas/JobCluster'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Cluster de empleos no encontrado.
+ */
+router.get('/clusters/:clusterId', authMiddleware, uuidParam('clusterId', 'Cluster de empleos no encontrado.'), jobController.getJobCluster);
 
 /**
  * @swagger
@@ -111,7 +223,15 @@ router.get('/', jobController.searchJobs);
  *                   type: string
  *                   example: "Detalles del empleo obtenidos exitosamente."
  *                 job:
- *                   $ref: '#/components/schemas/Job'
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Job'
+ *                     - type: object
+ *                       properties:
+ *                         statusHistory:
+ *                           type: array
+ *                           description: Cambios de estado de la oferta, del más reciente al más antiguo.
+ *                           items:
+ *                             $ref: '#/components/schemas/JobStatusChange'
  *       404:
  *         description: Empleo no encontrado.
  *         content:
@@ -123,6 +243,6 @@ router.get('/', jobController.searchJobs);
  *                   type: string
  *                   example: "Empleo no encontrado."
  */
-router.get('/:id', authMiddleware, jobController.getJobDetails);
+router.get('/:id', authMiddleware, uuidParam('id', 'Empleo no encontrado.'), jobController.getJobDetails);
 
 module.exports = router;
\ No newline at end of file
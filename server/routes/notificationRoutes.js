@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const roleMiddleware = require('../middleware/roleMiddleware');
+const uuidParam = require('../middleware/uuidParamMiddleware');
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Lista las notificaciones del usuario autenticado.
+ *     tags: [Notificaciones]
+ *     description: De la más reciente a la más antigua. Incluye siempre el total de no leídas (`unreadCount`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Con `true`, solo las no leídas.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notificaciones obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Notificaciones obtenidas exitosamente."
+ *                 totalResults:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 unreadCount:
+ *                   type: integer
+ *                   example: 2
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Valor de `unread` no válido.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       403:
+ *         description: Acceso denegado (el usuario no tiene el rol 'user').
+ */
+router.get('/', authMiddleware, roleMiddleware(['user', 'admin']), notificationController.listNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Devuelve el número de notificaciones no leídas del usuario autenticado.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Total de no leídas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ *                   example: 2
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ */
+router.get('/unread-count', authMiddleware, roleMiddleware(['user', 'admin']), notificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Marca como leídas todas las notificaciones del usuario autenticado.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notificaciones marcadas como leídas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "2 notificaciones marcadas como leídas."
+ *                 updated:
+ *                   type: integer
+ *                   example: 2
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ */
+router.patch('/read-all', authMiddleware, roleMiddleware(['user', 'admin']), notificationController.markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Marca una notificación como leída.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID de la notificación.
+ *     responses:
+ *       200:
+ *         description: Notificación marcada como leída.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 notification:
+ *                   $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       404:
+ *         description: Notificación no encontrada (o de otro usuario).
+ */
+router.patch('/:id/read', authMiddleware, roleMiddleware(['user', 'admin']), uuidParam('id', 'Notificación no encontrada.'), notificationController.markAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Elimina una notificación.
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID de la notificación.
+ *     responses:
+ *       200:
+ *         description: Notificación eliminada exitosamente.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       404:
+ *         description: Notificación no encontrada (o de otro usuario).
+ */
+router.delete('/:id', authMiddleware, roleMiddleware(['user', 'admin']), uuidParam('id', 'Notificación no encontrada.'), notificationController.deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const pushController = require('../controllers/pushController');
+const authMiddleware = require('../middleware/authMiddleware');
+const roleMiddleware = require('../middleware/roleMiddleware');
+
+/**
+ * @swagger
+ * /api/push/public-key:
+ *   get:
+ *     summary: Devuelve la clave pública VAPID para suscribir el navegador.
+ *     tags: [Notificaciones Push]
+ *     description: Si el servidor no tiene claves VAPID configuradas, `enabled` es false y `publicKey` es null.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Disponibilidad y clave pública.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                   example: true
+ *                 publicKey:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "BEl62iUYgUivxIkv69yViEuiBIa-Ib9-SkvMeAtA3LFgDzkrxZJjSgSnfckjBJuBkr3qBUYIHBQFLXYp5Nksh8U"
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ */
+router.get('/public-key', authMiddleware, roleMiddleware(['user', 'admin']), pushController.getPublicKey);
+
+/**
+ * @swagger
+ * /api/push/subscriptions:
+ *   post:
+ *     summary: Registra la suscripción push del navegador del usuario autenticado.
+ *     tags: [Notificaciones Push]
+ *     description: |
+ *       Recibe el resultado de `PushSubscription.toJSON()` del navegador. Si el endpoint ya estaba registrado, se
+ *       actualiza (y pasa al usuario autenticado). Las notificaciones solo se envían si el usuario tiene activadas
+ *       las notificaciones push (`settings.notifications.push`). Fuera de producción el endpoint puede usar HTTP,
+ *       para probar con el servicio de push local (`npm run push:mock`).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endpoint, keys]
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *                 example: "https://fcm.googleapis.com/fcm/send/abc123"
+ *               expirationTime:
+ *                 type: number
+ *                 nullable: true
+ *               keys:
+ *                 type: object
+ *                 properties:
+ *                   p256dh:
+ *                     type: string
+ *                   auth:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Suscripción registrada.
+ *       200:
+ *         description: Suscripción actualizada.
+ *       400:
+ *         description: Endpoint o claves no válidos.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       503:
+ *         description: El servidor no tiene claves VAPID configuradas.
+ *   delete:
+ *     summary: Elimina la suscripción push de un navegador del usuario autenticado.
+ *     tags: [Notificaciones Push]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endpoint]
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción eliminada.
+ *       400:
+ *         description: Falta el endpoint.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       404:
+ *         description: El usuario no tiene esa suscripción.
+ */
+router.post('/subscriptions', authMiddleware, roleMiddleware(['user', 'admin']), pushController.subscribe);
+router.delete('/subscriptions', authMiddleware, roleMiddleware(['user', 'admin']), pushController.unsubscribe);
+
+/**
+ * @swagger
+ * /api/push/test:
+ *   post:
+ *     summary: Envía una notificación push de prueba a los navegadores suscritos del usuario autenticado.
+ *     tags: [Notificaciones Push]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Resultado del envío.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Notificación de prueba enviada a 1 navegadores."
+ *                 sent:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 removed:
+ *                   type: integer
+ *                   description: Suscripciones que el servicio de push dio por eliminadas.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       404:
+ *         description: El usuario no tiene navegadores suscritos.
+ *       503:
+ *         description: El servidor no tiene claves VAPID configuradas.
+ */
+router.post('/test', authMiddleware, roleMiddleware(['user', 'admin']), pushController.sendTest);
+
+module.exports = router;
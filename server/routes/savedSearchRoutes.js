@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearchController');
+const authMiddleware = require('../middleware/authMiddleware');
+const roleMiddleware = require('../middleware/roleMiddleware');
+const uuidParam = require('../middleware/uuidParamMiddleware');
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: Lista las búsquedas guardadas del usuario autenticado.
+ *     tags: [Búsquedas Guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Búsquedas guardadas obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Búsquedas guardadas obtenidas exitosamente."
+ *                 savedSearches:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       403:
+ *         description: Acceso denegado (el usuario no tiene el rol 'user').
+ */
+router.get('/', authMiddleware, roleMiddleware(['user', 'admin']), savedSearchController.listSavedSearches);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   post:
+ *     summary: Guarda una búsqueda y programa su resumen por email.
+ *     tags: [Búsquedas Guardadas]
+ *     description: El resumen se envía con la frecuencia indicada e incluye las ofertas registradas desde el resumen anterior (el primero, las registradas desde que se guardó la búsqueda). Las ofertas nuevas también se avisan con una notificación en la aplicación. El email no se envía si el usuario desactivó los emails en su configuración (`settings.notifications.email` o `settings.emailNotifications`).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyword
+ *               - countries
+ *             properties:
+ *               keyword:
+ *                 type: string
+ *                 example: desarrollador react
+ *               countries:
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: string
+ *                 example: ["co", "es"]
+ *               filters:
+ *                 type: object
+ *                 description: modality, experience, sourceName, salaryMin y salaryMax, con los mismos valores que GET /api/jobs/search. El salario se interpreta como mensual en la moneda preferida del usuario.
+ *                 example: { "modality": ["Remoto"], "salaryMin": 1000 }
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, never]
+ *                 default: daily
+ *     responses:
+ *       201:
+ *         description: Búsqueda guardada exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Búsqueda guardada exitosamente."
+ *                 savedSearch:
+ *                   $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Datos no válidos (palabra clave vacía, países no admitidos, filtros o frecuencia no válidos) o límite de búsquedas guardadas alcanzado.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       403:
+ *         description: Acceso denegado (el usuario no tiene el rol 'user').
+ *       409:
+ *         description: El usuario ya tiene guardada esa búsqueda.
+ */
+router.post('/', authMiddleware, roleMiddleware(['user', 'admin']), savedSearchController.createSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   patch:
+ *     summary: Modifica una búsqueda guardada o la frecuencia de su resumen.
+ *     tags: [Búsquedas Guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID de la búsqueda guardada.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keyword:
+ *                 type: string
+ *               countries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filters:
+ *                 type: object
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, never]
+ *           example:
+ *             frequency: weekly
+ *     responses:
+ *       200:
+ *         description: Búsqueda guardada actualizada exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 savedSearch:
+ *                   $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Datos no válidos o sin cambios.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       404:
+ *         description: Búsqueda guardada no encontrada (o de otro usuario).
+ *       409:
+ *         description: El usuario ya tiene guardada esa búsqueda.
+ *   delete:
+ *     summary: Elimina una búsqueda guardada.
+ *     tags: [Búsquedas Guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID de la búsqueda guardada.
+ *     responses:
+ *       200:
+ *         description: Búsqueda guardada eliminada exitosamente.
+ *       401:
+ *         description: No autorizado (token JWT ausente, inválido o expirado).
+ *       404:
+ *         description: Búsqueda guardada no encontrada (o de otro usuario).
+ */
+router.patch('/:id', authMiddleware, roleMiddleware(['user', 'admin']), uuidParam('id', 'Búsqueda guardada no encontrada.'), savedSearchController.updateSavedSearch);
+router.delete('/:id', authMiddleware, roleMiddleware(['user', 'admin']), uuidParam('id', 'Búsqueda guardada no encontrada.'), savedSearchController.deleteSavedSearch);
+
+module.exports = router;
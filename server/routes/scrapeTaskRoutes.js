@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const scrapeTaskController = require('../controllers/scrapeTaskController');
+const uuidParam = require('../middleware/uuidParamMiddleware');
+
+/**
+ * @swagger
+ * /api/scrape-tasks/{id}:
+ *   get:
+ *     summary: Obtiene el estado de una tarea de scraping en segundo plano.
+ *     tags: [Tareas de Scraping]
+ *     description: La búsqueda de empleos devuelve un `scrapeTaskId` cuando encola un scraping. El cliente puede sondear este endpoint hasta que la tarea pase a 'completed' (y entonces volver a buscar) o a 'failed'; un usuario autenticado también recibe su progreso en GET /api/events. No incluye `lastError`, que solo devuelve la API de administración (GET /api/admin/scrape-tasks).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: ID único (UUID) de la tarea de scraping.
+ *     responses:
+ *       200:
+ *         description: Estado de la tarea de scraping obtenido exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Estado de la tarea de scraping obtenido exitosamente."
+ *                 task:
+ *                   $ref: '#/components/schemas/ScrapeTask'
+ *       404:
+ *         description: Tarea de scraping no encontrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Tarea de scraping no encontrada."
+ */
+router.get('/:id', uuidParam('id', 'Tarea de scraping no encontrada.'), scrapeTaskController.getScrapeTask);
+
+module.exports = router;
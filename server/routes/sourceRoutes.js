@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const sourceController = require('../controllers/sourceController');
+
+/**
+ * @swagger
+ * /api/sources:
+ *   get:
+ *     summary: Lista las fuentes de empleo disponibles y su cobertura de países.
+ *     tags: [Fuentes]
+ *     description: Retorna las bolsas de empleo registradas (Computrabajo, Monster, ...) con los países que cubre cada una y la estrategia de descarga que utilizan, junto con la lista consolidada de países admitidos para la búsqueda.
+ *     responses:
+ *       200:
+ *         description: Fuentes de empleo obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Fuentes de empleo obtenidas exitosamente."
+ *                 sources:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobSource'
+ *                 countries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                         example: "co"
+ *                       name:
+ *                         type: string
+ *                         example: "Colombia"
+ *                       sources:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["computrabajo"]
+ */
+router.get('/', sourceController.listSources);
+
+module.exports = router;
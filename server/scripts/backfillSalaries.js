@@ -0,0 +1,64 @@
+// server/scripts/backfillSalaries.js
+// Vuelve a interpretar el salario de los empleos ya guardados y rellena salaryMin/salaryMax/salaryCurrency/salaryPeriod.
+// Uso: npm run backfill:salaries [-- --batch-size=500]
+require('dotenv').config(); // Carga las variables de entorno
+const { Op } = require('sequelize');
+const { sequelize, syncDatabase, Job } = require('../models');
+const { parseSalary } = require('../utils/salaryParser');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Lee el tamaño de lote de los argumentos (`--batch-size=N`).
+ * @returns {number}
+ */
+function getBatchSize() {
+    const arg = process.argv.find(a => a.startsWith('--batch-size='));
+    const size = arg ? parseInt(arg.split('=')[1], 10) : DEFAULT_BATCH_SIZE;
+    return Number.isInteger(size) && size > 0 ? size : DEFAULT_BATCH_SIZE;
+}
+
+async function runBackfill() {
+    // Sincroniza la DB primero para que existan las columnas nuevas
+    await syncDatabase();
+
+    const batchSize = getBatchSize();
+    let lastId = null;
+    let processed = 0;
+    let withSalary = 0;
+
+    try {
+        // Se recorre por id (keyset) para no depender de OFFSET mientras se actualizan filas.
+        for (;;) {
+            const jobs = await Job.findAll({
+                attributes: ['id', 'salary', 'country'],
+                where: lastId ? { id: { [Op.gt]: lastId } } : {},
+                order: [['id', 'ASC']],
+                limit: batchSize,
+            });
+            if (jobs.length === 0) break;
+
+            await sequelize.transaction(async (transaction) => {
+                for (const job of jobs) {
+                    const parsed = parseSalary(job.salary, { country: job.country });
+                    if (parsed.salaryMin !== null || parsed.salaryMax !== null) withSalary++;
+                    // `silent` evita tocar `updatedAt`: el empleo no cambió en la fuente.
+                    await job.update(parsed, { transaction, silent: true });
+                }
+            });
+
+            processed += jobs.length;
+            lastId = jobs[jobs.length - 1].id;
+            console.log(`Backfill de salarios: ${processed} empleos procesados...`);
+        }
+
+        console.log(`Backfill de salarios finalizado. ${processed} empleos procesados, ${withSalary} con salario interpretado.`);
+    } catch (error) {
+        console.error('Error durante el backfill de salarios:', error);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close(); // Cierra la conexión a la DB
+    }
+}
+
+runBackfill();
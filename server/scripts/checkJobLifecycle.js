@@ -0,0 +1,27 @@
+// server/scripts/checkJobLifecycle.js
+// Marca como vencidas las ofertas que ya no aparecen en los scrapings y comprueba si las activas siguen abiertas.
+// Uso: npm run jobs:lifecycle [-- --limit=100]   (--limit: ofertas cuya URL se comprueba en esta ejecución)
+require('dotenv').config(); // Carga las variables de entorno
+const { sequelize, syncDatabase } = require('../models');
+const jobLifecycleService = require('../services/jobLifecycleService');
+
+async function runLifecycle() {
+    // Sincroniza la DB primero para que existan las columnas de estado y la tabla de historial
+    await syncDatabase();
+
+    const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+    const limit = limitArg ? parseInt(limitArg.split('=')[1], 10) : undefined;
+
+    try {
+        const { notSeen, deadlinePassed } = await jobLifecycleService.sweepExpiredJobs();
+        const { checked, closed } = await jobLifecycleService.recheckJobs(limit ? { limit } : {});
+        console.log(`Revisión finalizada. ${notSeen} ofertas vencidas por inactividad, ${deadlinePassed} por fecha límite; ${checked} URLs comprobadas, ${closed} ofertas cerradas.`);
+    } catch (error) {
+        console.error('Error durante la revisión del estado de las ofertas:', error);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close(); // Cierra la conexión a la DB
+    }
+}
+
+runLifecycle();
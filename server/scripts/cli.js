@@ -0,0 +1,114 @@
+// server/scripts/cli.js
+// CLI de operación: scraping, mantenimiento de empleos y cuentas, sin necesidad de levantar el servidor HTTP.
+// Uso: npm run cli -- <comando> [opciones]      (npm run cli -- help para ver los comandos)
+// Los mensajes de progreso van a stderr; stdout queda para los datos (ej. `export-jobs` sin --output).
+require('dotenv').config(); // Carga las variables de entorno
+const { parseArgs } = require('util');
+const { sequelize, syncDatabase } = require('../models');
+const { closeBrowserPool } = require('../services/browserPool');
+const { EXIT_CODES } = require('./cli/usage');
+
+const COMMANDS = [
+    require('./cli/scrape'),
+    require('./cli/renormalize'),
+    require('./cli/expireJobs'),
+    require('./cli/dedupe'),
+    require('./cli/exportJobs'),
+    require('./cli/createAdmin'),
+    require('./cli/sendDigests'),
+];
+
+// Los servicios registran su progreso con console.log; en la CLI ese progreso va a stderr.
+console.log = console.error;
+console.info = console.error;
+
+/**
+ * Muestra la lista de comandos.
+ */
+function printHelp() {
+    console.error('Uso: npm run cli -- <comando> [opciones]\n\nComandos:');
+    for (const command of COMMANDS) {
+        console.error(`  ${command.name.padEnd(14)}${command.description}`);
+    }
+    console.error('\nUsa `npm run cli -- <comando> --help` para ver las opciones de un comando.');
+    console.error(`Códigos de salida: ${EXIT_CODES.OK} correcto, ${EXIT_CODES.FAILURE} error, ${EXIT_CODES.USAGE} uso incorrecto, ${EXIT_CODES.PARTIAL} completado con fallos parciales.`);
+}
+
+/**
+ * Muestra la ayuda de un comando.
+ * @param {Object} command
+ */
+function printCommandHelp(command) {
+    console.error(`Uso: npm run cli -- ${command.name} ${command.usage}\n\n${command.description}`);
+}
+
+/**
+ * Indica si un error se debe a opciones no válidas (de `parseArgs` o de `usageError`).
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isUsageError(error) {
+    return error.code === 'CLI_USAGE' || String(error.code).startsWith('ERR_PARSE_ARGS');
+}
+
+/**
+ * Ejecuta el comando indicado en los argumentos.
+ * @returns {Promise<number>} El código de salida.
+ */
+async function main() {
+    const [commandName, ...args] = process.argv.slice(2);
+    if (!commandName || commandName === 'help' || commandName === '--help') {
+        printHelp();
+        return commandName ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS.find(candidate => candidate.name === commandName);
+    if (!command) {
+        console.error(`Comando desconocido: "${commandName}".\n`);
+        printHelp();
+        return EXIT_CODES.USAGE;
+    }
+
+    let options;
+    try {
+        const { values } = parseArgs({ args, options: { ...command.options, help: { type: 'boolean' } }, strict: true });
+        if (values.help) {
+            printCommandHelp(command);
+            return EXIT_CODES.OK;
+        }
+        // Las opciones se validan antes de conectar con la base de datos
+        options = command.parseOptions ? command.parseOptions(values) : values;
+    } catch (error) {
+        if (!isUsageError(error)) throw error;
+        console.error(`${error.message}\n`);
+        printCommandHelp(command);
+        return EXIT_CODES.USAGE;
+    }
+
+    try {
+        // Sincroniza la DB primero para que existan las tablas y columnas que usan los servicios
+        await syncDatabase();
+        const exitCode = await command.run(options);
+        return exitCode ?? EXIT_CODES.OK;
+    } catch (error) {
+        if (isUsageError(error)) {
+            console.error(`${error.message}\n`);
+            printCommandHelp(command);
+            return EXIT_CODES.USAGE;
+        }
+        console.error(`Error al ejecutar "${command.name}":`, error);
+        return EXIT_CODES.FAILURE;
+    } finally {
+        await closeBrowserPool(); // Cierra el navegador compartido si el comando lo usó
+        await sequelize.close(); // Cierra la conexión a la DB
+    }
+}
+
+main()
+    .then((exitCode) => {
+        process.exitCode = exitCode;
+    })
+    .catch((error) => {
+        console.error('Error inesperado en la CLI:', error);
+        process.exitCode = EXIT_CODES.FAILURE;
+    });
@@ -0,0 +1,62 @@
+// server/scripts/cli/createAdmin.js
+// Comando `create-admin`: crea una cuenta de administrador o da el rol de administrador a una cuenta existente
+const bcrypt = require('bcrypt'); // bcrypt para el hashing de contraseñas
+const { Op } = require('sequelize');
+const { User } = require('../../models');
+const { usageError } = require('./usage');
+
+// Misma longitud mínima que al cambiar la contraseña desde el perfil.
+const MIN_PASSWORD_LENGTH = 8;
+
+module.exports = {
+    name: 'create-admin',
+    description: 'Crea un administrador, o promueve a administrador la cuenta con ese email o usuario.',
+    usage: '--email <email> --username <usuario> [--password <contraseña>]   (o ADMIN_PASSWORD en el entorno)',
+    options: {
+        email: { type: 'string' },
+        username: { type: 'string' },
+        password: { type: 'string' },
+    },
+
+    /**
+     * @param {Object} values - Opciones de `parseArgs`.
+     * @returns {{email: string, username: string, password: string|undefined}}
+     */
+    parseOptions(values) {
+        const email = (values.email || '').trim().toLowerCase();
+        const username = (values.username || '').trim();
+        // La contraseña puede venir del entorno para que no quede en el historial de la shell
+        const password = values.password || process.env.ADMIN_PASSWORD;
+        if (!email || !username) throw usageError('Faltan --email y --username.');
+        if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) {
+            throw usageError(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`);
+        }
+        return { email, username, password };
+    },
+
+    /**
+     * @param {{email: string, username: string, password: string|undefined}} options
+     */
+    async run({ email, username, password }) {
+        const existing = await User.findOne({ where: { [Op.or]: [{ email }, { username }] } });
+
+        if (existing) {
+            // También reactiva la cuenta: es la forma de recuperar el acceso si se desactivó al único administrador.
+            const updates = { role: 'admin', isDisabled: false, disabledAt: null, disabledReason: null };
+            if (password) updates.password = await bcrypt.hash(password, 10);
+            await existing.update(updates);
+            console.error(`La cuenta "${existing.username}" (${existing.email}) ahora es administradora${password ? ' y tiene una contraseña nueva' : ''}.`);
+            return;
+        }
+
+        if (!password) throw usageError('Para crear una cuenta nueva hace falta --password (o ADMIN_PASSWORD).');
+        const admin = await User.create({
+            username,
+            email,
+            password: await bcrypt.hash(password, 10), // Genera un hash con un "salt" de 10 rondas
+            role: 'admin',
+            provider: 'local',
+        });
+        console.error(`Administrador "${admin.username}" (${admin.email}) creado.`);
+    },
+};
@@ -0,0 +1,21 @@
+// server/scripts/cli/dedupe.js
+// Comando `dedupe`: agrupa en clusters las publicaciones duplicadas de una misma vacante
+const jobDedupService = require('../../services/jobDedupService');
+
+module.exports = {
+    name: 'dedupe',
+    description: 'Agrupa en clusters los empleos duplicados entre fuentes (--reset recalcula todos).',
+    usage: '[--reset]',
+    options: {
+        reset: { type: 'boolean', default: false },
+    },
+
+    /**
+     * @param {{reset: boolean}} options
+     */
+    async run({ reset }) {
+        console.error(reset ? 'Recalculando todos los clusters...' : 'Agrupando los empleos sin cluster...');
+        const { processed, clusters } = await jobDedupService.clusterPendingJobs({ reset });
+        console.error(`Agrupación finalizada: ${processed} empleos procesados, ${clusters} clusters en total.`);
+    },
+};
@@ -0,0 +1,42 @@
+// server/scripts/cli/expireJobs.js
+// Comando `expire-jobs`: marca como vencidas las ofertas que ya no se publican y, opcionalmente, comprueba sus URLs
+const jobLifecycleService = require('../../services/jobLifecycleService');
+const { parsePositiveInt } = require('./usage');
+
+module.exports = {
+    name: 'expire-jobs',
+    description: 'Vence las ofertas sin ver en N días o con la fecha límite pasada; --recheck comprueba también sus URLs.',
+    usage: '[--days <n>] [--recheck] [--limit <n>]',
+    options: {
+        days: { type: 'string' },
+        recheck: { type: 'boolean', default: false },
+        limit: { type: 'string' },
+    },
+
+    /**
+     * @param {Object} values - Opciones de `parseArgs`.
+     * @returns {{expiryDays: number, recheck: boolean, limit: number|undefined}}
+     */
+    parseOptions(values) {
+        return {
+            expiryDays: parsePositiveInt(values.days, 'days') || jobLifecycleService.EXPIRY_DAYS,
+            recheck: values.recheck,
+            limit: parsePositiveInt(values.limit, 'limit'),
+        };
+    },
+
+    /**
+     * @param {{expiryDays: number, recheck: boolean, limit: number|undefined}} options
+     */
+    async run({ expiryDays, recheck, limit }) {
+        console.error(`Buscando ofertas sin ver en ${expiryDays} días o con la fecha límite pasada...`);
+        const { notSeen, deadlinePassed } = await jobLifecycleService.sweepExpiredJobs({ expiryDays });
+        console.error(`${notSeen} ofertas vencidas por no verse y ${deadlinePassed} por fecha límite.`);
+
+        if (recheck) {
+            console.error('Comprobando las URLs de las ofertas activas...');
+            const { checked, closed } = await jobLifecycleService.recheckJobs(limit ? { limit } : {});
+            console.error(`${checked} URLs comprobadas, ${closed} ofertas cerradas.`);
+        }
+    },
+};
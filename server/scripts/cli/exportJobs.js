@@ -0,0 +1,110 @@
+// server/scripts/cli/exportJobs.js
+// Comando `export-jobs`: exporta los empleos guardados a CSV o JSON, por lotes para no cargarlos todos en memoria
+const fs = require('fs');
+const { once } = require('events');
+const { Op } = require('sequelize');
+const { Job } = require('../../models');
+const { toCsvRow } = require('../../utils/csv');
+const { usageError, parsePositiveInt } = require('./usage');
+
+const BATCH_SIZE = 500;
+const FORMATS = ['csv', 'json'];
+const STATUSES = ['active', 'expired', 'closed', 'all'];
+
+// Columnas exportadas, en orden.
+const EXPORT_FIELDS = [
+    'id', 'title', 'companyName', 'location', 'country', 'modality', 'experienceRequired', 'employmentType',
+    'salary', 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod',
+    'status', 'sourceName', 'sourceUrl', 'creationDate', 'deadlineDate', 'lastSeenAt', 'clusterId', 'isCanonical',
+];
+
+/**
+ * Escribe en un stream respetando su contrapresión (espera a que se vacíe si el buffer está lleno).
+ * @param {Writable} stream
+ * @param {string} chunk
+ */
+async function write(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+module.exports = {
+    name: 'export-jobs',
+    description: 'Exporta los empleos a CSV o JSON (a stdout o a un archivo con --output).',
+    usage: '--format <csv|json> [--output <archivo>] [--status <active|expired|closed|all>] [--country <co>] [--source <nombre>] [--limit <n>]',
+    options: {
+        format: { type: 'string', short: 'f' },
+        output: { type: 'string', short: 'o' },
+        status: { type: 'string', default: 'active' },
+        country: { type: 'string' },
+        source: { type: 'string' },
+        limit: { type: 'string' },
+    },
+
+    /**
+     * @param {Object} values - Opciones de `parseArgs`.
+     * @returns {Object} Opciones validadas.
+     */
+    parseOptions(values) {
+        const format = (values.format || '').toLowerCase();
+        if (!FORMATS.includes(format)) throw usageError(`--format debe ser ${FORMATS.join(' o ')}.`);
+        if (!STATUSES.includes(values.status)) throw usageError(`--status debe ser uno de: ${STATUSES.join(', ')}.`);
+        return {
+            format,
+            output: values.output,
+            status: values.status,
+            country: values.country ? values.country.toLowerCase() : undefined,
+            source: values.source,
+            limit: parsePositiveInt(values.limit, 'limit'),
+        };
+    },
+
+    /**
+     * @param {Object} options - Ver `parseOptions`.
+     */
+    async run({ format, output, status, country, source, limit }) {
+        const where = {};
+        if (status !== 'all') where.status = status;
+        if (country) where.country = country;
+        if (source) where.sourceName = source;
+
+        const total = await Job.count({ where });
+        const expected = limit ? Math.min(limit, total) : total;
+        const stream = output ? fs.createWriteStream(output) : process.stdout;
+        console.error(`Exportando ${expected} empleos en ${format.toUpperCase()}${output ? ` a ${output}` : ''}...`);
+
+        let exported = 0;
+        let lastId = null;
+        await write(stream, format === 'csv' ? toCsvRow(EXPORT_FIELDS) : '[\n');
+        // Se recorre por id (keyset) para que el recorrido no dependa de OFFSET.
+        while (exported < expected) {
+            const jobs = await Job.findAll({
+                attributes: EXPORT_FIELDS,
+                where: lastId ? { ...where, id: { [Op.gt]: lastId } } : where,
+                order: [['id', 'ASC']],
+                limit: Math.min(BATCH_SIZE, expected - exported),
+                raw: true,
+            });
+            if (jobs.length === 0) break;
+
+            for (const job of jobs) {
+                if (format === 'csv') {
+                    await write(stream, toCsvRow(EXPORT_FIELDS.map(field => job[field])));
+                } else {
+                    await write(stream, `${exported > 0 ? ',\n' : ''}  ${JSON.stringify(job)}`);
+                }
+                exported++;
+            }
+            lastId = jobs[jobs.length - 1].id;
+            console.error(`  ${exported}/${expected} empleos exportados...`);
+        }
+        if (format === 'json') await write(stream, `${exported > 0 ? '\n' : ''}]\n`);
+
+        if (output) {
+            stream.end();
+            await once(stream, 'finish');
+        }
+        console.error(`Exportación finalizada: ${exported} empleos.`);
+    },
+};
@@ -0,0 +1,121 @@
+// server/scripts/cli/renormalize.js
+// Comando `renormalize`: vuelve a aplicar `normalizeJobData` a los empleos guardados (tras cambiar la normalización)
+// y reagrupa los que cambian de título, empresa o ubicación
+const { Op } = require('sequelize');
+const { sequelize, Job } = require('../../models');
+const { normalizeJobData } = require('../../services/jobProcessingService');
+const jobDedupService = require('../../services/jobDedupService');
+const { parsePositiveInt } = require('./usage');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Columnas que calcula `normalizeJobData` a partir de los datos guardados.
+const NORMALIZED_FIELDS = [
+    'title', 'description', 'requirements', 'companyName', 'location', 'salary',
+    'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod',
+    'modality', 'experienceRequired', 'creationDate', 'deadlineDate',
+];
+
+/**
+ * Compara dos valores de una columna (las fechas por su instante y los números con la precisión de DECIMAL).
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+    }
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a ?? null) === (b ?? null);
+    }
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+    return a === b;
+}
+
+/**
+ * Calcula las columnas de un empleo que cambian al volver a normalizarlo.
+ * @param {Object} job - Datos del empleo guardado.
+ * @returns {Object} Las columnas que cambian, con su nuevo valor.
+ */
+function getNormalizationChanges(job) {
+    const normalized = normalizeJobData(job);
+    const changes = {};
+    for (const field of NORMALIZED_FIELDS) {
+        if (!sameValue(job[field], normalized[field])) changes[field] = normalized[field];
+    }
+    return changes;
+}
+
+module.exports = {
+    name: 'renormalize',
+    description: 'Vuelve a normalizar todos los empleos guardados (textos, salario, modalidad, experiencia, fechas).',
+    usage: '[--dry-run] [--batch-size <n>]',
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+        'batch-size': { type: 'string' },
+    },
+
+    /**
+     * @param {Object} values - Opciones de `parseArgs`.
+     * @returns {{dryRun: boolean, batchSize: number}}
+     */
+    parseOptions(values) {
+        return {
+            dryRun: values['dry-run'],
+            batchSize: parsePositiveInt(values['batch-size'], 'batch-size') || DEFAULT_BATCH_SIZE,
+        };
+    },
+
+    /**
+     * @param {{dryRun: boolean, batchSize: number}} options
+     */
+    async run({ dryRun, batchSize }) {
+        const total = await Job.count();
+        console.error(`Normalizando ${total} empleos${dryRun ? ' (sin guardar)' : ''}...`);
+
+        let processed = 0;
+        let changed = 0;
+        let regrouped = 0;
+        let lastId = null;
+        // Se recorre por id (keyset) para no depender de OFFSET mientras se actualizan filas.
+        for (;;) {
+            const jobs = await Job.findAll({
+                where: lastId ? { id: { [Op.gt]: lastId } } : {},
+                order: [['id', 'ASC']],
+                limit: batchSize,
+            });
+            if (jobs.length === 0) break;
+
+            // Empleos cuyo título, empresa o ubicación normalizados ya no corresponden a su cluster.
+            const fingerprintChanged = [];
+            await sequelize.transaction(async (transaction) => {
+                for (const job of jobs) {
+                    const data = job.get({ plain: true });
+                    const changes = getNormalizationChanges(data);
+                    if (Object.keys(changes).length === 0) continue;
+                    changed++;
+                    if (job.clusterId && jobDedupService.getJobSignature(data).fingerprint
+                        !== jobDedupService.getJobSignature({ ...data, ...changes }).fingerprint) {
+                        fingerprintChanged.push(job);
+                    }
+                    // `silent` evita tocar `updatedAt`: el empleo no cambió en la fuente.
+                    if (!dryRun) await job.update(changes, { transaction, silent: true });
+                }
+            });
+            // Se reagrupan después de guardar el lote: `reassignCluster` usa su propia transacción.
+            regrouped += fingerprintChanged.length;
+            if (!dryRun) {
+                for (const job of fingerprintChanged) {
+                    await jobDedupService.reassignCluster(job);
+                }
+            }
+
+            processed += jobs.length;
+            lastId = jobs[jobs.length - 1].id;
+            console.error(`  ${processed}/${total} empleos revisados, ${changed} con cambios...`);
+        }
+
+        console.error(`Normalización finalizada: ${changed} de ${processed} empleos ${dryRun ? 'cambiarían' : 'actualizados'}, ${regrouped} ${dryRun ? 'cambiarían' : 'reagrupados'} de cluster.`);
+    },
+
+    getNormalizationChanges,
+};
@@ -0,0 +1,45 @@
+// server/scripts/cli/scrape.js
+// Comando `scrape`: raspa una palabra clave en varios países y guarda los empleos, como la cola de scraping
+const scrapingService = require('../../services/scrapingService');
+const sourceRegistry = require('../../services/sourceRegistry');
+const { EXIT_CODES, usageError } = require('./usage');
+
+module.exports = {
+    name: 'scrape',
+    description: 'Raspa las fuentes para una palabra clave y guarda los empleos encontrados.',
+    usage: '--keyword <texto> --countries <co,mx,...>',
+    options: {
+        keyword: { type: 'string', short: 'k' },
+        countries: { type: 'string', short: 'c' },
+    },
+
+    /**
+     * @param {Object} values - Opciones de `parseArgs`.
+     * @returns {{keyword: string, countries: string[]}}
+     */
+    parseOptions(values) {
+        const keyword = (values.keyword || '').trim();
+        if (!keyword) throw usageError('Falta --keyword.');
+
+        const countries = [...new Set((values.countries || '').split(',').map(c => c.trim().toLowerCase()).filter(Boolean))];
+        if (countries.length === 0) throw usageError('Falta --countries (códigos separados por comas, ej. co,mx).');
+
+        const supported = sourceRegistry.getSupportedCountries();
+        const unsupported = countries.filter(country => !supported.includes(country));
+        if (unsupported.length > 0) {
+            throw usageError(`Países no admitidos: ${unsupported.join(', ')}. Admitidos: ${supported.join(', ')}.`);
+        }
+        return { keyword, countries };
+    },
+
+    /**
+     * @param {{keyword: string, countries: string[]}} options
+     * @returns {Promise<number>} PARTIAL si algún empleo no se pudo guardar.
+     */
+    async run({ keyword, countries }) {
+        console.error(`Raspando "${keyword}" en ${countries.join(', ')}...`);
+        const { jobs, created, updated, failed } = await scrapingService.scrapeAndSave(keyword, countries);
+        console.error(`Scraping finalizado: ${jobs.length} empleos (${created} nuevos, ${updated} actualizados, ${failed} con error).`);
+        return failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    },
+};
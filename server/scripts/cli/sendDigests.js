@@ -0,0 +1,18 @@
+// server/scripts/cli/sendDigests.js
+// Comando `send-digests`: envía ahora los resúmenes pendientes de las búsquedas guardadas
+const savedSearchService = require('../../services/savedSearchService');
+const { EXIT_CODES } = require('./usage');
+
+module.exports = {
+    name: 'send-digests',
+    description: 'Envía por email y como notificación las ofertas nuevas de las búsquedas guardadas con el resumen pendiente.',
+    usage: '',
+    options: {},
+
+    async run() {
+        console.error('Buscando las búsquedas guardadas con el resumen pendiente...');
+        const { searches, emailsSent, emailsFailed, skippedUsers, notificationsCreated } = await savedSearchService.sendDigests();
+        console.error(`${searches} búsquedas revisadas: ${emailsSent} resúmenes enviados, ${emailsFailed} fallidos, ${skippedUsers} usuarios sin emails y ${notificationsCreated} notificaciones.`);
+        return emailsFailed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    },
+};
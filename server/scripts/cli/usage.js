@@ -0,0 +1,44 @@
+// server/scripts/cli/usage.js
+// Códigos de salida y errores de uso compartidos por los comandos de la CLI
+
+// Códigos de salida de `npm run cli`.
+const EXIT_CODES = {
+    OK: 0,       // El comando terminó sin errores
+    FAILURE: 1,  // Error inesperado (base de datos, red...)
+    USAGE: 2,    // Comando u opciones no válidos
+    PARTIAL: 3,  // El comando terminó, pero algunos elementos fallaron (ej. empleos que no se pudieron guardar)
+};
+
+/**
+ * Crea un error de uso (opciones que faltan o no son válidas). La CLI lo muestra con la ayuda del comando
+ * y sale con `EXIT_CODES.USAGE`.
+ * @param {string} message
+ * @returns {Error}
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.code = 'CLI_USAGE';
+    return error;
+}
+
+/**
+ * Convierte una opción numérica entera positiva.
+ * @param {string|undefined} value - Valor de la opción.
+ * @param {string} name - Nombre de la opción, para el mensaje de error.
+ * @returns {number|undefined}
+ * @throws {Error} Error de uso si el valor no es un entero positivo.
+ */
+function parsePositiveInt(value, name) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw usageError(`--${name} debe ser un entero positivo (recibido: "${value}").`);
+    }
+    return number;
+}
+
+module.exports = {
+    EXIT_CODES,
+    usageError,
+    parsePositiveInt,
+};
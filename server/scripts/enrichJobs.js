@@ -0,0 +1,29 @@
+// server/scripts/enrichJobs.js
+// Completa las ofertas guardadas con los datos de su página de detalle (descripción, requisitos, modalidad...).
+// Uso: npm run jobs:enrich [-- --limit=100]   (--limit: ofertas a completar en esta ejecución)
+// Funciona aunque JOB_DETAIL_ENRICHMENT no esté activada; respeta JOB_DETAIL_CONCURRENCY y JOB_DETAIL_DELAY_MS.
+require('dotenv').config(); // Carga las variables de entorno
+const { sequelize, syncDatabase } = require('../models');
+const jobEnrichmentService = require('../services/jobEnrichmentService');
+const { closeBrowserPool } = require('../services/browserPool');
+
+async function runEnrichment() {
+    // Sincroniza la DB primero para que existan las columnas de enriquecimiento
+    await syncDatabase();
+
+    const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+    const limit = limitArg ? parseInt(limitArg.split('=')[1], 10) : undefined;
+
+    try {
+        const { processed, enriched } = await jobEnrichmentService.enrichPendingJobs(limit ? { limit } : {});
+        console.log(`Enriquecimiento finalizado. ${enriched} de ${processed} ofertas completadas con su página de detalle.`);
+    } catch (error) {
+        console.error('Error durante el enriquecimiento de ofertas:', error);
+        process.exitCode = 1;
+    } finally {
+        await closeBrowserPool(); // Cierra el navegador compartido para que el proceso termine
+        await sequelize.close(); // Cierra la conexión a la DB
+    }
+}
+
+runEnrichment();
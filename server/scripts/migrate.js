@@ -0,0 +1,42 @@
+// server/scripts/migrate.js
+// Aplica, revierte o lista las migraciones de la base de datos (carpeta migrations/).
+// Uso: npm run db:migrate                        aplica todas las migraciones pendientes
+//      npm run db:migrate -- --to=<migración>    aplica hasta esa migración (incluida)
+//      npm run db:migrate:undo [-- --to=<migración>]   revierte la última (o hasta esa migración, incluida)
+//      npm run db:migrate:status                 lista las migraciones aplicadas y pendientes
+require('dotenv').config(); // Carga las variables de entorno
+const { sequelize } = require('../models');
+const { migrator, getMigrationStatus } = require('../config/migrator');
+
+async function runMigrations() {
+    const [action = 'up'] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const toArg = process.argv.find(arg => arg.startsWith('--to='));
+    const to = toArg ? toArg.slice('--to='.length) : undefined;
+
+    try {
+        await sequelize.authenticate();
+        const { executed, pending } = await getMigrationStatus();
+
+        if (action === 'status') {
+            executed.forEach(name => console.log(`  aplicada   ${name}`));
+            pending.forEach(name => console.log(`  pendiente  ${name}`));
+            console.log(`${executed.length} migraciones aplicadas, ${pending.length} pendientes.`);
+        } else if (action === 'up') {
+            const applied = await migrator.up(to ? { to } : {});
+            console.log(applied.length > 0 ? `${applied.length} migraciones aplicadas.` : 'No hay migraciones pendientes.');
+        } else if (action === 'down') {
+            const reverted = await migrator.down(to ? { to } : {});
+            console.log(reverted.length > 0 ? `${reverted.length} migraciones revertidas.` : 'No hay migraciones que revertir.');
+        } else {
+            console.error(`Acción desconocida: "${action}". Usa up, down o status.`);
+            process.exitCode = 2;
+        }
+    } catch (error) {
+        console.error('Error al ejecutar las migraciones:', error);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close(); // Cierra la conexión a la DB
+    }
+}
+
+runMigrations();
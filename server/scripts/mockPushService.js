@@ -0,0 +1,137 @@
+// server/scripts/mockPushService.js
+// Servicio de push local para probar las notificaciones Web Push sin un navegador: genera una suscripción,
+// recibe los mensajes que envía el servidor, los descifra (RFC 8291, aes128gcm) y los muestra.
+// Uso: npm run push:mock [-- --port=5070]
+//   1. Registra la suscripción que se muestra con POST /api/push/subscriptions (servidor en desarrollo).
+//   2. Activa las notificaciones push del usuario y genera una notificación, o usa POST /api/push/test.
+//   --port: puerto del servicio (por defecto MOCK_PUSH_PORT o 5070)
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Descifra el cuerpo de un mensaje Web Push con las claves del "navegador".
+ * @param {Buffer} body - `salt (16) | rs (4) | idlen (1) | keyid (clave pública del servidor) | registro cifrado`.
+ * @param {crypto.ECDH} ecdh - Par de claves P-256 de la suscripción.
+ * @param {Buffer} authSecret - Secreto `auth` de la suscripción.
+ * @returns {string} El contenido en texto.
+ */
+function decryptPayload(body, ecdh, authSecret) {
+    const salt = body.subarray(0, 16);
+    const idLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + idLength);
+    const record = body.subarray(21 + idLength);
+
+    const sharedSecret = ecdh.computeSecret(serverPublicKey);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const key = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+    // El último registro termina con el delimitador 0x02 seguido de relleno con ceros
+    return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8');
+}
+
+/**
+ * Crea un servicio de push de prueba. Cada suscripción tiene sus propias claves y su endpoint
+ * (`http://127.0.0.1:<puerto>/push/<id>`); los mensajes recibidos se guardan en `received`.
+ * @param {Object} [options={}]
+ * @param {Function} [options.onMessage] - Se llama con cada mensaje recibido.
+ * @returns {{start: Function, createSubscription: Function, setResponseStatus: Function, received: Array<Object>, close: Function}}
+ */
+function createMockPushService({ onMessage } = {}) {
+    const subscriptions = new Map(); // id -> { ecdh, authSecret }
+    const received = [];
+    let responseStatus = 201;
+    let baseUrl = null;
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const id = req.url.split('/').pop();
+            const subscription = subscriptions.get(id);
+            if (!subscription) {
+                res.writeHead(404).end();
+                return;
+            }
+            const body = Buffer.concat(chunks);
+            const message = { subscriptionId: id, headers: req.headers, payload: null, error: null };
+            try {
+                message.payload = decryptPayload(body, subscription.ecdh, subscription.authSecret);
+            } catch (error) {
+                message.error = error.message;
+            }
+            received.push(message);
+            if (onMessage) onMessage(message);
+            res.writeHead(message.error ? 400 : responseStatus).end();
+        });
+    });
+
+    return {
+        received,
+        /**
+         * Inicia el servidor. Con el puerto 0 se elige uno libre.
+         * @param {number} [port=0]
+         * @returns {Promise<string>} La URL base.
+         */
+        start(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => {
+                    baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+        /**
+         * Genera una suscripción nueva con el formato de `PushSubscription.toJSON()` del navegador.
+         * @returns {{endpoint: string, expirationTime: null, keys: {p256dh: string, auth: string}}}
+         */
+        createSubscription() {
+            const id = crypto.randomUUID();
+            const ecdh = crypto.createECDH('prime256v1');
+            ecdh.generateKeys();
+            const authSecret = crypto.randomBytes(16);
+            subscriptions.set(id, { ecdh, authSecret });
+            return {
+                endpoint: `${baseUrl}/push/${id}`,
+                expirationTime: null,
+                keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url') },
+            };
+        },
+        /**
+         * Código con el que responde a los mensajes (ej. 410 para simular una suscripción eliminada).
+         * @param {number} status
+         */
+        setResponseStatus(status) {
+            responseStatus = status;
+        },
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+if (require.main === module) {
+    const portArg = process.argv.find(value => value.startsWith('--port='));
+    const port = parseInt(portArg ? portArg.slice(7) : process.env.MOCK_PUSH_PORT, 10) || 5070;
+    const mock = createMockPushService({
+        onMessage: (message) => {
+            console.log(`\n[${new Date().toISOString()}] Mensaje recibido (TTL ${message.headers.ttl}, ${message.headers['content-encoding']})`);
+            console.log(message.error ? `No se pudo descifrar: ${message.error}` : message.payload);
+        },
+    });
+    mock.start(port).then((url) => {
+        console.log(`Servicio de push de prueba escuchando en ${url}`);
+        console.log('Suscripción para POST /api/push/subscriptions:');
+        console.log(JSON.stringify(mock.createSubscription(), null, 2));
+    });
+}
+
+module.exports = {
+    decryptPayload,
+    createMockPushService,
+};
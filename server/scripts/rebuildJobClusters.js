@@ -0,0 +1,25 @@
+// server/scripts/rebuildJobClusters.js
+// Agrupa en clusters los empleos guardados que aún no tienen uno (publicaciones duplicadas de la misma vacante).
+// Uso: npm run dedup:jobs [-- --reset]   (--reset borra los clusters y vuelve a agrupar todos los empleos)
+require('dotenv').config(); // Carga las variables de entorno
+const { sequelize, syncDatabase } = require('../models');
+const jobDedupService = require('../services/jobDedupService');
+
+async function runDedup() {
+    // Sincroniza la DB primero para que existan la tabla de clusters y las columnas nuevas
+    await syncDatabase();
+
+    const reset = process.argv.includes('--reset');
+
+    try {
+        const { processed, clusters } = await jobDedupService.clusterPendingJobs({ reset });
+        console.log(`Agrupación finalizada. ${processed} empleos procesados, ${clusters} clusters en total.`);
+    } catch (error) {
+        console.error('Error durante la agrupación de empleos:', error);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close(); // Cierra la conexión a la DB
+    }
+}
+
+runDedup();
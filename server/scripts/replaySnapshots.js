@@ -0,0 +1,64 @@
+// server/scripts/replaySnapshots.js
+// Vuelve a parsear las páginas archivadas con los parsers actuales y regenera los empleos, sin acceder a las fuentes.
+// Uso: npm run snapshots:replay [-- --source=Computrabajo --since=2024-06-01 --until=2024-06-30 --limit=500 --dry-run --prune]
+//   --source: solo las páginas de esa fuente          --since/--until: rango de fechas de descarga (YYYY-MM-DD)
+//   --limit: máximo de páginas a procesar             --dry-run: solo parsea y cuenta, sin guardar
+//   --prune: antes de reprocesar, borra las páginas más antiguas que PAGE_SNAPSHOT_RETENTION_DAYS
+require('dotenv').config(); // Carga las variables de entorno
+const { sequelize, syncDatabase } = require('../models');
+const snapshotReplayService = require('../services/snapshotReplayService');
+const { pruneSnapshots } = require('../services/pageSnapshotService');
+
+/**
+ * Lee el valor de un argumento `--nombre=valor`.
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function getArg(name) {
+    const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+/**
+ * Convierte un argumento de fecha; `endOfDay` incluye el día completo en `--until`.
+ * @param {string|undefined} value
+ * @param {boolean} [endOfDay=false]
+ * @returns {Date|undefined}
+ */
+function parseDateArg(value, endOfDay = false) {
+    if (!value) return undefined;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Fecha no válida: ${value}`);
+    }
+    return date;
+}
+
+async function runReplay() {
+    // Sincroniza la DB primero para que exista la tabla de páginas archivadas
+    await syncDatabase();
+
+    try {
+        if (process.argv.includes('--prune')) {
+            const deleted = await pruneSnapshots();
+            console.log(`${deleted} páginas archivadas antiguas eliminadas.`);
+        }
+
+        const limit = getArg('limit') ? parseInt(getArg('limit'), 10) : undefined;
+        const summary = await snapshotReplayService.replaySnapshots({
+            sourceName: getArg('source'),
+            since: parseDateArg(getArg('since')),
+            until: parseDateArg(getArg('until'), true),
+            limit,
+            dryRun: process.argv.includes('--dry-run'),
+        });
+        console.log(`Reprocesado finalizado. ${summary.snapshots} páginas: ${summary.jobsParsed} empleos en listados (${summary.created} nuevos, ${summary.updated} actualizados, ${summary.failed} con error), ${summary.enriched} páginas de detalle aplicadas y ${summary.skipped} omitidas.`);
+    } catch (error) {
+        console.error('Error durante el reprocesado de páginas archivadas:', error);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close(); // Cierra la conexión a la DB
+    }
+}
+
+runReplay();
@@ -0,0 +1,237 @@
+// server/services/adminService.js
+// Consultas y acciones de moderación de la API de administración (usuarios, ofertas y estadísticas)
+const { Op } = require('sequelize');
+const { sequelize, User, Job, JobCluster, FavoriteJob, JobApplication, ScrapeTask } = require('../models');
+const jobDedupService = require('./jobDedupService');
+const { logInfo, parsePagination } = require('../utils/helpers');
+
+// Campos de un usuario que ve un administrador (nunca la contraseña ni el token de verificación).
+const USER_ADMIN_ATTRIBUTES = [
+    'id', 'username', 'email', 'role', 'provider', 'profilePicture',
+    'isDisabled', 'disabledAt', 'disabledReason', 'createdAt', 'updatedAt',
+];
+const ROLES = ['guest', 'user', 'admin'];
+
+/**
+ * Escapa los comodines de LIKE de un texto de búsqueda.
+ * @param {string} text
+ * @returns {string} Patrón `%texto%`.
+ */
+function toLikePattern(text) {
+    return `%${String(text).trim().replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+/**
+ * Cuenta las filas de un modelo agrupadas por una columna.
+ * @param {Object} Model - Modelo de Sequelize.
+ * @param {string} column
+ * @param {Object} [where={}]
+ * @returns {Promise<Object<string, number>>} `{ valor: cantidad }`.
+ */
+async function countBy(Model, column, where = {}) {
+    const rows = await Model.count({ where, group: [column] });
+    return Object.fromEntries(rows.map(row => [row[column], Number(row.count)]));
+}
+
+/**
+ * Busca usuarios por nombre de usuario o email, con filtros de rol y estado.
+ * @param {Object} [options={}]
+ * @param {string} [options.q] - Texto a buscar en `username` y `email`.
+ * @param {string} [options.role] - 'guest', 'user' o 'admin'.
+ * @param {string} [options.status] - 'active' o 'disabled'.
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{users: Array<Object>, total: number, page: number, totalPages: number}>}
+ */
+async function searchUsers({ q, role, status, ...pagination } = {}) {
+    const { page, limit, offset } = parsePagination(pagination);
+    const where = {};
+    if (q && String(q).trim()) {
+        const pattern = toLikePattern(q);
+        where[Op.or] = [{ username: { [Op.iLike]: pattern } }, { email: { [Op.iLike]: pattern } }];
+    }
+    if (role) where.role = role;
+    if (status) where.isDisabled = status === 'disabled';
+
+    const { count, rows } = await User.findAndCountAll({
+        where,
+        attributes: USER_ADMIN_ATTRIBUTES,
+        order: [['createdAt', 'DESC'], ['id', 'ASC']],
+        limit,
+        offset,
+    });
+    return { users: rows, total: count, page, totalPages: Math.ceil(count / limit) };
+}
+
+/**
+ * Busca ofertas por título o empresa, incluidas las ocultas, las duplicadas y las inactivas.
+ * @param {Object} [options={}]
+ * @param {string} [options.q] - Texto a buscar en `title` y `companyName`.
+ * @param {boolean} [options.hidden] - Solo las ocultas (true) o solo las visibles (false).
+ * @param {string} [options.status] - 'active', 'expired' o 'closed'.
+ * @param {string} [options.sourceName] - Fuente de la oferta.
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{jobs: Array<Object>, total: number, page: number, totalPages: number}>}
+ */
+async function searchJobs({ q, hidden, status, sourceName, ...pagination } = {}) {
+    const { page, limit, offset } = parsePagination(pagination);
+    const where = {};
+    if (q && String(q).trim()) {
+        const pattern = toLikePattern(q);
+        where[Op.or] = [{ title: { [Op.iLike]: pattern } }, { companyName: { [Op.iLike]: pattern } }];
+    }
+    if (typeof hidden === 'boolean') where.isHidden = hidden;
+    if (status) where.status = status;
+    if (sourceName) where.sourceName = sourceName;
+
+    const { count, rows } = await Job.findAndCountAll({
+        where,
+        attributes: [
+            'id', 'title', 'companyName', 'location', 'country', 'sourceName', 'sourceUrl', 'status',
+            'isCanonical', 'clusterId', 'isHidden', 'hiddenAt', 'hiddenReason', 'createdAt',
+        ],
+        order: [['createdAt', 'DESC'], ['id', 'ASC']],
+        limit,
+        offset,
+    });
+    return { jobs: rows, total: count, page, totalPages: Math.ceil(count / limit) };
+}
+
+/**
+ * Lista las tareas de scraping que encolan las búsquedas y los scrapings manuales, de la más reciente a la
+ * más antigua, con el usuario que las solicitó.
+ * @param {Object} [options={}]
+ * @param {string} [options.status] - 'pending', 'running', 'completed' o 'failed'.
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{tasks: Array<Object>, total: number, page: number, totalPages: number}>}
+ */
+async function listScrapeTasks({ status, ...pagination } = {}) {
+    const { page, limit, offset } = parsePagination(pagination);
+    const { count, rows } = await ScrapeTask.findAndCountAll({
+        where: status ? { status } : {},
+        include: [{ model: User, attributes: ['id', 'username', 'email'] }],
+        order: [['createdAt', 'DESC'], ['id', 'ASC']],
+        limit,
+        offset,
+    });
+    return { tasks: rows, total: count, page, totalPages: Math.ceil(count / limit) };
+}
+
+/**
+ * Oculta una oferta de la búsqueda o la vuelve a mostrar. Si era la publicación canónica de su cluster,
+ * se elige otra para que la vacante siga visible mientras alguna fuente la publique.
+ * @param {Object} job - Instancia de Job.
+ * @param {Object} options
+ * @param {boolean} options.hidden
+ * @param {string} [options.reason] - Motivo (solo al ocultar).
+ * @returns {Promise<Object>} La oferta actualizada.
+ */
+async function setJobHidden(job, { hidden, reason = null }) {
+    await job.update(hidden
+        ? { isHidden: true, hiddenAt: new Date(), hiddenReason: reason }
+        : { isHidden: false, hiddenAt: null, hiddenReason: null });
+    if (job.clusterId) {
+        await jobDedupService.electCanonical(job.clusterId);
+        await job.reload();
+    }
+    logInfo(`[ADMIN] Oferta ${job.id} ${hidden ? `ocultada${reason ? ` (${reason})` : ''}` : 'visible de nuevo'}.`);
+    return job;
+}
+
+/**
+ * Elimina una oferta y mantiene su cluster: descuenta la publicación, elige otra canónica o borra el
+ * cluster si se queda vacío. Sus favoritos, postulaciones e historial de estados se borran en cascada.
+ * Si la fuente la sigue publicando, el próximo scraping la vuelve a crear: para retirarla de forma
+ * permanente hay que ocultarla.
+ * @param {Object} job - Instancia de Job.
+ * @returns {Promise<void>}
+ */
+async function deleteJob(job) {
+    const { id, clusterId } = job;
+    const remaining = await sequelize.transaction(async (transaction) => {
+        await job.destroy({ transaction });
+        if (!clusterId) return 0;
+
+        const count = await Job.count({ where: { clusterId }, transaction });
+        if (count === 0) {
+            await JobCluster.destroy({ where: { id: clusterId }, transaction });
+        } else {
+            await JobCluster.update({ jobCount: count }, { where: { id: clusterId }, transaction });
+        }
+        return count;
+    });
+    if (remaining > 0) {
+        await jobDedupService.electCanonical(clusterId);
+    }
+    logInfo(`[ADMIN] Oferta ${id} eliminada.`);
+}
+
+/**
+ * Estadísticas básicas de la plataforma para el panel de administración.
+ * @param {Object} [options={}]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>} Usuarios, ofertas, clusters, tareas de scraping, favoritos y postulaciones.
+ */
+async function getPlatformStats({ now = new Date() } = {}) {
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const [
+        usersTotal, usersByRole, usersDisabled, usersNew,
+        jobsTotal, jobsByStatus, jobsBySource, jobsHidden, jobsEnriched, jobsNew,
+        clusters, tasksByStatus, tasksRecent, favorites, applications,
+    ] = await Promise.all([
+        User.count(),
+        countBy(User, 'role'),
+        User.count({ where: { isDisabled: true } }),
+        User.count({ where: { createdAt: { [Op.gte]: weekAgo } } }),
+        Job.count(),
+        countBy(Job, 'status'),
+        countBy(Job, 'sourceName'),
+        Job.count({ where: { isHidden: true } }),
+        Job.count({ where: { isEnriched: true } }),
+        Job.count({ where: { createdAt: { [Op.gte]: dayAgo } } }),
+        JobCluster.count(),
+        countBy(ScrapeTask, 'status'),
+        ScrapeTask.count({ where: { createdAt: { [Op.gte]: dayAgo } } }),
+        FavoriteJob.count(),
+        JobApplication.count(),
+    ]);
+
+    return {
+        users: {
+            total: usersTotal,
+            byRole: Object.fromEntries(ROLES.map(role => [role, usersByRole[role] || 0])),
+            disabled: usersDisabled,
+            newLast7Days: usersNew,
+        },
+        jobs: {
+            total: jobsTotal,
+            byStatus: jobsByStatus,
+            bySource: jobsBySource,
+            hidden: jobsHidden,
+            enriched: jobsEnriched,
+            clusters,
+            newLast24Hours: jobsNew,
+        },
+        scrapeTasks: {
+            byStatus: tasksByStatus,
+            last24Hours: tasksRecent,
+        },
+        favorites,
+        applications,
+    };
+}
+
+module.exports = {
+    ROLES,
+    USER_ADMIN_ATTRIBUTES,
+    searchUsers,
+    searchJobs,
+    listScrapeTasks,
+    setJobHidden,
+    deleteJob,
+    getPlatformStats,
+};
@@ -0,0 +1,237 @@
+// server/services/applicationService.js
+// Seguimiento de postulaciones: etapas que actualiza el usuario, notas, contacto, próximo paso (con su
+// recordatorio) y línea de tiempo
+const { Op } = require('sequelize');
+const { sequelize, Job, JobApplication, JobApplicationStatusChange } = require('../models');
+const notificationService = require('./notificationService');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Etapas de una postulación, en el orden del proceso de selección.
+const STAGES = JobApplication.getAttributes().status.values;
+// Campos de texto que el usuario puede editar y su longitud máxima.
+const TEXT_FIELDS = { notes: 5000, contactName: 255, contactEmail: 255, nextStep: 255 };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Campos del empleo que se incluyen con cada postulación.
+const JOB_ATTRIBUTES = [
+    'id', 'title', 'companyName', 'location', 'country',
+    'employmentType', 'description', 'postedAt', 'sourceUrl', 'sourceName',
+    'salary', 'experienceRequired', 'requirements', 'modality',
+    'creationDate', 'deadlineDate', 'status', 'lastSeenAt'
+];
+// Etapas en las que el proceso terminó y ya no se recuerda el próximo paso.
+const CLOSED_STAGES = ['rejected', 'withdrawn'];
+// Antelación con la que se recuerda el próximo paso.
+const REMINDER_LEAD_MS = (parseInt(process.env.APPLICATION_REMINDER_LEAD_HOURS, 10) || 24) * 60 * 60 * 1000;
+// Cada cuánto se buscan los próximos pasos por recordar.
+const REMINDER_INTERVAL_MS = parseInt(process.env.APPLICATION_REMINDER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+let reminderTimer = null;
+let reminderInProgress = false; // Evita solapar ejecuciones si el envío tarda más que el intervalo
+
+/**
+ * Valida los cambios de una postulación recibidos en el body. Todos los campos son opcionales; los de texto
+ * se pueden vaciar con null o ''.
+ * @param {Object} body - `{ status, note, notes, contactName, contactEmail, nextStep, nextStepAt }`. `note` es
+ * el comentario del cambio de etapa y solo se admite junto con `status`.
+ * @returns {{values: Object|null, note: string|null, error: string|null}} Los campos normalizados presentes en el body.
+ */
+function parseApplicationUpdate(body = {}) {
+    const values = {};
+
+    if (body.status !== undefined) {
+        if (!STAGES.includes(body.status)) {
+            return { values: null, note: null, error: `Etapa no válida. Valores admitidos: ${STAGES.join(', ')}.` };
+        }
+        values.status = body.status;
+    }
+
+    for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value !== null && typeof value !== 'string') {
+            return { values: null, note: null, error: `${field} debe ser un texto.` };
+        }
+        const text = value ? value.trim() : '';
+        if (text.length > maxLength) {
+            return { values: null, note: null, error: `${field} no puede superar los ${maxLength} caracteres.` };
+        }
+        values[field] = text || null;
+    }
+    if (values.contactEmail && !EMAIL_PATTERN.test(values.contactEmail)) {
+        return { values: null, note: null, error: 'contactEmail no es un email válido.' };
+    }
+
+    if (body.nextStepAt !== undefined) {
+        const date = body.nextStepAt ? new Date(body.nextStepAt) : null;
+        if (date && Number.isNaN(date.getTime())) {
+            return { values: null, note: null, error: 'nextStepAt no es una fecha válida.' };
+        }
+        values.nextStepAt = date;
+    }
+
+    let note = null;
+    if (body.note !== undefined && body.note !== null && body.note !== '') {
+        if (values.status === undefined) {
+            return { values: null, note: null, error: 'El comentario (note) solo se admite al cambiar de etapa.' };
+        }
+        if (typeof body.note !== 'string' || body.note.length > TEXT_FIELDS.notes) {
+            return { values: null, note: null, error: `note debe ser un texto de hasta ${TEXT_FIELDS.notes} caracteres.` };
+        }
+        note = body.note.trim() || null;
+    }
+
+    if (Object.keys(values).length === 0) {
+        return { values: null, note: null, error: 'No se indicó ningún cambio.' };
+    }
+    return { values, note, error: null };
+}
+
+/**
+ * Registra la postulación de un usuario a una oferta, con el primer paso de su línea de tiempo.
+ * Si ya existía, la devuelve sin cambios.
+ * @param {string} userId
+ * @param {string} jobId
+ * @returns {Promise<{application: Object, created: boolean}>}
+ */
+async function createApplication(userId, jobId) {
+    const existing = await JobApplication.findOne({ where: { userId, jobId } });
+    if (existing) return { application: existing, created: false };
+
+    const application = await sequelize.transaction(async (transaction) => {
+        const created = await JobApplication.create({
+            userId,
+            jobId,
+            status: 'applied',
+            applicationDate: new Date(),
+        }, { transaction });
+        await JobApplicationStatusChange.create({ applicationId: created.id, fromStatus: null, toStatus: 'applied' }, { transaction });
+        return created;
+    });
+    return { application, created: true };
+}
+
+/**
+ * Busca una postulación del usuario con su empleo y su línea de tiempo (del cambio más antiguo al más reciente).
+ * @param {string} userId
+ * @param {string} applicationId
+ * @returns {Promise<Object|null>}
+ */
+function findApplication(userId, applicationId) {
+    return JobApplication.findOne({
+        where: { id: applicationId, userId },
+        include: [
+            { model: Job, attributes: JOB_ATTRIBUTES },
+            { model: JobApplicationStatusChange, as: 'history' },
+        ],
+        order: [[{ model: JobApplicationStatusChange, as: 'history' }, 'createdAt', 'ASC']],
+    });
+}
+
+/**
+ * Aplica los cambios a una postulación. Si cambia de etapa, el paso queda en su línea de tiempo con el
+ * comentario indicado y el usuario recibe una notificación 'application_status'. Si cambia la fecha del
+ * próximo paso, su recordatorio vuelve a quedar pendiente.
+ * @param {Object} application - Instancia de JobApplication.
+ * @param {Object} values - Resultado de `parseApplicationUpdate`.
+ * @param {Object} [options={}]
+ * @param {string|null} [options.note] - Comentario del cambio de etapa.
+ * @returns {Promise<Object|null>} El cambio registrado, o null si la etapa no cambió.
+ */
+async function updateApplication(application, values, { note = null } = {}) {
+    const fromStatus = application.status;
+    const statusChange = await sequelize.transaction(async (transaction) => {
+        const changes = values.nextStepAt === undefined ? values : { ...values, nextStepRemindedAt: null };
+        await application.update(changes, { transaction });
+        if (values.status === undefined || values.status === fromStatus) return null;
+        return JobApplicationStatusChange.create({
+            applicationId: application.id,
+            fromStatus,
+            toStatus: values.status,
+            note,
+        }, { transaction });
+    });
+    // Fuera de la transacción: la notificación solo se crea si el cambio quedó guardado.
+    if (statusChange) {
+        await notificationService.notifyApplicationStatusChange(application, statusChange);
+    }
+    return statusChange;
+}
+
+/**
+ * Recuerda los próximos pasos que vencen en las próximas `REMINDER_LEAD_MS` (una sola vez por fecha) de las
+ * postulaciones que siguen abiertas. Si no se pudieron crear las notificaciones, los recordatorios quedan
+ * pendientes para la siguiente revisión.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Recordatorios enviados.
+ */
+async function sendNextStepReminders(now = new Date()) {
+    const applications = await JobApplication.findAll({
+        where: {
+            nextStepAt: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + REMINDER_LEAD_MS) },
+            nextStepRemindedAt: null,
+            status: { [Op.notIn]: CLOSED_STAGES },
+        },
+        include: [{ model: Job, attributes: ['id', 'title', 'companyName'] }],
+    });
+    if (applications.length === 0) return 0;
+
+    const notifications = await notificationService.notifyNextStepReminders(applications);
+    if (notifications.length === 0) return 0;
+
+    await JobApplication.update(
+        { nextStepRemindedAt: now },
+        { where: { id: { [Op.in]: applications.map(application => application.id) } } }
+    );
+    logInfo(`[APPLICATIONS] ${notifications.length} recordatorios de próximos pasos enviados.`);
+    return notifications.length;
+}
+
+/**
+ * Envía los recordatorios pendientes. Los errores solo se registran.
+ * @returns {Promise<number|null>} Recordatorios enviados, o null si ya había una ejecución en curso o falló.
+ */
+async function runNextStepReminders() {
+    if (reminderInProgress) return null;
+    reminderInProgress = true;
+
+    try {
+        return await sendNextStepReminders();
+    } catch (error) {
+        logWarn('[APPLICATIONS] Error al enviar los recordatorios de próximos pasos:', error);
+        return null;
+    } finally {
+        reminderInProgress = false;
+    }
+}
+
+/**
+ * Inicia la revisión periódica de los recordatorios, cada `REMINDER_INTERVAL_MS`.
+ */
+function startNextStepReminders() {
+    if (reminderTimer) return;
+    reminderTimer = setInterval(runNextStepReminders, REMINDER_INTERVAL_MS);
+    logInfo(`[APPLICATIONS] Recordatorios de próximos pasos activos (revisión cada ${REMINDER_INTERVAL_MS / 1000}s, ${REMINDER_LEAD_MS / 3600000}h de antelación).`);
+}
+
+/**
+ * Detiene la revisión periódica de los recordatorios. Una ejecución en curso termina normalmente.
+ */
+function stopNextStepReminders() {
+    if (reminderTimer) {
+        clearInterval(reminderTimer);
+        reminderTimer = null;
+    }
+}
+
+module.exports = {
+    STAGES,
+    JOB_ATTRIBUTES,
+    parseApplicationUpdate,
+    createApplication,
+    findApplication,
+    updateApplication,
+    sendNextStepReminders,
+    runNextStepReminders,
+    startNextStepReminders,
+    stopNextStepReminders,
+};
@@ -0,0 +1,251 @@
+// server/services/browserPool.js
+// Pool compartido de navegador y páginas de Puppeteer, con límite de concurrencia, cierre por inactividad
+// y recuperación ante caídas del navegador
+const fs = require('fs');
+const puppeteer = require('puppeteer-extra'); // Librería para automatización de navegadores (útil para scraping dinámico)
+const StealthPlugin = require('puppeteer-extra-plugin-stealth'); // Evita que los sitios detecten el navegador headless
+const { USER_AGENT } = require('./crawlPolicy');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+puppeteer.use(StealthPlugin());
+
+// Páginas abiertas a la vez como máximo (cada una es una descarga en curso).
+const MAX_PAGES = parseInt(process.env.BROWSER_POOL_MAX_PAGES, 10) || 2;
+// Tiempo sin descargas tras el que se cierra el navegador para liberar memoria.
+const IDLE_TIMEOUT_MS = parseInt(process.env.BROWSER_POOL_IDLE_MS, 10) || 60 * 1000;
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+];
+
+// Rutas habituales de Chrome/Chromium por sistema operativo, usadas solo si no hay otra opción.
+const KNOWN_EXECUTABLE_PATHS = {
+    win32: ['C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'],
+    linux: ['/usr/bin/google-chrome', '/usr/bin/chromium-browser', '/usr/bin/chromium'],
+    darwin: ['/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'],
+};
+
+/**
+ * Resuelve el ejecutable del navegador, en este orden:
+ * 1. `PUPPETEER_EXECUTABLE_PATH` (la variable estándar de Puppeteer).
+ * 2. El Chromium descargado por Puppeteer en su caché (`npx @puppeteer/browsers install chrome@stable`).
+ * 3. Las rutas habituales de Chrome/Chromium del sistema operativo.
+ * @param {Object} [options={}]
+ * @param {Object} [options.env=process.env]
+ * @param {string} [options.platform=process.platform]
+ * @param {Function} [options.exists=fs.existsSync]
+ * @param {Function} [options.bundledPath] - () => ruta del Chromium de Puppeteer (lanza si no está descargado).
+ * @returns {string|null} La ruta del ejecutable, o null si no se encontró ninguno.
+ */
+function resolveExecutablePath({
+    env = process.env,
+    platform = process.platform,
+    exists = fs.existsSync,
+    bundledPath = () => puppeteer.executablePath(),
+} = {}) {
+    if (env.PUPPETEER_EXECUTABLE_PATH) return env.PUPPETEER_EXECUTABLE_PATH;
+
+    try {
+        const bundled = bundledPath();
+        if (bundled && exists(bundled)) return bundled;
+    } catch {
+        // Puppeteer no tiene un navegador descargado: se prueban las rutas del sistema
+    }
+
+    return (KNOWN_EXECUTABLE_PATHS[platform] || []).find(candidate => exists(candidate)) || null;
+}
+
+/**
+ * Lanza el navegador compartido.
+ * @returns {Promise<Browser>}
+ * @throws {Error} Si no se encontró ningún ejecutable del navegador.
+ */
+async function launchBrowser() {
+    const executablePath = resolveExecutablePath();
+    if (!executablePath) {
+        throw new Error('No se encontró el ejecutable del navegador. Configura PUPPETEER_EXECUTABLE_PATH o descarga Chromium con `npx @puppeteer/browsers install chrome@stable`.');
+    }
+    logInfo(`[BROWSER_POOL] Iniciando navegador (${executablePath}).`);
+    return puppeteer.launch({ executablePath, headless: true, args: LAUNCH_ARGS });
+}
+
+/**
+ * Crea un pool de navegador: un único navegador compartido, con como máximo `maxPages` páginas abiertas.
+ * Las páginas libres se reutilizan; el navegador se lanza al pedir la primera página, se cierra tras
+ * `idleTimeoutMs` sin uso y se relanza si se cae.
+ * @param {Object} [options={}]
+ * @param {number} [options.maxPages=MAX_PAGES] - Páginas simultáneas.
+ * @param {number} [options.idleTimeoutMs=IDLE_TIMEOUT_MS] - Inactividad tras la que se cierra el navegador.
+ * @param {Function} [options.launch=launchBrowser] - () => Promise<Browser>.
+ * @returns {{withPage: Function, close: Function, getStats: Function}}
+ */
+function createBrowserPool({ maxPages = MAX_PAGES, idleTimeoutMs = IDLE_TIMEOUT_MS, launch = launchBrowser } = {}) {
+    let browser = null;
+    let launching = null;     // Lanzamiento en curso, compartido por las peticiones simultáneas
+    let idleTimer = null;
+    let activePages = 0;
+    let launches = 0;
+    const idlePages = [];     // Páginas abiertas y libres para reutilizar
+    const waiting = [];       // Peticiones en espera de una página libre
+
+    /**
+     * Obtiene el navegador conectado, lanzándolo si hace falta.
+     * @returns {Promise<Browser>}
+     */
+    async function getBrowser() {
+        if (browser && browser.isConnected()) return browser;
+        if (!launching) {
+            launching = launch()
+                .then(launched => {
+                    launches++;
+                    browser = launched;
+                    // Si el navegador se cae, sus páginas dejan de servir y el siguiente pedido lo relanza
+                    launched.on('disconnected', () => {
+                        if (browser === launched) {
+                            logWarn('[BROWSER_POOL] El navegador se desconectó; se relanzará en la próxima descarga.');
+                            browser = null;
+                            idlePages.length = 0;
+                        }
+                    });
+                    return launched;
+                })
+                .finally(() => { launching = null; });
+        }
+        return launching;
+    }
+
+    /**
+     * Espera un hueco libre del límite de concurrencia.
+     */
+    async function acquireSlot() {
+        if (activePages < maxPages) {
+            activePages++;
+            return;
+        }
+        // El hueco lo transfiere `releaseSlot` sin decrementar el contador
+        await new Promise(resolve => waiting.push(resolve));
+    }
+
+    /**
+     * Libera un hueco: lo pasa a la siguiente petición en espera o programa el cierre por inactividad.
+     */
+    function releaseSlot() {
+        const next = waiting.shift();
+        if (next) {
+            next();
+            return;
+        }
+        activePages--;
+        if (activePages === 0) scheduleIdleShutdown();
+    }
+
+    function scheduleIdleShutdown() {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            if (activePages === 0) {
+                logInfo('[BROWSER_POOL] Navegador inactivo; se cierra para liberar memoria.');
+                close();
+            }
+        }, idleTimeoutMs);
+        if (idleTimer.unref) idleTimer.unref(); // No mantiene vivo el proceso (ej. en los scripts)
+    }
+
+    /**
+     * Obtiene una página libre del navegador actual o abre una nueva.
+     * @returns {Promise<Page>}
+     */
+    async function openPage() {
+        const currentBrowser = await getBrowser();
+        while (idlePages.length > 0) {
+            const page = idlePages.pop();
+            if (!page.isClosed()) return page;
+        }
+        const page = await currentBrowser.newPage();
+        await page.setUserAgent(USER_AGENT);
+        return page;
+    }
+
+    /**
+     * Devuelve una página al pool tras limpiarla; si no se puede limpiar, se cierra.
+     * @param {Page} page
+     */
+    async function recyclePage(page) {
+        try {
+            if (!browser || !browser.isConnected() || page.isClosed()) return;
+            await page.goto('about:blank', { timeout: 5000 });
+            idlePages.push(page);
+        } catch {
+            await page.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Ejecuta una tarea con una página del pool y la devuelve al terminar (también si la tarea falla).
+     * Si el navegador se cayó al abrir la página, se relanza una vez antes de fallar.
+     * @param {Function} task - (page) => Promise con el resultado.
+     * @returns {Promise<*>} El resultado de la tarea.
+     */
+    async function withPage(task) {
+        await acquireSlot();
+        clearTimeout(idleTimer);
+        let page = null;
+        try {
+            try {
+                page = await openPage();
+            } catch (error) {
+                if (browser && browser.isConnected()) throw error;
+                logWarn('[BROWSER_POOL] No se pudo abrir una página; relanzando el navegador:', error.message);
+                browser = null;
+                page = await openPage();
+            }
+            return await task(page);
+        } finally {
+            if (page) await recyclePage(page);
+            releaseSlot();
+        }
+    }
+
+    /**
+     * Cierra el navegador y descarta las páginas libres. El siguiente pedido lo vuelve a lanzar.
+     * @returns {Promise<void>}
+     */
+    async function close() {
+        clearTimeout(idleTimer);
+        const current = browser;
+        browser = null;
+        idlePages.length = 0;
+        if (current) {
+            await current.close().catch(error => logWarn('[BROWSER_POOL] Error al cerrar el navegador:', error.message));
+        }
+    }
+
+    /**
+     * @returns {{running: boolean, activePages: number, idlePages: number, waiting: number, launches: number}}
+     */
+    function getStats() {
+        return {
+            running: Boolean(browser && browser.isConnected()),
+            activePages,
+            idlePages: idlePages.length,
+            waiting: waiting.length,
+            launches,
+        };
+    }
+
+    return { withPage, close, getStats };
+}
+
+// Pool compartido por todo el servidor (scraping de listados y páginas de detalle).
+const sharedPool = createBrowserPool();
+
+module.exports = {
+    MAX_PAGES,
+    resolveExecutablePath,
+    createBrowserPool,
+    withPage: sharedPool.withPage,
+    closeBrowserPool: sharedPool.close,
+    getBrowserPoolStats: sharedPool.getStats,
+};
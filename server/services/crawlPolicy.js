@@ -0,0 +1,274 @@
+// server/services/crawlPolicy.js
+// Rastreo respetuoso con las fuentes: límite de peticiones por dominio, reintentos con espera creciente
+// ante 429/503, cumplimiento de robots.txt y un user-agent que identifica al crawler
+const { parseRobotsTxt, getRulesForAgent, isPathAllowed } = require('../utils/robotsTxt');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// User-agent con el que se identifica el crawler ante las fuentes (y con el que se leen sus robots.txt).
+const USER_AGENT = process.env.CRAWLER_USER_AGENT
+    || `BuscadorEmpleosBot/1.0 (+${process.env.FRONTEND_URL || 'http://localhost:3000'})`;
+// Peticiones por minuto a un mismo dominio y cuántas pueden salir seguidas tras un rato sin actividad.
+const REQUESTS_PER_MINUTE = parseFloat(process.env.CRAWL_REQUESTS_PER_MINUTE) || 12;
+const BURST = parseInt(process.env.CRAWL_BURST, 10) || 2;
+// Reintentos ante 429/503 y espera del primero (se duplica en cada reintento, hasta el máximo).
+const MAX_RETRIES = parseInt(process.env.CRAWL_MAX_RETRIES, 10) || 3;
+const BACKOFF_BASE_MS = parseInt(process.env.CRAWL_BACKOFF_BASE_MS, 10) || 5000;
+const BACKOFF_MAX_MS = parseInt(process.env.CRAWL_BACKOFF_MAX_MS, 10) || 2 * 60 * 1000;
+// robots.txt: si se respeta (desactivarlo solo en desarrollo) y cuánto tiempo se guarda cada uno.
+const RESPECT_ROBOTS = process.env.CRAWL_RESPECT_ROBOTS !== 'false';
+const ROBOTS_TTL_MS = parseInt(process.env.CRAWL_ROBOTS_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+// Un robots.txt que falla con 5xx o no responde se reintenta antes, y mientras tanto se trata como prohibido.
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+const ROBOTS_TIMEOUT_MS = 10000;
+
+// Estados con los que un sitio pide que bajemos el ritmo.
+const RETRY_STATUSES = new Set([429, 503]);
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Crea un token bucket: se repone una ficha cada `refillMs` hasta `capacity` fichas, y cada petición gasta una.
+ * @param {Object} options
+ * @param {number} options.capacity - Fichas máximas (peticiones seguidas permitidas).
+ * @param {number} options.refillMs - Milisegundos para reponer una ficha.
+ * @param {Function} [options.now=Date.now]
+ * @returns {{take: Function, slowDown: Function}}
+ */
+function createTokenBucket({ capacity, refillMs, now = Date.now }) {
+    let tokens = capacity;
+    let updatedAt = now();
+
+    function refill() {
+        const current = now();
+        tokens = Math.min(capacity, tokens + (current - updatedAt) / refillMs);
+        updatedAt = current;
+    }
+
+    return {
+        /**
+         * Gasta una ficha si hay alguna.
+         * @returns {number} 0 si se gastó la ficha, o los milisegundos que faltan para la siguiente.
+         */
+        take() {
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                return 0;
+            }
+            return Math.ceil((1 - tokens) * refillMs);
+        },
+        /**
+         * Impone un intervalo mínimo entre peticiones (ej. el Crawl-delay de robots.txt), sin ráfagas.
+         * @param {number} intervalMs
+         */
+        slowDown(intervalMs) {
+            refill();
+            if (intervalMs > refillMs) refillMs = intervalMs;
+            capacity = 1;
+            tokens = Math.min(tokens, capacity);
+        },
+    };
+}
+
+/**
+ * Calcula la espera antes de reintentar una petición rechazada con 429/503. Si el sitio envió `Retry-After`
+ * (en segundos o como fecha HTTP) se respeta; si no, la espera se duplica en cada intento, con un 20% de
+ * variación aleatoria para no reintentar todas las peticiones a la vez.
+ * @param {number} attempt - Intento que falló (0 para el primero).
+ * @param {string|null} [retryAfter] - Valor de la cabecera Retry-After.
+ * @param {Object} [options={}]
+ * @returns {number} Milisegundos de espera (como máximo `maxMs`).
+ */
+function getBackoffDelay(attempt, retryAfter, { baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS, now = Date.now, random = Math.random } = {}) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const requested = isNaN(seconds) ? Date.parse(retryAfter) - now() : seconds * 1000;
+        if (!isNaN(requested)) return Math.min(maxMs, Math.max(0, requested));
+    }
+    return Math.min(maxMs, Math.round(baseMs * 2 ** attempt * (1 + random() * 0.2)));
+}
+
+/**
+ * Crea una política de rastreo con su propio estado por dominio (fichas, pausas y robots.txt).
+ * @param {Object} [options={}]
+ * @param {string} [options.userAgent=USER_AGENT]
+ * @param {number} [options.requestsPerMinute=REQUESTS_PER_MINUTE]
+ * @param {number} [options.burst=BURST]
+ * @param {number} [options.maxRetries=MAX_RETRIES]
+ * @param {boolean} [options.respectRobots=RESPECT_ROBOTS]
+ * @param {number} [options.robotsTtlMs=ROBOTS_TTL_MS]
+ * @param {Function} [options.fetchRobots] - (robotsUrl, userAgent) => Promise<{status: number, text: string}>.
+ * @param {Function} [options.sleep] - (ms) => Promise, para las esperas.
+ * @param {Function} [options.now=Date.now]
+ * @returns {{politeRequest: Function, isAllowed: Function, getDomainStats: Function}}
+ */
+function createCrawlPolicy({
+    userAgent = USER_AGENT,
+    requestsPerMinute = REQUESTS_PER_MINUTE,
+    burst = BURST,
+    maxRetries = MAX_RETRIES,
+    respectRobots = RESPECT_ROBOTS,
+    robotsTtlMs = ROBOTS_TTL_MS,
+    fetchRobots = downloadRobotsTxt,
+    sleep = delay,
+    now = Date.now,
+} = {}) {
+    const domains = new Map(); // hostname -> { bucket, pausedUntil, queue }
+    const robotsCache = new Map(); // origin -> Promise<{ rules, crawlDelay, expiresAt }>
+
+    function getDomain(hostname) {
+        if (!domains.has(hostname)) {
+            domains.set(hostname, {
+                bucket: createTokenBucket({ capacity: burst, refillMs: 60000 / requestsPerMinute, now }),
+                pausedUntil: 0,
+                queue: Promise.resolve(),
+            });
+        }
+        return domains.get(hostname);
+    }
+
+    /**
+     * Espera el turno de un dominio: respeta su pausa (tras un 429/503) y su límite de peticiones.
+     * Los turnos de un mismo dominio se conceden en orden de llegada.
+     * @param {string} hostname
+     * @returns {Promise<void>}
+     */
+    function waitForTurn(hostname) {
+        const domain = getDomain(hostname);
+        const turn = domain.queue.then(async () => {
+            for (;;) {
+                const paused = domain.pausedUntil - now();
+                if (paused > 0) {
+                    await sleep(paused);
+                    continue;
+                }
+                const wait = domain.bucket.take();
+                if (wait === 0) return;
+                await sleep(wait);
+            }
+        });
+        domain.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Lee (o toma de la caché) el robots.txt de un origen. Un 4xx equivale a no tener robots.txt;
+     * un 5xx o un fallo de red prohíben rastrear el sitio hasta el siguiente intento.
+     * @param {string} origin - Ej. "https://co.computrabajo.com".
+     * @returns {Promise<{rules: Array<Object>, crawlDelay: number|null, expiresAt: number}>}
+     */
+    function getRobots(origin) {
+        const cached = robotsCache.get(origin);
+        if (cached && cached.expiresAt > now()) return cached.robots;
+
+        const robots = fetchRobots(`${origin}/robots.txt`, userAgent)
+            .then(({ status, text }) => {
+                if (status >= 200 && status < 300) {
+                    return { ...getRulesForAgent(parseRobotsTxt(text), userAgent), ttlMs: robotsTtlMs };
+                }
+                if (status >= 400 && status < 500) return { rules: [], crawlDelay: null, ttlMs: robotsTtlMs };
+                logWarn(`[CRAWL] robots.txt de ${origin} respondió ${status}; no se rastreará el sitio por ahora.`);
+                return { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, ttlMs: ROBOTS_ERROR_TTL_MS };
+            })
+            .catch(error => {
+                logWarn(`[CRAWL] No se pudo leer el robots.txt de ${origin}; no se rastreará el sitio por ahora:`, error.message);
+                return { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, ttlMs: ROBOTS_ERROR_TTL_MS };
+            })
+            .then(result => {
+                robotsCache.get(origin).expiresAt = now() + result.ttlMs;
+                if (result.crawlDelay) {
+                    getDomain(new URL(origin).hostname).bucket.slowDown(result.crawlDelay * 1000);
+                }
+                return result;
+            });
+
+        // Mientras se descarga, las demás peticiones al mismo origen esperan esta misma descarga
+        robotsCache.set(origin, { robots, expiresAt: Infinity });
+        return robots;
+    }
+
+    /**
+     * Indica si robots.txt permite rastrear una URL.
+     * @param {string} url
+     * @returns {Promise<boolean>}
+     */
+    async function isAllowed(url) {
+        if (!respectRobots) return true;
+        const { origin, pathname, search } = new URL(url);
+        const { rules } = await getRobots(origin);
+        return isPathAllowed(rules, pathname + search);
+    }
+
+    /**
+     * Ejecuta una petición a una URL respetando robots.txt y el ritmo de su dominio. Si el sitio responde
+     * 429 o 503, pausa todo el dominio y reintenta con espera creciente hasta `maxRetries` veces.
+     * @param {string} url - URL que se va a pedir.
+     * @param {Function} request - () => Promise<{status: number, retryAfter?: string|null, result: *}>.
+     * @returns {Promise<*>} El `result` del último intento (también si el sitio siguió rechazándolo).
+     * @throws {Error} Con `code = 'ROBOTS_DISALLOWED'` si robots.txt no permite la URL.
+     */
+    async function politeRequest(url, request) {
+        if (!(await isAllowed(url))) {
+            const error = new Error(`robots.txt no permite rastrear ${url}`);
+            error.code = 'ROBOTS_DISALLOWED';
+            throw error;
+        }
+
+        const { hostname } = new URL(url);
+        for (let attempt = 0; ; attempt++) {
+            await waitForTurn(hostname);
+            const outcome = await request();
+            if (!RETRY_STATUSES.has(outcome.status) || attempt >= maxRetries) return outcome.result;
+
+            const wait = getBackoffDelay(attempt, outcome.retryAfter, { now });
+            const domain = getDomain(hostname);
+            domain.pausedUntil = Math.max(domain.pausedUntil, now() + wait);
+            logWarn(`[CRAWL] ${hostname} respondió ${outcome.status}; se pausa el dominio ${Math.round(wait / 1000)}s (reintento ${attempt + 1} de ${maxRetries}).`);
+        }
+    }
+
+    /**
+     * @returns {Object<string, {pausedUntil: Date|null}>} Los dominios contactados y sus pausas vigentes.
+     */
+    function getDomainStats() {
+        const stats = {};
+        for (const [hostname, domain] of domains) {
+            stats[hostname] = { pausedUntil: domain.pausedUntil > now() ? new Date(domain.pausedUntil) : null };
+        }
+        return stats;
+    }
+
+    return { politeRequest, isAllowed, getDomainStats };
+}
+
+/**
+ * Descarga un robots.txt con el user-agent del crawler.
+ * @param {string} robotsUrl
+ * @param {string} userAgent
+ * @returns {Promise<{status: number, text: string}>}
+ */
+async function downloadRobotsTxt(robotsUrl, userAgent) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ROBOTS_TIMEOUT_MS);
+    try {
+        const response = await fetch(robotsUrl, { headers: { 'User-Agent': userAgent }, signal: controller.signal });
+        const text = response.ok ? await response.text() : '';
+        logInfo(`[CRAWL] robots.txt leído de ${robotsUrl} (${response.status}).`);
+        return { status: response.status, text };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Política compartida por todas las descargas del servidor (listados, páginas de detalle y comprobación de URLs).
+const sharedPolicy = createCrawlPolicy();
+
+module.exports = {
+    USER_AGENT,
+    createTokenBucket,
+    getBackoffDelay,
+    createCrawlPolicy,
+    politeRequest: sharedPolicy.politeRequest,
+    isAllowed: sharedPolicy.isAllowed,
+    getDomainStats: sharedPolicy.getDomainStats,
+};
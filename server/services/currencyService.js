@@ -0,0 +1,224 @@
+// server/services/currencyService.js
+// Tasas de cambio locales y conversión de salarios a la moneda preferida del usuario
+const fs = require('fs/promises');
+const path = require('path');
+const { CurrencyRate } = require('../models');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Moneda base de las tasas: todas se expresan como unidades por 1 USD.
+const BASE_CURRENCY = 'USD';
+// Moneda en la que se muestran los salarios si el usuario no eligió otra.
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || BASE_CURRENCY).toUpperCase();
+// Archivo de tasas que se carga al arrancar (JSON o CSV).
+const RATES_FILE = process.env.CURRENCY_RATES_FILE || path.join(__dirname, '..', 'config', 'currencyRates.json');
+
+// Meses equivalentes de cada periodo de pago, con una jornada de 40 horas y 5 días a la semana
+// (52 semanas / 12 meses). Un salario sin periodo se considera mensual, que es lo habitual en los avisos.
+const MONTHLY_FACTORS = {
+    hour: (40 * 52) / 12,
+    day: (5 * 52) / 12,
+    week: 52 / 12,
+    month: 1,
+    year: 1 / 12,
+};
+
+// Caché en memoria de las tasas (`{ COP: 4150, ... }`); se invalida al modificar la tabla.
+let cachedRates = null;
+
+/**
+ * Valida un conjunto de tasas `{ CODIGO: unidadesPorUsd }`.
+ * @param {Object} rates - Tasas a validar.
+ * @returns {string|null} Mensaje de error o null si son válidas.
+ */
+function validateRates(rates) {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates) || Object.keys(rates).length === 0) {
+        return 'Se requiere un objeto de tasas con al menos una moneda (ej. { "COP": 4150 }).';
+    }
+    for (const [currency, value] of Object.entries(rates)) {
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            return `Código de moneda no válido: ${currency}. Debe ser un código ISO 4217 en mayúsculas (ej. COP).`;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            return `La tasa de ${currency} debe ser un número mayor que 0.`;
+        }
+        if (currency === BASE_CURRENCY && value !== 1) {
+            return `La tasa de ${BASE_CURRENCY} es la base y debe ser 1.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Interpreta el contenido de un archivo de tasas.
+ * - JSON: `{ "rates": { "COP": 4150, ... } }` o directamente `{ "COP": 4150, ... }`.
+ * - CSV: una moneda por línea, `COP,4150` (se admite la cabecera `currency,unitsPerUsd`).
+ * @param {string} content - Contenido del archivo.
+ * @param {string} filePath - Ruta del archivo (su extensión decide el formato).
+ * @returns {Object} Tasas `{ CODIGO: unidadesPorUsd }`.
+ * @throws {Error} Si el archivo no tiene un formato válido.
+ */
+function parseRatesFile(content, filePath) {
+    let rates;
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        rates = {};
+        for (const line of content.split(/\r?\n/)) {
+            const [currency, value] = line.split(',').map(cell => cell && cell.trim());
+            if (!currency || /^currency$/i.test(currency)) continue;
+            rates[currency.toUpperCase()] = Number(value);
+        }
+    } else {
+        const data = JSON.parse(content);
+        rates = data.rates || data;
+    }
+
+    const error = validateRates(rates);
+    if (error) throw new Error(`Archivo de tasas ${filePath} no válido: ${error}`);
+    return rates;
+}
+
+/**
+ * Guarda tasas en la tabla `currency_rates` e invalida la caché.
+ * @param {Object} rates - Tasas `{ CODIGO: unidadesPorUsd }` ya validadas.
+ * @param {string} source - Origen de las tasas ('file' o 'admin').
+ * @param {Object} [options={}]
+ * @param {boolean} [options.keepAdminRates=false] - Si es true, no se sobrescriben las tasas fijadas por un administrador.
+ * @returns {Promise<string[]>} Las monedas guardadas.
+ */
+async function saveRates(rates, source, { keepAdminRates = false } = {}) {
+    let currencies = Object.keys(rates);
+    if (keepAdminRates) {
+        const adminRates = await CurrencyRate.findAll({ where: { source: 'admin' }, attributes: ['currency'] });
+        const adminCurrencies = new Set(adminRates.map(rate => rate.currency));
+        currencies = currencies.filter(currency => !adminCurrencies.has(currency));
+    }
+
+    await CurrencyRate.bulkCreate(
+        currencies.map(currency => ({ currency, unitsPerUsd: rates[currency], source })),
+        { updateOnDuplicate: ['unitsPerUsd', 'source', 'updatedAt'] }
+    );
+    cachedRates = null;
+    return currencies;
+}
+
+/**
+ * Carga las tasas del archivo local (`CURRENCY_RATES_FILE` o config/currencyRates.json).
+ * @param {Object} [options={}]
+ * @param {boolean} [options.keepAdminRates=true] - Conserva las tasas fijadas por un administrador.
+ * @returns {Promise<string[]>} Las monedas cargadas.
+ */
+exports.loadRatesFromFile = async ({ keepAdminRates = true } = {}) => {
+    const content = await fs.readFile(RATES_FILE, 'utf8');
+    const rates = parseRatesFile(content, RATES_FILE);
+    const currencies = await saveRates(rates, 'file', { keepAdminRates });
+    logInfo(`[CURRENCY] ${currencies.length} tasas de cambio cargadas desde ${RATES_FILE}.`);
+    return currencies;
+};
+
+/**
+ * Carga las tasas al arrancar el servidor. Un archivo ausente o inválido solo se registra:
+ * la búsqueda sigue funcionando con las tasas que ya estén en la DB (o sin conversión).
+ */
+exports.initCurrencyRates = async () => {
+    try {
+        await exports.loadRatesFromFile();
+    } catch (error) {
+        logWarn('[CURRENCY] No se pudieron cargar las tasas de cambio desde el archivo:', error.message);
+    }
+};
+
+/**
+ * Fija tasas desde la API de administración. Estas tasas prevalecen sobre las del archivo al arrancar.
+ * @param {Object} rates - Tasas `{ CODIGO: unidadesPorUsd }` ya validadas.
+ * @returns {Promise<string[]>} Las monedas actualizadas.
+ */
+exports.setRates = async (rates) => saveRates(rates, 'admin');
+
+/**
+ * Obtiene las tasas vigentes (desde la caché o la DB). USD siempre está presente con tasa 1.
+ * @returns {Promise<Object>} Tasas `{ CODIGO: unidadesPorUsd }`.
+ */
+exports.getRates = async () => {
+    if (!cachedRates) {
+        const rows = await CurrencyRate.findAll({ attributes: ['currency', 'unitsPerUsd'], raw: true });
+        cachedRates = { [BASE_CURRENCY]: 1 };
+        for (const row of rows) {
+            cachedRates[row.currency] = row.unitsPerUsd;
+        }
+    }
+    return cachedRates;
+};
+
+/**
+ * Lista las tasas guardadas con su origen y fecha de actualización.
+ * @returns {Promise<Array<Object>>}
+ */
+exports.listRates = async () => CurrencyRate.findAll({ order: [['currency', 'ASC']] });
+
+/**
+ * Moneda en la que se muestran los salarios a un usuario: la de su configuración
+ * (`settings.preferences.currency`) si todavía tiene tasa, o DEFAULT_CURRENCY.
+ * @param {Object|null} settings - `settings` del usuario (null para un invitado).
+ * @param {Object} rates - Tasas `{ CODIGO: unidadesPorUsd }`.
+ * @returns {string}
+ */
+function resolveCurrency(settings, rates) {
+    const preferred = settings?.preferences?.currency;
+    return rates[preferred] ? preferred : DEFAULT_CURRENCY;
+}
+
+/**
+ * Convierte un importe entre dos monedas.
+ * @param {number|null} amount - Importe a convertir.
+ * @param {string} from - Moneda de origen.
+ * @param {string} to - Moneda de destino.
+ * @param {Object} rates - Tasas `{ CODIGO: unidadesPorUsd }`.
+ * @returns {number|null} El importe convertido, o null si falta el importe o alguna de las tasas.
+ */
+function convertAmount(amount, from, to, rates) {
+    if (amount === null || amount === undefined || !rates[from] || !rates[to]) return null;
+    return (amount / rates[from]) * rates[to];
+}
+
+/**
+ * Redondea un importe a 2 decimales conservando null.
+ * @param {number|null} amount
+ * @returns {number|null}
+ */
+function roundAmount(amount) {
+    return amount === null ? null : Math.round(amount * 100) / 100;
+}
+
+/**
+ * Convierte el salario interpretado de un empleo a otra moneda, en su periodo original y en equivalente mensual.
+ * @param {Object} job - Empleo con `salaryMin`, `salaryMax`, `salaryCurrency` y `salaryPeriod`.
+ * @param {string} currency - Moneda de destino.
+ * @param {Object} rates - Tasas `{ CODIGO: unidadesPorUsd }`.
+ * @returns {{currency: string, min: number|null, max: number|null, period: string|null, monthlyMin: number|null, monthlyMax: number|null}|null}
+ * Null si el empleo no tiene salario numérico o no hay tasa para su moneda.
+ */
+function convertSalary(job, currency, rates) {
+    if ((job.salaryMin === null && job.salaryMax === null) || !rates[job.salaryCurrency] || !rates[currency]) {
+        return null;
+    }
+    const factor = MONTHLY_FACTORS[job.salaryPeriod] || 1;
+    const min = convertAmount(job.salaryMin, job.salaryCurrency, currency, rates);
+    const max = convertAmount(job.salaryMax, job.salaryCurrency, currency, rates);
+
+    return {
+        currency,
+        min: roundAmount(min),
+        max: roundAmount(max),
+        period: job.salaryPeriod,
+        monthlyMin: roundAmount(min === null ? null : min * factor),
+        monthlyMax: roundAmount(max === null ? null : max * factor),
+    };
+}
+
+exports.BASE_CURRENCY = BASE_CURRENCY;
+exports.DEFAULT_CURRENCY = DEFAULT_CURRENCY;
+exports.MONTHLY_FACTORS = MONTHLY_FACTORS;
+exports.validateRates = validateRates;
+exports.parseRatesFile = parseRatesFile;
+exports.resolveCurrency = resolveCurrency;
+exports.convertAmount = convertAmount;
+exports.convertSalary = convertSalary;
@@ -0,0 +1,383 @@
+// server/services/jobDedupService.js
+// Detección de publicaciones duplicadas (misma vacante en otra URL o en otra bolsa) y agrupación en clusters
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Job, JobCluster } = require('../models');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Similitud mínima (Jaccard de palabras) entre títulos para considerar dos publicaciones la misma vacante.
+const TITLE_SIMILARITY_THRESHOLD = parseFloat(process.env.JOB_DEDUP_TITLE_SIMILARITY) || 0.8;
+// Similitud mínima entre descripciones (Jaccard de palabras de 3 o más letras).
+const DESCRIPTION_SIMILARITY_THRESHOLD = parseFloat(process.env.JOB_DEDUP_DESCRIPTION_SIMILARITY) || 0.6;
+// Clusters candidatos que se comparan con cada publicación nueva.
+const MAX_CANDIDATES = 50;
+
+// Empresas y ubicaciones que no identifican nada y se tratan como desconocidas.
+const UNKNOWN_COMPANIES = ['confidencial', 'empresa confidencial', 'importante empresa', 'n a'];
+const UNKNOWN_LOCATIONS = ['no especificada', 'n a'];
+// Sufijos societarios que se quitan del final del nombre de la empresa ("Acme S.A.S." => "acme").
+const COMPANY_SUFFIXES = new Set(['s', 'a', 'l', 'c', 'v', 'sa', 'sas', 'sl', 'srl', 'spa', 'ltda', 'ltd', 'inc', 'llc', 'corp', 'cv', 'de']);
+
+/**
+ * Normaliza un texto para compararlo: minúsculas, sin tildes, sin signos y con espacios simples.
+ * @param {string|null} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    if (typeof text !== 'string') return '';
+    return text
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normaliza un título: quita los paréntesis ("(Remoto)") y las letras sueltas de "desarrollador/a".
+ * @param {string|null} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+    const withoutParentheses = (title || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' ');
+    return normalizeText(withoutParentheses).split(' ').filter(word => word.length > 1).join(' ');
+}
+
+/**
+ * Normaliza el nombre de una empresa quitando los sufijos societarios. Devuelve '' si es desconocida.
+ * @param {string|null} company
+ * @returns {string}
+ */
+function normalizeCompany(company) {
+    const words = normalizeText(company).split(' ').filter(Boolean);
+    while (words.length > 1 && COMPANY_SUFFIXES.has(words[words.length - 1])) {
+        words.pop();
+    }
+    const normalized = words.join(' ');
+    return UNKNOWN_COMPANIES.includes(normalized) ? '' : normalized;
+}
+
+/**
+ * Normaliza una ubicación quedándose con la ciudad ("Bogotá, D.C." => "bogota"). Devuelve '' si es desconocida.
+ * @param {string|null} location
+ * @returns {string}
+ */
+function normalizeLocation(location) {
+    const normalized = normalizeText((location || '').split(',')[0]);
+    return UNKNOWN_LOCATIONS.includes(normalized) ? '' : normalized;
+}
+
+/**
+ * Calcula la firma normalizada de una publicación y su huella.
+ * La huella identifica los duplicados exactos: mismo país, título, empresa y ubicación normalizados.
+ * @param {Object} job - Empleo (title, companyName, location, country).
+ * @returns {{title: string, company: string, location: string, country: string, fingerprint: string}}
+ */
+function getJobSignature(job) {
+    const signature = {
+        title: normalizeTitle(job.title),
+        company: normalizeCompany(job.companyName),
+        location: normalizeLocation(job.location),
+        country: (job.country || '').toLowerCase(),
+    };
+    signature.fingerprint = crypto
+        .createHash('sha1')
+        .update([signature.country, signature.title, signature.company, signature.location].join('|'))
+        .digest('hex');
+    return signature;
+}
+
+/**
+ * Conjunto de palabras de un texto normalizado.
+ * @param {string|null} text
+ * @param {number} [minLength=1] - Longitud mínima de las palabras.
+ * @returns {Set<string>}
+ */
+function wordSet(text, minLength = 1) {
+    return new Set(normalizeText(text).split(' ').filter(word => word.length >= minLength));
+}
+
+/**
+ * Índice de Jaccard entre dos conjuntos de palabras.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number|null} Entre 0 y 1, o null si alguno de los conjuntos está vacío.
+ */
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return null;
+    let intersection = 0;
+    for (const word of a) {
+        if (b.has(word)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Decide si dos publicaciones son la misma vacante.
+ * - Deben ser del mismo país, y si ambas indican empresa o ciudad, deben coincidir.
+ * - Con la misma huella y empresa conocida son duplicados (la misma oferta publicada de nuevo).
+ * - Si no, los títulos deben parecerse (`TITLE_SIMILARITY_THRESHOLD`) y las descripciones también
+ *   (`DESCRIPTION_SIMILARITY_THRESHOLD`). Sin descripción para comparar, solo se agrupan títulos
+ *   idénticos de la misma empresa conocida.
+ * @param {{signature: Object, description: string|null}} a
+ * @param {{signature: Object, description: string|null}} b
+ * @returns {boolean}
+ */
+function isNearDuplicate(a, b) {
+    const sa = a.signature;
+    const sb = b.signature;
+    if (sa.country !== sb.country) return false;
+    if (sa.company && sb.company && sa.company !== sb.company) return false;
+    if (sa.location && sb.location && sa.location !== sb.location) return false;
+
+    const knownCompany = Boolean(sa.company && sb.company);
+    if (knownCompany && sa.fingerprint === sb.fingerprint) return true;
+
+    const titleSimilarity = jaccard(wordSet(sa.title), wordSet(sb.title));
+    if (titleSimilarity === null || titleSimilarity < TITLE_SIMILARITY_THRESHOLD) return false;
+
+    const descriptionSimilarity = jaccard(wordSet(a.description, 3), wordSet(b.description, 3));
+    if (descriptionSimilarity === null) {
+        return knownCompany && sa.title === sb.title;
+    }
+    return descriptionSimilarity >= DESCRIPTION_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Fecha con la que se decide qué publicación de un cluster es la más reciente.
+ * @param {Object} job
+ * @returns {number}
+ */
+function getJobTime(job) {
+    return new Date(job.creationDate || job.createdAt || 0).getTime();
+}
+
+/**
+ * Busca el cluster de una publicación entre los clusters candidatos del mismo país
+ * (misma huella, misma empresa o, si la empresa es desconocida, mismo título).
+ * @param {Object} job - Empleo guardado.
+ * @param {Object} signature - Firma de `getJobSignature`.
+ * @returns {Promise<{cluster: Object, canonicalJob: Object|null}|null>}
+ */
+async function findMatchingCluster(job, signature) {
+    const candidates = await JobCluster.findAll({
+        where: {
+            country: signature.country,
+            [Op.or]: [
+                { fingerprint: signature.fingerprint },
+                signature.company ? { normalizedCompany: signature.company } : { normalizedTitle: signature.title },
+            ],
+        },
+        order: [['updatedAt', 'DESC']],
+        limit: MAX_CANDIDATES,
+    });
+    if (candidates.length === 0) return null;
+
+    const canonicalJobs = await Job.findAll({
+        where: { id: candidates.map(cluster => cluster.canonicalJobId).filter(Boolean) },
+        attributes: ['id', 'description', 'status', 'isHidden', 'creationDate', 'createdAt'],
+    });
+    const canonicalById = new Map(canonicalJobs.map(canonical => [canonical.id, canonical]));
+
+    for (const cluster of candidates) {
+        const canonicalJob = canonicalById.get(cluster.canonicalJobId) || null;
+        const clusterEntry = {
+            signature: {
+                title: cluster.normalizedTitle,
+                company: cluster.normalizedCompany,
+                location: cluster.normalizedLocation,
+                country: cluster.country,
+                fingerprint: cluster.fingerprint,
+            },
+            description: canonicalJob ? canonicalJob.description : null,
+        };
+        if (isNearDuplicate({ signature, description: job.description }, clusterEntry)) {
+            return { cluster, canonicalJob };
+        }
+    }
+    return null;
+}
+
+/**
+ * Asigna una publicación guardada a su cluster: se une al de una publicación duplicada o crea uno nuevo.
+ * La publicación más reciente del cluster pasa a ser la canónica (la que muestra la búsqueda),
+ * salvo que la canónica actual siga activa y la nueva no. Una canónica oculta siempre se reemplaza.
+ * Nunca lanza: un fallo al agrupar no debe interrumpir el guardado del scraping.
+ * @param {Object} job - Instancia de Job ya guardada.
+ * @returns {Promise<string|null>} El ID del cluster, o null si no se pudo agrupar.
+ */
+exports.assignCluster = async (job) => {
+    if (job.clusterId) return job.clusterId;
+
+    try {
+        const signature = getJobSignature(job);
+        const match = await findMatchingCluster(job, signature);
+
+        return await sequelize.transaction(async (transaction) => {
+            if (!match) {
+                const cluster = await JobCluster.create({
+                    fingerprint: signature.fingerprint,
+                    normalizedTitle: signature.title,
+                    normalizedCompany: signature.company,
+                    normalizedLocation: signature.location,
+                    country: signature.country,
+                    canonicalJobId: job.id,
+                }, { transaction });
+                await job.update({ clusterId: cluster.id, isCanonical: true }, { transaction });
+                return cluster.id;
+            }
+
+            const { cluster, canonicalJob } = match;
+            // Una publicación activa reemplaza a una canónica vencida o cerrada aunque sea más antigua,
+            // y cualquier publicación nueva reemplaza a una canónica ocultada por un administrador.
+            const becomesCanonical = !canonicalJob
+                || canonicalJob.isHidden
+                || (canonicalJob.status !== 'active' && job.status === 'active')
+                || getJobTime(job) >= getJobTime(canonicalJob);
+            if (becomesCanonical) {
+                await Job.update({ isCanonical: false }, { where: { clusterId: cluster.id }, transaction });
+            }
+            await job.update({ clusterId: cluster.id, isCanonical: becomesCanonical }, { transaction });
+            // Incremento atómico en la base de datos: otros workers o procesos pueden estar agrupando en el mismo cluster.
+            await cluster.increment('jobCount', { transaction });
+            if (becomesCanonical) {
+                await cluster.update({ canonicalJobId: job.id }, { transaction });
+            }
+            logInfo(`[DEDUP] "${job.title}" (${job.sourceName}) agrupado con ${cluster.jobCount} publicaciones del cluster ${cluster.id}.`);
+            return cluster.id;
+        });
+    } catch (error) {
+        logWarn(`[DEDUP] No se pudo agrupar el empleo ${job.id}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Vuelve a agrupar una publicación cuyos datos de agrupación (título, empresa, ubicación o país) cambiaron
+ * después de asignarle cluster, por ejemplo al completarla con su página de detalle (ver jobEnrichmentService).
+ * La saca de su cluster actual (que elige otra canónica o se borra si se queda vacío) y la asigna de nuevo
+ * con su firma actual. Nunca lanza: un fallo al reagrupar no debe interrumpir la actualización de la oferta.
+ * @param {Object} job - Instancia de Job ya actualizada.
+ * @returns {Promise<string|null>} El ID del nuevo cluster, o null si no se pudo agrupar.
+ */
+exports.reassignCluster = async (job) => {
+    const previousClusterId = job.clusterId;
+    if (!previousClusterId) return exports.assignCluster(job);
+
+    try {
+        const remaining = await sequelize.transaction(async (transaction) => {
+            await job.update({ clusterId: null, isCanonical: true }, { transaction, silent: true });
+            const count = await Job.count({ where: { clusterId: previousClusterId }, transaction });
+            if (count === 0) {
+                await JobCluster.destroy({ where: { id: previousClusterId }, transaction });
+            } else {
+                await JobCluster.update({ jobCount: count }, { where: { id: previousClusterId }, transaction });
+            }
+            return count;
+        });
+        if (remaining > 0) {
+            await exports.electCanonical(previousClusterId);
+        }
+    } catch (error) {
+        logWarn(`[DEDUP] No se pudo sacar el empleo ${job.id} del cluster ${previousClusterId}:`, error.message);
+        return null;
+    }
+
+    const clusterId = await exports.assignCluster(job);
+    if (clusterId && clusterId !== previousClusterId) {
+        logInfo(`[DEDUP] "${job.title}" (${job.sourceName}) cambió de datos y pasa del cluster ${previousClusterId} al ${clusterId}.`);
+    }
+    return clusterId;
+};
+
+/**
+ * Vuelve a elegir la publicación canónica de un cluster: la visible y activa más reciente o, si ninguna
+ * sigue activa, la visible más reciente (las ocultas solo si todas lo están). Se llama cuando cambia el
+ * estado de una publicación (ver jobLifecycleService) o un administrador la oculta o elimina, para que
+ * la vacante siga visible mientras alguna fuente la publique.
+ * @param {string} clusterId - ID del cluster.
+ * @returns {Promise<string|null>} El ID de la publicación canónica, o null si el cluster no tiene publicaciones.
+ */
+exports.electCanonical = async (clusterId) => {
+    const postings = await Job.findAll({
+        where: { clusterId },
+        attributes: ['id', 'status', 'isHidden', 'creationDate', 'createdAt'],
+    });
+    if (postings.length === 0) return null;
+
+    const [canonical] = postings.sort((a, b) =>
+        a.isHidden - b.isHidden
+        || (b.status === 'active') - (a.status === 'active')
+        || getJobTime(b) - getJobTime(a));
+
+    await sequelize.transaction(async (transaction) => {
+        await Job.update({ isCanonical: false }, { where: { clusterId, id: { [Op.ne]: canonical.id } }, transaction });
+        await Job.update({ isCanonical: true }, { where: { id: canonical.id }, transaction });
+        await JobCluster.update({ canonicalJobId: canonical.id }, { where: { id: clusterId }, transaction });
+    });
+    return canonical.id;
+};
+
+/**
+ * Agrupa los empleos que aún no tienen cluster, del más antiguo al más reciente.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.reset=false] - Si es true, borra todos los clusters y vuelve a agrupar todos los empleos.
+ * @param {number} [options.batchSize=500] - Empleos leídos por lote.
+ * @returns {Promise<{processed: number, clusters: number}>}
+ */
+exports.clusterPendingJobs = async ({ reset = false, batchSize = 500 } = {}) => {
+    if (reset) {
+        await sequelize.transaction(async (transaction) => {
+            await Job.update({ clusterId: null, isCanonical: true }, { where: {}, transaction });
+            await JobCluster.destroy({ where: {}, transaction });
+        });
+    }
+
+    let processed = 0;
+    for (;;) {
+        // Cada lote vuelve a pedir los pendientes: los ya agrupados dejan de cumplir la condición.
+        const jobs = await Job.findAll({
+            where: { clusterId: null },
+            order: [['createdAt', 'ASC'], ['id', 'ASC']],
+            limit: batchSize,
+        });
+        if (jobs.length === 0) break;
+
+        let clustered = 0;
+        for (const job of jobs) {
+            if (await exports.assignCluster(job)) clustered++;
+        }
+        processed += jobs.length;
+        logInfo(`[DEDUP] ${processed} empleos agrupados...`);
+        if (clustered === 0) break; // Evita repetir indefinidamente un lote que no se puede agrupar
+    }
+
+    return { processed, clusters: await JobCluster.count() };
+};
+
+/**
+ * Obtiene las publicaciones visibles de varios clusters, agrupadas por cluster.
+ * @param {string[]} clusterIds
+ * @returns {Promise<Map<string, Array<Object>>>} Publicaciones de cada cluster, la canónica primero.
+ */
+exports.getPostingsByCluster = async (clusterIds) => {
+    const postingsByCluster = new Map();
+    if (clusterIds.length === 0) return postingsByCluster;
+
+    const postings = await Job.findAll({
+        where: { clusterId: { [Op.in]: clusterIds }, isHidden: false },
+        attributes: ['id', 'clusterId', 'isCanonical', 'status', 'sourceName', 'sourceUrl', 'country', 'creationDate', 'createdAt'],
+        order: [['isCanonical', 'DESC'], ['createdAt', 'DESC']],
+    });
+    for (const posting of postings) {
+        if (!postingsByCluster.has(posting.clusterId)) postingsByCluster.set(posting.clusterId, []);
+        postingsByCluster.get(posting.clusterId).push(posting.toJSON());
+    }
+    return postingsByCluster;
+};
+
+exports.normalizeTitle = normalizeTitle;
+exports.normalizeCompany = normalizeCompany;
+exports.normalizeLocation = normalizeLocation;
+exports.getJobSignature = getJobSignature;
+exports.jaccard = jaccard;
+exports.isNearDuplicate = isNearDuplicate;
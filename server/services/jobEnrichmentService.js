@@ -0,0 +1,191 @@
+// server/services/jobEnrichmentService.js
+// Segunda pasada del scraping: lee la página de detalle de cada oferta para completar los datos del listado
+const { Op } = require('sequelize');
+const { Job } = require('../models');
+const sourceRegistry = require('./sourceRegistry');
+const scrapingService = require('./scrapingService');
+const jobDedupService = require('./jobDedupService');
+const { normalizeJobData } = require('./jobProcessingService');
+const { DETAIL_FIELDS } = require('./sources/jobPostingSchema');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// La segunda pasada es opcional: multiplica las peticiones a las fuentes (una por oferta).
+const ENRICHMENT_ENABLED = process.env.JOB_DETAIL_ENRICHMENT === 'true';
+// Páginas de detalle que se descargan a la vez y pausa de cortesía entre dos descargas de un mismo worker.
+const DETAIL_CONCURRENCY = parseInt(process.env.JOB_DETAIL_CONCURRENCY, 10) || 2;
+const DETAIL_DELAY_MS = parseInt(process.env.JOB_DETAIL_DELAY_MS, 10) || 2000;
+// Ofertas completadas en cada ejecución, cada cuánto se buscan ofertas pendientes e intentos por oferta.
+const ENRICHMENT_BATCH_SIZE = parseInt(process.env.JOB_DETAIL_BATCH_SIZE, 10) || 20;
+const ENRICHMENT_INTERVAL_MS = parseInt(process.env.JOB_DETAIL_INTERVAL_MS, 10) || 2 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_DETAIL_MAX_ATTEMPTS, 10) || 3;
+
+let enrichmentTimer = null;
+let enrichmentInProgress = false; // Evita solapar ejecuciones si un lote tarda más que el intervalo
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Procesa una lista con un número máximo de tareas simultáneas. Cada worker procesa sus elementos
+ * uno tras otro y espera `delayMs` entre dos de ellos.
+ * @param {Array} items - Elementos a procesar.
+ * @param {number} concurrency - Workers simultáneos.
+ * @param {number} delayMs - Pausa entre dos elementos de un mismo worker.
+ * @param {Function} worker - (item) => Promise.
+ * @returns {Promise<Array>} Los resultados, en el orden de `items`.
+ */
+async function runWithConcurrency(items, concurrency, delayMs, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        let first = true;
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            if (!first) await delay(delayMs);
+            first = false;
+            results[index] = await worker(items[index]);
+        }
+    });
+    await Promise.all(lanes);
+    return results;
+}
+
+/**
+ * Calcula los campos a actualizar de una oferta a partir de los datos de su página de detalle.
+ * Los datos pasan por la misma normalización que el listado (modalidad, experiencia, fechas...);
+ * un dato del detalle que no se pueda interpretar no reemplaza a uno ya interpretado.
+ * @param {Object} job - Datos actuales de la oferta.
+ * @param {Object} details - Resultado de `parseDetail` de la fuente.
+ * @returns {Object} Los campos de DETAIL_FIELDS que cambian.
+ */
+function buildEnrichedFields(job, details) {
+    const normalized = normalizeJobData({ ...job, ...details });
+    const updates = {};
+    for (const field of DETAIL_FIELDS) {
+        if (details[field] === undefined) continue;
+        const value = normalized[field];
+        if (!value || (value === 'No especificada' && job[field] && job[field] !== 'No especificada')) continue;
+        updates[field] = value;
+    }
+    return updates;
+}
+
+/**
+ * Lee la página de detalle de una oferta y guarda los datos que aporte.
+ * Nunca lanza: una página que no se pueda leer solo suma un intento.
+ * @param {Object} job - Instancia de Job.
+ * @returns {Promise<boolean>} Si la oferta quedó completada.
+ */
+async function enrichJob(job) {
+    const source = sourceRegistry.getSourceByName(job.sourceName);
+    try {
+        const html = await scrapingService.fetchPage(source.fetchStrategy, job.sourceUrl, {
+            sourceName: job.sourceName,
+            kind: 'detail',
+            country: job.country,
+        });
+        if (!html) {
+            await job.update({ enrichmentAttempts: job.enrichmentAttempts + 1 }, { silent: true });
+            return false;
+        }
+
+        const details = source.parseDetail(html, { countryCode: job.country });
+        const updates = buildEnrichedFields(job.get({ plain: true }), details);
+        const previousFingerprint = jobDedupService.getJobSignature(job).fingerprint;
+        await job.update({
+            ...updates,
+            isEnriched: true,
+            enrichedAt: new Date(),
+            enrichmentAttempts: job.enrichmentAttempts + 1,
+        });
+        logInfo(`[ENRICHMENT] "${job.title}" (${job.sourceName}) completado: ${Object.keys(updates).join(', ') || 'sin datos nuevos'}.`);
+
+        // El detalle puede corregir la empresa del listado ("Confidencial" => la real): el cluster se
+        // eligió con los datos anteriores, así que se vuelve a agrupar con los nuevos.
+        if (job.clusterId && jobDedupService.getJobSignature(job).fingerprint !== previousFingerprint) {
+            await jobDedupService.reassignCluster(job);
+        }
+        return true;
+    } catch (error) {
+        logWarn(`[ENRICHMENT] No se pudo completar el empleo ${job.id} desde ${job.sourceUrl}:`, error.message);
+        await job.update({ enrichmentAttempts: job.enrichmentAttempts + 1 }, { silent: true }).catch(() => {});
+        return false;
+    }
+}
+
+/**
+ * Completa las ofertas activas que aún no tienen los datos de su página de detalle, de las más recientes
+ * a las más antiguas. Solo se consideran las fuentes que implementan `parseDetail`.
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=ENRICHMENT_BATCH_SIZE] - Máximo de ofertas a completar.
+ * @returns {Promise<{processed: number, enriched: number}>}
+ */
+exports.enrichPendingJobs = async ({ limit = ENRICHMENT_BATCH_SIZE } = {}) => {
+    const sourceNames = sourceRegistry.getSources()
+        .filter(source => typeof source.parseDetail === 'function')
+        .map(source => source.name);
+    if (sourceNames.length === 0) return { processed: 0, enriched: 0 };
+
+    const jobs = await Job.findAll({
+        where: {
+            isEnriched: false,
+            status: 'active',
+            enrichmentAttempts: { [Op.lt]: MAX_ATTEMPTS },
+            sourceName: { [Op.in]: sourceNames },
+        },
+        order: [['createdAt', 'DESC']],
+        limit,
+    });
+
+    const results = await runWithConcurrency(jobs, DETAIL_CONCURRENCY, DETAIL_DELAY_MS, enrichJob);
+    const enriched = results.filter(Boolean).length;
+    if (jobs.length > 0) {
+        logInfo(`[ENRICHMENT] ${enriched} de ${jobs.length} ofertas completadas con su página de detalle.`);
+    }
+    return { processed: jobs.length, enriched };
+};
+
+/**
+ * Ejecuta un lote de la segunda pasada. Los errores solo se registran.
+ */
+async function runEnrichment() {
+    if (enrichmentInProgress) return;
+    enrichmentInProgress = true;
+
+    try {
+        await exports.enrichPendingJobs();
+    } catch (error) {
+        logWarn('[ENRICHMENT] Error al completar las ofertas pendientes:', error);
+    } finally {
+        enrichmentInProgress = false;
+    }
+}
+
+/**
+ * Inicia la segunda pasada en segundo plano, cada `ENRICHMENT_INTERVAL_MS`, si `JOB_DETAIL_ENRICHMENT=true`.
+ */
+function startEnrichmentWorker() {
+    if (!ENRICHMENT_ENABLED) {
+        logInfo('[ENRICHMENT] Lectura de páginas de detalle desactivada (JOB_DETAIL_ENRICHMENT).');
+        return;
+    }
+    if (enrichmentTimer) return;
+    enrichmentTimer = setInterval(runEnrichment, ENRICHMENT_INTERVAL_MS);
+    logInfo(`[ENRICHMENT] Lectura de páginas de detalle iniciada (cada ${ENRICHMENT_INTERVAL_MS / 1000}s, ${DETAIL_CONCURRENCY} a la vez).`);
+}
+
+/**
+ * Detiene la segunda pasada. Un lote en curso termina normalmente.
+ */
+function stopEnrichmentWorker() {
+    if (enrichmentTimer) {
+        clearInterval(enrichmentTimer);
+        enrichmentTimer = null;
+    }
+}
+
+exports.runWithConcurrency = runWithConcurrency;
+exports.buildEnrichedFields = buildEnrichedFields;
+exports.enrichJob = enrichJob;
+exports.startEnrichmentWorker = startEnrichmentWorker;
+exports.stopEnrichmentWorker = stopEnrichmentWorker;
@@ -0,0 +1,249 @@
+// server/services/jobLifecycleService.js
+// Ciclo de vida de las ofertas: vencimiento por inactividad, detección de ofertas cerradas e historial de estados
+const { Op } = require('sequelize');
+const { sequelize, Job, JobStatusChange } = require('../models');
+const sourceRegistry = require('./sourceRegistry');
+const jobDedupService = require('./jobDedupService');
+const crawlPolicy = require('./crawlPolicy');
+const notificationService = require('./notificationService');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Días sin aparecer en ningún scraping tras los que una oferta activa se marca como vencida.
+const EXPIRY_DAYS = parseInt(process.env.JOB_EXPIRY_DAYS, 10) || 30;
+// Cada cuánto se ejecuta el barrido de vencidas y la comprobación de URLs (por defecto, cada hora).
+const SWEEP_INTERVAL_MS = parseInt(process.env.JOB_LIFECYCLE_SWEEP_MS, 10) || 60 * 60 * 1000;
+// Ofertas cuya `sourceUrl` se comprueba en cada ejecución, y horas mínimas entre dos comprobaciones de la misma.
+const RECHECK_BATCH_SIZE = parseInt(process.env.JOB_RECHECK_BATCH_SIZE, 10) || 20;
+const RECHECK_INTERVAL_HOURS = parseInt(process.env.JOB_RECHECK_INTERVAL_HOURS, 10) || 24;
+// Tiempo máximo de cada petición (el ritmo por dominio lo marca crawlPolicy).
+const RECHECK_TIMEOUT_MS = 20000;
+// Ofertas leídas por lote en el barrido.
+const SWEEP_BATCH_SIZE = 500;
+
+// Textos de oferta cerrada comunes a muchas bolsas; cada fuente puede declarar los suyos (`closedPagePattern`).
+const GENERIC_CLOSED_PAGE_PATTERN = /oferta (ya )?no (est[aá]|se encuentra) disponible|vacante (ha sido )?cerrada|job (is )?no longer available|position has been filled|no longer accepting applications/i;
+
+let sweepTimer = null;
+let sweepInProgress = false; // Evita solapar ejecuciones si la comprobación de URLs tarda más que el intervalo
+
+/**
+ * Cambia el estado de varias ofertas, registra cada cambio en `job_status_changes` y vuelve a elegir
+ * la publicación canónica de sus clusters (una vacante sigue visible mientras alguna fuente la publique).
+ * Si las ofertas vencen o se cierran, avisa a los usuarios que las tienen como favoritas.
+ * @param {Array<Object>} jobs - Ofertas con `id`, `status` y `clusterId`.
+ * @param {string} toStatus - Nuevo estado ('active', 'expired' o 'closed').
+ * @param {string} reason - Motivo del cambio (ej. 'not_seen', 'http_404').
+ * @returns {Promise<number>} Número de ofertas que cambiaron de estado.
+ */
+async function changeStatus(jobs, toStatus, reason) {
+    const changed = jobs.filter(job => job.status !== toStatus);
+    if (changed.length === 0) return 0;
+
+    await sequelize.transaction(async (transaction) => {
+        await Job.update(
+            { status: toStatus },
+            { where: { id: { [Op.in]: changed.map(job => job.id) } }, transaction, silent: true }
+        );
+        await JobStatusChange.bulkCreate(
+            changed.map(job => ({ jobId: job.id, fromStatus: job.status, toStatus, reason })),
+            { transaction }
+        );
+    });
+
+    const clusterIds = [...new Set(changed.map(job => job.clusterId).filter(Boolean))];
+    for (const clusterId of clusterIds) {
+        await jobDedupService.electCanonical(clusterId);
+    }
+    if (toStatus !== 'active') {
+        await notificationService.notifyFavoritesUnavailable(changed.map(job => job.id), toStatus);
+    }
+    return changed.length;
+}
+
+/**
+ * Registra que una oferta vencida o cerrada volvió a aparecer en un scraping. El scraping ya la guardó
+ * como activa; aquí se deja constancia en el historial y se recupera su lugar en el cluster.
+ * Nunca lanza: un fallo aquí no debe interrumpir el guardado del scraping.
+ * @param {Object} job - Instancia de Job ya guardada como activa.
+ * @param {string} fromStatus - Estado que tenía antes del scraping.
+ */
+exports.recordReactivation = async (job, fromStatus) => {
+    try {
+        await JobStatusChange.create({ jobId: job.id, fromStatus, toStatus: 'active', reason: 'seen_again' });
+        if (job.clusterId) {
+            await jobDedupService.electCanonical(job.clusterId);
+        }
+        logInfo(`[LIFECYCLE] "${job.title}" (${job.sourceName}) volvió a publicarse; pasa de ${fromStatus} a active.`);
+    } catch (error) {
+        logWarn(`[LIFECYCLE] No se pudo registrar la reactivación del empleo ${job.id}:`, error.message);
+    }
+};
+
+/**
+ * Marca como vencidas las ofertas activas que cumplen una condición, por lotes.
+ * @param {Object} where - Condición adicional a `status = 'active'`.
+ * @param {string} reason - Motivo que se registra en el historial.
+ * @returns {Promise<number>} Número de ofertas vencidas.
+ */
+async function expireWhere(where, reason) {
+    let expired = 0;
+    for (;;) {
+        // Cada lote vuelve a pedir las activas: las ya vencidas dejan de cumplir la condición.
+        const jobs = await Job.findAll({
+            where: { [Op.and]: [{ status: 'active' }, where] },
+            attributes: ['id', 'status', 'clusterId'],
+            limit: SWEEP_BATCH_SIZE,
+        });
+        if (jobs.length === 0) break;
+        expired += await changeStatus(jobs, 'expired', reason);
+    }
+    return expired;
+}
+
+/**
+ * Marca como vencidas las ofertas activas que no aparecen en un scraping desde hace `expiryDays` días
+ * (o, si nunca se registró cuándo se vieron, que no se actualizan desde entonces) y las que ya pasaron
+ * su fecha límite.
+ * @param {Object} [options={}]
+ * @param {number} [options.expiryDays=EXPIRY_DAYS] - Días sin ver la oferta.
+ * @param {Date} [options.now=new Date()] - Fecha de referencia.
+ * @returns {Promise<{notSeen: number, deadlinePassed: number}>} Ofertas vencidas por cada motivo.
+ */
+exports.sweepExpiredJobs = async ({ expiryDays = EXPIRY_DAYS, now = new Date() } = {}) => {
+    const cutoff = new Date(now.getTime() - expiryDays * 24 * 60 * 60 * 1000);
+
+    const deadlinePassed = await expireWhere({ deadlineDate: { [Op.lt]: now } }, 'deadline_passed');
+    const notSeen = await expireWhere({
+        [Op.or]: [
+            { lastSeenAt: { [Op.lt]: cutoff } },
+            { lastSeenAt: null, updatedAt: { [Op.lt]: cutoff } },
+        ],
+    }, 'not_seen');
+
+    if (notSeen + deadlinePassed > 0) {
+        logInfo(`[LIFECYCLE] ${notSeen} ofertas vencidas por no verse en ${expiryDays} días y ${deadlinePassed} por fecha límite.`);
+    }
+    return { notSeen, deadlinePassed };
+};
+
+/**
+ * Decide si la respuesta de la `sourceUrl` de una oferta indica que está cerrada.
+ * @param {number} httpStatus - Código HTTP de la respuesta.
+ * @param {string|null} html - Cuerpo de la respuesta (solo si fue exitosa).
+ * @param {Object} [source] - Adaptador de la fuente de la oferta (ver sourceRegistry).
+ * @returns {string|null} El motivo del cierre ('http_404', 'http_410' o 'closed_page'), o null si sigue abierta
+ * o la respuesta no permite saberlo (ej. un 5xx o un bloqueo temporal).
+ */
+function detectClosedReason(httpStatus, html, source) {
+    if (httpStatus === 404 || httpStatus === 410) return `http_${httpStatus}`;
+    if (httpStatus < 200 || httpStatus >= 300 || !html) return null;
+
+    const patterns = [GENERIC_CLOSED_PAGE_PATTERN, source && source.closedPagePattern].filter(Boolean);
+    return patterns.some(pattern => pattern.test(html)) ? 'closed_page' : null;
+}
+
+/**
+ * Descarga la `sourceUrl` de una oferta y decide si está cerrada.
+ * @param {Object} job - Oferta con `sourceUrl` y `sourceName`.
+ * @returns {Promise<string|null>} El motivo del cierre, o null si sigue abierta o no se pudo comprobar.
+ */
+async function probeJob(job) {
+    let timeoutId;
+    try {
+        const { status, html } = await crawlPolicy.politeRequest(job.sourceUrl, async () => {
+            const controller = new AbortController();
+            timeoutId = setTimeout(() => controller.abort(), RECHECK_TIMEOUT_MS);
+            const response = await fetch(job.sourceUrl, {
+                headers: { 'User-Agent': crawlPolicy.USER_AGENT },
+                redirect: 'follow',
+                signal: controller.signal,
+            });
+            const result = { status: response.status, html: response.ok ? await response.text() : null };
+            clearTimeout(timeoutId);
+            return { status: response.status, retryAfter: response.headers.get('retry-after'), result };
+        });
+        return detectClosedReason(status, html, sourceRegistry.getSourceByName(job.sourceName));
+    } catch (error) {
+        logWarn(`[LIFECYCLE] No se pudo comprobar ${job.sourceUrl}:`, error.name === 'AbortError' ? 'tiempo de espera agotado' : error.message);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Comprueba la `sourceUrl` de las ofertas activas que llevan más tiempo sin comprobarse y marca
+ * como cerradas las que responden 404/410 o muestran una página de oferta cerrada.
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=RECHECK_BATCH_SIZE] - Máximo de ofertas a comprobar.
+ * @returns {Promise<{checked: number, closed: number}>}
+ */
+exports.recheckJobs = async ({ limit = RECHECK_BATCH_SIZE } = {}) => {
+    const checkedBefore = new Date(Date.now() - RECHECK_INTERVAL_HOURS * 60 * 60 * 1000);
+    const jobs = await Job.findAll({
+        where: {
+            status: 'active',
+            [Op.or]: [{ lastCheckedAt: null }, { lastCheckedAt: { [Op.lt]: checkedBefore } }],
+        },
+        attributes: ['id', 'status', 'clusterId', 'sourceUrl', 'sourceName'],
+        order: [['lastCheckedAt', 'ASC NULLS FIRST']],
+        limit,
+    });
+
+    let closed = 0;
+    for (const job of jobs) {
+        const reason = await probeJob(job);
+        await Job.update({ lastCheckedAt: new Date() }, { where: { id: job.id }, silent: true });
+        if (reason) {
+            closed += await changeStatus([job], 'closed', reason);
+            logInfo(`[LIFECYCLE] Oferta ${job.id} cerrada en ${job.sourceName} (${reason}).`);
+        }
+    }
+    return { checked: jobs.length, closed };
+};
+
+/**
+ * Ejecuta el barrido de vencidas y la comprobación de URLs. Los errores solo se registran.
+ * @returns {Promise<Object|null>} El resumen de la ejecución, o null si ya había una en curso o falló.
+ */
+async function runLifecycleTasks() {
+    if (sweepInProgress) return null;
+    sweepInProgress = true;
+
+    try {
+        const expired = await exports.sweepExpiredJobs();
+        const rechecked = await exports.recheckJobs();
+        return { ...expired, ...rechecked };
+    } catch (error) {
+        logWarn('[LIFECYCLE] Error al revisar el estado de las ofertas:', error);
+        return null;
+    } finally {
+        sweepInProgress = false;
+    }
+}
+
+/**
+ * Inicia el barrido periódico de ofertas vencidas y cerradas, cada `SWEEP_INTERVAL_MS`.
+ */
+function startLifecycleSweeper() {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(runLifecycleTasks, SWEEP_INTERVAL_MS);
+    logInfo(`[LIFECYCLE] Barrido de ofertas vencidas iniciado (cada ${SWEEP_INTERVAL_MS / 1000}s, vencen tras ${EXPIRY_DAYS} días sin verse).`);
+}
+
+/**
+ * Detiene el barrido periódico. Una ejecución en curso termina normalmente.
+ */
+function stopLifecycleSweeper() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+exports.EXPIRY_DAYS = EXPIRY_DAYS;
+exports.changeStatus = changeStatus;
+exports.detectClosedReason = detectClosedReason;
+exports.runLifecycleTasks = runLifecycleTasks;
+exports.startLifecycleSweeper = startLifecycleSweeper;
+exports.stopLifecycleSweeper = stopLifecycleSweeper;
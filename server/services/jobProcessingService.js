@@ -1,6 +1,7 @@
 // server/services/jobProcessingService.js
 // Podría manejar el guardado de empleos escrapeados, deduplicación, etc.
 const { Job } = require('../models');
+const { parseSalary } = require('../utils/salaryParser');
 // Podrías importar otras utilidades si las necesitaras para el procesamiento, ej:
 // const { logInfo, logWarn } = require('../utils/helpers');
 
@@ -98,7 +99,8 @@ function normalizeJobData(jobData) {
     cleanedJob.title = cleanText(cleanedJob.title);
     cleanedJob.description = cleanText(cleanedJob.description);
     cleanedJob.requirements = cleanText(cleanedJob.requirements);
-    cleanedJob.company = cleanText(cleanedJob.company || 'Confidencial'); // Asegura que la empresa no sea nula
+    // Los adaptadores entregan la empresa en `company`; el modelo la guarda en `companyName`.
+    cleanedJob.companyName = cleanText(cleanedJob.companyName || cleanedJob.company) || 'Confidencial'; // Asegura que la empresa no sea nula
 
     // 2. Normalización de Ubicación
     cleanedJob.location = cleanText(cleanedJob.location);
@@ -109,26 +111,13 @@ function normalizeJobData(jobData) {
     // Ejemplo: "Bogota, D.C." -> "Bogotá"
 
     // 3. Normalización de Salario
+    // Se conserva el texto original para mostrarlo y se interpreta en rango, moneda y periodo numéricos.
     cleanedJob.salary = cleanText(cleanedJob.salary);
     const lowerSalary = cleanedJob.salary.toLowerCase();
-
     if (!lowerSalary || lowerSalary === 'n/a' || lowerSalary.includes('confidencial')) {
         cleanedJob.salary = 'Confidencial';
-    } else {
-        // Intenta extraer números para rangos o valores únicos
-        const numbers = lowerSalary.match(/(\d{1,3}(?:\.\d{3})*(?:,\d+)?|\d+)/g); // Captura números con puntos/comas
-        if (numbers && numbers.length > 0) {
-        // Remover puntos y comas para facilitar la conversión a número y unificar
-        const cleanNumbers = numbers.map(num => num.replace(/\./g, '').replace(/,/g, '.'));
-        if (cleanNumbers.length === 1) {
-            cleanedJob.salary = `${cleanNumbers[0]} ${lowerSalary.includes('usd') ? 'USD' : lowerSalary.includes('eur') ? 'EUR' : lowerSalary.includes('cop') ? 'COP' : lowerSalary.includes('brl') ? 'BRL' : ''}`.trim();
-        } else if (cleanNumbers.length >= 2) {
-            cleanedJob.salary = `${cleanNumbers[0]} - ${cleanNumbers[1]} ${lowerSalary.includes('usd') ? 'USD' : lowerSalary.includes('eur') ? 'EUR' : lowerSalary.includes('cop') ? 'COP' : lowerSalary.includes('brl') ? 'BRL' : ''}`.trim();
-        }
-        }
-        // Asegura que al menos diga "N/A" si no se pudo parsear
-        if (cleanedJob.salary === '') cleanedJob.salary = 'N/A';
     }
+    Object.assign(cleanedJob, parseSalary(cleanedJob.salary, { country: cleanedJob.country }));
 
 
     // 4. Normalización de Modalidad
@@ -192,4 +181,5 @@ exports.processAndNormalizeJobs = async (rawJobs) => {
     const processedJobs = rawJobs.map(job => normalizeJobData(job));
     console.log(`Procesamiento y normalización finalizada.`);
     return processedJobs;
-};
\ No newline at end of file
+};
+exports.normalizeJobData = normalizeJobData;
@@ -0,0 +1,315 @@
+// server/services/jobSearchService.js
+// Construcción de las consultas de búsqueda de texto completo sobre la tabla `jobs`
+const { Op } = require('sequelize');
+const { sequelize, Job } = require('../models');
+const { BASE_CURRENCY, MONTHLY_FACTORS } = require('./currencyService');
+
+// Ordenaciones admitidas por la búsqueda: por relevancia (ts_rank), por fecha de registro o por salario mensual normalizado.
+const SORT_OPTIONS = ['relevance', 'date', 'salary'];
+const DEFAULT_SORT = 'relevance';
+
+// Valores con los que `normalizeJobData` clasifica la modalidad y la experiencia.
+const MODALITIES = ['Remoto', 'Presencial', 'Híbrido'];
+const EXPERIENCE_LEVELS = ['Junior', 'Semi-Senior', 'Senior'];
+// Bandas de fecha de publicación que se cuentan como faceta (mismos valores que `postedWithinDays`).
+const POSTED_WITHIN_BANDS = [1, 7, 30];
+
+// Límites inferior y superior del rango salarial interpretado. Un salario "hasta X" no tiene mínimo
+// y uno "desde X" no tiene máximo, así que cada límite recurre al otro extremo.
+// Los salarios no publicados ('Confidencial') o en monedas sin tasa de cambio quedan en NULL y no superan
+// un filtro de salario.
+const SALARY_LOWER_SQL = 'COALESCE("Job"."salaryMin", "Job"."salaryMax")';
+const SALARY_UPPER_SQL = 'COALESCE("Job"."salaryMax", "Job"."salaryMin")';
+
+/**
+ * Construye la expresión SQL del salario mensual normalizado: un límite del rango, convertido con las tasas
+ * de cambio a la moneda indicada y llevado a su equivalente mensual según `salaryPeriod`.
+ * Las ofertas en monedas sin tasa quedan en NULL.
+ * @param {Object} rates - Tasas `{ CODIGO: unidadesPorUsd }` (ver currencyService).
+ * @param {Object} [options={}]
+ * @param {string} [options.bound='upper'] - 'upper' o 'lower': el límite del rango.
+ * @param {string} [options.currency=BASE_CURRENCY] - Moneda del resultado.
+ * @returns {string} Fragmento SQL.
+ */
+function buildMonthlySalarySql(rates, { bound = 'upper', currency = BASE_CURRENCY } = {}) {
+    const targetRate = rates[currency] ? Number(rates[currency]) : 'NULL';
+    const rateCases = Object.entries(rates)
+        .map(([currency, unitsPerUsd]) => `WHEN ${sequelize.escape(currency)} THEN ${Number(unitsPerUsd)}`)
+        .join(' ');
+    const periodCases = Object.entries(MONTHLY_FACTORS)
+        .map(([period, factor]) => `WHEN ${sequelize.escape(period)} THEN ${factor}`)
+        .join(' ');
+    return `(${bound === 'lower' ? SALARY_LOWER_SQL : SALARY_UPPER_SQL} / (CASE "Job"."salaryCurrency" ${rateCases} END)`
+        + ` * ${targetRate} * (CASE "Job"."salaryPeriod" ${periodCases} ELSE 1 END))`;
+}
+
+/**
+ * Prepara el texto buscado igual que se indexa: las palabras con guion se unen,
+ * así "back-end" y "backend" producen la misma consulta.
+ * @param {string} keyword - Texto introducido por el usuario.
+ * @returns {string}
+ */
+function normalizeKeyword(keyword) {
+    return keyword.trim().replace(/(?<=\w)-(?=\w)/g, '');
+}
+
+/**
+ * Construye la expresión tsquery de una palabra clave con los diccionarios español e inglés.
+ * Todas las palabras deben aparecer (en alguno de los dos idiomas).
+ * @param {string} keyword - Texto introducido por el usuario.
+ * @returns {string} Fragmento SQL con el texto ya escapado.
+ */
+function buildTsQuery(keyword) {
+    const escapedKeyword = sequelize.escape(normalizeKeyword(keyword));
+    return `(plainto_tsquery('spanish', ${escapedKeyword}) || plainto_tsquery('english', ${escapedKeyword}))`;
+}
+
+/**
+ * Construye la condición y el orden de una búsqueda por palabra clave.
+ * @param {string} keyword - Texto introducido por el usuario.
+ * @param {string} [sort='relevance'] - Una de SORT_OPTIONS.
+ * @param {Object} [options={}]
+ * @param {Object} [options.rates={ USD: 1 }] - Tasas de cambio para `sort='salary'` (ver currencyService.getRates).
+ * @returns {{where: Object, order: Array}} Fragmentos para `Job.findAndCountAll`.
+ */
+function buildKeywordSearch(keyword, sort = DEFAULT_SORT, { rates = { USD: 1 } } = {}) {
+    const tsQuery = buildTsQuery(keyword);
+    const where = sequelize.literal(`"Job"."searchVector" @@ ${tsQuery}`);
+
+    let order;
+    if (sort === 'date') {
+        order = [['createdAt', 'DESC']];
+    } else if (sort === 'salary') {
+        order = [[sequelize.literal(`${buildMonthlySalarySql(rates)} DESC NULLS LAST`)], ['createdAt', 'DESC']];
+    } else {
+        order = [[sequelize.literal(`ts_rank("Job"."searchVector", ${tsQuery})`), 'DESC'], ['createdAt', 'DESC']];
+    }
+
+    return { where, order };
+}
+
+/**
+ * Convierte un parámetro de lista ("Remoto,Híbrido" o parámetros repetidos) en un array.
+ * @param {string|string[]|undefined} value - Valor del query string.
+ * @returns {string[]}
+ */
+function parseList(value) {
+    if (value === undefined || value === '') return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Resuelve valores de una lista cerrada sin distinguir mayúsculas ni tildes ("hibrido" => "Híbrido").
+ * @param {string[]} values - Valores recibidos.
+ * @param {string[]} allowed - Valores admitidos.
+ * @returns {{values: string[], invalid: string[]}}
+ */
+function matchAllowed(values, allowed) {
+    const fold = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const matched = [];
+    const invalid = [];
+    for (const value of values) {
+        const canonical = allowed.find(option => fold(option) === fold(value));
+        if (canonical) matched.push(canonical);
+        else invalid.push(value);
+    }
+    return { values: matched, invalid };
+}
+
+/**
+ * Interpreta un número no negativo opcional del query string.
+ * @param {string|undefined} value - Valor recibido.
+ * @returns {number|null|undefined} El número, null si no se indicó o undefined si no es válido.
+ */
+function parseNonNegativeNumber(value) {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+/**
+ * Valida los filtros estructurados de la búsqueda a partir del query string.
+ * @param {Object} query - `req.query` de la búsqueda.
+ * @returns {{filters: Object, error: string|null}} Los filtros normalizados o un mensaje de error.
+ */
+function parseSearchFilters(query) {
+    const modality = matchAllowed(parseList(query.modality), MODALITIES);
+    if (modality.invalid.length > 0) {
+        return { filters: null, error: `Modalidad no válida: ${modality.invalid.join(', ')}. Valores admitidos: ${MODALITIES.join(', ')}.` };
+    }
+
+    const experience = matchAllowed(parseList(query.experience), EXPERIENCE_LEVELS);
+    if (experience.invalid.length > 0) {
+        return { filters: null, error: `Experiencia no válida: ${experience.invalid.join(', ')}. Valores admitidos: ${EXPERIENCE_LEVELS.join(', ')}.` };
+    }
+
+    let postedWithinDays = null;
+    if (query.postedWithinDays !== undefined && query.postedWithinDays !== '') {
+        postedWithinDays = parseInt(query.postedWithinDays, 10);
+        if (!Number.isInteger(postedWithinDays) || postedWithinDays < 1 || String(postedWithinDays) !== String(query.postedWithinDays).trim()) {
+            return { filters: null, error: 'postedWithinDays debe ser un número entero de días mayor que 0.' };
+        }
+    }
+
+    const salaryMin = parseNonNegativeNumber(query.salaryMin);
+    const salaryMax = parseNonNegativeNumber(query.salaryMax);
+    if (salaryMin === undefined || salaryMax === undefined) {
+        return { filters: null, error: 'salaryMin y salaryMax deben ser números mayores o iguales a 0.' };
+    }
+    if (salaryMin !== null && salaryMax !== null && salaryMin > salaryMax) {
+        return { filters: null, error: 'salaryMin no puede ser mayor que salaryMax.' };
+    }
+
+    if (query.includeInactive !== undefined && !['true', 'false'].includes(String(query.includeInactive))) {
+        return { filters: null, error: 'includeInactive debe ser true o false.' };
+    }
+
+    return {
+        filters: {
+            modality: modality.values,
+            experience: experience.values,
+            sourceName: parseList(query.sourceName),
+            postedWithinDays,
+            salaryMin,
+            salaryMax,
+            includeInactive: String(query.includeInactive) === 'true',
+        },
+        error: null,
+    };
+}
+
+/**
+ * Construye las condiciones de Sequelize de los filtros estructurados.
+ * `salaryMin`/`salaryMax` son importes mensuales en la moneda indicada: una oferta cumple el rango salarial si
+ * su rango, convertido a esa moneda y a su equivalente mensual (`buildMonthlySalarySql`), se solapa con el pedido.
+ * @param {Object} filters - Filtros devueltos por `parseSearchFilters`.
+ * @param {Object} [options={}]
+ * @param {string} [options.exclude] - Filtro a omitir (para calcular las facetas de esa dimensión).
+ * @param {Object} [options.rates={ USD: 1 }] - Tasas de cambio (ver currencyService.getRates).
+ * @param {string} [options.currency=BASE_CURRENCY] - Moneda de `salaryMin`/`salaryMax`.
+ * @returns {Array<Object>} Condiciones para combinar con `Op.and`.
+ */
+function buildFilterConditions(filters, { exclude, rates = { [BASE_CURRENCY]: 1 }, currency = BASE_CURRENCY } = {}) {
+    const conditions = [];
+
+    if (filters.modality.length > 0 && exclude !== 'modality') {
+        conditions.push({ modality: { [Op.in]: filters.modality } });
+    }
+    if (filters.experience.length > 0 && exclude !== 'experience') {
+        conditions.push({ experienceRequired: { [Op.in]: filters.experience } });
+    }
+    if (filters.sourceName.length > 0 && exclude !== 'sourceName') {
+        conditions.push({ sourceName: { [Op.in]: filters.sourceName } });
+    }
+    if (filters.postedWithinDays !== null && exclude !== 'postedWithinDays') {
+        const postedSince = new Date(Date.now() - filters.postedWithinDays * 24 * 60 * 60 * 1000);
+        conditions.push({ creationDate: { [Op.gte]: postedSince } });
+    }
+    if (filters.salaryMin !== null) {
+        const monthlyUpper = buildMonthlySalarySql(rates, { bound: 'upper', currency });
+        conditions.push(sequelize.where(sequelize.literal(monthlyUpper), { [Op.gte]: filters.salaryMin }));
+    }
+    if (filters.salaryMax !== null) {
+        const monthlyLower = buildMonthlySalarySql(rates, { bound: 'lower', currency });
+        conditions.push(sequelize.where(sequelize.literal(monthlyLower), { [Op.lte]: filters.salaryMax }));
+    }
+
+    return conditions;
+}
+
+/**
+ * Condiciones que toda búsqueda aplica además de los filtros del usuario.
+ * Solo se devuelve la publicación canónica de cada cluster de duplicados (ver jobDedupService),
+ * así una vacante publicada en varias bolsas aparece una sola vez, nunca las ofertas ocultadas por un
+ * administrador y, por defecto, solo las ofertas activas (ver jobLifecycleService).
+ * @param {Object} [filters={}] - Filtros devueltos por `parseSearchFilters`.
+ * @param {boolean} [filters.includeInactive=false] - Incluye también las ofertas vencidas y cerradas.
+ * @returns {Array<Object>} Condiciones para combinar con `Op.and`.
+ */
+function buildVisibilityConditions({ includeInactive = false } = {}) {
+    const conditions = [{ isCanonical: true }, { isHidden: false }];
+    if (!includeInactive) {
+        conditions.push({ status: 'active' });
+    }
+    return conditions;
+}
+
+/**
+ * Cuenta los empleos por cada valor de una columna, aplicando todos los filtros salvo el de esa dimensión.
+ * @param {string} column - Columna del modelo Job.
+ * @param {Object} baseWhere - Condición de palabra clave (y de países, si corresponde).
+ * @param {Array<Object>} filterConditions - Filtros estructurados sin el de esta dimensión.
+ * @returns {Promise<Array<{value: string, count: number}>>} Ordenado de mayor a menor.
+ */
+async function countByColumn(column, baseWhere, filterConditions) {
+    const rows = await Job.findAll({
+        attributes: [[sequelize.col(column), 'value'], [sequelize.fn('COUNT', sequelize.col('Job.id')), 'count']],
+        where: { [Op.and]: [baseWhere, ...filterConditions] },
+        group: [sequelize.col(column)],
+        order: [[sequelize.literal('count'), 'DESC']],
+        raw: true,
+    });
+    return rows
+        .filter(row => row.value !== null)
+        .map(row => ({ value: row.value, count: parseInt(row.count, 10) }));
+}
+
+/**
+ * Calcula las facetas de una búsqueda: cuántos resultados quedarían al elegir cada valor.
+ * Cada dimensión se cuenta con los demás filtros aplicados pero no con el suyo (faceta disyuntiva),
+ * así el usuario ve las alternativas y no solo el valor ya elegido. La faceta de país ignora
+ * los países pedidos para mostrar en qué otros países hay resultados.
+ * @param {Object} search
+ * @param {string} search.keyword - Palabra clave.
+ * @param {string[]} search.countries - Países de la búsqueda.
+ * @param {Object} search.filters - Filtros devueltos por `parseSearchFilters`.
+ * @param {Object} [search.rates] - Tasas de cambio y moneda del filtro de salario (ver `buildFilterConditions`).
+ * @param {string} [search.currency]
+ * @returns {Promise<Object>} `{ country, modality, experience, sourceName, postedWithinDays }`,
+ * cada una como lista de `{ value, count }`.
+ */
+async function getSearchFacets({ keyword, countries, filters, rates, currency }) {
+    const keywordWhere = { [Op.and]: [buildKeywordSearch(keyword).where, ...buildVisibilityConditions(filters)] };
+    const scopedWhere = { [Op.and]: [keywordWhere, { country: { [Op.in]: countries } }] };
+
+    const now = Date.now();
+    const bandAttributes = POSTED_WITHIN_BANDS.map(days => {
+        const since = sequelize.escape(new Date(now - days * 24 * 60 * 60 * 1000));
+        return [sequelize.literal(`COUNT(*) FILTER (WHERE "Job"."creationDate" >= ${since})`), String(days)];
+    });
+
+    const salary = { rates, currency };
+    const [country, modality, experience, sourceName, bandCounts] = await Promise.all([
+        countByColumn('country', keywordWhere, buildFilterConditions(filters, salary)),
+        countByColumn('modality', scopedWhere, buildFilterConditions(filters, { ...salary, exclude: 'modality' })),
+        countByColumn('experienceRequired', scopedWhere, buildFilterConditions(filters, { ...salary, exclude: 'experience' })),
+        countByColumn('sourceName', scopedWhere, buildFilterConditions(filters, { ...salary, exclude: 'sourceName' })),
+        Job.findOne({
+            attributes: bandAttributes,
+            where: { [Op.and]: [scopedWhere, ...buildFilterConditions(filters, { ...salary, exclude: 'postedWithinDays' })] },
+            raw: true,
+        }),
+    ]);
+
+    return {
+        country,
+        modality,
+        experience,
+        sourceName,
+        postedWithinDays: POSTED_WITHIN_BANDS.map(days => ({ value: String(days), count: parseInt(bandCounts[String(days)], 10) })),
+    };
+}
+
+module.exports = {
+    SORT_OPTIONS,
+    DEFAULT_SORT,
+    MODALITIES,
+    EXPERIENCE_LEVELS,
+    normalizeKeyword,
+    buildKeywordSearch,
+    parseSearchFilters,
+    buildFilterConditions,
+    buildVisibilityConditions,
+    getSearchFacets,
+};
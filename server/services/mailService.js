@@ -0,0 +1,108 @@
+// server/services/mailService.js
+// Envío de emails con un transporte intercambiable: SMTP en producción, archivos .eml o consola en desarrollo
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { logInfo } = require('../utils/helpers');
+
+// Remitente de los emails de la aplicación.
+const MAIL_FROM = process.env.MAIL_FROM || 'Buscador de Empleos <no-reply@localhost>';
+// Carpeta donde el transporte 'file' guarda cada email como un archivo .eml.
+const MAIL_FILE_DIR = path.resolve(__dirname, '..', process.env.MAIL_FILE_DIR || 'tmp/mail');
+
+/**
+ * Transportes disponibles. Cada uno crea un objeto `{ name, send(message) }`, donde `message` tiene el
+ * formato de nodemailer (`from`, `to`, `subject`, `text`, `html`).
+ */
+const TRANSPORTS = {
+    // Servidor SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD).
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+        });
+        return { name: 'smtp', send: message => transporter.sendMail(message) };
+    },
+    // Guarda el email completo en MAIL_FILE_DIR, para abrirlo con un cliente de correo.
+    file: () => {
+        const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        return {
+            name: 'file',
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+                const file = path.join(MAIL_FILE_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`);
+                await fs.writeFile(file, info.message);
+                logInfo(`[MAIL] Email para ${message.to} guardado en ${file}`);
+                return { ...info, file };
+            },
+        };
+    },
+    // Solo registra el destinatario, el asunto y el texto.
+    console: () => ({
+        name: 'console',
+        send: async (message) => {
+            logInfo(`[MAIL] Para: ${message.to} | Asunto: ${message.subject}\n${message.text}`);
+            return { messageId: null };
+        },
+    }),
+};
+
+let transport = null;
+
+/**
+ * Nombre del transporte configurado: MAIL_TRANSPORT o, si no se indica, 'smtp' cuando hay SMTP_HOST
+ * y 'console' en otro caso.
+ * @returns {string}
+ */
+function getTransportName() {
+    return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+}
+
+/**
+ * Devuelve el transporte en uso y lo crea la primera vez.
+ * @returns {{name: string, send: Function}}
+ * @throws {Error} Si MAIL_TRANSPORT no es un transporte conocido.
+ */
+function getTransport() {
+    if (!transport) {
+        const name = getTransportName();
+        if (!TRANSPORTS[name]) {
+            throw new Error(`Transporte de email desconocido: "${name}". Valores admitidos: ${Object.keys(TRANSPORTS).join(', ')}.`);
+        }
+        transport = TRANSPORTS[name]();
+    }
+    return transport;
+}
+
+/**
+ * Reemplaza el transporte en uso (por ejemplo, por uno propio o uno de pruebas). Con null, el siguiente
+ * envío vuelve a crear el configurado.
+ * @param {{name: string, send: Function}|null} customTransport
+ */
+function setTransport(customTransport) {
+    transport = customTransport;
+}
+
+/**
+ * Envía un email con el transporte configurado.
+ * @param {Object} message
+ * @param {string} message.to - Destinatario.
+ * @param {string} message.subject
+ * @param {string} message.text - Versión de texto plano.
+ * @param {string} [message.html] - Versión HTML.
+ * @returns {Promise<Object>} La respuesta del transporte.
+ */
+async function sendMail({ to, subject, text, html }) {
+    return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+    TRANSPORTS,
+    getTransport,
+    setTransport,
+    sendMail,
+};
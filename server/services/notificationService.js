@@ -0,0 +1,232 @@
+// server/services/notificationService.js
+// Notificaciones dentro de la aplicación: creación a partir de los eventos de búsquedas guardadas, empleos y postulaciones, y consulta
+const { Op } = require('sequelize');
+const { Notification, FavoriteJob, Job } = require('../models');
+const realtimeService = require('./realtimeService');
+const pushService = require('./pushService');
+const { formatDate, logInfo, logWarn, parsePagination } = require('../utils/helpers');
+
+const TYPES = ['saved_search_matches', 'favorite_unavailable', 'application_status', 'application_reminder'];
+// Texto de cada estado de oferta o etapa de postulación en los mensajes.
+const JOB_STATUS_LABELS = { expired: 'venció', closed: 'se cerró' };
+const APPLICATION_STAGE_LABELS = {
+    applied: 'Postulado',
+    screening: 'En revisión',
+    interview: 'Entrevistas',
+    offer: 'Oferta',
+    rejected: 'Rechazado',
+    withdrawn: 'Retirado',
+};
+// Títulos de ofertas que se citan en el aviso de una búsqueda guardada.
+const MAX_JOBS_IN_MESSAGE = 3;
+
+/**
+ * Ruta del cliente que repite una búsqueda guardada, ordenada por fecha (ej. '/home?keyword=react&country=co').
+ * @param {Object} savedSearch - `keyword`, `countries` y `filters`.
+ * @returns {string}
+ */
+function buildSearchLink(savedSearch) {
+    const params = new URLSearchParams({ keyword: savedSearch.keyword, country: savedSearch.countries.join(','), sort: 'date' });
+    for (const [key, value] of Object.entries(savedSearch.filters || {})) {
+        params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    return `/home?${params.toString()}`;
+}
+
+/**
+ * Crea notificaciones, las envía en tiempo real a los usuarios conectados (evento 'notification') y como
+ * notificación push a quienes la tienen activada. Nunca lanza: un fallo aquí no debe interrumpir el proceso
+ * que generó el evento (el resumen de búsquedas, el barrido de ofertas o el seguimiento de postulaciones).
+ * @param {Array<Object>} notifications - `{ userId, type, title, message, link, data }`.
+ * @returns {Promise<Array<Object>>} Las notificaciones creadas (vacío si falló).
+ */
+async function createNotifications(notifications) {
+    if (notifications.length === 0) return [];
+    try {
+        const created = await Notification.bulkCreate(notifications);
+        created.forEach(notification => realtimeService.publish(notification.userId, 'notification', notification.toJSON()));
+        await pushService.sendNotifications(created);
+        return created;
+    } catch (error) {
+        logWarn(`[NOTIFICATIONS] No se pudieron crear ${notifications.length} notificaciones:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Avisa de las ofertas nuevas de las búsquedas guardadas de un usuario (una notificación por búsqueda).
+ * @param {string} userId
+ * @param {Array<{savedSearch: Object, jobs: Array<Object>, total: number}>} sections - Búsquedas con ofertas nuevas
+ * (el mismo formato que el resumen por email).
+ * @returns {Promise<Array<Object>>}
+ */
+async function notifySavedSearchMatches(userId, sections) {
+    return createNotifications(sections.map(({ savedSearch, jobs, total }) => {
+        const titles = jobs.slice(0, MAX_JOBS_IN_MESSAGE).map(job => job.title);
+        const more = total - titles.length;
+        return {
+            userId,
+            type: 'saved_search_matches',
+            title: total === 1 ? `1 oferta nueva para "${savedSearch.keyword}"` : `${total} ofertas nuevas para "${savedSearch.keyword}"`,
+            message: `${titles.join(', ')}${more > 0 ? ` y ${more} más` : ''}.`,
+            link: buildSearchLink(savedSearch),
+            data: { savedSearchId: savedSearch.id, jobIds: jobs.map(job => job.id), total },
+        };
+    }));
+}
+
+/**
+ * Avisa a quienes tienen como favorita una oferta que venció o se cerró. Cada usuario recibe un solo aviso por
+ * oferta y estado, aunque la oferta vuelva a publicarse y a vencer.
+ * @param {Array<string>} jobIds - Ofertas que cambiaron de estado.
+ * @param {string} status - Nuevo estado ('expired' o 'closed').
+ * @returns {Promise<Array<Object>>}
+ */
+async function notifyFavoritesUnavailable(jobIds, status) {
+    if (jobIds.length === 0 || !JOB_STATUS_LABELS[status]) return [];
+    try {
+        const favorites = await FavoriteJob.findAll({
+            where: { jobId: { [Op.in]: jobIds } },
+            attributes: ['userId', 'jobId'],
+            include: [{ model: Job, attributes: ['id', 'title', 'companyName'] }],
+        });
+        if (favorites.length === 0) return [];
+
+        const notified = await Notification.findAll({
+            where: {
+                type: 'favorite_unavailable',
+                userId: { [Op.in]: [...new Set(favorites.map(favorite => favorite.userId))] },
+                data: { jobId: { [Op.in]: jobIds }, status },
+            },
+            attributes: ['userId', 'data'],
+        });
+        const notifiedKeys = new Set(notified.map(notification => `${notification.userId}|${notification.data.jobId}`));
+        const pending = favorites.filter(favorite => !notifiedKeys.has(`${favorite.userId}|${favorite.jobId}`));
+
+        const created = await createNotifications(pending.map(({ userId, Job: job }) => ({
+            userId,
+            type: 'favorite_unavailable',
+            title: `Una oferta de tus favoritos ${JOB_STATUS_LABELS[status]}`,
+            message: [job.title, job.companyName].filter(Boolean).join(' · '),
+            link: `/jobs/${job.id}`,
+            data: { jobId: job.id, status },
+        })));
+        if (created.length > 0) {
+            logInfo(`[NOTIFICATIONS] ${created.length} avisos de favoritos que ya no están disponibles.`);
+        }
+        return created;
+    } catch (error) {
+        logWarn('[NOTIFICATIONS] No se pudieron avisar los favoritos no disponibles:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Avisa al usuario de que su postulación cambió de etapa (se llama al registrar el cambio en su línea de tiempo).
+ * @param {Object} application - Postulación con la nueva etapa y su `Job` (`title`, `companyName`) si está cargado.
+ * @param {Object} statusChange - Instancia de JobApplicationStatusChange (`fromStatus`, `toStatus`).
+ * @returns {Promise<Array<Object>>} Las notificaciones creadas (vacío si falló).
+ */
+async function notifyApplicationStatusChange(application, statusChange) {
+    try {
+        const job = application.Job || await Job.findByPk(application.jobId, { attributes: ['id', 'title', 'companyName'] });
+        const label = APPLICATION_STAGE_LABELS[statusChange.toStatus] || statusChange.toStatus;
+        return await createNotifications([{
+            userId: application.userId,
+            type: 'application_status',
+            title: `Tu postulación pasó a: ${label}`,
+            message: job ? [job.title, job.companyName].filter(Boolean).join(' · ') : null,
+            link: '/applied-jobs',
+            data: {
+                applicationId: application.id,
+                jobId: application.jobId,
+                fromStatus: statusChange.fromStatus,
+                toStatus: statusChange.toStatus,
+            },
+        }]);
+    } catch (error) {
+        logWarn(`[NOTIFICATIONS] No se pudo avisar el cambio de etapa de la postulación ${application.id}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Recuerda a cada usuario el próximo paso de sus postulaciones (una notificación por postulación).
+ * @param {Array<Object>} applications - Postulaciones con `nextStep`, `nextStepAt` y su `Job` (`title`, `companyName`).
+ * @returns {Promise<Array<Object>>} Las notificaciones creadas (vacío si falló).
+ */
+async function notifyNextStepReminders(applications) {
+    return createNotifications(applications.map(application => ({
+        userId: application.userId,
+        type: 'application_reminder',
+        title: application.nextStep ? `Próximo paso: ${application.nextStep}` : 'Próximo paso de tu postulación',
+        message: [application.Job?.title, application.Job?.companyName, formatDate(application.nextStepAt)].filter(Boolean).join(' · '),
+        link: '/applied-jobs',
+        data: { applicationId: application.id, jobId: application.jobId, nextStepAt: application.nextStepAt },
+    })));
+}
+
+/**
+ * Lista las notificaciones de un usuario, de la más reciente a la más antigua.
+ * @param {string} userId
+ * @param {Object} [options={}]
+ * @param {boolean} [options.unreadOnly=false] - Solo las no leídas.
+ * @param {number|string} [options.page]
+ * @param {number|string} [options.limit]
+ * @returns {Promise<{notifications: Array<Object>, total: number, unreadCount: number, page: number, totalPages: number}>}
+ */
+async function listNotifications(userId, { unreadOnly = false, page, limit } = {}) {
+    const pagination = parsePagination({ page, limit });
+    const where = { userId };
+    if (unreadOnly) where.readAt = null;
+
+    const [{ rows, count }, unreadCount] = await Promise.all([
+        Notification.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit: pagination.limit,
+            offset: pagination.offset,
+        }),
+        countUnread(userId),
+    ]);
+    return {
+        notifications: rows,
+        total: count,
+        unreadCount,
+        page: pagination.page,
+        totalPages: Math.ceil(count / pagination.limit),
+    };
+}
+
+/**
+ * Cuenta las notificaciones no leídas de un usuario.
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+function countUnread(userId) {
+    return Notification.count({ where: { userId, readAt: null } });
+}
+
+/**
+ * Marca como leídas todas las notificaciones pendientes de un usuario.
+ * @param {string} userId
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Notificaciones marcadas.
+ */
+async function markAllRead(userId, now = new Date()) {
+    const [updated] = await Notification.update({ readAt: now }, { where: { userId, readAt: null } });
+    return updated;
+}
+
+module.exports = {
+    TYPES,
+    buildSearchLink,
+    createNotifications,
+    notifySavedSearchMatches,
+    notifyFavoritesUnavailable,
+    notifyApplicationStatusChange,
+    notifyNextStepReminders,
+    listNotifications,
+    countUnread,
+    markAllRead,
+};
@@ -0,0 +1,121 @@
+// server/services/pageSnapshotService.js
+// Archivo comprimido de las páginas descargadas por el scraping, con retención configurable
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { Op } = require('sequelize');
+const { PageSnapshot } = require('../models');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// El archivo está activo salvo que se desactive explícitamente.
+const SNAPSHOTS_ENABLED = process.env.PAGE_SNAPSHOTS !== 'false';
+// Días que se conserva cada página antes de borrarla.
+const RETENTION_DAYS = parseInt(process.env.PAGE_SNAPSHOT_RETENTION_DAYS, 10) || 14;
+// Cada cuánto se borran las páginas antiguas.
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let pruneTimer = null;
+
+/**
+ * Comprime un HTML para guardarlo.
+ * @param {string} html
+ * @returns {Promise<Buffer>}
+ */
+async function compressHtml(html) {
+    return gzip(Buffer.from(html, 'utf8'));
+}
+
+/**
+ * Descomprime el HTML de una página archivada.
+ * @param {Buffer} content - Columna `content` de PageSnapshot.
+ * @returns {Promise<string>}
+ */
+async function decompressHtml(content) {
+    return (await gunzip(content)).toString('utf8');
+}
+
+/**
+ * Archiva una página descargada. Nunca lanza: un fallo al archivar no debe interrumpir el scraping.
+ * @param {Object} page
+ * @param {string} page.url - URL descargada.
+ * @param {string} page.html - HTML de la respuesta.
+ * @param {string} [page.sourceName] - Fuente de la página (ej. 'Computrabajo').
+ * @param {string} [page.kind] - 'search' o 'detail'.
+ * @param {string} [page.country] - Código de país de la búsqueda.
+ * @param {string} [page.keyword] - Palabra clave de la búsqueda.
+ * @returns {Promise<Object|null>} La página archivada, o null si el archivo está desactivado o falló.
+ */
+exports.saveSnapshot = async ({ url, html, sourceName = null, kind = null, country = null, keyword = null }) => {
+    if (!SNAPSHOTS_ENABLED || !html) return null;
+    try {
+        return await PageSnapshot.create({
+            url,
+            sourceName,
+            kind,
+            country,
+            keyword,
+            content: await compressHtml(html),
+            contentLength: Buffer.byteLength(html, 'utf8'),
+        });
+    } catch (error) {
+        logWarn(`[SNAPSHOTS] No se pudo archivar ${url}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Borra las páginas archivadas hace más de `retentionDays` días.
+ * @param {Object} [options={}]
+ * @param {number} [options.retentionDays=RETENTION_DAYS]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<number>} Número de páginas borradas.
+ */
+exports.pruneSnapshots = async ({ retentionDays = RETENTION_DAYS, now = new Date() } = {}) => {
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    const deleted = await PageSnapshot.destroy({ where: { fetchedAt: { [Op.lt]: cutoff } } });
+    if (deleted > 0) {
+        logInfo(`[SNAPSHOTS] ${deleted} páginas archivadas hace más de ${retentionDays} días eliminadas.`);
+    }
+    return deleted;
+};
+
+/**
+ * Borra las páginas antiguas. Los errores solo se registran.
+ */
+async function runPrune() {
+    try {
+        await exports.pruneSnapshots();
+    } catch (error) {
+        logWarn('[SNAPSHOTS] Error al borrar las páginas archivadas antiguas:', error);
+    }
+}
+
+/**
+ * Inicia la limpieza periódica del archivo, cada `PRUNE_INTERVAL_MS`.
+ */
+function startSnapshotPruner() {
+    if (!SNAPSHOTS_ENABLED) {
+        logInfo('[SNAPSHOTS] Archivo de páginas desactivado (PAGE_SNAPSHOTS).');
+        return;
+    }
+    if (pruneTimer) return;
+    pruneTimer = setInterval(runPrune, PRUNE_INTERVAL_MS);
+    logInfo(`[SNAPSHOTS] Archivo de páginas activo (se conservan ${RETENTION_DAYS} días).`);
+}
+
+/**
+ * Detiene la limpieza periódica del archivo.
+ */
+function stopSnapshotPruner() {
+    if (pruneTimer) {
+        clearInterval(pruneTimer);
+        pruneTimer = null;
+    }
+}
+
+exports.compressHtml = compressHtml;
+exports.decompressHtml = decompressHtml;
+exports.startSnapshotPruner = startSnapshotPruner;
+exports.stopSnapshotPruner = stopSnapshotPruner;
@@ -0,0 +1,281 @@
+// server/services/pushService.js
+// Notificaciones Web Push (VAPID): suscripciones de los navegadores y envío de las notificaciones de la aplicación
+const { Op } = require('sequelize');
+const webpush = require('web-push');
+const { PushSubscription, User } = require('../models');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Tiempo que el servicio de push guarda un mensaje si el navegador está desconectado.
+const PUSH_TTL_SECONDS = parseInt(process.env.PUSH_TTL_SECONDS, 10) || 24 * 60 * 60;
+// Tiempo máximo de espera de cada envío.
+const PUSH_TIMEOUT_MS = parseInt(process.env.PUSH_TIMEOUT_MS, 10) || 10000;
+// Suscripciones que puede tener cada usuario (una por navegador); al superarse se borran las más antiguas.
+const MAX_PUSH_SUBSCRIPTIONS = parseInt(process.env.MAX_PUSH_SUBSCRIPTIONS, 10) || 10;
+// Respuestas del servicio de push que indican que la suscripción ya no existe.
+const GONE_STATUS_CODES = [404, 410];
+
+// Claves VAPID con las que el servidor firma cada envío (se generan con `npx web-push generate-vapid-keys`).
+let vapidDetails = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+    ? {
+        subject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+    }
+    : null;
+
+/**
+ * Indica si hay claves VAPID configuradas. Sin ellas no se aceptan suscripciones ni se envía nada.
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return vapidDetails !== null;
+}
+
+/**
+ * Clave pública VAPID, que el navegador necesita para suscribirse (`applicationServerKey`).
+ * @returns {string|null}
+ */
+function getPublicKey() {
+    return vapidDetails?.publicKey || null;
+}
+
+/**
+ * Reemplaza las claves VAPID en uso (por ejemplo, unas generadas para pruebas). Con null desactiva el envío.
+ * @param {{subject: string, publicKey: string, privateKey: string}|null} details
+ */
+function setVapidDetails(details) {
+    vapidDetails = details;
+}
+
+/**
+ * Indica si el usuario quiere recibir notificaciones push. La preferencia de la página de configuración
+ * (`settings.notifications.push`) tiene prioridad sobre `settings.pushNotifications`, que está desactivada
+ * por defecto.
+ * @param {Object} user - Usuario con `settings` e `isDisabled`.
+ * @returns {boolean}
+ */
+function acceptsPush(user) {
+    const settings = user?.settings || {};
+    return Boolean(user) && !user.isDisabled && (settings.notifications?.push ?? settings.pushNotifications) === true;
+}
+
+/**
+ * Indica si un texto es una clave en base64url que ocupa el número de bytes indicado.
+ * @param {*} value
+ * @param {number} length
+ * @returns {boolean}
+ */
+function isBase64UrlKey(value, length) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]+={0,2}$/.test(value) && Buffer.from(value, 'base64url').length === length;
+}
+
+/**
+ * Valida una suscripción recibida del navegador (el resultado de `PushSubscription.toJSON()`).
+ * En producción el servicio de push debe usar HTTPS; en desarrollo también se admite HTTP, para probar
+ * contra un servicio de push local (ver scripts/mockPushService.js).
+ * @param {Object} body - `{ endpoint, expirationTime, keys: { p256dh, auth } }`.
+ * @returns {{values: Object|null, error: string|null}} `{ endpoint, p256dh, auth, expirationTime }`.
+ */
+function parseSubscriptionInput(body = {}) {
+    const { endpoint, expirationTime, keys } = body || {};
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return { values: null, error: 'Se requiere el endpoint de la suscripción.' };
+    }
+    if (process.env.NODE_ENV === 'production' ? url.protocol !== 'https:' : !['https:', 'http:'].includes(url.protocol)) {
+        return { values: null, error: 'El endpoint de la suscripción debe ser una URL HTTPS.' };
+    }
+    // p256dh: punto público P-256 sin comprimir (65 bytes); auth: secreto de 16 bytes.
+    if (!isBase64UrlKey(keys?.p256dh, 65) || !isBase64UrlKey(keys?.auth, 16)) {
+        return { values: null, error: 'Las claves de la suscripción (keys.p256dh y keys.auth) no son válidas.' };
+    }
+    if (expirationTime !== undefined && expirationTime !== null && Number.isNaN(new Date(expirationTime).getTime())) {
+        return { values: null, error: 'expirationTime no es una fecha válida.' };
+    }
+    return {
+        values: {
+            endpoint: url.href,
+            p256dh: keys.p256dh,
+            auth: keys.auth,
+            expirationTime: expirationTime ? new Date(expirationTime) : null,
+        },
+        error: null,
+    };
+}
+
+/**
+ * Guarda la suscripción de un navegador. Si el endpoint ya estaba registrado (el mismo navegador, quizá con
+ * otra cuenta), se actualiza y pasa al usuario indicado.
+ * @param {string} userId
+ * @param {Object} values - Resultado de `parseSubscriptionInput`.
+ * @param {Object} [options={}]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<{subscription: Object, created: boolean}>}
+ */
+async function saveSubscription(userId, values, { userAgent = null } = {}) {
+    const fields = { ...values, userId, userAgent: userAgent ? userAgent.slice(0, 255) : null };
+    let subscription = await PushSubscription.findOne({ where: { endpoint: values.endpoint } });
+    const created = !subscription;
+    if (subscription) {
+        await subscription.update(fields);
+    } else {
+        subscription = await PushSubscription.create(fields);
+    }
+
+    // Conserva solo las más recientes del usuario
+    const stale = await PushSubscription.findAll({
+        where: { userId },
+        attributes: ['id'],
+        order: [['updatedAt', 'DESC']],
+        offset: MAX_PUSH_SUBSCRIPTIONS,
+    });
+    if (stale.length > 0) {
+        await PushSubscription.destroy({ where: { id: { [Op.in]: stale.map(row => row.id) } } });
+    }
+    return { subscription, created };
+}
+
+/**
+ * Borra la suscripción de un navegador del usuario.
+ * @param {string} userId
+ * @param {string} endpoint
+ * @returns {Promise<boolean>} false si el usuario no tenía esa suscripción.
+ */
+async function removeSubscription(userId, endpoint) {
+    const removed = await PushSubscription.destroy({ where: { userId, endpoint: String(endpoint) } });
+    return removed > 0;
+}
+
+/**
+ * Contenido que recibe el service worker del cliente (client/public/sw.js) para mostrar la notificación.
+ * @param {Object} notification - `{ id, type, title, message, link }`.
+ * @returns {string} JSON.
+ */
+function buildPayload(notification) {
+    return JSON.stringify({
+        notificationId: notification.id || null,
+        type: notification.type,
+        title: notification.title,
+        body: notification.message || '',
+        url: notification.link || '/notifications',
+    });
+}
+
+/**
+ * Cifra y firma un mensaje con web-push y lo envía al servicio de push del navegador.
+ * El envío se hace con `fetch` (web-push solo admite HTTPS), lo que permite probar contra un servicio local.
+ * @param {Object} subscription - Instancia de PushSubscription.
+ * @param {string} payload
+ * @returns {Promise<number>} El código de estado HTTP de la respuesta.
+ * @throws {Error} Si el servicio de push rechaza el mensaje (`error.statusCode`) o no responde.
+ */
+async function sendToSubscription(subscription, payload) {
+    const { endpoint, method, headers, body } = webpush.generateRequestDetails(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        payload,
+        { vapidDetails, TTL: PUSH_TTL_SECONDS },
+    );
+    const response = await fetch(endpoint, { method, headers, body, signal: AbortSignal.timeout(PUSH_TIMEOUT_MS) });
+    if (!response.ok) {
+        const error = new Error(`El servicio de push respondió ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        error.statusCode = response.status;
+        throw error;
+    }
+    return response.status;
+}
+
+/**
+ * Envía cada mensaje a todas las suscripciones de su usuario. Las suscripciones que el servicio de push da
+ * por eliminadas (404 o 410) se borran; los demás fallos solo se registran.
+ * @param {Array<{userId: string, payload: string}>} messages
+ * @returns {Promise<{sent: number, failed: number, removed: number}>}
+ */
+async function deliver(messages) {
+    const summary = { sent: 0, failed: 0, removed: 0 };
+    const userIds = [...new Set(messages.map(message => message.userId))];
+    const subscriptions = await PushSubscription.findAll({ where: { userId: { [Op.in]: userIds } } });
+
+    const gone = new Set();
+    const delivered = new Set();
+    await Promise.all(messages.flatMap(({ userId, payload }) => subscriptions
+        .filter(subscription => subscription.userId === userId)
+        .map(async (subscription) => {
+            try {
+                await sendToSubscription(subscription, payload);
+                delivered.add(subscription.id);
+                summary.sent++;
+            } catch (error) {
+                if (GONE_STATUS_CODES.includes(error.statusCode)) {
+                    gone.add(subscription.id);
+                } else {
+                    logWarn(`[PUSH] No se pudo enviar a la suscripción ${subscription.id}:`, error.message);
+                    summary.failed++;
+                }
+            }
+        })));
+
+    if (gone.size > 0) {
+        summary.removed = await PushSubscription.destroy({ where: { id: { [Op.in]: [...gone] } } });
+        logInfo(`[PUSH] ${summary.removed} suscripciones vencidas eliminadas.`);
+    }
+    if (delivered.size > 0) {
+        await PushSubscription.update({ lastSuccessAt: new Date() }, { where: { id: { [Op.in]: [...delivered] } } });
+    }
+    return summary;
+}
+
+/**
+ * Envía como notificación push las notificaciones de la aplicación, solo a los usuarios que lo aceptan
+ * (`acceptsPush`). Nunca lanza: un fallo aquí no debe interrumpir el proceso que generó el evento.
+ * @param {Array<Object>} notifications - Notificaciones ya creadas (`{ id, userId, type, title, message, link }`).
+ * @returns {Promise<{sent: number, failed: number, removed: number}>}
+ */
+async function sendNotifications(notifications) {
+    if (!isConfigured() || notifications.length === 0) return { sent: 0, failed: 0, removed: 0 };
+    try {
+        const userIds = [...new Set(notifications.map(notification => notification.userId))];
+        const users = await User.findAll({ where: { id: { [Op.in]: userIds } }, attributes: ['id', 'settings', 'isDisabled'] });
+        const recipients = new Set(users.filter(acceptsPush).map(user => user.id));
+        const messages = notifications
+            .filter(notification => recipients.has(notification.userId))
+            .map(notification => ({ userId: notification.userId, payload: buildPayload(notification) }));
+        if (messages.length === 0) return { sent: 0, failed: 0, removed: 0 };
+        return await deliver(messages);
+    } catch (error) {
+        logWarn(`[PUSH] No se pudieron enviar ${notifications.length} notificaciones push:`, error.message);
+        return { sent: 0, failed: notifications.length, removed: 0 };
+    }
+}
+
+/**
+ * Envía una notificación de prueba a los navegadores suscritos de un usuario, aunque tenga las
+ * notificaciones push desactivadas (la pide el propio usuario).
+ * @param {string} userId
+ * @returns {Promise<{sent: number, failed: number, removed: number}>}
+ */
+async function sendTestNotification(userId) {
+    return deliver([{
+        userId,
+        payload: buildPayload({
+            type: 'test',
+            title: 'Notificaciones push activadas',
+            message: 'Así verás los avisos de tus búsquedas guardadas y de tus favoritos.',
+            link: '/notifications',
+        }),
+    }]);
+}
+
+module.exports = {
+    isConfigured,
+    getPublicKey,
+    setVapidDetails,
+    acceptsPush,
+    parseSubscriptionInput,
+    saveSubscription,
+    removeSubscription,
+    buildPayload,
+    sendNotifications,
+    sendTestNotification,
+};
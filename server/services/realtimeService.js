@@ -0,0 +1,133 @@
+// server/services/realtimeService.js
+// Canal de eventos en tiempo real (Server-Sent Events) hacia los usuarios conectados
+
+// Cada cuánto se envía un comentario a cada conexión para que proxies y navegadores no la cierren por inactividad.
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.REALTIME_HEARTBEAT_MS, 10) || 25000;
+// Milisegundos que el navegador espera antes de reconectar si se corta la conexión.
+const CLIENT_RETRY_MS = 5000;
+// Conexiones abiertas que puede tener un usuario a la vez (una por pestaña); al superarlo se cierra la más antigua.
+const MAX_CONNECTIONS_PER_USER = parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER, 10) || 5;
+
+// Conexiones abiertas en este proceso: userId -> Set de respuestas HTTP.
+const connections = new Map();
+// Usuarios que siguen cada tarea de scraping, además de quien la encoló: taskId -> Set de userId.
+const taskWatchers = new Map();
+
+let heartbeatTimer = null;
+
+/**
+ * Escribe un evento en una conexión con el formato de Server-Sent Events.
+ * @param {Object} res - Respuesta HTTP abierta.
+ * @param {string} event - Nombre del evento (ej. 'notification').
+ * @param {Object} data - Datos del evento (se envían como JSON).
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Envía un comentario a todas las conexiones abiertas. Se ejecuta cada `HEARTBEAT_INTERVAL_MS` mientras haya alguna.
+ */
+function heartbeat() {
+    for (const userConnections of connections.values()) {
+        userConnections.forEach(res => res.write(': ping\n\n'));
+    }
+}
+
+/**
+ * Convierte la respuesta en un flujo de eventos para el usuario autenticado y la mantiene abierta hasta que
+ * el cliente se desconecta. Envía un primer evento 'connected'.
+ * @param {Object} req - Petición HTTP (con `req.user` ya verificado).
+ * @param {Object} res - Respuesta HTTP.
+ */
+function openStream(req, res) {
+    const userId = req.user.id;
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Evita que nginx acumule los eventos antes de enviarlos
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    if (!connections.has(userId)) connections.set(userId, new Set());
+    const userConnections = connections.get(userId);
+    if (userConnections.size >= MAX_CONNECTIONS_PER_USER) {
+        const oldest = userConnections.values().next().value;
+        userConnections.delete(oldest);
+        oldest.end();
+    }
+    userConnections.add(res);
+    if (!heartbeatTimer) {
+        heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+    }
+
+    req.on('close', () => {
+        userConnections.delete(res);
+        if (userConnections.size === 0) connections.delete(userId);
+        if (connections.size === 0 && heartbeatTimer) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+    });
+
+    writeEvent(res, 'connected', { userId });
+}
+
+/**
+ * Envía un evento a todas las conexiones abiertas de un usuario. Si no está conectado, el evento se descarta
+ * (lo que debe persistir, como las notificaciones, ya está guardado en la base de datos).
+ * @param {string} userId
+ * @param {string} event - Nombre del evento.
+ * @param {Object} data
+ * @returns {number} Conexiones a las que se envió.
+ */
+function publish(userId, event, data) {
+    const userConnections = connections.get(userId);
+    if (!userConnections) return 0;
+    userConnections.forEach(res => writeEvent(res, event, data));
+    return userConnections.size;
+}
+
+/**
+ * Registra que un usuario sigue una tarea de scraping (ej. porque su búsqueda reutilizó la tarea de otro).
+ * @param {string} taskId
+ * @param {string} userId
+ */
+function watchTask(taskId, userId) {
+    if (!taskWatchers.has(taskId)) taskWatchers.set(taskId, new Set());
+    taskWatchers.get(taskId).add(userId);
+}
+
+/**
+ * Envía un evento de una tarea de scraping a quien la encoló y a quienes la siguen.
+ * @param {Object} task - Tarea con `id` y `requestedBy`.
+ * @param {string} event - Nombre del evento.
+ * @param {Object} data
+ * @param {Object} [options={}]
+ * @param {boolean} [options.final=false] - Si es el último evento de la tarea: deja de registrar sus seguidores.
+ */
+function publishTaskEvent(task, event, data, { final = false } = {}) {
+    const userIds = new Set(taskWatchers.get(task.id));
+    if (task.requestedBy) userIds.add(task.requestedBy);
+    userIds.forEach(userId => publish(userId, event, { taskId: task.id, ...data }));
+    if (final) taskWatchers.delete(task.id);
+}
+
+/**
+ * Número de conexiones abiertas de un usuario.
+ * @param {string} userId
+ * @returns {number}
+ */
+function countConnections(userId) {
+    return connections.get(userId)?.size || 0;
+}
+
+module.exports = {
+    openStream,
+    publish,
+    watchTask,
+    publishTaskEvent,
+    countConnections,
+};
@@ -0,0 +1,410 @@
+// server/services/savedSearchService.js
+// Búsquedas guardadas: validación, ofertas nuevas que coinciden y resumen periódico por email y en la aplicación
+const { Op } = require('sequelize');
+const { Job, SavedSearch, User } = require('../models');
+const sourceRegistry = require('./sourceRegistry');
+const mailService = require('./mailService');
+const currencyService = require('./currencyService');
+const notificationService = require('./notificationService');
+const { normalizeSearch } = require('./schedulerService');
+const { buildKeywordSearch, parseSearchFilters, buildFilterConditions, buildVisibilityConditions } = require('./jobSearchService');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+const FREQUENCIES = ['daily', 'weekly', 'never'];
+// Tiempo mínimo entre dos resúmenes de una búsqueda, según su frecuencia.
+const FREQUENCY_INTERVALS_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// Filtros de la búsqueda que se guardan. `postedWithinDays` e `includeInactive` no aplican: el resumen
+// solo incluye ofertas activas registradas desde el anterior.
+const SAVED_FILTER_KEYS = ['modality', 'experience', 'sourceName', 'salaryMin', 'salaryMax'];
+// Búsquedas guardadas que puede tener cada usuario.
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES, 10) || 20;
+// Ofertas que se listan por búsqueda en el email (el total sí se indica).
+const MAX_JOBS_PER_SEARCH = 10;
+// Cada cuánto se buscan las búsquedas con el resumen pendiente.
+const DIGEST_INTERVAL_MS = parseInt(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MS, 10) || 60 * 60 * 1000;
+// URL del cliente para los enlaces del email.
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+// Intentos de envío del email de un resumen antes de darlo por fallido, y espera antes del primer reintento
+// (se duplica en cada uno).
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.SAVED_SEARCH_EMAIL_MAX_ATTEMPTS, 10) || 3;
+const EMAIL_RETRY_DELAY_MS = 5000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let digestTimer = null;
+let digestInProgress = false; // Evita solapar ejecuciones si el envío tarda más que el intervalo
+
+/**
+ * Valida los filtros de una búsqueda guardada con las mismas reglas que GET /api/jobs/search y conserva
+ * solo los que tienen valor.
+ * @param {Object} [filters={}] - `{ modality, experience, sourceName, salaryMin, salaryMax }` (listas como
+ * array o como texto separado por comas).
+ * @returns {{filters: Object|null, error: string|null}}
+ */
+function parseSavedFilters(filters = {}) {
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+        return { filters: null, error: 'filters debe ser un objeto.' };
+    }
+    const query = {};
+    for (const key of SAVED_FILTER_KEYS) {
+        if (filters[key] !== undefined && filters[key] !== null) query[key] = filters[key];
+    }
+    const { filters: parsed, error } = parseSearchFilters(query);
+    if (error) return { filters: null, error };
+
+    const saved = {};
+    for (const key of SAVED_FILTER_KEYS) {
+        const value = parsed[key];
+        if (Array.isArray(value) ? value.length > 0 : value !== null) saved[key] = value;
+    }
+    return { filters: saved, error: null };
+}
+
+/**
+ * Valida los datos de una búsqueda guardada recibidos en el body.
+ * @param {Object} body - `{ keyword, countries, filters, frequency }`.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.partial=false] - Actualización: todos los campos son opcionales.
+ * @returns {{values: Object|null, error: string|null}} Los campos normalizados presentes en el body.
+ */
+function parseSavedSearchInput(body = {}, { partial = false } = {}) {
+    const { keyword, countries, filters, frequency } = body;
+    const values = {};
+
+    if (keyword !== undefined || !partial) {
+        if (typeof keyword !== 'string' || !keyword.trim()) {
+            return { values: null, error: 'Se requiere una palabra clave.' };
+        }
+    }
+    if (countries !== undefined || !partial) {
+        const list = Array.isArray(countries) ? countries.map(String) : String(countries || '').split(',');
+        const normalized = normalizeSearch(keyword || '', list).countries;
+        if (normalized.length === 0) {
+            return { values: null, error: 'Se requiere al menos un país.' };
+        }
+        const supportedCountries = sourceRegistry.getSupportedCountries();
+        const unsupported = normalized.filter(country => !supportedCountries.includes(country));
+        if (unsupported.length > 0) {
+            return { values: null, error: `Países no admitidos por ninguna fuente: ${unsupported.join(', ')}` };
+        }
+        values.countries = normalized;
+    }
+    if (keyword !== undefined) {
+        values.keyword = normalizeSearch(keyword, []).keyword;
+    }
+    if (filters !== undefined || !partial) {
+        const { filters: parsed, error } = parseSavedFilters(filters);
+        if (error) return { values: null, error };
+        values.filters = parsed;
+    }
+    if (frequency !== undefined) {
+        if (!FREQUENCIES.includes(frequency)) {
+            return { values: null, error: `Frecuencia no válida. Valores admitidos: ${FREQUENCIES.join(', ')}.` };
+        }
+        values.frequency = frequency;
+    }
+    if (partial && Object.keys(values).length === 0) {
+        return { values: null, error: 'No se indicaron cambios. Campos admitidos: keyword, countries, filters, frequency.' };
+    }
+    return { values, error: null };
+}
+
+/**
+ * Indica si dos búsquedas guardadas son la misma (palabra clave, países y filtros).
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameSearch(a, b) {
+    const canonicalFilters = filters => JSON.stringify(SAVED_FILTER_KEYS.map(key => (filters || {})[key] ?? null));
+    return a.keyword === b.keyword
+        && a.countries.join(',') === b.countries.join(',')
+        && canonicalFilters(a.filters) === canonicalFilters(b.filters);
+}
+
+/**
+ * Condición de las ofertas visibles que coinciden con una búsqueda guardada y se registraron en un intervalo.
+ * @param {Object} savedSearch - `keyword`, `countries` y `filters`.
+ * @param {Object} range
+ * @param {Date} range.since - Excluido.
+ * @param {Date} range.until - Incluido.
+ * @param {Object} [salary={}] - Tasas de cambio (`rates`) y moneda (`currency`) del filtro de salario
+ * (ver jobSearchService.buildFilterConditions).
+ * @returns {Object} Condición para `Job.findAndCountAll`.
+ */
+function buildMatchWhere(savedSearch, { since, until }, { rates, currency } = {}) {
+    const filters = {
+        modality: [],
+        experience: [],
+        sourceName: [],
+        postedWithinDays: null,
+        salaryMin: null,
+        salaryMax: null,
+        ...savedSearch.filters,
+    };
+    return {
+        [Op.and]: [
+            buildKeywordSearch(savedSearch.keyword).where,
+            ...buildVisibilityConditions(),
+            { country: { [Op.in]: savedSearch.countries } },
+            ...buildFilterConditions(filters, { rates, currency }),
+            { createdAt: { [Op.gt]: since, [Op.lte]: until } },
+        ],
+    };
+}
+
+/**
+ * Busca las ofertas que coinciden con una búsqueda guardada y se registraron en un intervalo, de la más
+ * reciente a la más antigua.
+ * @param {Object} savedSearch
+ * @param {Object} range - `{ since, until }` (ver `buildMatchWhere`).
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=MAX_JOBS_PER_SEARCH]
+ * @param {Object} [options.rates] - Tasas de cambio del filtro de salario.
+ * @param {string} [options.currency] - Moneda del filtro de salario.
+ * @returns {Promise<{jobs: Array<Object>, total: number}>}
+ */
+async function findNewMatches(savedSearch, range, { limit = MAX_JOBS_PER_SEARCH, rates, currency } = {}) {
+    const { count, rows } = await Job.findAndCountAll({
+        where: buildMatchWhere(savedSearch, range, { rates, currency }),
+        attributes: ['id', 'title', 'companyName', 'location', 'country', 'salary', 'modality', 'sourceName', 'createdAt'],
+        order: [['createdAt', 'DESC'], ['id', 'ASC']],
+        limit,
+    });
+    return { jobs: rows, total: count };
+}
+
+/**
+ * Escapa un texto para incluirlo en el HTML del email.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Describe una búsqueda guardada en una línea (ej. "react (CO, ES) · Remoto, salario 1000+ USD/mes").
+ * @param {Object} savedSearch
+ * @param {string} [currency] - Moneda del filtro de salario.
+ * @returns {string}
+ */
+function describeSearch(savedSearch, currency) {
+    const { modality = [], experience = [], sourceName = [], salaryMin, salaryMax } = savedSearch.filters || {};
+    const details = [...modality, ...experience, ...sourceName];
+    if (salaryMin !== undefined || salaryMax !== undefined) {
+        const range = `${salaryMin ?? 0}${salaryMax !== undefined ? `-${salaryMax}` : '+'}`;
+        details.push(`salario ${range}${currency ? ` ${currency}/mes` : ''}`);
+    }
+    return `${savedSearch.keyword} (${savedSearch.countries.join(', ').toUpperCase()})${details.length > 0 ? ` · ${details.join(', ')}` : ''}`;
+}
+
+/**
+ * Construye el email del resumen de un usuario.
+ * @param {Object} user - `username` y `email`.
+ * @param {Array<{savedSearch: Object, jobs: Array<Object>, total: number}>} sections - Búsquedas con ofertas nuevas.
+ * @param {Object} [options={}]
+ * @param {string} [options.frontendUrl=FRONTEND_URL]
+ * @param {string} [options.currency] - Moneda del filtro de salario de las búsquedas.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function buildDigestEmail(user, sections, { frontendUrl = FRONTEND_URL, currency } = {}) {
+    const total = sections.reduce((sum, section) => sum + section.total, 0);
+    const subject = total === 1 ? '1 oferta nueva para tus búsquedas guardadas' : `${total} ofertas nuevas para tus búsquedas guardadas`;
+    const greeting = `Hola${user.username ? ` ${user.username}` : ''},`;
+    const jobUrl = job => `${frontendUrl}/jobs/${job.id}`;
+    const jobLine = job => [job.title, job.companyName, job.location].filter(Boolean).join(' · ');
+    const moreLine = section => (section.total > section.jobs.length ? `y ${section.total - section.jobs.length} más` : null);
+    const footer = 'Recibes este email porque tienes búsquedas guardadas con alertas. Puedes cambiar su frecuencia o desactivar los emails en tu configuración.';
+
+    const text = [
+        greeting,
+        '',
+        'Estas son las ofertas nuevas que coinciden con tus búsquedas guardadas:',
+        ...sections.flatMap(section => [
+            '',
+            `${describeSearch(section.savedSearch, currency)}: ${section.total} nuevas`,
+            ...section.jobs.map(job => `- ${jobLine(job)}\n  ${jobUrl(job)}`),
+            ...(moreLine(section) ? [`  ${moreLine(section)}`] : []),
+        ]),
+        '',
+        footer,
+    ].join('\n');
+
+    const html = [
+        `<p>${escapeHtml(greeting)}</p>`,
+        '<p>Estas son las ofertas nuevas que coinciden con tus búsquedas guardadas:</p>',
+        ...sections.map(section => [
+            `<h3>${escapeHtml(describeSearch(section.savedSearch, currency))}: ${section.total} nuevas</h3>`,
+            '<ul>',
+            ...section.jobs.map(job => `<li><a href="${escapeHtml(jobUrl(job))}">${escapeHtml(job.title)}</a> ${escapeHtml([job.companyName, job.location].filter(Boolean).join(' · '))}</li>`),
+            '</ul>',
+            moreLine(section) ? `<p>${escapeHtml(moreLine(section))}</p>` : '',
+        ].join('')),
+        `<p style="color:#6c757d;font-size:12px">${escapeHtml(footer)}</p>`,
+    ].join('\n');
+
+    return { subject, text, html };
+}
+
+/**
+ * Indica si el usuario acepta emails: cuenta activa y sin desactivar los emails en su configuración
+ * (`settings.notifications.email`, el interruptor de la página de configuración, o el antiguo
+ * `settings.emailNotifications`).
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function acceptsEmail(user) {
+    const settings = user?.settings || {};
+    return Boolean(user) && !user.isDisabled && settings.emailNotifications !== false && settings.notifications?.email !== false;
+}
+
+/**
+ * Envía el email de un resumen, reintentándolo hasta `EMAIL_MAX_ATTEMPTS` veces con esperas crecientes.
+ * @param {Object} message - Parámetros de `mailService.sendMail`.
+ * @param {Object} [options={}]
+ * @param {Function} [options.sleep] - (ms) => Promise, para las esperas.
+ * @returns {Promise<Object>} La respuesta del transporte.
+ * @throws {Error} El error del último intento.
+ */
+async function sendDigestEmail(message, { sleep = delay } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await mailService.sendMail(message);
+        } catch (error) {
+            if (attempt >= EMAIL_MAX_ATTEMPTS) throw error;
+            logWarn(`[SAVED SEARCHES] Falló el intento ${attempt} de enviar el resumen a ${message.to}, se reintenta:`, error.message);
+            await sleep(EMAIL_RETRY_DELAY_MS * 2 ** (attempt - 1));
+        }
+    }
+}
+
+/**
+ * Envía el resumen de las búsquedas guardadas que lo tienen pendiente según su frecuencia: un email por
+ * usuario con las ofertas registradas desde el resumen anterior de cada búsqueda, y una notificación en la
+ * aplicación por cada búsqueda con ofertas nuevas (también a quien no acepta emails). Las búsquedas avanzan
+ * siempre su `lastNotifiedAt`: sin ofertas nuevas, con la cuenta desactivada o aunque el email falle tras
+ * todos sus intentos, ya que las ofertas quedaron avisadas en la aplicación y no se repiten en el siguiente.
+ * @param {Object} [options={}]
+ * @param {Date} [options.now=new Date()]
+ * @param {Function} [options.sleep] - (ms) => Promise, para las esperas entre reintentos del email.
+ * @returns {Promise<{searches: number, emailsSent: number, emailsFailed: number, skippedUsers: number, notificationsCreated: number}>}
+ */
+async function sendDigests({ now = new Date(), sleep = delay } = {}) {
+    const due = await SavedSearch.findAll({
+        where: {
+            [Op.or]: Object.entries(FREQUENCY_INTERVALS_MS).map(([frequency, interval]) => ({
+                frequency,
+                lastNotifiedAt: { [Op.lte]: new Date(now.getTime() - interval) },
+            })),
+        },
+        include: [{ model: User, attributes: ['id', 'username', 'email', 'settings', 'isDisabled'] }],
+        order: [['userId', 'ASC'], ['createdAt', 'ASC']],
+    });
+
+    const byUser = new Map();
+    for (const savedSearch of due) {
+        if (!byUser.has(savedSearch.userId)) byUser.set(savedSearch.userId, []);
+        byUser.get(savedSearch.userId).push(savedSearch);
+    }
+
+    const summary = { searches: due.length, emailsSent: 0, emailsFailed: 0, skippedUsers: 0, notificationsCreated: 0 };
+    // El filtro de salario de cada búsqueda se interpreta en la moneda preferida de su usuario
+    const rates = due.length > 0 ? await currencyService.getRates() : {};
+    for (const searches of byUser.values()) {
+        const user = searches[0].User;
+        const ids = searches.map(savedSearch => savedSearch.id);
+
+        if (!user || user.isDisabled) {
+            await SavedSearch.update({ lastNotifiedAt: now }, { where: { id: ids } });
+            summary.skippedUsers++;
+            continue;
+        }
+
+        const currency = currencyService.resolveCurrency(user.settings, rates);
+        const results = [];
+        for (const savedSearch of searches) {
+            const { jobs, total } = await findNewMatches(savedSearch, { since: savedSearch.lastNotifiedAt, until: now }, { rates, currency });
+            results.push({ savedSearch, jobs, total });
+        }
+
+        const sections = results.filter(result => result.total > 0);
+        if (!acceptsEmail(user)) {
+            summary.skippedUsers++;
+        } else if (sections.length > 0) {
+            try {
+                await sendDigestEmail({ to: user.email, ...buildDigestEmail(user, sections, { currency }) }, { sleep });
+                summary.emailsSent++;
+            } catch (error) {
+                logWarn(`[SAVED SEARCHES] No se pudo enviar el resumen a ${user.email} tras ${EMAIL_MAX_ATTEMPTS} intentos:`, error.message);
+                summary.emailsFailed++;
+            }
+        }
+        const notifications = await notificationService.notifySavedSearchMatches(user.id, sections);
+        summary.notificationsCreated += notifications.length;
+        for (const { savedSearch, total } of results) {
+            await savedSearch.update({ lastNotifiedAt: now, lastMatchCount: total });
+        }
+    }
+
+    if (due.length > 0) {
+        logInfo(`[SAVED SEARCHES] ${due.length} búsquedas revisadas: ${summary.emailsSent} resúmenes enviados, ${summary.emailsFailed} fallidos, ${summary.skippedUsers} usuarios sin emails y ${summary.notificationsCreated} notificaciones.`);
+    }
+    return summary;
+}
+
+/**
+ * Envía los resúmenes pendientes. Los errores solo se registran.
+ * @returns {Promise<Object|null>} El resumen de la ejecución, o null si ya había una en curso o falló.
+ */
+async function runDigest() {
+    if (digestInProgress) return null;
+    digestInProgress = true;
+
+    try {
+        return await sendDigests();
+    } catch (error) {
+        logWarn('[SAVED SEARCHES] Error al enviar los resúmenes de las búsquedas guardadas:', error);
+        return null;
+    } finally {
+        digestInProgress = false;
+    }
+}
+
+/**
+ * Inicia el envío periódico de los resúmenes, cada `DIGEST_INTERVAL_MS`.
+ */
+function startSavedSearchDigest() {
+    if (digestTimer) return;
+    digestTimer = setInterval(runDigest, DIGEST_INTERVAL_MS);
+    logInfo(`[SAVED SEARCHES] Resúmenes de búsquedas guardadas activos (revisión cada ${DIGEST_INTERVAL_MS / 1000}s, transporte de email: ${mailService.getTransport().name}).`);
+}
+
+/**
+ * Detiene el envío periódico de los resúmenes. Una ejecución en curso termina normalmente.
+ */
+function stopSavedSearchDigest() {
+    if (digestTimer) {
+        clearInterval(digestTimer);
+        digestTimer = null;
+    }
+}
+
+module.exports = {
+    FREQUENCIES,
+    MAX_SAVED_SEARCHES,
+    parseSavedFilters,
+    parseSavedSearchInput,
+    isSameSearch,
+    buildMatchWhere,
+    findNewMatches,
+    buildDigestEmail,
+    acceptsEmail,
+    sendDigests,
+    runDigest,
+    startSavedSearchDigest,
+    stopSavedSearchDigest,
+};
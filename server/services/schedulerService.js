@@ -0,0 +1,190 @@
+// server/services/schedulerService.js
+// Planificador de scrapings recurrentes para pares palabra clave/países populares
+const { Op } = require('sequelize');
+const { ScrapeSchedule } = require('../models');
+const scrapingService = require('./scrapingService');
+const { getNextRun } = require('../utils/cronExpression');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Cada cuánto se revisan las programaciones vencidas (por defecto, cada minuto).
+const TICK_INTERVAL_MS = parseInt(process.env.SCRAPE_SCHEDULER_TICK_MS, 10) || 60 * 1000;
+const DEFAULT_CRON_EXPRESSION = '0 */6 * * *';
+
+let tickTimer = null;
+let tickInProgress = false; // Evita solapar ejecuciones si un scraping tarda más que el intervalo
+
+/**
+ * Normaliza los datos de una búsqueda programada para que sean comparables entre sí.
+ * @param {string} keyword - Palabra clave.
+ * @param {string[]} countries - Códigos de país.
+ * @returns {{keyword: string, countries: string[]}}
+ */
+function normalizeSearch(keyword, countries) {
+    return {
+        keyword: keyword.trim().toLowerCase(),
+        countries: [...new Set(countries.map(c => c.trim().toLowerCase()).filter(Boolean))].sort(),
+    };
+}
+
+/**
+ * Interpreta la variable SCRAPE_SCHEDULES.
+ * Formato: entradas separadas por ';' con la forma `palabra clave|co,es|expresión cron`.
+ * La expresión cron es opcional (por defecto, cada 6 horas).
+ * Ejemplo: `desarrollador react|co,es|0 *\/6 * * *;data engineer|us`
+ * @param {string} [value=process.env.SCRAPE_SCHEDULES] - Valor de la variable.
+ * @returns {Array<{keyword: string, countries: string[], cronExpression: string}>}
+ */
+function parseSchedulesFromEnv(value = process.env.SCRAPE_SCHEDULES) {
+    if (!value) return [];
+
+    return value.split(';')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [keyword = '', countries = '', cronExpression] = entry.split('|');
+            return {
+                ...normalizeSearch(keyword, countries.split(',')),
+                cronExpression: (cronExpression || DEFAULT_CRON_EXPRESSION).trim(),
+            };
+        })
+        .filter(schedule => schedule.keyword && schedule.countries.length > 0);
+}
+
+/**
+ * Crea en la DB las programaciones declaradas en SCRAPE_SCHEDULES que todavía no existan.
+ * Las ya existentes no se modifican, para respetar los cambios hechos desde la API de administración.
+ */
+async function seedSchedulesFromEnv() {
+    for (const schedule of parseSchedulesFromEnv()) {
+        try {
+            const [, created] = await ScrapeSchedule.findOrCreate({
+                where: { keyword: schedule.keyword, countries: { [Op.eq]: schedule.countries } },
+                defaults: { ...schedule, nextRunAt: getNextRun(schedule.cronExpression) },
+            });
+            if (created) {
+                logInfo(`[SCHEDULER] Programación creada desde .env: "${schedule.keyword}" en [${schedule.countries.join(', ')}] (${schedule.cronExpression}).`);
+            }
+        } catch (error) {
+            logWarn(`[SCHEDULER] No se pudo crear la programación "${schedule.keyword}" desde .env: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Calcula los cambios que fijan la próxima ejecución de una programación. Si su expresión cron
+ * ya no tiene ejecuciones (ej. se guardó antes de validar fechas imposibles), la programación
+ * se pausa en lugar de quedar vencida y dispararse en cada revisión.
+ * @param {ScrapeSchedule} schedule - Programación.
+ * @returns {{nextRunAt: Date|null, active?: boolean, lastError?: string}}
+ */
+function scheduleNextRun(schedule) {
+    try {
+        return { nextRunAt: getNextRun(schedule.cronExpression) };
+    } catch (error) {
+        logWarn(`[SCHEDULER] Se pausa la programación ${schedule.id}: ${error.message}`);
+        return { nextRunAt: null, active: false, lastError: error.message };
+    }
+}
+
+/**
+ * Ejecuta el scraping de una programación y registra el resultado en ella.
+ * @param {ScrapeSchedule} schedule - Programación a ejecutar.
+ * @returns {Promise<ScrapeSchedule>} La programación actualizada.
+ */
+async function runSchedule(schedule) {
+    logInfo(`[SCHEDULER] Ejecutando programación ${schedule.id}: "${schedule.keyword}" en [${schedule.countries.join(', ')}].`);
+    const startedAt = new Date();
+    let result;
+
+    try {
+        const { created, updated } = await scrapingService.scrapeAndSave(schedule.keyword, schedule.countries);
+        result = {
+            lastStatus: 'success',
+            lastNewJobs: created,
+            lastUpdatedJobs: updated,
+            lastError: null,
+        };
+        logInfo(`[SCHEDULER] Programación ${schedule.id} completada: ${created} nuevos, ${updated} actualizados.`);
+    } catch (error) {
+        result = {
+            lastStatus: 'failed',
+            lastNewJobs: null,
+            lastUpdatedJobs: null,
+            lastError: error.message,
+            failureCount: schedule.failureCount + 1,
+        };
+        logWarn(`[SCHEDULER] La programación ${schedule.id} falló: ${error.message}`);
+    }
+
+    await schedule.update({
+        lastRunAt: startedAt,
+        totalRuns: schedule.totalRuns + 1,
+        ...result,
+        ...scheduleNextRun(schedule),
+    });
+    return schedule;
+}
+
+/**
+ * Ejecuta, una tras otra, todas las programaciones activas cuya próxima ejecución ya venció.
+ */
+async function runDueSchedules() {
+    if (tickInProgress) return;
+    tickInProgress = true;
+
+    try {
+        const dueSchedules = await ScrapeSchedule.findAll({
+            where: {
+                active: true,
+                nextRunAt: { [Op.lte]: new Date() },
+            },
+            order: [['nextRunAt', 'ASC']],
+        });
+
+        for (const schedule of dueSchedules) {
+            await runSchedule(schedule);
+        }
+    } catch (error) {
+        logWarn('[SCHEDULER] Error al revisar las programaciones vencidas:', error);
+    } finally {
+        tickInProgress = false;
+    }
+}
+
+/**
+ * Inicia el planificador: crea las programaciones declaradas en .env, calcula la próxima
+ * ejecución de las que no la tengan y revisa las vencidas cada `TICK_INTERVAL_MS`.
+ */
+async function startScheduler() {
+    if (tickTimer) return;
+
+    await seedSchedulesFromEnv();
+
+    const unscheduled = await ScrapeSchedule.findAll({ where: { active: true, nextRunAt: null } });
+    for (const schedule of unscheduled) {
+        await schedule.update(scheduleNextRun(schedule));
+    }
+
+    tickTimer = setInterval(runDueSchedules, TICK_INTERVAL_MS);
+    logInfo(`[SCHEDULER] Planificador de scraping iniciado (revisión cada ${TICK_INTERVAL_MS / 1000}s).`);
+}
+
+/**
+ * Detiene el planificador. Un scraping en curso termina su ejecución.
+ */
+function stopScheduler() {
+    if (tickTimer) {
+        clearInterval(tickTimer);
+        tickTimer = null;
+    }
+}
+
+module.exports = {
+    DEFAULT_CRON_EXPRESSION,
+    normalizeSearch,
+    parseSchedulesFromEnv,
+    runSchedule,
+    runDueSchedules,
+    startScheduler,
+    stopScheduler,
+};
@@ -0,0 +1,249 @@
+// server/services/scrapeQueueService.js
+// Cola persistente de tareas de scraping y workers que las procesan en segundo plano
+const { Op } = require('sequelize');
+const { sequelize, ScrapeTask } = require('../models');
+const scrapingService = require('./scrapingService');
+const realtimeService = require('./realtimeService');
+const { logInfo, logWarn } = require('../utils/helpers');
+
+// Configuración de la cola (desde .env, con valores por defecto razonables)
+const WORKER_COUNT = parseInt(process.env.SCRAPE_WORKERS, 10) || 1;
+const POLL_INTERVAL_MS = parseInt(process.env.SCRAPE_QUEUE_POLL_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.SCRAPE_TASK_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY_MS = 60 * 1000; // El primer reintento espera 1 minuto, luego 2, 4...
+// Una búsqueda ya raspada hace menos de este tiempo no vuelve a encolarse.
+const FRESHNESS_MINUTES = parseInt(process.env.SCRAPE_TASK_FRESHNESS_MINUTES, 10) || 60;
+// Una tarea 'running' que empezó hace más de este tiempo se da por interrumpida (su proceso se cayó o se
+// reinició) y vuelve a la cola. Debe superar lo que tarda la tarea más larga: las más recientes pueden
+// estar en curso en otro proceso.
+const TASK_TIMEOUT_MINUTES = parseInt(process.env.SCRAPE_TASK_TIMEOUT_MINUTES, 10) || 30;
+// Cada cuánto se buscan tareas interrumpidas mientras los workers están activos.
+const STALE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Estado de los workers de este proceso
+let workersRunning = false;
+const workerTimers = new Set();
+let staleCheckTimer = null;
+
+/**
+ * Normaliza la lista de países para que dos búsquedas equivalentes ("es,co" y "co,es")
+ * produzcan la misma tarea.
+ * @param {string[]} countries - Códigos de país.
+ * @returns {string[]} Códigos en minúsculas, sin duplicados y ordenados.
+ */
+function normalizeCountries(countries) {
+    return [...new Set(countries.map(c => c.trim().toLowerCase()).filter(Boolean))].sort();
+}
+
+/**
+ * Encola una tarea de scraping, reutilizando una existente si ya hay una equivalente
+ * pendiente, en curso o (salvo con `force`) completada recientemente.
+ * @param {string} keyword - Palabra clave a buscar.
+ * @param {string[]} countries - Códigos de país a raspar.
+ * @param {Object} [options={}]
+ * @param {string|null} [options.requestedBy] - ID del usuario que originó la búsqueda.
+ * @param {boolean} [options.force=false] - Encola la tarea aunque una equivalente se haya completado hace poco.
+ * @returns {Promise<ScrapeTask>} La tarea encolada o la tarea equivalente existente.
+ */
+exports.enqueueScrapeTask = async (keyword, countries, { requestedBy = null, force = false } = {}) => {
+    const normalizedKeyword = keyword.trim().toLowerCase();
+    const normalizedCountries = normalizeCountries(countries);
+    const freshSince = new Date(Date.now() - FRESHNESS_MINUTES * 60 * 1000);
+
+    const existingTask = await ScrapeTask.findOne({
+        where: {
+            keyword: normalizedKeyword,
+            countries: { [Op.eq]: normalizedCountries },
+            [Op.or]: [
+                { status: { [Op.in]: ['pending', 'running'] } },
+                ...(force ? [] : [{ status: 'completed', finishedAt: { [Op.gte]: freshSince } }]),
+            ],
+        },
+        order: [['createdAt', 'DESC']],
+    });
+
+    if (existingTask) {
+        logInfo(`[SCRAPE_QUEUE] Reutilizando tarea ${existingTask.id} (${existingTask.status}) para "${normalizedKeyword}" en [${normalizedCountries.join(', ')}].`);
+        return existingTask;
+    }
+
+    const task = await ScrapeTask.create({
+        keyword: normalizedKeyword,
+        countries: normalizedCountries,
+        maxAttempts: MAX_ATTEMPTS,
+        requestedBy,
+    });
+    logInfo(`[SCRAPE_QUEUE] Tarea ${task.id} encolada para "${normalizedKeyword}" en [${normalizedCountries.join(', ')}].`);
+    return task;
+};
+
+// Error que se registra en las tareas que se interrumpieron sin dejar reintentos.
+const INTERRUPTED_ERROR = 'La tarea se interrumpió (caída o reinicio del proceso) y agotó sus intentos.';
+
+/**
+ * Toma la siguiente tarea pendiente de forma atómica.
+ * `SKIP LOCKED` permite que varios workers (incluso en distintos procesos) consulten
+ * la cola a la vez sin tomar la misma tarea. Una tarea pendiente que ya agotó sus intentos
+ * se marca como 'failed' en lugar de ejecutarse otra vez.
+ * @returns {Promise<ScrapeTask|null>} La tarea marcada como 'running' o null si la cola está vacía.
+ */
+async function claimNextTask() {
+    return sequelize.transaction(async (transaction) => {
+        for (;;) {
+            const task = await ScrapeTask.findOne({
+                where: {
+                    status: 'pending',
+                    runAfter: { [Op.lte]: new Date() },
+                },
+                order: [['runAfter', 'ASC']],
+                lock: transaction.LOCK.UPDATE,
+                skipLocked: true,
+                transaction,
+            });
+
+            if (!task) return null;
+
+            if (task.attempts >= task.maxAttempts) {
+                await task.update({
+                    status: 'failed',
+                    lastError: task.lastError || INTERRUPTED_ERROR,
+                    finishedAt: new Date(),
+                }, { transaction });
+                logWarn(`[SCRAPE_QUEUE] Tarea ${task.id} descartada: agotó sus ${task.maxAttempts} intentos.`);
+                continue;
+            }
+
+            await task.update({
+                status: 'running',
+                attempts: task.attempts + 1,
+                startedAt: new Date(),
+                finishedAt: null,
+            }, { transaction });
+            return task;
+        }
+    });
+}
+
+/**
+ * Ejecuta una tarea ya tomada y registra el resultado.
+ * Si falla y le quedan intentos, vuelve a quedar pendiente con un retraso exponencial.
+ * Quien encoló la tarea y quienes la siguen (ver realtimeService) reciben su progreso en tiempo real: un
+ * evento 'scrape-progress' por cada fuente y país terminados y un 'scrape-status' al empezar y al acabar.
+ * @param {ScrapeTask} task - Tarea en estado 'running'.
+ */
+async function runTask(task) {
+    logInfo(`[SCRAPE_QUEUE] Ejecutando tarea ${task.id} (intento ${task.attempts}/${task.maxAttempts}).`);
+    realtimeService.publishTaskEvent(task, 'scrape-status', { status: 'running', attempt: task.attempts });
+    try {
+        const processedJobs = await scrapingService.performScraping(task.keyword, task.countries, {
+            onProgress: progress => realtimeService.publishTaskEvent(task, 'scrape-progress', { keyword: task.keyword, ...progress }),
+        });
+        await task.update({
+            status: 'completed',
+            jobsFound: processedJobs.length,
+            lastError: null,
+            finishedAt: new Date(),
+        });
+        realtimeService.publishTaskEvent(task, 'scrape-status', { status: 'completed', jobsFound: processedJobs.length }, { final: true });
+        logInfo(`[SCRAPE_QUEUE] Tarea ${task.id} completada con ${processedJobs.length} empleos.`);
+    } catch (error) {
+        const canRetry = task.attempts < task.maxAttempts;
+        const retryDelay = RETRY_BASE_DELAY_MS * 2 ** (task.attempts - 1);
+        await task.update({
+            status: canRetry ? 'pending' : 'failed',
+            lastError: error.message,
+            runAfter: canRetry ? new Date(Date.now() + retryDelay) : task.runAfter,
+            finishedAt: new Date(),
+        });
+        realtimeService.publishTaskEvent(task, 'scrape-status', { status: task.status, runAfter: canRetry ? task.runAfter : null }, { final: !canRetry });
+        logWarn(`[SCRAPE_QUEUE] Tarea ${task.id} falló (${error.message}). ${canRetry ? `Se reintentará en ${retryDelay / 1000}s.` : 'Sin más reintentos.'}`);
+    }
+}
+
+/**
+ * Bucle de un worker: procesa tareas mientras haya pendientes y, cuando la cola
+ * está vacía, vuelve a consultarla tras `POLL_INTERVAL_MS`.
+ * @param {number} workerId - Número del worker (solo para los logs).
+ */
+async function workerLoop(workerId) {
+    if (!workersRunning) return;
+
+    let nextDelay = POLL_INTERVAL_MS;
+    try {
+        const task = await claimNextTask();
+        if (task) {
+            await runTask(task);
+            nextDelay = 0; // Puede haber más tareas esperando
+        }
+    } catch (error) {
+        logWarn(`[SCRAPE_QUEUE] Error en el worker ${workerId}:`, error);
+    }
+
+    if (!workersRunning) return;
+    const timer = setTimeout(() => {
+        workerTimers.delete(timer);
+        workerLoop(workerId);
+    }, nextDelay);
+    workerTimers.add(timer);
+}
+
+/**
+ * Recupera las tareas 'running' que empezaron hace más de `TASK_TIMEOUT_MINUTES`: quedaron así por una caída
+ * o reinicio del servidor. Las que aún tienen intentos vuelven a 'pending'; las que ya los agotaron pasan a
+ * 'failed', para que una tarea que tumba el proceso (ej. Chrome sin memoria) no se repita indefinidamente.
+ * Las más recientes no se tocan, porque pueden pertenecer a otro proceso que sigue trabajando en ellas.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{requeued: number, failed: number}>} Tareas devueltas a la cola y descartadas.
+ */
+exports.requeueStaleTasks = async (now = new Date()) => {
+    const stale = {
+        status: 'running',
+        startedAt: { [Op.lt]: new Date(now.getTime() - TASK_TIMEOUT_MINUTES * 60 * 1000) },
+    };
+    const [failed] = await ScrapeTask.update(
+        { status: 'failed', lastError: INTERRUPTED_ERROR, finishedAt: now },
+        { where: { ...stale, attempts: { [Op.gte]: sequelize.col('maxAttempts') } } }
+    );
+    const [requeued] = await ScrapeTask.update(
+        { status: 'pending', startedAt: null },
+        { where: { ...stale, attempts: { [Op.lt]: sequelize.col('maxAttempts') } } }
+    );
+    if (requeued + failed > 0) {
+        logWarn(`[SCRAPE_QUEUE] Tareas interrumpidas: ${requeued} devueltas a la cola y ${failed} descartadas por agotar sus intentos.`);
+    }
+    return { requeued, failed };
+};
+
+/**
+ * Inicia los workers de la cola en este proceso.
+ * Antes de empezar, y después periódicamente, devuelve a la cola las tareas interrumpidas (ver requeueStaleTasks).
+ */
+exports.startScrapeWorkers = async () => {
+    if (workersRunning) return;
+
+    await exports.requeueStaleTasks();
+    staleCheckTimer = setInterval(() => {
+        exports.requeueStaleTasks().catch(error => logWarn('[SCRAPE_QUEUE] Error al buscar tareas interrumpidas:', error));
+    }, STALE_CHECK_INTERVAL_MS);
+
+    workersRunning = true;
+    for (let i = 1; i <= WORKER_COUNT; i++) {
+        workerLoop(i);
+    }
+    logInfo(`[SCRAPE_QUEUE] ${WORKER_COUNT} worker(s) de scraping iniciados (sondeo cada ${POLL_INTERVAL_MS} ms).`);
+};
+
+/**
+ * Detiene los workers de este proceso. Las tareas en curso terminan su ejecución.
+ */
+exports.stopScrapeWorkers = () => {
+    workersRunning = false;
+    workerTimers.forEach(timer => clearTimeout(timer));
+    workerTimers.clear();
+    if (staleCheckTimer) {
+        clearInterval(staleCheckTimer);
+        staleCheckTimer = null;
+    }
+};
+
+exports.claimNextTask = claimNextTask;
@@ -1,90 +1,45 @@
 // server/services/scrapingService.js
 // Contiene la lógica central del web scraping (Puppeteer/Cheerio)
-// Contiene la lógica central del web scraping (Puppeteer/Cheerio)
-const cheerio = require('cheerio') // Librería para analizar HTML (útil para scraping estático)
-const puppeteer = require('puppeteer-extra'); // Librería para automatización de navegadores (útil para scraping dinámico)
-const StealthPlugin = require('puppeteer-extra-plugin-stealth'); // Solo si usas puppeteer-extra
-puppeteer.use(StealthPlugin()); // Inicializa el plugin stealth (solo si usas puppeteer-extra)
+const browserPool = require('./browserPool'); // Navegador compartido con límite de páginas simultáneas
+const crawlPolicy = require('./crawlPolicy'); // robots.txt y ritmo de peticiones por dominio
 
 const { Job } = require('../models'); // Importa el modelo Job para guardar los datos escrapeados
 const { Op } = require('sequelize'); // Operadores de Sequelize para consultas de base de datos
 
 const jobProcessingService = require('./jobProcessingService'); // Se asegura que la ruta sea correcta
+const sourceRegistry = require('./sourceRegistry'); // Fuentes de empleo disponibles (Computrabajo, Monster, ...)
+const sourceHealthService = require('./sourceHealthService'); // Métricas de salud de cada fuente
+const jobDedupService = require('./jobDedupService'); // Agrupación de publicaciones duplicadas
+const jobLifecycleService = require('./jobLifecycleService'); // Estado de las ofertas (activa, vencida, cerrada)
+const pageSnapshotService = require('./pageSnapshotService'); // Archivo del HTML descargado
+const { DETAIL_FIELDS } = require('./sources/jobPostingSchema'); // Campos que completa la página de detalle
 
-/**
- * Retrasa la ejecución por un número dado de milisegundos.
- * Útil para evitar ser bloqueado por sitios web.
- * @param {number} ms - Milisegundos para esperar.
- */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-/**
- * Obtiene la ruta al ejecutable del navegador Chromium/Chrome.
- * Es crucial para `puppeteer-core`, ya que no descarga el navegador por sí mismo.
- * Asegúrate de que esta ruta sea correcta para tu sistema operativo y la instalación de Chrome.
- * Para entornos de producción (servidores), asegúrate de tener Chrome/Chromium instalado.
- * @returns {string} La ruta al ejecutable del navegador.
- */
-const getBrowserExecutablePath = () => {
-    // Ejemplos comunes de rutas para diferentes sistemas operativos.
-    // Es posible que necesites ajustar esto según tu instalación.
-    if (process.platform === 'win32') {
-        // Windows: Ruta por defecto de Chrome
-        return 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe';
-    } else if (process.platform === 'linux') {
-        // Linux: Rutas comunes para Chromium o Google Chrome
-        return '/usr/bin/google-chrome';
-        // return '/usr/bin/chromium-browser'; // Otra opción común en Linux
-    } else if (process.platform === 'darwin') {
-        // macOS: Ruta por defecto de Chrome
-        return '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
-    }
-    console.warn('Advertencia: No se encontró una ruta conocida para el ejecutable del navegador. Por favor, configura manualmente en getBrowserExecutablePath.');
-    return null;
-};
+// Tiempo máximo de espera a que una página de Puppeteer termine de cargar sus resultados tras el DOM.
+const PAGE_RENDER_TIMEOUT_MS = 5000;
 
 /**
  * Realiza el scraping de una URL usando Puppeteer.
  * Ideal para páginas web dinámicas que cargan contenido con JavaScript.
+ * Usa una página del pool compartido (ver browserPool), así varias descargas reutilizan el mismo navegador,
+ * y respeta robots.txt y el ritmo del dominio (ver crawlPolicy).
  * @param {string} url - La URL de la página a raspar.
  * @returns {Promise<string|null>} El HTML de la página o null si ocurre un error.
  */
 async function scrapeWithPuppeteer(url) {
-    let browser;
     try {
-        const executablePath = getBrowserExecutablePath();
-        if (!executablePath) {
-            console.error('ERROR: No se pudo encontrar el ejecutable del navegador para Puppeteer.');
-            return null;
-        }
-
-        browser = await puppeteer.launch({
-            executablePath: executablePath,
-            headless: true, // Ejecutar en modo headless (sin interfaz gráfica)
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-gpu',
-                '--disable-dev-shm-usage',
-                '--single-process'
-            ]
-        });
-        const page = await browser.newPage();
-
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 90000 }); // 90 segundos
-        await delay(2000); // Espera 2 segundos
-
-        const html = await page.content();
-        return html;
+        return await crawlPolicy.politeRequest(url, () => browserPool.withPage(async (page) => {
+            const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 90000 }); // 90 segundos
+            const status = response ? response.status() : 200;
+            if (status >= 400) {
+                return { status, retryAfter: response.headers()['retry-after'], result: null };
+            }
+            // Da tiempo a que el JavaScript de la página termine de cargar los resultados
+            await page.waitForNetworkIdle({ idleTime: 500, timeout: PAGE_RENDER_TIMEOUT_MS }).catch(() => {});
+            return { status, result: await page.content() };
+        }));
     } catch (error) {
-        console.error(`Error al raspar ${url} con Puppeteer:`, error);
+        console.error(`Error al raspar ${url} con Puppeteer:`, error.code === 'ROBOTS_DISALLOWED' ? error.message : error);
         return null;
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
     }
 }
 
@@ -95,17 +50,22 @@ async function scrapeWithPuppeteer(url) {
  * @returns {Promise<string|null>} El HTML de la página o null si ocurre un error.
  */
 async function scrapeWithCheerio(url) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), 20000); // 20 segundos de timeout para fetch
+    let id;
 
     try {
-        await delay(1500);
-
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            },
-            signal: controller.signal // Asocia el AbortController con la petición
+        // robots.txt, límite de peticiones del dominio y reintentos ante 429/503 (ver crawlPolicy)
+        const response = await crawlPolicy.politeRequest(url, async () => {
+            // El timeout cuenta desde cada intento, no desde la espera de turno del dominio
+            const controller = new AbortController();
+            clearTimeout(id);
+            id = setTimeout(() => controller.abort(), 20000); // 20 segundos de timeout para fetch
+            const attempt = await fetch(url, {
+                headers: {
+                    'User-Agent': crawlPolicy.USER_AGENT
+                },
+                signal: controller.signal // Asocia el AbortController con la petición
+            });
+            return { status: attempt.status, retryAfter: attempt.headers.get('retry-after'), result: attempt };
         });
         clearTimeout(id); // Limpia el timeout si la petición se completa antes
 
@@ -120,7 +80,7 @@ async function scrapeWithCheerio(url) {
         if (error.name === 'AbortError') {
             console.error(`Error al raspar ${url} con Cheerio: La petición excedió el tiempo límite (timeout). Esto puede indicar un bloqueo o un problema de red.`);
         } else {
-            console.error(`Error al raspar ${url} con Cheerio:`, error);
+            console.error(`Error al raspar ${url} con Cheerio:`, error.code === 'ROBOTS_DISALLOWED' ? error.message : error);
         }
         return null;
     } finally {
@@ -129,177 +89,164 @@ async function scrapeWithCheerio(url) {
 }
 
 /**
- * Raspa ofertas de empleo de Computrabajo.
+ * Descarga el HTML de una URL usando la estrategia declarada por la fuente y lo archiva
+ * (ver pageSnapshotService) para poder volver a parsearlo sin acceder a la fuente.
+ * @param {string} strategy - Estrategia de descarga ('puppeteer' o 'fetch').
+ * @param {string} url - La URL de la página a raspar.
+ * @param {Object} [context={}] - Datos con los que se archiva la página: `sourceName`, `kind` ('search' o 'detail'),
+ * `country` y `keyword`.
+ * @returns {Promise<string|null>} El HTML de la página o null si ocurre un error.
+ */
+async function fetchPage(strategy, url, context = {}) {
+    const html = strategy === 'fetch' ? await scrapeWithCheerio(url) : await scrapeWithPuppeteer(url);
+    if (html) {
+        await pageSnapshotService.saveSnapshot({ ...context, url, html });
+    }
+    return html;
+}
+
+exports.fetchPage = fetchPage;
+
+/**
+ * Raspa ofertas de empleo de una fuente registrada para un país y registra sus métricas de salud.
+ * @param {Object} source - Adaptador de la fuente (ver sourceRegistry).
  * @param {string} keyword - Palabra clave para la búsqueda.
  * @param {string} countryCode - Código de país (ej. 'co').
  * @returns {Promise<Array<Object>>} Una lista de objetos de empleo.
  */
-async function scrapeComputrabajo(keyword, countryCode) {
-    console.log(`Iniciando scraping de Computrabajo para "${keyword}" en "${countryCode}"...`);
-    let domain = 'www.computrabajo.com';
-    if (countryCode === 'co') domain = 'www.computrabajo.com.co';
-    else if (countryCode === 'es') domain = 'www.computrabajo.es';
-    else if (countryCode === 'mx') domain = 'www.computrabajo.com.mx';
-    else if (countryCode === 'pe') domain = 'www.computrabajo.com.pe';
-    else if (countryCode === 'ar') domain = 'www.computrabajo.com.ar';
-    else if (countryCode === 'cl') domain = 'www.computrabajo.cl';
-
-
-    const url = `https://${domain}/empleos-de-${encodeURIComponent(keyword)}?q=${encodeURIComponent(keyword)}`;
-    const html = await scrapeWithPuppeteer(url);
-
-    if (!html) {
-        console.warn('No se pudo obtener HTML de Computrabajo.');
-        return [];
+async function scrapeSource(source, keyword, countryCode) {
+    console.log(`Iniciando scraping de ${source.name} para "${keyword}" en "${countryCode}"...`);
+    const startedAt = Date.now();
+    const report = { skipped: 0, parseErrors: 0 };
+    const url = source.buildSearchUrl(keyword, countryCode);
+    const html = await fetchPage(source.fetchStrategy, url, { sourceName: source.name, kind: 'search', country: countryCode, keyword });
+
+    let jobs = [];
+    if (html) {
+        jobs = source.parse(html, { countryCode, report });
+        console.log(`${source.name} scraping finalizado. Encontrados ${jobs.length} empleos.`);
+    } else {
+        console.warn(`No se pudo obtener HTML de ${source.name}.`);
     }
 
-    const $ = cheerio.load(html);
-    const jobs = [];
-
-    $('.box_offer').each((i, el) => {
-        try {
-            const title = $(el).find('.js-o-link').text().trim();
-            const sourceUrlRelative = $(el).find('.js-o-link').attr('href');
-
-            if (!title || !sourceUrlRelative) {
-                console.warn(`Elemento de Computrabajo omitido: Título (${title ? 'presente' : 'ausente'}) o URL relativa (${sourceUrlRelative ? 'presente' : 'ausente'}) no encontrados para el elemento ${i}.`);
-                return; // Saltar este elemento si falta el título o la URL relativa
-            }
-
-            const company = $(el).find('.badge-tag').text().trim();
-            const location = $(el).find('.location').text().trim();
-            const description = $(el).find('.description').text().trim() || 'N/A';
-            const salary = $(el).find('.salary').text().trim() || 'N/A';
-            const postedDateText = $(el).find('.posted-date').text().trim();
-
-            let creationDate = null;
-            if (postedDateText) {
-                if (postedDateText.toLowerCase().includes('hoy')) {
-                    creationDate = new Date();
-                } else if (postedDateText.toLowerCase().includes('ayer')) {
-                    creationDate = new Date();
-                    creationDate.setDate(creationDate.getDate() - 1);
-                } else {
-                    const match = postedDateText.match(/(\d+) (día|días)/i);
-                    if (match) {
-                        const daysAgo = parseInt(match[1], 10);
-                        creationDate = new Date();
-                        creationDate.setDate(creationDate.getDate() - daysAgo);
-                    }
-                }
-            }
-
-            let fullSourceUrl = sourceUrlRelative;
-            if (!sourceUrlRelative.startsWith('http')) {
-                fullSourceUrl = `https://${domain}${sourceUrlRelative.startsWith('/') ? '' : '/'}${sourceUrlRelative}`;
-            }
-
-            jobs.push({
-                title,
-                company,
-                description,
-                salary,
-                experienceRequired: 'N/A',
-                requirements: 'N/A',
-                modality: 'N/A',
-                location,
-                creationDate,
-                deadlineDate: null,
-                sourceUrl: fullSourceUrl,
-                sourceName: 'Computrabajo',
-                country: countryCode,
-            });
-        } catch (parseError) {
-            console.error('Error al parsear un elemento de empleo de Computrabajo (inesperado en catch):', parseError.message);
-        }
+    await sourceHealthService.recordRun({
+        sourceId: source.id,
+        country: countryCode,
+        keyword,
+        itemsFound: jobs.length,
+        itemsSkipped: report.skipped,
+        parseErrors: report.parseErrors,
+        httpFailed: !html,
+        durationMs: Date.now() - startedAt,
     });
-    console.log(`Computrabajo scraping finalizado. Encontrados ${jobs.length} empleos.`);
+
     return jobs;
 }
 
 /**
- * Raspa ofertas de empleo de Monster (Estados Unidos).
- * @param {string} keyword - Palabra clave para la búsqueda.
- * @param {string} countryCode - Código de país (solo 'us' en este caso).
- * @returns {Promise<Array<Object>>} Una lista de objetos de empleo.
+ * Indica si una oferta ya pasó su fecha límite.
+ * @param {Date|string|null} deadlineDate
+ * @param {Date} now
+ * @returns {boolean}
  */
-async function scrapeMonster(keyword, countryCode) {
-    if (countryCode !== 'us') {
-        console.warn(`Monster.com se enfoca en 'us'. Saltando para ${countryCode}.`);
-        return [];
-    }
-    console.log(`Iniciando scraping de Monster para "${keyword}" en Estados Unidos...`);
-    const url = `https://www.monster.com/jobs/search?q=${encodeURIComponent(keyword)}&where=United%20States`;
-    const html = await scrapeWithPuppeteer(url);
-
-    if (!html) {
-        console.warn('No se pudo obtener HTML de Monster.');
-        return [];
-    }
+function isPastDeadline(deadlineDate, now) {
+    return Boolean(deadlineDate) && new Date(deadlineDate).getTime() < now.getTime();
+}
 
-    const $ = cheerio.load(html);
-    const jobs = [];
+/**
+ * Normaliza los empleos extraídos por los parsers y los guarda en la base de datos (upsert por `sourceUrl`),
+ * asignando cada uno a su cluster de duplicados.
+ * @param {Array<Object>} rawJobs - Empleos tal como los devuelven los parsers de las fuentes.
+ * @param {Object} [options={}]
+ * @param {Date} [options.seenAt=new Date()] - Cuándo se vieron los empleos publicados.
+ * @param {boolean} [options.replay=false] - Si los empleos vienen de páginas archivadas (ver snapshotReplayService):
+ * entonces no cambian el estado ni `lastSeenAt` de los empleos que ya existen, porque la página puede ser antigua.
+ * Un empleo que ya existía y pasó su fecha límite no se reactiva aunque siga publicado.
+ * @returns {Promise<{jobs: Array<Object>, created: number, updated: number, failed: number}>}
+ */
+async function saveScrapedJobs(rawJobs, { seenAt = new Date(), replay = false } = {}) {
+    const stats = { created: 0, updated: 0, failed: 0 };
+    const processedJobs = await jobProcessingService.processAndNormalizeJobs(rawJobs);
+    console.log(`Total de ${processedJobs.length} empleos procesados y normalizados.`);
 
-    $('.card-content').each((i, el) => {
+    for (const jobData of processedJobs) {
         try {
-            const title = $(el).find('.title a').text().trim();
-            const company = $(el).find('.company').text().trim();
-            const location = $(el).find('.location').text().trim();
-            const sourceUrlRelative = $(el).find('.title a').attr('href');
-            const sourceUrl = sourceUrlRelative ? `https://www.monster.com${sourceUrlRelative}` : null;
-            const snippet = $(el).find('.job-description').text().trim() || 'N/A';
-            const salary = $(el).find('.salary').text().trim() || 'N/A';
+            // Loguear los datos del empleo antes de intentar el upsert
+            console.log(`Intentando upsert para job con sourceUrl: ${jobData.sourceUrl || 'N/A'}, title: ${jobData.title || 'N/A'}, country: ${jobData.country || 'N/A'}`);
 
-            const postedDateText = $(el).find('.posted-date').text().trim();
-            let creationDate = null;
-            if (postedDateText && postedDateText.includes('Posted')) {
-                const match = postedDateText.match(/Posted (\d+) day/i);
-                if (match) {
-                    const daysAgo = parseInt(match[1], 10);
-                    creationDate = new Date();
-                    creationDate.setDate(creationDate.getDate() - daysAgo);
+            // En PostgreSQL `upsert` no indica si la fila se insertó, así que se comprueba antes.
+            const existingJob = await Job.findOne({
+                where: { sourceUrl: jobData.sourceUrl },
+                attributes: ['id', 'status', 'isEnriched', 'deadlineDate', 'clusterId', 'title', 'companyName', 'location', 'country'],
+            });
+            const upsertData = { ...jobData };
+            if (existingJob && existingJob.isEnriched) {
+                // El resumen del listado no pisa los datos ya leídos de la página de detalle
+                DETAIL_FIELDS.forEach(field => delete upsertData[field]);
+            }
+            if (!replay || !existingJob) {
+                // Aparecer en un scraping mantiene (o vuelve a poner) la oferta como activa, salvo que ya pasó su
+                // fecha límite: el barrido la vence (ver jobLifecycleService) y volver a activarla aquí haría que
+                // alternara entre activa y vencida en cada scraping.
+                const deadlineDate = upsertData.deadlineDate !== undefined ? upsertData.deadlineDate : existingJob?.deadlineDate;
+                if (!existingJob || !isPastDeadline(deadlineDate, seenAt)) {
+                    upsertData.status = 'active';
                 }
+                upsertData.lastSeenAt = seenAt;
             }
-
-            if (title && sourceUrl) {
-                jobs.push({
-                    title,
-                    company,
-                    description: snippet,
-                    salary,
-                    experienceRequired: 'N/A',
-                    requirements: 'N/A',
-                    modality: 'N/A',
-                    location,
-                    creationDate,
-                    deadlineDate: null,
-                    sourceUrl,
-                    sourceName: 'Monster',
-                    country: countryCode,
-                });
+            const [job] = await Job.upsert(upsertData, {
+                conflictFields: ['sourceUrl']
+            });
+            if (!existingJob) {
+                stats.created++;
+                console.log(`[UPSERT INFO] Nuevo empleo creado: ${job.title} (${job.sourceName})`);
+            } else {
+                stats.updated++;
+                console.log(`[UPSERT INFO] Empleo actualizado: ${job.title} (${job.sourceName})`);
+            }
+            // Une la publicación al cluster de sus duplicados (misma vacante en otra URL o bolsa). Si el listado
+            // cambió el título, la empresa o la ubicación, el cluster que tenía se eligió con los datos anteriores.
+            if (existingJob && existingJob.clusterId
+                && jobDedupService.getJobSignature(existingJob).fingerprint !== jobDedupService.getJobSignature(job).fingerprint) {
+                await jobDedupService.reassignCluster(job);
             } else {
-                if (!title) console.warn('Elemento de Monster omitido: Sin título.');
-                if (!sourceUrl) console.warn('Elemento de Monster omitido: Sin URL de fuente.');
+                await jobDedupService.assignCluster(job);
+            }
+            if (!replay && existingJob && existingJob.status !== 'active' && job.status === 'active') {
+                await jobLifecycleService.recordReactivation(job, existingJob.status);
             }
-        } catch (parseError) {
-            console.error('Error al parsear un elemento de empleo de Monster:', parseError.message);
+        } catch (dbError) {
+            stats.failed++;
+            console.error(`[UPSERT ERROR] Error al guardar/actualizar empleo en DB para ${jobData.sourceUrl}:`, dbError.message);
+            console.error('[UPSERT ERROR] Job data que falló:', JSON.stringify(jobData, null, 2));
         }
-    });
-    console.log(`Monster scraping finalizado. Encontrados ${jobs.length} empleos.`);
-    return jobs;
+    }
+
+    return { jobs: processedJobs, ...stats };
 }
 
+exports.scrapeSource = scrapeSource;
+exports.saveScrapedJobs = saveScrapedJobs;
+
 /**
- * Función principal para iniciar el proceso de scraping de múltiples sitios.
- * Guarda los empleos únicos en la base de datos.
+ * Ejecuta el scraping de múltiples sitios y guarda los empleos únicos en la base de datos,
+ * contabilizando cuántos empleos son nuevos y cuántos ya existían.
+ * Los empleos de cada fuente y país se guardan en cuanto termina su scraping (de uno en uno, para que la
+ * asignación de clusters no se solape), de modo que las búsquedas ya los encuentran antes de que acaben los demás.
+ * Si el guardado de un par falla, los demás se siguen raspando y guardando; el error se lanza al final.
  * @param {string} keyword - Palabra clave para buscar empleos.
  * @param {string[]} countries - Array de códigos de país para la búsqueda (ej. ['co', 'es']).
- * @returns {Promise<Array<Object>>} Una lista combinada de todos los empleos escrapeados.
+ * @param {Object} [options={}]
+ * @param {Function} [options.onProgress] - Se llama tras guardar los empleos de cada fuente y país con
+ * `{ source, country, found, jobsFound, created, completedRuns, totalRuns }` (`jobsFound` y `created`, acumulados).
+ * @returns {Promise<{jobs: Array<Object>, created: number, updated: number, failed: number}>}
+ * Los empleos procesados y el recuento de inserciones, actualizaciones y fallos al guardar.
+ * @throws {Error} Si ocurre un error general durante el proceso o falla el guardado de algún par país/fuente
+ * (los fallos de descarga de una fuente concreta solo se registran).
  */
-exports.performScraping = async (keyword, countries) => { 
-    let allJobs = [];
-    // Países admitidos por los scrapers estables (Computrabajo y Monster para US).
-    const allowedCountries = ['co', 'es', 'mx', 'ar', 'cl', 'pe', 'us']; 
+exports.scrapeAndSave = async (keyword, countries, { onProgress } = {}) => {
+    // Países cubiertos por al menos una de las fuentes registradas.
+    const allowedCountries = sourceRegistry.getSupportedCountries();
 
     const unsupportedCountries = countries.filter(c => !allowedCountries.includes(c));
     if (unsupportedCountries.length > 0) {
@@ -307,62 +254,73 @@ exports.performScraping = async (keyword, countries) => {
     }
 
     try {
-        // No hay scrapers globales/remotos genéricos que no dependan del país y sean estables.
-        // Se elimina RemoteOK, Jooble y Glassdoor de aquí.
-
-        // Iterar sobre cada país solicitado y ejecutar los scrapers relevantes
+        const runs = [];
         for (const countryLower of countries) {
             if (!allowedCountries.includes(countryLower)) {
                 console.log(`Saltando scraping para país no admitido: "${countryLower}"`);
                 continue;
             }
 
-            // --- Lógica para scrapers específicos por país ---
-            // Computrabajo se encarga de la mayoría de los países de habla hispana.
-            if (['co', 'es', 'mx', 'ar', 'cl', 'pe'].includes(countryLower)) {
-                const computrabajoJobs = await scrapeComputrabajo(keyword, countryLower);
-                allJobs = allJobs.concat(computrabajoJobs);
+            for (const source of sourceRegistry.getSourcesForCountry(countryLower)) {
+                runs.push({ source, country: countryLower });
             }
-
-            // Monster es para Estados Unidos.
-            if (countryLower === 'us') {
-                const monsterJobs = await scrapeMonster(keyword, countryLower); 
-                allJobs = allJobs.concat(monsterJobs);
-            }
-            // Si necesitas añadir más fuentes ESTABLES para otros países, agrégalas aquí.
         }
 
-
-        console.log(`Procesando ${allJobs.length} empleos escrapeados para guardar en DB.`);
-
-        const processedJobs = await jobProcessingService.processAndNormalizeJobs(allJobs);
-        console.log(`Total de ${processedJobs.length} empleos procesados y normalizados.`);
-
-
-        for (const jobData of processedJobs) {
-            try {
-                // Loguear los datos del empleo antes de intentar el upsert
-                console.log(`Intentando upsert para job con sourceUrl: ${jobData.sourceUrl || 'N/A'}, title: ${jobData.title || 'N/A'}, country: ${jobData.country || 'N/A'}`);
-                
-                const [job, created] = await Job.upsert(jobData, {
-                    conflictFields: ['sourceUrl']
-                });
-                if (created) {
-                    console.log(`[UPSERT INFO] Nuevo empleo creado: ${job.title} (${job.sourceName})`);
-                } else {
-                    console.log(`[UPSERT INFO] Empleo actualizado: ${job.title} (${job.sourceName})`);
+        // Cada par país/fuente se raspa en paralelo; el pool de navegador limita las páginas abiertas a la vez
+        const result = { jobs: [], created: 0, updated: 0, failed: 0 };
+        let completedRuns = 0;
+        // Cadena de guardados: nunca queda rechazada, así el fallo de un guardado no impide los siguientes.
+        let saving = Promise.resolve();
+        const outcomes = await Promise.allSettled(runs.map(({ source, country }) => exports.scrapeSource(source, keyword, country).then((rawJobs) => {
+            const step = saving.then(async () => {
+                const { jobs, ...stats } = await exports.saveScrapedJobs(rawJobs);
+                result.jobs.push(...jobs);
+                result.created += stats.created;
+                result.updated += stats.updated;
+                result.failed += stats.failed;
+                completedRuns++;
+                if (onProgress) {
+                    await onProgress({
+                        source: source.name,
+                        country,
+                        found: rawJobs.length,
+                        jobsFound: result.jobs.length,
+                        created: result.created,
+                        completedRuns,
+                        totalRuns: runs.length,
+                    });
                 }
-            } catch (dbError) {
-                console.error(`[UPSERT ERROR] Error al guardar/actualizar empleo en DB para ${jobData.sourceUrl}:`, dbError.message);
-                console.error('[UPSERT ERROR] Job data que falló:', JSON.stringify(jobData, null, 2));
-            }
+            });
+            saving = step.catch(() => {});
+            return step;
+        })));
+
+        // Solo se falla cuando todos los pares terminaron, para no descartar lo que los demás ya guardaron.
+        const rejected = outcomes.filter(outcome => outcome.status === 'rejected');
+        if (rejected.length > 0) {
+            console.error(`Fallaron ${rejected.length} de ${runs.length} scrapings de "${keyword}" (${result.jobs.length} empleos guardados de los demás).`);
+            throw rejected[0].reason;
         }
 
-        console.log(`Scraping, procesamiento y guardado en DB completado. Total de ${allJobs.length} empleos procesados.`);
-        return processedJobs;
+        console.log(`Scraping, procesamiento y guardado en DB completado. Total de ${result.jobs.length} empleos procesados (${result.created} nuevos, ${result.updated} actualizados, ${result.failed} con error).`);
+        return result;
 
     } catch (error) {
-        console.error('ERROR general en performScraping:', error);
-        return [];
+        console.error('ERROR general en scrapeAndSave:', error);
+        throw error; // Se propaga para que la cola de scraping o el planificador puedan registrar el fallo
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Función principal para iniciar el proceso de scraping de múltiples sitios.
+ * Guarda los empleos únicos en la base de datos.
+ * @param {string} keyword - Palabra clave para buscar empleos.
+ * @param {string[]} countries - Array de códigos de país para la búsqueda (ej. ['co', 'es']).
+ * @param {Object} [options={}] - Opciones de `scrapeAndSave` (ej. `onProgress`).
+ * @returns {Promise<Array<Object>>} Una lista combinada de todos los empleos escrapeados.
+ * @throws {Error} Si ocurre un error general durante el proceso (los fallos de una fuente concreta solo se registran).
+ */
+exports.performScraping = async (keyword, countries, options = {}) => {
+    const { jobs } = await exports.scrapeAndSave(keyword, countries, options);
+    return jobs;
+};
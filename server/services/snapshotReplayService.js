@@ -0,0 +1,107 @@
+// server/services/snapshotReplayService.js
+// Vuelve a parsear las páginas archivadas con los parsers actuales para regenerar los empleos sin acceder a las fuentes
+const { Op } = require('sequelize');
+const { Job, PageSnapshot } = require('../models');
+const sourceRegistry = require('./sourceRegistry');
+const scrapingService = require('./scrapingService');
+const { buildEnrichedFields } = require('./jobEnrichmentService');
+const { decompressHtml } = require('./pageSnapshotService');
+const { logInfo } = require('../utils/helpers');
+
+// Páginas leídas por lote (cada una trae su HTML comprimido).
+const REPLAY_BATCH_SIZE = 50;
+
+/**
+ * Parsea una página archivada con el parser actual de su fuente.
+ * @param {Object} snapshot - Página archivada (`sourceName`, `kind` y `country`).
+ * @param {string} html - HTML descomprimido de la página.
+ * @returns {{kind: 'search', jobs: Array<Object>, report: Object}|{kind: 'detail', details: Object}|null}
+ * El resultado del parser, o null si la fuente ya no existe o no sabe parsear ese tipo de página.
+ */
+function parseSnapshot(snapshot, html) {
+    const source = snapshot.sourceName && sourceRegistry.getSourceByName(snapshot.sourceName);
+    if (!source) return null;
+
+    if (snapshot.kind === 'search') {
+        const report = { skipped: 0, parseErrors: 0 };
+        return { kind: 'search', jobs: source.parse(html, { countryCode: snapshot.country, report }), report };
+    }
+    if (snapshot.kind === 'detail' && typeof source.parseDetail === 'function') {
+        return { kind: 'detail', details: source.parseDetail(html, { countryCode: snapshot.country }) };
+    }
+    return null;
+}
+
+/**
+ * Vuelve a procesar las páginas archivadas, de la más antigua a la más reciente (así los datos de la página
+ * más reciente son los que quedan). Los listados pasan por `processAndNormalizeJobs` y el mismo guardado
+ * que un scraping; las páginas de detalle completan la oferta con su `sourceUrl`.
+ * @param {Object} [options={}]
+ * @param {string} [options.sourceName] - Solo las páginas de esta fuente (ej. 'Computrabajo').
+ * @param {Date} [options.since] - Solo las páginas descargadas desde esta fecha.
+ * @param {Date} [options.until] - Solo las páginas descargadas hasta esta fecha.
+ * @param {number} [options.limit] - Máximo de páginas a procesar.
+ * @param {boolean} [options.dryRun=false] - Solo parsea y cuenta, sin escribir en la base de datos.
+ * @returns {Promise<{snapshots: number, skipped: number, jobsParsed: number, created: number, updated: number, failed: number, enriched: number}>}
+ */
+exports.replaySnapshots = async ({ sourceName, since, until, limit, dryRun = false } = {}) => {
+    const where = { sourceName: sourceName || { [Op.ne]: null }, kind: { [Op.ne]: null } };
+    if (since || until) {
+        where.fetchedAt = {};
+        if (since) where.fetchedAt[Op.gte] = since;
+        if (until) where.fetchedAt[Op.lte] = until;
+    }
+
+    const summary = { snapshots: 0, skipped: 0, jobsParsed: 0, created: 0, updated: 0, failed: 0, enriched: 0 };
+    for (let offset = 0; ; offset += REPLAY_BATCH_SIZE) {
+        const batchSize = limit ? Math.min(REPLAY_BATCH_SIZE, limit - offset) : REPLAY_BATCH_SIZE;
+        if (batchSize <= 0) break;
+        const snapshots = await PageSnapshot.findAll({
+            where,
+            order: [['fetchedAt', 'ASC'], ['id', 'ASC']],
+            limit: batchSize,
+            offset,
+        });
+        if (snapshots.length === 0) break;
+
+        for (const snapshot of snapshots) {
+            summary.snapshots++;
+            const parsed = parseSnapshot(snapshot, await decompressHtml(snapshot.content));
+            if (!parsed) {
+                summary.skipped++;
+                continue;
+            }
+
+            if (parsed.kind === 'search') {
+                summary.jobsParsed += parsed.jobs.length;
+                if (dryRun || parsed.jobs.length === 0) continue;
+                const { created, updated, failed } = await scrapingService.saveScrapedJobs(parsed.jobs, {
+                    seenAt: snapshot.fetchedAt,
+                    replay: true,
+                });
+                summary.created += created;
+                summary.updated += updated;
+                summary.failed += failed;
+                continue;
+            }
+
+            const job = await Job.findOne({ where: { sourceUrl: snapshot.url } });
+            if (!job) {
+                summary.skipped++;
+                continue;
+            }
+            summary.enriched++;
+            if (dryRun) continue;
+            await job.update({
+                ...buildEnrichedFields(job.get({ plain: true }), parsed.details),
+                isEnriched: true,
+                enrichedAt: snapshot.fetchedAt,
+            });
+        }
+    }
+
+    logInfo(`[SNAPSHOTS] ${summary.snapshots} páginas reprocesadas${dryRun ? ' (sin guardar)' : ''}: ${summary.jobsParsed} empleos en listados (${summary.created} nuevos, ${summary.updated} actualizados, ${summary.failed} con error), ${summary.enriched} páginas de detalle y ${summary.skipped} omitidas.`);
+    return summary;
+};
+
+exports.parseSnapshot = parseSnapshot;
@@ -0,0 +1,158 @@
+// server/services/sourceHealthService.js
+// Métricas de salud de las fuentes de empleo y detección de selectores obsoletos
+const { SourceHealthRun } = require('../models');
+const sourceRegistry = require('./sourceRegistry');
+const { logWarn } = require('../utils/helpers');
+
+// Número de ejecuciones anteriores que forman el promedio móvil de cada fuente en cada país.
+const WINDOW_SIZE = parseInt(process.env.SOURCE_HEALTH_WINDOW, 10) || 10;
+// Una ejecución está degradada si encuentra menos de esta fracción del promedio móvil.
+const DEGRADED_RATIO = parseFloat(process.env.SOURCE_HEALTH_DEGRADED_RATIO) || 0.3;
+// Ejecuciones previas necesarias antes de comparar contra el promedio.
+const MIN_HISTORY = 3;
+
+/**
+ * Calcula el promedio de ofertas encontradas en una lista de ejecuciones.
+ * @param {number[]} yields - Ofertas encontradas en cada ejecución.
+ * @returns {number|null} El promedio, o null si no hay ejecuciones.
+ */
+function average(yields) {
+    if (yields.length === 0) return null;
+    return yields.reduce((sum, value) => sum + value, 0) / yields.length;
+}
+
+/**
+ * Decide si una ejecución indica que la fuente está degradada.
+ * - Falló la descarga de la página.
+ * - Todas las tarjetas se omitieron por falta de título o URL (los selectores ya no coinciden).
+ * - Con historial suficiente, encontró menos de `DEGRADED_RATIO` veces el promedio móvil.
+ * @param {Object} run - Métricas de la ejecución (itemsFound, itemsSkipped, httpFailed).
+ * @param {number[]} previousYields - Ofertas encontradas en las ejecuciones anteriores exitosas.
+ * @returns {boolean}
+ */
+exports.isDegradedRun = (run, previousYields) => {
+    if (run.httpFailed) return true;
+    if (run.itemsFound === 0 && run.itemsSkipped > 0) return true;
+    if (previousYields.length < MIN_HISTORY) return false;
+
+    const rollingAverage = average(previousYields);
+    return rollingAverage > 0 && run.itemsFound < rollingAverage * DEGRADED_RATIO;
+};
+
+/**
+ * Obtiene las ofertas encontradas en las últimas ejecuciones descargadas con éxito de una fuente en un país.
+ * El promedio se calcula por país porque el volumen de ofertas de una misma fuente varía mucho entre países.
+ * @param {string} sourceId - Identificador de la fuente.
+ * @param {string} country - Código de país.
+ * @returns {Promise<number[]>}
+ */
+async function getPreviousYields(sourceId, country) {
+    const previousRuns = await SourceHealthRun.findAll({
+        where: { sourceId, country, httpFailed: false },
+        attributes: ['itemsFound'],
+        order: [['createdAt', 'DESC']],
+        limit: WINDOW_SIZE,
+    });
+    return previousRuns.map(run => run.itemsFound);
+}
+
+/**
+ * Registra las métricas de una ejecución de una fuente y la marca como degradada si corresponde.
+ * Nunca lanza: un fallo al guardar las métricas no debe interrumpir el scraping.
+ * @param {Object} run - Métricas de la ejecución.
+ * @param {string} run.sourceId - Identificador de la fuente.
+ * @param {string} run.country - Código de país raspado.
+ * @param {string} run.keyword - Palabra clave de la búsqueda.
+ * @param {number} run.itemsFound - Ofertas extraídas.
+ * @param {number} run.itemsSkipped - Tarjetas omitidas por falta de título o URL.
+ * @param {number} run.parseErrors - Tarjetas que lanzaron una excepción.
+ * @param {boolean} run.httpFailed - Si falló la descarga.
+ * @param {number} run.durationMs - Duración de la ejecución.
+ * @returns {Promise<SourceHealthRun|null>} La ejecución registrada, o null si no se pudo guardar.
+ */
+exports.recordRun = async (run) => {
+    try {
+        const previousYields = await getPreviousYields(run.sourceId, run.country);
+        const degraded = exports.isDegradedRun(run, previousYields);
+
+        const healthRun = await SourceHealthRun.create({
+            ...run,
+            rollingAverage: average(previousYields),
+            degraded,
+        });
+
+        if (degraded) {
+            logWarn(`[SOURCE_HEALTH] Fuente "${run.sourceId}" degradada en "${run.country}": ${run.itemsFound} ofertas (promedio ${healthRun.rollingAverage ?? 'N/A'}), ${run.itemsSkipped} omitidas, ${run.parseErrors} errores de parseo${run.httpFailed ? ', descarga fallida' : ''}.`);
+        }
+        return healthRun;
+    } catch (error) {
+        logWarn(`[SOURCE_HEALTH] No se pudieron registrar las métricas de "${run.sourceId}": ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Resume una lista de ejecuciones recientes (de la más reciente a la más antigua).
+ * El estado es 'unknown' si no hay ejecuciones, 'degraded' si la última lo estaba y 'healthy' en otro caso.
+ * @param {Array<SourceHealthRun>} recentRuns - Ejecuciones recientes.
+ * @returns {Object}
+ */
+function summarizeRuns(recentRuns) {
+    const [lastRun] = recentRuns;
+    const successfulRuns = recentRuns.filter(run => !run.httpFailed);
+
+    return {
+        status: !lastRun ? 'unknown' : (lastRun.degraded ? 'degraded' : 'healthy'),
+        lastRunAt: lastRun ? lastRun.createdAt : null,
+        rollingAverage: average(successfulRuns.map(run => run.itemsFound)),
+        httpFailures: recentRuns.length - successfulRuns.length,
+        itemsSkipped: recentRuns.reduce((sum, run) => sum + run.itemsSkipped, 0),
+        parseErrors: recentRuns.reduce((sum, run) => sum + run.parseErrors, 0),
+        averageDurationMs: average(recentRuns.map(run => run.durationMs)),
+        recentRuns,
+    };
+}
+
+/**
+ * Estado global de una fuente a partir del de sus países: 'degraded' si lo está en alguno,
+ * 'unknown' si no se ha ejecutado en ninguno y 'healthy' en otro caso.
+ * @param {Array<{status: string}>} countries - Resumen de cada país.
+ * @returns {string}
+ */
+function combineStatuses(countries) {
+    if (countries.some(country => country.status === 'degraded')) return 'degraded';
+    if (countries.every(country => country.status === 'unknown')) return 'unknown';
+    return 'healthy';
+}
+
+/**
+ * Resume el estado de salud de cada fuente registrada en cada uno de sus países, a partir
+ * de las últimas ejecuciones en ese país.
+ * @returns {Promise<Array<Object>>} Un resumen por fuente con su estado global y el de cada país.
+ */
+exports.getSourcesHealth = async () => {
+    const summaries = [];
+
+    for (const source of sourceRegistry.getSources()) {
+        const countries = [];
+        for (const country of source.countries) {
+            const recentRuns = await SourceHealthRun.findAll({
+                where: { sourceId: source.id, country },
+                order: [['createdAt', 'DESC']],
+                limit: WINDOW_SIZE,
+            });
+            countries.push({ country, ...summarizeRuns(recentRuns) });
+        }
+
+        const lastRunDates = countries.map(country => country.lastRunAt).filter(Boolean);
+        summaries.push({
+            id: source.id,
+            name: source.name,
+            status: combineStatuses(countries),
+            lastRunAt: lastRunDates.length > 0 ? new Date(Math.max(...lastRunDates.map(date => new Date(date).getTime()))) : null,
+            countries,
+        });
+    }
+
+    return summaries;
+};
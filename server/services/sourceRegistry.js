@@ -0,0 +1,131 @@
+// server/services/sourceRegistry.js
+// Registro de fuentes de empleo (adaptadores) disponibles para el scraping
+const computrabajoSource = require('./sources/computrabajoSource');
+const monsterSource = require('./sources/monsterSource');
+
+/**
+ * Estrategias de descarga admitidas por el servicio de scraping.
+ * - 'puppeteer': navegador headless, para páginas que cargan contenido con JavaScript.
+ * - 'fetch': petición HTTP simple, para páginas estáticas.
+ */
+const FETCH_STRATEGIES = ['puppeteer', 'fetch'];
+
+/**
+ * Nombres legibles de los países que puede cubrir alguna fuente.
+ * Se usan al exponer la cobertura a través de la API.
+ */
+const COUNTRY_NAMES = {
+    co: 'Colombia',
+    es: 'España',
+    mx: 'México',
+    ar: 'Argentina',
+    cl: 'Chile',
+    pe: 'Perú',
+    us: 'Estados Unidos',
+};
+
+// Fuentes registradas, indexadas por su `id`.
+const sources = new Map();
+
+/**
+ * Registra un adaptador de fuente.
+ * Cada adaptador declara su cobertura de países, su estrategia de descarga y su parser,
+ * de forma que añadir una bolsa de empleo nueva no requiera modificar el despachador.
+ * @param {Object} source - Adaptador de la fuente.
+ * @param {string} source.id - Identificador único de la fuente (ej. 'computrabajo').
+ * @param {string} source.name - Nombre que se guarda en `Job.sourceName`.
+ * @param {string[]} source.countries - Códigos de país que cubre la fuente.
+ * @param {string} source.fetchStrategy - Una de FETCH_STRATEGIES.
+ * @param {Function} source.buildSearchUrl - (keyword, countryCode) => URL de búsqueda.
+ * @param {Function} source.parse - (html, { countryCode, report }) => lista de empleos crudos.
+ * El parser incrementa `report.skipped` por cada tarjeta sin título o URL y `report.parseErrors`
+ * por cada tarjeta que lance una excepción; son las señales de que los selectores quedaron obsoletos.
+ * @param {Function} [source.parseDetail] - (html, { countryCode }) => datos de la página de detalle de una oferta
+ * (descripción completa, requisitos, tipo de contrato, modalidad, experiencia, fecha límite y empresa); lo usa
+ * jobEnrichmentService para completar las ofertas leídas del listado.
+ * @param {RegExp} [source.closedPagePattern] - Texto que muestra la página de una oferta cerrada; lo usa
+ * jobLifecycleService para detectar ofertas cerradas cuyo `sourceUrl` sigue respondiendo 200.
+ */
+function registerSource(source) {
+    if (!source || !source.id) {
+        throw new Error('El adaptador de fuente debe tener un id.');
+    }
+    if (sources.has(source.id)) {
+        throw new Error(`La fuente "${source.id}" ya está registrada.`);
+    }
+    if (!FETCH_STRATEGIES.includes(source.fetchStrategy)) {
+        throw new Error(`Estrategia de descarga no válida para "${source.id}": ${source.fetchStrategy}`);
+    }
+    if (typeof source.buildSearchUrl !== 'function' || typeof source.parse !== 'function') {
+        throw new Error(`La fuente "${source.id}" debe implementar buildSearchUrl y parse.`);
+    }
+    sources.set(source.id, source);
+}
+
+/**
+ * @returns {Array<Object>} Todas las fuentes registradas.
+ */
+function getSources() {
+    return Array.from(sources.values());
+}
+
+/**
+ * @param {string} id - Identificador de la fuente.
+ * @returns {Object|undefined} La fuente registrada con ese id.
+ */
+function getSource(id) {
+    return sources.get(id);
+}
+
+/**
+ * @param {string} name - Nombre de la fuente tal como se guarda en `Job.sourceName` (ej. 'Computrabajo').
+ * @returns {Object|undefined} La fuente registrada con ese nombre.
+ */
+function getSourceByName(name) {
+    return getSources().find(source => source.name === name);
+}
+
+/**
+ * @param {string} countryCode - Código de país (ej. 'co').
+ * @returns {Array<Object>} Las fuentes que cubren el país indicado.
+ */
+function getSourcesForCountry(countryCode) {
+    return getSources().filter(source => source.countries.includes(countryCode));
+}
+
+/**
+ * @returns {string[]} Códigos de país cubiertos por al menos una fuente, sin duplicados.
+ */
+function getSupportedCountries() {
+    return [...new Set(getSources().flatMap(source => source.countries))];
+}
+
+/**
+ * Resume las fuentes y su cobertura en un formato apto para la API.
+ * @returns {{sources: Array<Object>, countries: Array<Object>}}
+ */
+function describeSources() {
+    return {
+        sources: getSources().map(({ id, name, countries, fetchStrategy }) => ({ id, name, countries, fetchStrategy })),
+        countries: getSupportedCountries().map(code => ({
+            code,
+            name: COUNTRY_NAMES[code] || code.toUpperCase(),
+            sources: getSourcesForCountry(code).map(source => source.id),
+        })),
+    };
+}
+
+// --- Fuentes incluidas ---
+registerSource(computrabajoSource);
+registerSource(monsterSource);
+
+module.exports = {
+    FETCH_STRATEGIES,
+    registerSource,
+    getSources,
+    getSource,
+    getSourceByName,
+    getSourcesForCountry,
+    getSupportedCountries,
+    describeSources,
+};
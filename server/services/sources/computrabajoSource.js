@@ -0,0 +1,173 @@
+// server/services/sources/computrabajoSource.js
+// Adaptador de fuente para Computrabajo (países de habla hispana)
+const cheerio = require('cheerio'); // Librería para analizar HTML
+const { extractJobPosting, mergeDetails } = require('./jobPostingSchema'); // Datos estructurados de la página de detalle
+
+/**
+ * Dominio de Computrabajo para cada país admitido.
+ * Las claves de este objeto son, a su vez, la cobertura de países de la fuente.
+ */
+const DOMAINS = {
+    co: 'www.computrabajo.com.co',
+    es: 'www.computrabajo.es',
+    mx: 'www.computrabajo.com.mx',
+    ar: 'www.computrabajo.com.ar',
+    cl: 'www.computrabajo.cl',
+    pe: 'www.computrabajo.com.pe',
+};
+
+/**
+ * Obtiene el dominio de Computrabajo para un código de país.
+ * @param {string} countryCode - Código de país (ej. 'co').
+ * @returns {string} El dominio correspondiente o el dominio genérico si el país no está mapeado.
+ */
+function getDomain(countryCode) {
+    return DOMAINS[countryCode] || 'www.computrabajo.com';
+}
+
+/**
+ * Convierte textos como "Hace 3 días", "Hoy" o "Ayer" en una fecha aproximada.
+ * @param {string} postedDateText - Texto de fecha de publicación mostrado en la tarjeta.
+ * @returns {Date|null} La fecha calculada o null si no se reconoce el formato.
+ */
+function parsePostedDate(postedDateText) {
+    if (!postedDateText) return null;
+
+    const lowerText = postedDateText.toLowerCase();
+    if (lowerText.includes('hoy')) {
+        return new Date();
+    }
+    if (lowerText.includes('ayer')) {
+        const creationDate = new Date();
+        creationDate.setDate(creationDate.getDate() - 1);
+        return creationDate;
+    }
+    const match = postedDateText.match(/(\d+) (día|días)/i);
+    if (match) {
+        const daysAgo = parseInt(match[1], 10);
+        const creationDate = new Date();
+        creationDate.setDate(creationDate.getDate() - daysAgo);
+        return creationDate;
+    }
+    return null;
+}
+
+/**
+ * Construye la URL de búsqueda de Computrabajo.
+ * @param {string} keyword - Palabra clave para la búsqueda.
+ * @param {string} countryCode - Código de país (ej. 'co').
+ * @returns {string} La URL de la página de resultados.
+ */
+function buildSearchUrl(keyword, countryCode) {
+    return `https://${getDomain(countryCode)}/empleos-de-${encodeURIComponent(keyword)}?q=${encodeURIComponent(keyword)}`;
+}
+
+/**
+ * Extrae las ofertas de empleo de una página de resultados de Computrabajo.
+ * No realiza ninguna petición: recibe el HTML ya descargado.
+ * @param {string} html - HTML de la página de resultados.
+ * @param {Object} context - Contexto de la búsqueda.
+ * @param {string} context.countryCode - Código de país de la búsqueda.
+ * @param {Object} [context.report] - Contadores `skipped`/`parseErrors` (ver sourceRegistry).
+ * @returns {Array<Object>} Una lista de objetos de empleo crudos.
+ */
+function parse(html, { countryCode, report = { skipped: 0, parseErrors: 0 } }) {
+    const domain = getDomain(countryCode);
+    const $ = cheerio.load(html);
+    const jobs = [];
+
+    $('.box_offer').each((i, el) => {
+        try {
+            const title = $(el).find('.js-o-link').text().trim();
+            const sourceUrlRelative = $(el).find('.js-o-link').attr('href');
+
+            if (!title || !sourceUrlRelative) {
+                console.warn(`Elemento de Computrabajo omitido: Título (${title ? 'presente' : 'ausente'}) o URL relativa (${sourceUrlRelative ? 'presente' : 'ausente'}) no encontrados para el elemento ${i}.`);
+                report.skipped++;
+                return; // Saltar este elemento si falta el título o la URL relativa
+            }
+
+            const company = $(el).find('.badge-tag').text().trim();
+            const location = $(el).find('.location').text().trim();
+            const description = $(el).find('.description').text().trim() || 'N/A';
+            const salary = $(el).find('.salary').text().trim() || 'N/A';
+            const creationDate = parsePostedDate($(el).find('.posted-date').text().trim());
+
+            let fullSourceUrl = sourceUrlRelative;
+            if (!sourceUrlRelative.startsWith('http')) {
+                fullSourceUrl = `https://${domain}${sourceUrlRelative.startsWith('/') ? '' : '/'}${sourceUrlRelative}`;
+            }
+
+            jobs.push({
+                title,
+                company,
+                description,
+                salary,
+                experienceRequired: 'N/A',
+                requirements: 'N/A',
+                modality: 'N/A',
+                location,
+                creationDate,
+                deadlineDate: null,
+                sourceUrl: fullSourceUrl,
+                sourceName: 'Computrabajo',
+                country: countryCode,
+            });
+        } catch (parseError) {
+            report.parseErrors++;
+            console.error('Error al parsear un elemento de empleo de Computrabajo (inesperado en catch):', parseError.message);
+        }
+    });
+
+    return jobs;
+}
+
+/**
+ * Convierte la fecha de cierre de la página de detalle ("Fecha de cierre: 15/08/2024") en Date.
+ * @param {string} text - Texto de la página de detalle.
+ * @returns {Date|null} El final del día de cierre, o null si la página no lo indica.
+ */
+function parseDeadline(text) {
+    const match = text.match(/fecha (de )?(cierre|vencimiento|l[ií]mite)\s*:?\s*(\d{1,2})\/(\d{1,2})\/(\d{4})/i);
+    if (!match) return null;
+    const [, , , day, month, year] = match;
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), 23, 59, 59));
+}
+
+/**
+ * Extrae los datos de la página de detalle de una oferta de Computrabajo.
+ * Los selectores de la página tienen prioridad; el JSON-LD JobPosting completa lo que falte.
+ * No realiza ninguna petición: recibe el HTML ya descargado.
+ * @param {string} html - HTML de la página de detalle.
+ * @returns {Object} Los campos encontrados de `description`, `requirements`, `employmentType`,
+ * `modality`, `experienceRequired`, `deadlineDate` y `companyName`.
+ */
+function parseDetail(html) {
+    const $ = cheerio.load(html);
+    const detail = $('.box_detail');
+
+    const requirementItems = detail.find('ul.disc li').map((i, el) => $(el).text().trim()).get().filter(Boolean);
+    const tags = detail.find('.tag').map((i, el) => $(el).text().trim()).get();
+
+    return mergeDetails({
+        description: detail.find('p.mbB').first().text(),
+        requirements: requirementItems.join('; '),
+        employmentType: tags.filter(tag => /contrato|tiempo|medio|jornada|temporal|pr[aá]cticas|freelance/i.test(tag)).join(', '),
+        modality: tags.find(tag => /remot|presencial|h[ií]brid|teletrabajo/i.test(tag)),
+        experienceRequired: requirementItems.find(item => /experiencia/i.test(item)),
+        deadlineDate: parseDeadline(detail.text()),
+        companyName: detail.find('a.js-o-link').first().text(),
+    }, extractJobPosting($));
+}
+
+module.exports = {
+    id: 'computrabajo',
+    name: 'Computrabajo',
+    countries: Object.keys(DOMAINS),
+    fetchStrategy: 'puppeteer', // El listado se renderiza parcialmente con JavaScript
+    // Texto de la página de detalle de una oferta que ya no admite postulaciones
+    closedPagePattern: /(esta )?oferta (ya )?no (est[aá]|se encuentra) disponible|oferta (ha )?(caducad|finalizad|vencid)[oa]/i,
+    buildSearchUrl,
+    parse,
+    parseDetail,
+};
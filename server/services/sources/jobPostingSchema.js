@@ -0,0 +1,132 @@
+// server/services/sources/jobPostingSchema.js
+// Lectura de los datos estructurados schema.org/JobPosting (JSON-LD) de las páginas de detalle de las ofertas
+const cheerio = require('cheerio'); // Librería para analizar HTML
+
+// Campos que puede aportar la página de detalle de una oferta (ver jobEnrichmentService).
+const DETAIL_FIELDS = ['description', 'requirements', 'employmentType', 'modality', 'experienceRequired', 'deadlineDate', 'companyName'];
+
+// Tipos de contrato de schema.org, en español como los muestran las fuentes hispanas.
+const EMPLOYMENT_TYPES = {
+    FULL_TIME: 'Tiempo completo',
+    PART_TIME: 'Medio tiempo',
+    CONTRACTOR: 'Contratista',
+    TEMPORARY: 'Temporal',
+    INTERN: 'Prácticas',
+    VOLUNTEER: 'Voluntariado',
+    PER_DIEM: 'Por jornada',
+    OTHER: 'Otro',
+};
+
+/**
+ * Convierte un fragmento HTML (la descripción del JSON-LD suele traer etiquetas) en texto plano.
+ * @param {string} html - Fragmento HTML.
+ * @returns {string}
+ */
+function htmlToText(html) {
+    const withBreaks = String(html).replace(/<br\s*\/?>|<\/(p|li|div|h\d)>/gi, '$&\n');
+    return cheerio.load(`<div>${withBreaks}</div>`)('div').first().text().trim();
+}
+
+/**
+ * Busca un objeto JobPosting en un documento JSON-LD (puede venir solo, en un array o en `@graph`).
+ * @param {*} node - Documento JSON-LD.
+ * @returns {Object|null}
+ */
+function findJobPosting(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+        for (const item of node) {
+            const found = findJobPosting(item);
+            if (found) return found;
+        }
+        return null;
+    }
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('JobPosting')) return node;
+    return findJobPosting(node['@graph']);
+}
+
+/**
+ * Convierte una fecha del JSON-LD en Date.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseSchemaDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Describe la experiencia requerida del JSON-LD ("3+ years" u `OccupationalExperienceRequirements`).
+ * @param {string|Object} experience
+ * @returns {string|null}
+ */
+function describeExperience(experience) {
+    if (!experience) return null;
+    if (typeof experience === 'string') return experience;
+    if (experience.monthsOfExperience) {
+        return `${Math.round(experience.monthsOfExperience / 12)} años de experiencia`;
+    }
+    return experience.description || null;
+}
+
+/**
+ * Extrae los datos de detalle del JobPosting JSON-LD de una página.
+ * @param {CheerioAPI} $ - Página de detalle cargada con cheerio.
+ * @returns {Object} Los campos de DETAIL_FIELDS que el JSON-LD declara (los ausentes se omiten).
+ */
+function extractJobPosting($) {
+    let posting = null;
+    $('script[type="application/ld+json"]').each((i, el) => {
+        if (posting) return;
+        try {
+            posting = findJobPosting(JSON.parse($(el).contents().text()));
+        } catch {
+            // JSON-LD mal formado: se ignora y se sigue con el siguiente bloque
+        }
+    });
+    if (!posting) return {};
+
+    const requirements = [].concat(posting.qualifications || [], posting.skills || []);
+    return compactDetails({
+        description: posting.description ? htmlToText(posting.description) : null,
+        requirements: requirements.length > 0 ? requirements.map(htmlToText).join('; ') : null,
+        employmentType: [].concat(posting.employmentType || []).map(type => EMPLOYMENT_TYPES[type] || type).join(', '),
+        modality: posting.jobLocationType === 'TELECOMMUTE' ? 'Remoto' : null,
+        experienceRequired: describeExperience(posting.experienceRequirements),
+        deadlineDate: parseSchemaDate(posting.validThrough),
+        companyName: posting.hiringOrganization && posting.hiringOrganization.name,
+    });
+}
+
+/**
+ * Elimina los campos vacíos de un objeto de detalle.
+ * @param {Object} details
+ * @returns {Object}
+ */
+function compactDetails(details) {
+    const compacted = {};
+    for (const field of DETAIL_FIELDS) {
+        const value = typeof details[field] === 'string' ? details[field].trim() : details[field];
+        if (value) compacted[field] = value;
+    }
+    return compacted;
+}
+
+/**
+ * Combina varios objetos de detalle: por cada campo gana el primero que lo tenga.
+ * @param {...Object} sources - Detalles en orden de prioridad (ej. selectores de la página, luego JSON-LD).
+ * @returns {Object}
+ */
+function mergeDetails(...sources) {
+    return compactDetails(Object.assign({}, ...sources.map(compactDetails).reverse()));
+}
+
+module.exports = {
+    DETAIL_FIELDS,
+    htmlToText,
+    extractJobPosting,
+    compactDetails,
+    mergeDetails,
+};
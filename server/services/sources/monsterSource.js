@@ -0,0 +1,117 @@
+// server/services/sources/monsterSource.js
+// Adaptador de fuente para Monster (Estados Unidos)
+const cheerio = require('cheerio'); // Librería para analizar HTML
+const { extractJobPosting, mergeDetails } = require('./jobPostingSchema'); // Datos estructurados de la página de detalle
+
+/**
+ * Convierte textos como "Posted 3 days ago" en una fecha aproximada.
+ * @param {string} postedDateText - Texto de fecha de publicación mostrado en la tarjeta.
+ * @returns {Date|null} La fecha calculada o null si no se reconoce el formato.
+ */
+function parsePostedDate(postedDateText) {
+    if (!postedDateText || !postedDateText.includes('Posted')) return null;
+
+    const match = postedDateText.match(/Posted (\d+) day/i);
+    if (!match) return null;
+
+    const daysAgo = parseInt(match[1], 10);
+    const creationDate = new Date();
+    creationDate.setDate(creationDate.getDate() - daysAgo);
+    return creationDate;
+}
+
+/**
+ * Construye la URL de búsqueda de Monster.
+ * @param {string} keyword - Palabra clave para la búsqueda.
+ * @returns {string} La URL de la página de resultados.
+ */
+function buildSearchUrl(keyword) {
+    return `https://www.monster.com/jobs/search?q=${encodeURIComponent(keyword)}&where=United%20States`;
+}
+
+/**
+ * Extrae las ofertas de empleo de una página de resultados de Monster.
+ * No realiza ninguna petición: recibe el HTML ya descargado.
+ * @param {string} html - HTML de la página de resultados.
+ * @param {Object} context - Contexto de la búsqueda.
+ * @param {string} context.countryCode - Código de país de la búsqueda (solo 'us').
+ * @param {Object} [context.report] - Contadores `skipped`/`parseErrors` (ver sourceRegistry).
+ * @returns {Array<Object>} Una lista de objetos de empleo crudos.
+ */
+function parse(html, { countryCode, report = { skipped: 0, parseErrors: 0 } }) {
+    const $ = cheerio.load(html);
+    const jobs = [];
+
+    $('.card-content').each((i, el) => {
+        try {
+            const title = $(el).find('.title a').text().trim();
+            const company = $(el).find('.company').text().trim();
+            const location = $(el).find('.location').text().trim();
+            const sourceUrlRelative = $(el).find('.title a').attr('href');
+            const sourceUrl = sourceUrlRelative ? `https://www.monster.com${sourceUrlRelative}` : null;
+            const snippet = $(el).find('.job-description').text().trim() || 'N/A';
+            const salary = $(el).find('.salary').text().trim() || 'N/A';
+            const creationDate = parsePostedDate($(el).find('.posted-date').text().trim());
+
+            if (title && sourceUrl) {
+                jobs.push({
+                    title,
+                    company,
+                    description: snippet,
+                    salary,
+                    experienceRequired: 'N/A',
+                    requirements: 'N/A',
+                    modality: 'N/A',
+                    location,
+                    creationDate,
+                    deadlineDate: null,
+                    sourceUrl,
+                    sourceName: 'Monster',
+                    country: countryCode,
+                });
+            } else {
+                report.skipped++;
+                if (!title) console.warn('Elemento de Monster omitido: Sin título.');
+                if (!sourceUrl) console.warn('Elemento de Monster omitido: Sin URL de fuente.');
+            }
+        } catch (parseError) {
+            report.parseErrors++;
+            console.error('Error al parsear un elemento de empleo de Monster:', parseError.message);
+        }
+    });
+
+    return jobs;
+}
+
+/**
+ * Extrae los datos de la página de detalle de una oferta de Monster.
+ * Monster publica la oferta completa como JSON-LD JobPosting; los selectores de la página solo
+ * se usan para lo que el JSON-LD no traiga.
+ * No realiza ninguna petición: recibe el HTML ya descargado.
+ * @param {string} html - HTML de la página de detalle.
+ * @returns {Object} Los campos encontrados de `description`, `requirements`, `employmentType`,
+ * `modality`, `experienceRequired`, `deadlineDate` y `companyName`.
+ */
+function parseDetail(html) {
+    const $ = cheerio.load(html);
+    const description = $('[data-testid="svx-description-container-inner"]').text().trim();
+
+    return mergeDetails(extractJobPosting($), {
+        description,
+        companyName: $('[data-testid="company-name"]').first().text(),
+        modality: /\bremote\b/i.test($('[data-testid="jobDetailLocation"]').text()) ? 'Remoto' : null,
+        experienceRequired: (description.match(/\d+\+?\s*years?( of)? experience/i) || [])[0],
+    });
+}
+
+module.exports = {
+    id: 'monster',
+    name: 'Monster',
+    countries: ['us'],
+    fetchStrategy: 'puppeteer',
+    // Texto de la página de detalle de una oferta que ya no admite postulaciones
+    closedPagePattern: /(this )?job (is )?no longer available|job has expired|no longer accepting applications/i,
+    buildSearchUrl,
+    parse,
+    parseDetail,
+};
@@ -1,7 +1,9 @@
 // server/test_scraper.js
+// Prueba manual contra los sitios reales. Los parsers se prueban sin red con `npm test` (ver tests/).
 require('dotenv').config(); // Carga las variables de entorno
 const { sequelize, syncDatabase } = require('./models'); // Importa la conexión y modelos
 const scrapingService = require('./services/scrapingService');
+const { closeBrowserPool } = require('./services/browserPool');
 
 async function runTestScraper() {
   // Sincroniza la DB primero
@@ -9,15 +11,16 @@ async function runTestScraper() {
 
     console.log('Iniciando prueba de scraping...');
     const keyword = 'desarrollador fullstack'; // Cambia la palabra clave
-    const country = 'es'; // Cambia el país para probar diferentes scrapers
+    const countries = ['es']; // Cambia los países para probar diferentes fuentes
 
     try {
-        const scrapedJobs = await scrapingService.performScraping(keyword, country);
+        const scrapedJobs = await scrapingService.performScraping(keyword, countries);
         console.log(`Prueba de scraping finalizada. Total de empleos procesados: ${scrapedJobs.length}`);
         // console.log('Primeros 5 empleos procesados:', scrapedJobs.slice(0, 5));
     } catch (error) {
         console.error('Error durante la prueba de scraping:', error);
     } finally {
+        await closeBrowserPool(); // Cierra el navegador compartido para que el proceso termine
         await sequelize.close(); // Cierra la conexión a la DB
         console.log('Conexión a la base de datos cerrada.');
     }
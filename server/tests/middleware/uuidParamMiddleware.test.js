@@ -0,0 +1,36 @@
+// server/tests/middleware/uuidParamMiddleware.test.js
+// Pruebas de la validación de los IDs de la ruta (no requieren base de datos)
+const uuidParam = require('../../middleware/uuidParamMiddleware');
+
+/**
+ * Ejecuta el middleware con los parámetros indicados y devuelve la respuesta y si se llamó a next.
+ */
+function run(middleware, params) {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    middleware({ params }, res, next);
+    return { res, next };
+}
+
+describe('uuidParamMiddleware', () => {
+    const middleware = uuidParam('id', 'Tarea de scraping no encontrada.');
+
+    it('deja pasar los UUID, en mayúsculas o minúsculas', () => {
+        expect(run(middleware, { id: '1e8f3a2d-53cf-4561-85b3-1298ae15f98d' }).next).toHaveBeenCalled();
+        expect(run(middleware, { id: '1E8F3A2D-53CF-4561-85B3-1298AE15F98D' }).next).toHaveBeenCalled();
+    });
+
+    it('responde 404 con el mensaje del recurso a los IDs que no son UUID', () => {
+        for (const id of ['123', 'abc', '1e8f3a2d-53cf-4561-85b3-1298ae15f98', "1' OR '1'='1"]) {
+            const { res, next } = run(middleware, { id });
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Tarea de scraping no encontrada.' });
+        }
+    });
+
+    it('valida el parámetro indicado', () => {
+        const { res } = run(uuidParam('jobId', 'Empleo no encontrado.'), { id: '1e8f3a2d-53cf-4561-85b3-1298ae15f98d', jobId: 'x' });
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+});
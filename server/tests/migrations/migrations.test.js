@@ -0,0 +1,119 @@
+// server/tests/migrations/migrations.test.js
+// Comprueba que los archivos de migrations/ siguen el formato que espera config/migrator.js
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { SequelizeStorage } = require('umzug');
+const { sequelize } = require('../../config/database');
+const { migrator, SYNC_SCHEMAS, baselineExistingDatabase } = require('../../config/migrator');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.js')).sort();
+
+describe('migrations', () => {
+    it('nombra cada migración con una marca de tiempo única', () => {
+        const timestamps = files.map(file => {
+            expect(file).toMatch(/^\d{14}-[a-z0-9-]+\.js$/);
+            return file.slice(0, 14);
+        });
+        expect(new Set(timestamps).size).toBe(files.length);
+    });
+
+    it.each(files)('%s exporta up y down', (file) => {
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        expect(typeof migration.up).toBe('function');
+        expect(typeof migration.down).toBe('function');
+    });
+
+    /**
+     * queryInterface que solo registra las tablas y columnas que crean y quitan las migraciones.
+     */
+    function createRecordingQueryInterface() {
+        const tables = {};
+        return {
+            tables,
+            sequelize: { query: async () => {} },
+            createTable: async (table, attributes) => { tables[table] = Object.keys(attributes); },
+            dropTable: async (table) => { delete tables[table]; },
+            addColumn: async (table, column) => { tables[table].push(column); },
+            removeColumn: async (table, column) => { tables[table] = tables[table].filter(name => name !== column); },
+            changeColumn: async () => {},
+            addIndex: async () => {},
+            removeIndex: async () => {},
+            dropAllEnums: async () => {},
+        };
+    }
+
+    const sorted = (schema) => Object.fromEntries(Object.entries(schema).map(([table, columns]) => [table, [...columns].sort()]));
+
+    it.each(SYNC_SCHEMAS.map(schema => [schema.migrations.at(-1), schema]))(
+        'hasta %s crea exactamente el esquema que se adopta de sync',
+        async (_name, schema) => {
+            const queryInterface = createRecordingQueryInterface();
+            for (const file of schema.migrations) {
+                await require(path.join(MIGRATIONS_DIR, file)).up(queryInterface, Sequelize);
+            }
+            expect(sorted(queryInterface.tables)).toEqual(sorted(schema.tables));
+        },
+    );
+
+    it('20261019120010 vuelve al esquema inicial al revertirse', async () => {
+        const [baseline, beforeMigrations] = SYNC_SCHEMAS;
+        const queryInterface = createRecordingQueryInterface();
+        for (const file of beforeMigrations.migrations) {
+            await require(path.join(MIGRATIONS_DIR, file)).up(queryInterface, Sequelize);
+        }
+        await require(path.join(MIGRATIONS_DIR, beforeMigrations.migrations.at(-1))).down(queryInterface, Sequelize);
+        expect(sorted(queryInterface.tables)).toEqual(sorted(baseline.tables));
+    });
+
+    describe('baselineExistingDatabase', () => {
+        let logMigration;
+
+        /**
+         * Simula una base de datos sin migraciones registradas con las tablas y columnas indicadas.
+         */
+        function mockDatabase(tables) {
+            const queryInterface = sequelize.getQueryInterface();
+            jest.spyOn(migrator, 'executed').mockResolvedValue([]);
+            jest.spyOn(queryInterface, 'showAllTables').mockResolvedValue(['SequelizeMeta', ...Object.keys(tables)]);
+            jest.spyOn(queryInterface, 'describeTable').mockImplementation(async (table) => (
+                Object.fromEntries(tables[table].map(column => [column, {}]))
+            ));
+        }
+
+        beforeEach(() => {
+            logMigration = jest.spyOn(SequelizeStorage.prototype, 'logMigration').mockResolvedValue();
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('marca solo la migración inicial en una base de datos con el esquema original', async () => {
+            mockDatabase(SYNC_SCHEMAS[0].tables);
+            await expect(baselineExistingDatabase()).resolves.toBe(true);
+            expect(logMigration.mock.calls.map(([{ name }]) => name)).toEqual(['20261019120000-initial-schema.js']);
+        });
+
+        it('marca también las tablas añadidas con sync antes de las migraciones', async () => {
+            mockDatabase(SYNC_SCHEMAS[1].tables);
+            await expect(baselineExistingDatabase()).resolves.toBe(true);
+            expect(logMigration.mock.calls.map(([{ name }]) => name)).toEqual(SYNC_SCHEMAS[1].migrations);
+        });
+
+        it('no adopta una base de datos con un esquema intermedio', async () => {
+            const { scrape_tasks: _omitted, ...tables } = SYNC_SCHEMAS[1].tables;
+            mockDatabase(tables);
+            await expect(baselineExistingDatabase()).rejects.toThrow(/no coincide/);
+            expect(logMigration).not.toHaveBeenCalled();
+        });
+
+        it('no hace nada en una base de datos vacía', async () => {
+            mockDatabase({});
+            await expect(baselineExistingDatabase()).resolves.toBe(false);
+            expect(logMigration).not.toHaveBeenCalled();
+        });
+    });
+});
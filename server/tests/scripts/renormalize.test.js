@@ -0,0 +1,98 @@
+// server/tests/scripts/renormalize.test.js
+// Pruebas del cálculo de cambios del comando `renormalize` de la CLI (no requieren base de datos)
+const { sequelize, Job } = require('../../models');
+const jobDedupService = require('../../services/jobDedupService');
+const renormalize = require('../../scripts/cli/renormalize');
+
+const { getNormalizationChanges } = renormalize;
+
+describe('cli renormalize', () => {
+    const normalizedJob = {
+        title: 'Desarrollador React',
+        description: 'Descripción',
+        requirements: 'React',
+        companyName: 'Tecnología Andina',
+        location: 'Bogotá',
+        country: 'co',
+        salary: '$ 3.000.000 mensual',
+        salaryMin: '3000000.00', // Las columnas DECIMAL llegan como texto desde PostgreSQL
+        salaryMax: '3000000.00',
+        salaryCurrency: 'COP',
+        salaryPeriod: 'month',
+        modality: 'Remoto',
+        experienceRequired: '3+ años de experiencia',
+        creationDate: new Date('2024-06-01T00:00:00Z'),
+        deadlineDate: null,
+    };
+
+    it('no cambia un empleo que ya está normalizado', () => {
+        expect(getNormalizationChanges(normalizedJob)).toEqual({});
+    });
+
+    it('devuelve solo las columnas que cambian', () => {
+        const changes = getNormalizationChanges({
+            ...normalizedJob,
+            title: '  Desarrollador\n React ',
+            modality: 'Teletrabajo',
+            salary: 'USD 2,000 - 3,000 per month',
+        });
+        expect(changes).toMatchObject({
+            title: 'Desarrollador React',
+            modality: 'Remoto',
+            salaryMin: 2000,
+            salaryMax: 3000,
+            salaryCurrency: 'USD',
+        });
+        expect(changes).not.toHaveProperty('salary'); // El texto ya estaba limpio; solo cambia su interpretación
+        expect(changes).not.toHaveProperty('companyName');
+        expect(changes).not.toHaveProperty('creationDate');
+    });
+
+    describe('run', () => {
+        /**
+         * Simula una instancia de Job con los datos indicados.
+         */
+        function buildJob(id, fields) {
+            const data = { ...normalizedJob, id, clusterId: `cluster-${id}`, ...fields };
+            return { ...data, get: () => ({ ...data }), update: jest.fn(async () => {}) };
+        }
+
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback({}));
+            // La huella depende del título tal cual, para que un cambio de espacios la cambie
+            jest.spyOn(jobDedupService, 'getJobSignature').mockImplementation(job => ({ fingerprint: `${job.country}|${job.title}` }));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('reagrupa los empleos cuya huella cambia al normalizarlos', async () => {
+            const retitled = buildJob('1', { title: '  Desarrollador\n React ' });
+            const remodeled = buildJob('2', { modality: 'Teletrabajo' });
+            jest.spyOn(Job, 'count').mockResolvedValue(2);
+            jest.spyOn(Job, 'findAll').mockResolvedValueOnce([retitled, remodeled]).mockResolvedValueOnce([]);
+            const reassignCluster = jest.spyOn(jobDedupService, 'reassignCluster').mockResolvedValue('cluster-3');
+
+            await renormalize.run({ dryRun: false, batchSize: 500 });
+
+            expect(retitled.update).toHaveBeenCalled();
+            expect(remodeled.update).toHaveBeenCalled();
+            expect(reassignCluster).toHaveBeenCalledTimes(1);
+            expect(reassignCluster).toHaveBeenCalledWith(retitled);
+        });
+
+        it('no guarda ni reagrupa nada en modo de prueba', async () => {
+            const retitled = buildJob('1', { title: '  Desarrollador\n React ' });
+            jest.spyOn(Job, 'count').mockResolvedValue(1);
+            jest.spyOn(Job, 'findAll').mockResolvedValueOnce([retitled]).mockResolvedValueOnce([]);
+            const reassignCluster = jest.spyOn(jobDedupService, 'reassignCluster');
+
+            await renormalize.run({ dryRun: true, batchSize: 500 });
+
+            expect(retitled.update).not.toHaveBeenCalled();
+            expect(reassignCluster).not.toHaveBeenCalled();
+        });
+    });
+});
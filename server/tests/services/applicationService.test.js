@@ -0,0 +1,135 @@
+// server/tests/services/applicationService.test.js
+// Pruebas de la validación de los cambios de una postulación, de su línea de tiempo y de los recordatorios
+const { Op } = require('sequelize');
+const { sequelize, JobApplication, JobApplicationStatusChange } = require('../../models');
+const notificationService = require('../../services/notificationService');
+const { STAGES, parseApplicationUpdate, updateApplication, sendNextStepReminders } = require('../../services/applicationService');
+
+describe('applicationService', () => {
+    describe('parseApplicationUpdate', () => {
+        it('normaliza los campos presentes y vacía los textos en blanco', () => {
+            const { values, note, error } = parseApplicationUpdate({
+                status: 'interview',
+                note: ' Me llamó la reclutadora ',
+                contactName: '  Laura Gómez ',
+                contactEmail: 'laura@empresa.com',
+                notes: '   ',
+                nextStepAt: '2026-11-02T15:00:00Z',
+            });
+
+            expect(error).toBeNull();
+            expect(note).toBe('Me llamó la reclutadora');
+            expect(values).toEqual({
+                status: 'interview',
+                contactName: 'Laura Gómez',
+                contactEmail: 'laura@empresa.com',
+                notes: null,
+                nextStepAt: new Date('2026-11-02T15:00:00Z'),
+            });
+        });
+
+        it('admite vaciar el próximo paso', () => {
+            expect(parseApplicationUpdate({ nextStep: null, nextStepAt: null }).values).toEqual({ nextStep: null, nextStepAt: null });
+        });
+
+        it('rechaza etapas, emails y fechas no válidos', () => {
+            expect(parseApplicationUpdate({ status: 'pending' }).error).toMatch(STAGES.join(', '));
+            expect(parseApplicationUpdate({ contactEmail: 'laura' }).error).toMatch(/email/);
+            expect(parseApplicationUpdate({ nextStepAt: 'mañana' }).error).toMatch(/fecha/);
+            expect(parseApplicationUpdate({ notes: 42 }).error).toMatch(/texto/);
+        });
+
+        it('exige algún cambio y solo admite el comentario junto con la etapa', () => {
+            expect(parseApplicationUpdate({}).error).toMatch(/ningún cambio/);
+            expect(parseApplicationUpdate({ notes: 'x', note: 'comentario' }).error).toMatch(/note/);
+        });
+    });
+
+    describe('updateApplication', () => {
+        const transaction = { id: 'tx' };
+
+        beforeEach(() => {
+            jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback(transaction));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        /**
+         * Simula una instancia de JobApplication en la etapa indicada.
+         */
+        function buildApplication(status) {
+            const application = { id: 'app-1', status };
+            application.update = jest.fn(async (values) => Object.assign(application, values));
+            return application;
+        }
+
+        it('registra el cambio de etapa con su comentario en la misma transacción y avisa al usuario', async () => {
+            const create = jest.spyOn(JobApplicationStatusChange, 'create').mockImplementation(async values => values);
+            const notify = jest.spyOn(notificationService, 'notifyApplicationStatusChange').mockResolvedValue([{ id: 'n-1' }]);
+            const application = buildApplication('screening');
+
+            const change = await updateApplication(application, { status: 'interview', nextStep: 'Entrevista técnica' }, { note: 'Con el equipo' });
+
+            expect(application.update).toHaveBeenCalledWith({ status: 'interview', nextStep: 'Entrevista técnica' }, { transaction });
+            expect(create).toHaveBeenCalledWith({ applicationId: 'app-1', fromStatus: 'screening', toStatus: 'interview', note: 'Con el equipo' }, { transaction });
+            expect(change.toStatus).toBe('interview');
+            expect(notify).toHaveBeenCalledWith(application, change);
+        });
+
+        it('no añade nada a la línea de tiempo ni avisa si la etapa no cambia', async () => {
+            const create = jest.spyOn(JobApplicationStatusChange, 'create');
+            const notify = jest.spyOn(notificationService, 'notifyApplicationStatusChange');
+            const application = buildApplication('offer');
+
+            expect(await updateApplication(application, { status: 'offer', notes: 'Negociar salario' })).toBeNull();
+            expect(await updateApplication(application, { contactName: 'Laura' })).toBeNull();
+            expect(create).not.toHaveBeenCalled();
+            expect(notify).not.toHaveBeenCalled();
+        });
+
+        it('deja pendiente el recordatorio al cambiar la fecha del próximo paso', async () => {
+            const application = buildApplication('interview');
+            const nextStepAt = new Date('2026-11-02T15:00:00Z');
+
+            await updateApplication(application, { nextStepAt });
+
+            expect(application.update).toHaveBeenCalledWith({ nextStepAt, nextStepRemindedAt: null }, { transaction });
+        });
+    });
+
+    describe('sendNextStepReminders', () => {
+        const now = new Date('2026-11-01T12:00:00Z');
+        const application = { id: 'app-1', userId: 'user-1', jobId: 'job-1', nextStep: 'Entrevista', nextStepAt: new Date('2026-11-02T09:00:00Z') };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('recuerda los próximos pasos cercanos de las postulaciones abiertas una sola vez', async () => {
+            const findAll = jest.spyOn(JobApplication, 'findAll').mockResolvedValue([application]);
+            const notify = jest.spyOn(notificationService, 'notifyNextStepReminders').mockResolvedValue([{ id: 'n-1' }]);
+            const update = jest.spyOn(JobApplication, 'update').mockResolvedValue([1]);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            expect(await sendNextStepReminders(now)).toBe(1);
+
+            const { where } = findAll.mock.calls[0][0];
+            expect(where.nextStepAt).toEqual({ [Op.gt]: now, [Op.lte]: new Date('2026-11-02T12:00:00Z') });
+            expect(where.nextStepRemindedAt).toBeNull();
+            expect(where.status).toEqual({ [Op.notIn]: ['rejected', 'withdrawn'] });
+            expect(notify).toHaveBeenCalledWith([application]);
+            expect(update).toHaveBeenCalledWith({ nextStepRemindedAt: now }, { where: { id: { [Op.in]: ['app-1'] } } });
+        });
+
+        it('deja los recordatorios pendientes si no se pudieron crear las notificaciones', async () => {
+            jest.spyOn(JobApplication, 'findAll').mockResolvedValue([application]);
+            jest.spyOn(notificationService, 'notifyNextStepReminders').mockResolvedValue([]);
+            const update = jest.spyOn(JobApplication, 'update');
+
+            expect(await sendNextStepReminders(now)).toBe(0);
+            expect(update).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,109 @@
+// server/tests/services/browserPool.test.js
+// Pruebas del pool de navegador con un navegador simulado (no lanzan Chrome)
+const { EventEmitter } = require('events');
+const { createBrowserPool, resolveExecutablePath } = require('../../services/browserPool');
+
+/**
+ * Navegador simulado con la parte de la API de Puppeteer que usa el pool.
+ */
+function createFakeBrowser() {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.pagesOpened = 0;
+    browser.isConnected = () => browser.connected;
+    browser.newPage = async () => {
+        if (!browser.connected) throw new Error('Target closed');
+        browser.pagesOpened++;
+        let closed = false;
+        return {
+            setUserAgent: async () => {},
+            goto: async () => {},
+            isClosed: () => closed || !browser.connected,
+            close: async () => { closed = true; },
+        };
+    };
+    browser.close = async () => { browser.connected = false; browser.emit('disconnected'); };
+    browser.crash = () => { browser.connected = false; browser.emit('disconnected'); };
+    return browser;
+}
+
+describe('browserPool', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('comparte un único navegador y no supera el máximo de páginas simultáneas', async () => {
+        const browsers = [];
+        const pool = createBrowserPool({ maxPages: 2, launch: async () => { browsers.push(createFakeBrowser()); return browsers[browsers.length - 1]; } });
+
+        let running = 0;
+        let maxRunning = 0;
+        const task = async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+        };
+        await Promise.all([1, 2, 3, 4, 5].map(() => pool.withPage(task)));
+
+        expect(browsers).toHaveLength(1);
+        expect(maxRunning).toBe(2);
+        expect(browsers[0].pagesOpened).toBe(2); // Las páginas libres se reutilizan
+        expect(pool.getStats()).toMatchObject({ running: true, activePages: 0, waiting: 0, launches: 1 });
+        await pool.close();
+    });
+
+    it('libera la página aunque la tarea falle', async () => {
+        const pool = createBrowserPool({ maxPages: 1, launch: async () => createFakeBrowser() });
+        await expect(pool.withPage(async () => { throw new Error('timeout'); })).rejects.toThrow('timeout');
+        await expect(pool.withPage(async () => 'ok')).resolves.toBe('ok');
+        await pool.close();
+    });
+
+    it('relanza el navegador si se cae', async () => {
+        const browsers = [];
+        const pool = createBrowserPool({ launch: async () => { browsers.push(createFakeBrowser()); return browsers[browsers.length - 1]; } });
+
+        await pool.withPage(async () => {});
+        browsers[0].crash();
+        await expect(pool.withPage(async () => 'recuperado')).resolves.toBe('recuperado');
+        expect(browsers).toHaveLength(2);
+        await pool.close();
+    });
+
+    it('cierra el navegador tras el tiempo de inactividad', async () => {
+        const browser = createFakeBrowser();
+        const pool = createBrowserPool({ idleTimeoutMs: 10, launch: async () => browser });
+
+        await pool.withPage(async () => {});
+        expect(pool.getStats().running).toBe(true);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        expect(browser.isConnected()).toBe(false);
+        expect(pool.getStats().running).toBe(false);
+    });
+
+    describe('resolveExecutablePath', () => {
+        const noBundled = () => { throw new Error('Could not find Chrome'); };
+
+        it('prioriza PUPPETEER_EXECUTABLE_PATH', () => {
+            expect(resolveExecutablePath({ env: { PUPPETEER_EXECUTABLE_PATH: '/opt/chrome' }, bundledPath: () => '/cache/chrome', exists: () => true }))
+                .toBe('/opt/chrome');
+        });
+
+        it('usa el Chromium de Puppeteer si está descargado', () => {
+            expect(resolveExecutablePath({ env: {}, bundledPath: () => '/cache/chrome', exists: path => path === '/cache/chrome' }))
+                .toBe('/cache/chrome');
+        });
+
+        it('recurre a las rutas del sistema y devuelve null si no hay ninguna', () => {
+            expect(resolveExecutablePath({ env: {}, platform: 'linux', bundledPath: noBundled, exists: path => path === '/usr/bin/chromium' }))
+                .toBe('/usr/bin/chromium');
+            expect(resolveExecutablePath({ env: {}, platform: 'linux', bundledPath: noBundled, exists: () => false })).toBeNull();
+        });
+    });
+});
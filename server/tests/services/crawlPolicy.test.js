@@ -0,0 +1,133 @@
+// server/tests/services/crawlPolicy.test.js
+// Pruebas de la política de rastreo con un reloj simulado (sin esperas reales ni acceso a la red)
+const { createTokenBucket, getBackoffDelay, createCrawlPolicy } = require('../../services/crawlPolicy');
+
+/**
+ * Reloj simulado: `sleep` avanza el tiempo en lugar de esperar.
+ */
+function createClock() {
+    const clock = { time: 0, sleeps: [] };
+    clock.now = () => clock.time;
+    clock.sleep = async (ms) => { clock.sleeps.push(ms); clock.time += ms; };
+    return clock;
+}
+
+const robotsResponse = (text, status = 200) => async () => ({ status, text });
+
+describe('crawlPolicy', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('createTokenBucket', () => {
+        it('permite una ráfaga de `capacity` peticiones y luego una por intervalo', () => {
+            const clock = createClock();
+            const bucket = createTokenBucket({ capacity: 2, refillMs: 1000, now: clock.now });
+            expect(bucket.take()).toBe(0);
+            expect(bucket.take()).toBe(0);
+            expect(bucket.take()).toBe(1000);
+            clock.time += 400;
+            expect(bucket.take()).toBe(600);
+            clock.time += 600;
+            expect(bucket.take()).toBe(0);
+        });
+
+        it('slowDown impone un intervalo mínimo sin ráfagas', () => {
+            const clock = createClock();
+            const bucket = createTokenBucket({ capacity: 3, refillMs: 1000, now: clock.now });
+            bucket.slowDown(5000);
+            expect(bucket.take()).toBe(0);
+            expect(bucket.take()).toBe(5000);
+        });
+    });
+
+    describe('getBackoffDelay', () => {
+        it('duplica la espera en cada intento, hasta el máximo', () => {
+            const options = { baseMs: 1000, maxMs: 5000, random: () => 0 };
+            expect(getBackoffDelay(0, null, options)).toBe(1000);
+            expect(getBackoffDelay(2, null, options)).toBe(4000);
+            expect(getBackoffDelay(5, null, options)).toBe(5000);
+        });
+
+        it('respeta Retry-After en segundos o como fecha', () => {
+            const now = () => Date.parse('2025-01-01T00:00:00Z');
+            expect(getBackoffDelay(0, '30', { maxMs: 60000 })).toBe(30000);
+            expect(getBackoffDelay(0, 'Wed, 01 Jan 2025 00:00:10 GMT', { maxMs: 60000, now })).toBe(10000);
+        });
+    });
+
+    describe('politeRequest', () => {
+        it('espacia las peticiones a un mismo dominio según el límite por minuto', async () => {
+            const clock = createClock();
+            const policy = createCrawlPolicy({ requestsPerMinute: 6, burst: 1, fetchRobots: robotsResponse('', 404), ...clock });
+            const times = [];
+            const request = async () => { times.push(clock.time); return { status: 200, result: 'ok' }; };
+
+            await Promise.all([1, 2, 3].map(() => policy.politeRequest('https://co.computrabajo.com/a', request)));
+            await policy.politeRequest('https://mx.computrabajo.com/a', request);
+
+            expect(times).toEqual([0, 10000, 20000, 20000]); // El otro dominio no espera
+        });
+
+        it('reintenta con espera creciente ante 429 y 503 y pausa el dominio', async () => {
+            const clock = createClock();
+            const policy = createCrawlPolicy({ requestsPerMinute: 600, maxRetries: 3, fetchRobots: robotsResponse('', 404), ...clock });
+            const statuses = [429, 503, 200];
+            const request = jest.fn(async () => ({ status: statuses.shift(), retryAfter: null, result: 'html' }));
+
+            await expect(policy.politeRequest('https://co.computrabajo.com/a', request)).resolves.toBe('html');
+            expect(request).toHaveBeenCalledTimes(3);
+            expect(clock.time).toBeGreaterThanOrEqual(5000 + 10000);
+        });
+
+        it('devuelve el último resultado si el sitio sigue rechazando tras los reintentos', async () => {
+            const clock = createClock();
+            const policy = createCrawlPolicy({ maxRetries: 1, fetchRobots: robotsResponse('', 404), ...clock });
+            const request = jest.fn(async () => ({ status: 429, retryAfter: '1', result: null }));
+
+            await expect(policy.politeRequest('https://co.computrabajo.com/a', request)).resolves.toBeNull();
+            expect(request).toHaveBeenCalledTimes(2);
+        });
+
+        it('rechaza las URLs que robots.txt prohíbe y lee el robots.txt una sola vez por origen', async () => {
+            const clock = createClock();
+            const fetchRobots = jest.fn(robotsResponse('User-agent: *\nDisallow: /candidato/'));
+            const policy = createCrawlPolicy({ fetchRobots, ...clock });
+            const request = async () => ({ status: 200, result: 'ok' });
+
+            await expect(policy.politeRequest('https://co.computrabajo.com/candidato/perfil', request))
+                .rejects.toMatchObject({ code: 'ROBOTS_DISALLOWED' });
+            await expect(policy.politeRequest('https://co.computrabajo.com/trabajo-de-react', request)).resolves.toBe('ok');
+            expect(fetchRobots).toHaveBeenCalledTimes(1);
+            expect(fetchRobots).toHaveBeenCalledWith('https://co.computrabajo.com/robots.txt', expect.any(String));
+        });
+
+        it('trata un robots.txt con 5xx o inaccesible como prohibición temporal', async () => {
+            const clock = createClock();
+            const failing = createCrawlPolicy({ fetchRobots: robotsResponse('', 503), ...clock });
+            await expect(failing.isAllowed('https://co.computrabajo.com/a')).resolves.toBe(false);
+
+            const unreachable = createCrawlPolicy({ fetchRobots: async () => { throw new Error('ECONNRESET'); }, ...clock });
+            await expect(unreachable.isAllowed('https://co.computrabajo.com/a')).resolves.toBe(false);
+
+            const ignoring = createCrawlPolicy({ respectRobots: false, fetchRobots: robotsResponse('', 503), ...clock });
+            await expect(ignoring.isAllowed('https://co.computrabajo.com/a')).resolves.toBe(true);
+        });
+
+        it('aplica el Crawl-delay de robots.txt', async () => {
+            const clock = createClock();
+            const policy = createCrawlPolicy({ requestsPerMinute: 600, burst: 5, fetchRobots: robotsResponse('User-agent: *\nCrawl-delay: 8'), ...clock });
+            const times = [];
+            const request = async () => { times.push(clock.time); return { status: 200, result: 'ok' }; };
+
+            await policy.politeRequest('https://co.computrabajo.com/a', request);
+            await policy.politeRequest('https://co.computrabajo.com/b', request);
+            expect(times[1] - times[0]).toBe(8000);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+// server/tests/services/currencyService.test.js
+// Pruebas de la validación de tasas y la conversión de salarios (no requieren base de datos)
+const { DEFAULT_CURRENCY, validateRates, parseRatesFile, resolveCurrency, convertAmount, convertSalary } = require('../../services/currencyService');
+
+const RATES = { USD: 1, COP: 4000, EUR: 0.8 };
+
+describe('currencyService', () => {
+    describe('parseRatesFile', () => {
+        it('lee tasas en JSON con o sin la clave rates', () => {
+            expect(parseRatesFile('{"base":"USD","rates":{"USD":1,"COP":4000}}', 'rates.json')).toEqual({ USD: 1, COP: 4000 });
+            expect(parseRatesFile('{"MXN":18.5}', 'rates.json')).toEqual({ MXN: 18.5 });
+        });
+
+        it('lee tasas en CSV con cabecera opcional', () => {
+            expect(parseRatesFile('currency,unitsPerUsd\ncop,4000\nEUR, 0.8\n', 'rates.csv')).toEqual({ COP: 4000, EUR: 0.8 });
+        });
+
+        it('rechaza archivos con tasas no válidas', () => {
+            expect(() => parseRatesFile('COP,abc', 'rates.csv')).toThrow(/COP debe ser un número/);
+        });
+    });
+
+    it('valida códigos ISO y tasas positivas', () => {
+        expect(validateRates(RATES)).toBeNull();
+        expect(validateRates({})).not.toBeNull();
+        expect(validateRates({ cop: 4000 })).toMatch(/Código de moneda no válido/);
+        expect(validateRates({ COP: 0 })).toMatch(/mayor que 0/);
+        expect(validateRates({ USD: 2 })).toMatch(/debe ser 1/);
+    });
+
+    it('convierte importes a través de la moneda base', () => {
+        expect(convertAmount(4000000, 'COP', 'USD', RATES)).toBe(1000);
+        expect(convertAmount(1000, 'USD', 'EUR', RATES)).toBe(800);
+        expect(convertAmount(1000, 'ARS', 'USD', RATES)).toBeNull();
+        expect(convertAmount(null, 'COP', 'USD', RATES)).toBeNull();
+    });
+
+    describe('convertSalary', () => {
+        it('convierte el rango y calcula su equivalente mensual', () => {
+            const job = { salaryMin: 48000, salaryMax: 60000, salaryCurrency: 'USD', salaryPeriod: 'year' };
+            expect(convertSalary(job, 'COP', RATES)).toEqual({
+                currency: 'COP',
+                min: 192000000,
+                max: 240000000,
+                period: 'year',
+                monthlyMin: 16000000,
+                monthlyMax: 20000000,
+            });
+        });
+
+        it('considera mensual un salario sin periodo y conserva las cotas abiertas', () => {
+            const job = { salaryMin: null, salaryMax: 4000000, salaryCurrency: 'COP', salaryPeriod: null };
+            expect(convertSalary(job, 'USD', RATES)).toMatchObject({ min: null, max: 1000, monthlyMin: null, monthlyMax: 1000 });
+        });
+
+        it('devuelve null sin salario o sin tasa para la moneda', () => {
+            expect(convertSalary({ salaryMin: null, salaryMax: null, salaryCurrency: null, salaryPeriod: null }, 'USD', RATES)).toBeNull();
+            expect(convertSalary({ salaryMin: 1, salaryMax: 2, salaryCurrency: 'ARS', salaryPeriod: 'month' }, 'USD', RATES)).toBeNull();
+        });
+    });
+
+    describe('resolveCurrency', () => {
+        it('usa la moneda preferida del usuario solo si tiene tasa', () => {
+            expect(resolveCurrency({ preferences: { currency: 'COP' } }, RATES)).toBe('COP');
+            expect(resolveCurrency({ preferences: { currency: 'ARS' } }, RATES)).toBe(DEFAULT_CURRENCY);
+            expect(resolveCurrency(null, RATES)).toBe(DEFAULT_CURRENCY);
+        });
+    });
+});
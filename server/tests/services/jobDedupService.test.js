@@ -0,0 +1,170 @@
+// server/tests/services/jobDedupService.test.js
+// Pruebas de la normalización y la detección de publicaciones duplicadas (no requieren base de datos)
+const { sequelize, Job, JobCluster } = require('../../models');
+const jobDedupService = require('../../services/jobDedupService');
+const {
+    normalizeTitle,
+    normalizeCompany,
+    normalizeLocation,
+    getJobSignature,
+    jaccard,
+    isNearDuplicate,
+} = require('../../services/jobDedupService');
+
+const DESCRIPTION = 'Buscamos desarrollador backend con experiencia en Node.js, PostgreSQL y APIs REST para proyectos de banca.';
+
+/**
+ * Prepara una publicación para `isNearDuplicate` a partir de sus campos.
+ */
+const entry = (job) => ({ signature: getJobSignature({ country: 'co', ...job }), description: job.description ?? DESCRIPTION });
+
+describe('jobDedupService', () => {
+    it('normaliza títulos, empresas y ubicaciones', () => {
+        expect(normalizeTitle('Desarrollador/a Back-End (Remoto) [Urgente]')).toBe('desarrollador back end');
+        expect(normalizeCompany('Acme Colombia S.A.S.')).toBe('acme colombia');
+        expect(normalizeCompany('Grupo Bimbo, S.A. de C.V.')).toBe('grupo bimbo');
+        expect(normalizeCompany('Confidencial')).toBe('');
+        expect(normalizeLocation('Bogotá, D.C.')).toBe('bogota');
+        expect(normalizeLocation('No especificada')).toBe('');
+    });
+
+    it('genera la misma huella para la misma vacante escrita de otra forma', () => {
+        const a = getJobSignature({ title: 'Desarrollador Backend', companyName: 'ACME S.A.S.', location: 'Bogotá, D.C.', country: 'co' });
+        const b = getJobSignature({ title: 'DESARROLLADOR BACKEND (Remoto)', companyName: 'Acme', location: 'Bogota', country: 'CO' });
+        expect(a.fingerprint).toBe(b.fingerprint);
+        expect(a.fingerprint).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    it('calcula el índice de Jaccard', () => {
+        expect(jaccard(new Set(['a', 'b']), new Set(['b', 'c']))).toBeCloseTo(1 / 3);
+        expect(jaccard(new Set(), new Set(['a']))).toBeNull();
+    });
+
+    describe('isNearDuplicate', () => {
+        it('agrupa la misma oferta publicada de nuevo o en otra bolsa', () => {
+            const original = entry({ title: 'Desarrollador Backend', companyName: 'ACME', location: 'Bogotá' });
+            expect(isNearDuplicate(original, entry({ title: 'Desarrollador Backend (Remoto)', companyName: 'Acme S.A.S.', location: 'Bogotá, D.C.' }))).toBe(true);
+            expect(isNearDuplicate(original, entry({ title: 'Desarrollador Backend Node', companyName: 'ACME', location: 'Bogotá' }))).toBe(false);
+        });
+
+        it('no agrupa publicaciones de distinta empresa, ciudad o país', () => {
+            const original = entry({ title: 'Desarrollador Backend', companyName: 'ACME', location: 'Bogotá' });
+            expect(isNearDuplicate(original, entry({ title: 'Desarrollador Backend', companyName: 'Globex', location: 'Bogotá' }))).toBe(false);
+            expect(isNearDuplicate(original, entry({ title: 'Desarrollador Backend', companyName: 'ACME', location: 'Medellín' }))).toBe(false);
+            expect(isNearDuplicate(original, { ...original, signature: { ...original.signature, country: 'mx' } })).toBe(false);
+        });
+
+        it('exige descripciones parecidas si la empresa es confidencial', () => {
+            const confidential = entry({ title: 'Analista de Datos', companyName: 'Confidencial', location: 'Lima' });
+            expect(isNearDuplicate(confidential, entry({ title: 'Analista de Datos', companyName: 'Confidencial', location: 'Lima' }))).toBe(true);
+            expect(isNearDuplicate(confidential, entry({
+                title: 'Analista de Datos',
+                companyName: 'Confidencial',
+                location: 'Lima',
+                description: 'Empresa de retail requiere analista con Power BI y SQL para el área comercial.',
+            }))).toBe(false);
+            expect(isNearDuplicate(
+                entry({ title: 'Analista de Datos', companyName: 'Confidencial', description: '' }),
+                entry({ title: 'Analista de Datos', companyName: 'Confidencial', description: '' })
+            )).toBe(false);
+        });
+
+        it('tolera títulos casi iguales de la misma empresa con la misma descripción', () => {
+            const original = entry({ title: 'Ingeniero de Software Senior Java', companyName: 'ACME', location: 'Bogotá' });
+            expect(isNearDuplicate(original, entry({ title: 'Ingeniero Software Senior Java', companyName: 'ACME', location: '' }))).toBe(true);
+        });
+    });
+
+    describe('assignCluster', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('suma la publicación al cluster con un incremento atómico', async () => {
+            const signature = getJobSignature({ title: 'Desarrollador Backend', companyName: 'ACME', location: 'Bogotá', country: 'co' });
+            const cluster = {
+                id: 'cluster-1',
+                jobCount: 2,
+                canonicalJobId: 'job-0',
+                fingerprint: signature.fingerprint,
+                normalizedTitle: signature.title,
+                normalizedCompany: signature.company,
+                normalizedLocation: signature.location,
+                country: 'co',
+                increment: jest.fn(async () => {}),
+                update: jest.fn(async () => {}),
+            };
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(JobCluster, 'findAll').mockResolvedValue([cluster]);
+            jest.spyOn(Job, 'findAll').mockResolvedValue([{ id: 'job-0', status: 'active', isHidden: false, creationDate: new Date('2026-10-01') }]);
+            jest.spyOn(Job, 'update').mockResolvedValue([1]);
+            const transaction = {};
+            jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback(transaction));
+            const job = {
+                id: 'job-1',
+                clusterId: null,
+                title: 'Desarrollador Backend',
+                companyName: 'ACME',
+                location: 'Bogotá',
+                country: 'co',
+                status: 'active',
+                creationDate: new Date('2026-10-10'),
+                update: jest.fn(async () => {}),
+            };
+
+            await expect(jobDedupService.assignCluster(job)).resolves.toBe('cluster-1');
+
+            expect(cluster.increment).toHaveBeenCalledWith('jobCount', { transaction });
+            expect(cluster.update).toHaveBeenCalledWith({ canonicalJobId: 'job-1' }, { transaction });
+            expect(cluster.update.mock.calls[0][0]).not.toHaveProperty('jobCount');
+        });
+    });
+
+    describe('reassignCluster', () => {
+        const buildJob = () => ({
+            id: 'job-1',
+            clusterId: 'cluster-old',
+            isCanonical: true,
+            title: 'Desarrollador Backend',
+            sourceName: 'computrabajo',
+            update: jest.fn(async function (changes) { Object.assign(this, changes); return this; }),
+        });
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback({}));
+            jest.spyOn(JobCluster, 'destroy').mockResolvedValue(1);
+            jest.spyOn(JobCluster, 'update').mockResolvedValue([1]);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('borra el cluster anterior si se queda vacío y vuelve a agrupar la publicación', async () => {
+            jest.spyOn(Job, 'count').mockResolvedValue(0);
+            const electCanonical = jest.spyOn(jobDedupService, 'electCanonical').mockResolvedValue(null);
+            const assignCluster = jest.spyOn(jobDedupService, 'assignCluster').mockResolvedValue('cluster-new');
+            const job = buildJob();
+
+            await expect(jobDedupService.reassignCluster(job)).resolves.toBe('cluster-new');
+
+            expect(job.update).toHaveBeenCalledWith({ clusterId: null, isCanonical: true }, expect.objectContaining({ silent: true }));
+            expect(JobCluster.destroy).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'cluster-old' } }));
+            expect(electCanonical).not.toHaveBeenCalled();
+            expect(assignCluster).toHaveBeenCalledWith(job);
+        });
+
+        it('descuenta la publicación del cluster anterior y le elige otra canónica', async () => {
+            jest.spyOn(Job, 'count').mockResolvedValue(2);
+            const electCanonical = jest.spyOn(jobDedupService, 'electCanonical').mockResolvedValue('job-2');
+            jest.spyOn(jobDedupService, 'assignCluster').mockResolvedValue('cluster-new');
+
+            await jobDedupService.reassignCluster(buildJob());
+
+            expect(JobCluster.destroy).not.toHaveBeenCalled();
+            expect(JobCluster.update).toHaveBeenCalledWith({ jobCount: 2 }, expect.objectContaining({ where: { id: 'cluster-old' } }));
+            expect(electCanonical).toHaveBeenCalledWith('cluster-old');
+        });
+    });
+});
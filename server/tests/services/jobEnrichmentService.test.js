@@ -0,0 +1,115 @@
+// server/tests/services/jobEnrichmentService.test.js
+// Pruebas de la concurrencia de la segunda pasada y de la combinación de datos del detalle (no requieren base de datos)
+const sourceRegistry = require('../../services/sourceRegistry');
+const scrapingService = require('../../services/scrapingService');
+const jobDedupService = require('../../services/jobDedupService');
+const { runWithConcurrency, buildEnrichedFields, enrichJob } = require('../../services/jobEnrichmentService');
+
+describe('jobEnrichmentService', () => {
+    describe('runWithConcurrency', () => {
+        it('no supera el número de tareas simultáneas y conserva el orden de los resultados', async () => {
+            let running = 0;
+            let maxRunning = 0;
+            const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, 0, async (item) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+                return item * 10;
+            });
+            expect(maxRunning).toBe(2);
+            expect(results).toEqual([10, 20, 30, 40, 50]);
+        });
+
+        it('espera la pausa de cortesía entre dos elementos de un mismo worker', async () => {
+            const startedAt = Date.now();
+            await runWithConcurrency([1, 2, 3], 1, 30, async () => {});
+            expect(Date.now() - startedAt).toBeGreaterThanOrEqual(55);
+        });
+    });
+
+    describe('buildEnrichedFields', () => {
+        const job = {
+            title: 'Desarrollador React',
+            companyName: 'Confidencial',
+            description: 'Resumen del listado',
+            requirements: 'N/A',
+            modality: 'No especificada',
+            experienceRequired: 'Senior',
+            salary: 'Confidencial',
+            location: 'Bogotá',
+            country: 'co',
+        };
+
+        it('normaliza los datos del detalle como los del listado', () => {
+            const updates = buildEnrichedFields(job, {
+                description: '  Descripción   completa ',
+                modality: 'Teletrabajo',
+                companyName: 'Tecnología Andina',
+                deadlineDate: new Date('2024-08-15T23:59:59Z'),
+            });
+            expect(updates).toEqual({
+                description: 'Descripción completa',
+                modality: 'Remoto',
+                companyName: 'Tecnología Andina',
+                deadlineDate: new Date('2024-08-15T23:59:59Z'),
+            });
+        });
+
+        it('no reemplaza un dato ya interpretado por uno que no se puede interpretar', () => {
+            expect(buildEnrichedFields(job, { experienceRequired: 'Educación mínima: Universidad' })).toEqual({});
+            expect(buildEnrichedFields(job, { experienceRequired: '3 años de experiencia' })).toEqual({ experienceRequired: '3+ años de experiencia' });
+        });
+    });
+
+    describe('enrichJob', () => {
+        const buildJob = (fields) => {
+            const job = {
+                id: 'job-1',
+                clusterId: 'cluster-1',
+                title: 'Desarrollador React',
+                companyName: 'Confidencial',
+                location: 'Bogotá',
+                country: 'co',
+                sourceName: 'computrabajo',
+                sourceUrl: 'https://co.computrabajo.com/ofertas-de-trabajo/oferta-1',
+                enrichmentAttempts: 0,
+                ...fields,
+            };
+            job.get = () => ({ ...job });
+            job.update = jest.fn(async (changes) => Object.assign(job, changes));
+            return job;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(scrapingService, 'fetchPage').mockResolvedValue('<html></html>');
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const mockDetail = (details) => jest.spyOn(sourceRegistry, 'getSourceByName').mockReturnValue({ parseDetail: () => details });
+
+        it('vuelve a agrupar la oferta si el detalle cambia la empresa', async () => {
+            mockDetail({ companyName: 'Tecnología Andina S.A.S.' });
+            const reassignCluster = jest.spyOn(jobDedupService, 'reassignCluster').mockResolvedValue('cluster-2');
+            const job = buildJob();
+
+            await expect(enrichJob(job)).resolves.toBe(true);
+
+            expect(job.companyName).toBe('Tecnología Andina S.A.S.');
+            expect(reassignCluster).toHaveBeenCalledWith(job);
+        });
+
+        it('conserva el cluster si el detalle no cambia los datos de agrupación', async () => {
+            mockDetail({ description: 'Descripción completa' });
+            const reassignCluster = jest.spyOn(jobDedupService, 'reassignCluster').mockResolvedValue(null);
+
+            await expect(enrichJob(buildJob())).resolves.toBe(true);
+
+            expect(reassignCluster).not.toHaveBeenCalled();
+        });
+    });
+});
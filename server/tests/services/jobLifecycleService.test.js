@@ -0,0 +1,34 @@
+// server/tests/services/jobLifecycleService.test.js
+// Pruebas de la detección de ofertas cerradas a partir de la respuesta de su URL (no requieren base de datos)
+const { detectClosedReason } = require('../../services/jobLifecycleService');
+const computrabajoSource = require('../../services/sources/computrabajoSource');
+const monsterSource = require('../../services/sources/monsterSource');
+
+describe('jobLifecycleService', () => {
+    describe('detectClosedReason', () => {
+        it('cierra las ofertas cuya URL responde 404 o 410', () => {
+            expect(detectClosedReason(404, null)).toBe('http_404');
+            expect(detectClosedReason(410, null)).toBe('http_410');
+        });
+
+        it('no decide nada con errores temporales o bloqueos', () => {
+            expect(detectClosedReason(500, null)).toBeNull();
+            expect(detectClosedReason(403, null)).toBeNull();
+            expect(detectClosedReason(429, null)).toBeNull();
+        });
+
+        it('detecta la página de oferta cerrada de cada fuente', () => {
+            expect(detectClosedReason(200, '<h1>Esta oferta ya no está disponible</h1>', computrabajoSource)).toBe('closed_page');
+            expect(detectClosedReason(200, '<p>La oferta ha caducado</p>', computrabajoSource)).toBe('closed_page');
+            expect(detectClosedReason(200, '<div>This job has expired on Monster</div>', monsterSource)).toBe('closed_page');
+        });
+
+        it('reconoce textos genéricos aunque la fuente no declare los suyos', () => {
+            expect(detectClosedReason(200, '<p>This position has been filled.</p>')).toBe('closed_page');
+        });
+
+        it('deja abiertas las ofertas que siguen publicadas', () => {
+            expect(detectClosedReason(200, '<h1>Desarrollador Node.js</h1><button>Postularme</button>', computrabajoSource)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,92 @@
+// server/tests/services/jobSearchService.test.js
+// Pruebas de la construcción de consultas de texto completo (no requieren base de datos)
+const { Op } = require('sequelize');
+const { normalizeKeyword, buildKeywordSearch, parseSearchFilters, buildFilterConditions, buildVisibilityConditions } = require('../../services/jobSearchService');
+
+describe('jobSearchService', () => {
+    it('une las palabras con guion como se indexan', () => {
+        expect(normalizeKeyword('  desarrollador back-end ')).toBe('desarrollador backend');
+        expect(normalizeKeyword('full-stack - remoto')).toBe('fullstack - remoto');
+    });
+
+    it('busca con los diccionarios español e inglés y escapa el texto', () => {
+        const { where } = buildKeywordSearch("o'reilly");
+        expect(where.val).toContain("plainto_tsquery('spanish', 'o''reilly')");
+        expect(where.val).toContain("plainto_tsquery('english', 'o''reilly')");
+    });
+
+    it('ordena por ts_rank por defecto', () => {
+        const { order } = buildKeywordSearch('backend');
+        expect(order[0][0].val).toMatch(/^ts_rank\("Job"\."searchVector"/);
+        expect(order[1]).toEqual(['createdAt', 'DESC']);
+    });
+
+    it("ordena por fecha con sort='date'", () => {
+        expect(buildKeywordSearch('backend', 'date').order).toEqual([['createdAt', 'DESC']]);
+    });
+
+    it("ordena por salario mensual normalizado con sort='salary' y deja al final las ofertas sin salario", () => {
+        const { order } = buildKeywordSearch('backend', 'salary', { rates: { USD: 1, COP: 4000 } });
+        expect(order[0][0].val).toMatch(/^\(COALESCE\("Job"\."salaryMax", "Job"\."salaryMin"\) \/ /);
+        expect(order[0][0].val).toContain(`CASE "Job"."salaryCurrency" WHEN 'USD' THEN 1 WHEN 'COP' THEN 4000 END`);
+        expect(order[0][0].val).toContain(`WHEN 'year' THEN ${1 / 12}`);
+        expect(order[0][0].val).toMatch(/DESC NULLS LAST$/);
+        expect(order[1]).toEqual(['createdAt', 'DESC']);
+    });
+
+    describe('parseSearchFilters', () => {
+        it('normaliza modalidades y experiencia sin distinguir mayúsculas ni tildes', () => {
+            const { filters, error } = parseSearchFilters({ modality: 'remoto,hibrido', experience: ['senior', 'Semi-Senior'] });
+            expect(error).toBeNull();
+            expect(filters.modality).toEqual(['Remoto', 'Híbrido']);
+            expect(filters.experience).toEqual(['Senior', 'Semi-Senior']);
+        });
+
+        it('no aplica filtros si no se indican', () => {
+            const { filters } = parseSearchFilters({ keyword: 'react', country: 'co' });
+            expect(buildFilterConditions(filters)).toEqual([]);
+        });
+
+        it('rechaza valores fuera de la lista', () => {
+            expect(parseSearchFilters({ modality: 'Freelance' }).error).toMatch(/Modalidad no válida: Freelance/);
+            expect(parseSearchFilters({ experience: 'Lead' }).error).toMatch(/Experiencia no válida: Lead/);
+        });
+
+        it('valida postedWithinDays y el rango salarial', () => {
+            expect(parseSearchFilters({ postedWithinDays: '0' }).error).not.toBeNull();
+            expect(parseSearchFilters({ postedWithinDays: '7días' }).error).not.toBeNull();
+            expect(parseSearchFilters({ salaryMin: '-1' }).error).not.toBeNull();
+            expect(parseSearchFilters({ salaryMin: '5000', salaryMax: '1000' }).error).toMatch(/salaryMin no puede ser mayor/);
+            expect(parseSearchFilters({ postedWithinDays: '7', salaryMin: '1000', salaryMax: '5000' }).filters)
+                .toMatchObject({ postedWithinDays: 7, salaryMin: 1000, salaryMax: 5000 });
+        });
+
+        it('genera una condición por cada filtro activo', () => {
+            const { filters } = parseSearchFilters({ modality: 'Remoto', sourceName: 'Computrabajo', postedWithinDays: '7', salaryMin: '1000' });
+            expect(buildFilterConditions(filters)).toHaveLength(4);
+        });
+
+        it('compara el salario mensual convertido a la moneda de la búsqueda', () => {
+            const { filters } = parseSearchFilters({ salaryMin: '3000000', salaryMax: '5000000' });
+            const [min, max] = buildFilterConditions(filters, { rates: { USD: 1, COP: 4000 }, currency: 'COP' });
+
+            expect(min.attribute.val).toMatch(/^\(COALESCE\("Job"\."salaryMax", "Job"\."salaryMin"\) \/ /);
+            expect(min.attribute.val).toContain(`CASE "Job"."salaryCurrency" WHEN 'USD' THEN 1 WHEN 'COP' THEN 4000 END) * 4000 * (CASE "Job"."salaryPeriod"`);
+            expect(min.attribute.val).toContain(`WHEN 'hour' THEN ${(40 * 52) / 12}`);
+            expect(min.logic).toEqual({ [Op.gte]: 3000000 });
+            expect(max.attribute.val).toMatch(/^\(COALESCE\("Job"\."salaryMin", "Job"\."salaryMax"\) \/ /);
+            expect(max.logic).toEqual({ [Op.lte]: 5000000 });
+        });
+
+        it('omite el filtro de la dimensión excluida (facetas disyuntivas)', () => {
+            const { filters } = parseSearchFilters({ modality: 'Remoto', experience: 'Senior' });
+            expect(buildFilterConditions(filters, { exclude: 'modality' })).toEqual([{ experienceRequired: expect.any(Object) }]);
+        });
+
+        it('excluye siempre las ofertas ocultas, y las vencidas y cerradas salvo con includeInactive=true', () => {
+            expect(buildVisibilityConditions(parseSearchFilters({}).filters)).toEqual([{ isCanonical: true }, { isHidden: false }, { status: 'active' }]);
+            expect(buildVisibilityConditions(parseSearchFilters({ includeInactive: 'true' }).filters)).toEqual([{ isCanonical: true }, { isHidden: false }]);
+            expect(parseSearchFilters({ includeInactive: 'si' }).error).toMatch(/includeInactive/);
+        });
+    });
+});
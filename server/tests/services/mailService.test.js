@@ -0,0 +1,54 @@
+// server/tests/services/mailService.test.js
+// Pruebas de los transportes de email
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+describe('mailService', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        jest.resetModules();
+    });
+
+    it('usa el transporte de consola si no hay SMTP configurado', () => {
+        delete process.env.MAIL_TRANSPORT;
+        delete process.env.SMTP_HOST;
+        const mailService = require('../../services/mailService');
+        expect(mailService.getTransport().name).toBe('console');
+    });
+
+    it('rechaza un transporte desconocido', () => {
+        process.env.MAIL_TRANSPORT = 'paloma';
+        const mailService = require('../../services/mailService');
+        expect(() => mailService.getTransport()).toThrow(/paloma/);
+    });
+
+    it('el transporte de archivos guarda el email como .eml', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+        process.env.MAIL_TRANSPORT = 'file';
+        process.env.MAIL_FILE_DIR = dir;
+        process.env.MAIL_FROM = 'Empleos <no-reply@empleos.test>';
+        const mailService = require('../../services/mailService');
+
+        const { file } = await mailService.sendMail({ to: 'ana@empleos.test', subject: 'Ofertas nuevas', text: 'Hola' });
+        const content = await fs.readFile(file, 'utf8');
+
+        expect(path.dirname(file)).toBe(dir);
+        expect(content).toContain('To: ana@empleos.test');
+        expect(content).toContain('From: Empleos <no-reply@empleos.test>');
+        expect(content).toContain('Subject: Ofertas nuevas');
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('permite reemplazar el transporte', async () => {
+        const mailService = require('../../services/mailService');
+        const send = jest.fn().mockResolvedValue({ messageId: 'x' });
+        mailService.setTransport({ name: 'custom', send });
+
+        await mailService.sendMail({ to: 'ana@empleos.test', subject: 'Asunto', text: 'Hola' });
+
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ana@empleos.test', subject: 'Asunto', text: 'Hola' }));
+    });
+});
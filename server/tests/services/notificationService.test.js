@@ -0,0 +1,131 @@
+// server/tests/services/notificationService.test.js
+// Pruebas del contenido de las notificaciones y de que un fallo al crearlas no interrumpe el evento
+const { Notification, FavoriteJob, Job } = require('../../models');
+const {
+    buildSearchLink,
+    createNotifications,
+    notifySavedSearchMatches,
+    notifyFavoritesUnavailable,
+    notifyApplicationStatusChange,
+    notifyNextStepReminders,
+} = require('../../services/notificationService');
+
+describe('notificationService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildSearchLink', () => {
+        it('repite la búsqueda guardada en la página de inicio, ordenada por fecha', () => {
+            const link = buildSearchLink({ keyword: 'desarrollador react', countries: ['co', 'es'], filters: { modality: ['Remoto', 'Híbrido'], salaryMin: 1000 } });
+            const params = new URLSearchParams(link.split('?')[1]);
+
+            expect(link.startsWith('/home?')).toBe(true);
+            expect(Object.fromEntries(params)).toEqual({
+                keyword: 'desarrollador react',
+                country: 'co,es',
+                sort: 'date',
+                modality: 'Remoto,Híbrido',
+                salaryMin: '1000',
+            });
+        });
+    });
+
+    describe('notifySavedSearchMatches', () => {
+        it('crea una notificación por búsqueda con los primeros títulos y el total', async () => {
+            const bulkCreate = jest.spyOn(Notification, 'bulkCreate').mockImplementation(async rows => rows.map(row => ({ ...row, toJSON: () => row })));
+            const savedSearch = { id: 'search-1', keyword: 'react', countries: ['co'], filters: {} };
+            const jobs = ['A', 'B', 'C', 'D'].map((title, index) => ({ id: `job-${index}`, title }));
+
+            await notifySavedSearchMatches('user-1', [{ savedSearch, jobs, total: 12 }]);
+
+            expect(bulkCreate).toHaveBeenCalledWith([{
+                userId: 'user-1',
+                type: 'saved_search_matches',
+                title: '12 ofertas nuevas para "react"',
+                message: 'A, B, C y 9 más.',
+                link: '/home?keyword=react&country=co&sort=date',
+                data: { savedSearchId: 'search-1', jobIds: ['job-0', 'job-1', 'job-2', 'job-3'], total: 12 },
+            }]);
+        });
+    });
+
+    describe('notifyFavoritesUnavailable', () => {
+        it('no repite el aviso de una oferta y estado ya avisados al mismo usuario', async () => {
+            const job = { id: 'job-1', title: 'Dev React', companyName: 'ACME' };
+            jest.spyOn(FavoriteJob, 'findAll').mockResolvedValue([
+                { userId: 'user-1', jobId: 'job-1', Job: job },
+                { userId: 'user-2', jobId: 'job-1', Job: job },
+            ]);
+            jest.spyOn(Notification, 'findAll').mockResolvedValue([{ userId: 'user-1', data: { jobId: 'job-1', status: 'expired' } }]);
+            const bulkCreate = jest.spyOn(Notification, 'bulkCreate').mockImplementation(async rows => rows.map(row => ({ ...row, toJSON: () => row })));
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            const created = await notifyFavoritesUnavailable(['job-1'], 'expired');
+
+            expect(created).toHaveLength(1);
+            expect(bulkCreate).toHaveBeenCalledWith([expect.objectContaining({ userId: 'user-2', type: 'favorite_unavailable', data: { jobId: 'job-1', status: 'expired' } })]);
+        });
+    });
+
+    describe('notifyApplicationStatusChange', () => {
+        it('avisa la nueva etapa de la postulación con su oferta', async () => {
+            const bulkCreate = jest.spyOn(Notification, 'bulkCreate').mockImplementation(async rows => rows.map(row => ({ ...row, toJSON: () => row })));
+            jest.spyOn(Job, 'findByPk').mockResolvedValue({ id: 'job-1', title: 'Dev React', companyName: 'ACME' });
+
+            await notifyApplicationStatusChange(
+                { id: 'app-1', userId: 'user-1', jobId: 'job-1', status: 'interview' },
+                { fromStatus: 'screening', toStatus: 'interview' }
+            );
+
+            expect(bulkCreate).toHaveBeenCalledWith([{
+                userId: 'user-1',
+                type: 'application_status',
+                title: 'Tu postulación pasó a: Entrevistas',
+                message: 'Dev React · ACME',
+                link: '/applied-jobs',
+                data: { applicationId: 'app-1', jobId: 'job-1', fromStatus: 'screening', toStatus: 'interview' },
+            }]);
+        });
+    });
+
+    describe('notifyNextStepReminders', () => {
+        it('recuerda el próximo paso con la oferta y su fecha', async () => {
+            const bulkCreate = jest.spyOn(Notification, 'bulkCreate').mockImplementation(async rows => rows.map(row => ({ ...row, toJSON: () => row })));
+            const nextStepAt = new Date(2026, 10, 2, 9, 0);
+
+            await notifyNextStepReminders([{
+                id: 'app-1',
+                userId: 'user-1',
+                jobId: 'job-1',
+                nextStep: 'Entrevista técnica',
+                nextStepAt,
+                Job: { title: 'Dev React', companyName: 'ACME' },
+            }]);
+
+            expect(bulkCreate).toHaveBeenCalledWith([{
+                userId: 'user-1',
+                type: 'application_reminder',
+                title: 'Próximo paso: Entrevista técnica',
+                message: 'Dev React · ACME · 2026-11-02',
+                link: '/applied-jobs',
+                data: { applicationId: 'app-1', jobId: 'job-1', nextStepAt },
+            }]);
+        });
+    });
+
+    describe('createNotifications', () => {
+        it('no hace nada sin notificaciones', async () => {
+            const bulkCreate = jest.spyOn(Notification, 'bulkCreate');
+            expect(await createNotifications([])).toEqual([]);
+            expect(bulkCreate).not.toHaveBeenCalled();
+        });
+
+        it('registra el error sin lanzarlo', async () => {
+            jest.spyOn(Notification, 'bulkCreate').mockRejectedValue(new Error('conexión perdida'));
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            await expect(createNotifications([{ userId: 'user-1', type: 'application_status', title: 'x' }])).resolves.toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+// server/tests/services/pushService.test.js
+// Pruebas de las notificaciones Web Push contra el servicio de push local (scripts/mockPushService.js)
+const { Op } = require('sequelize');
+const webpush = require('web-push');
+const { PushSubscription, User } = require('../../models');
+const pushService = require('../../services/pushService');
+const { createMockPushService } = require('../../scripts/mockPushService');
+
+describe('pushService', () => {
+    describe('acceptsPush', () => {
+        it('usa la preferencia de la página de configuración antes que pushNotifications', () => {
+            expect(pushService.acceptsPush({ settings: { pushNotifications: false } })).toBe(false);
+            expect(pushService.acceptsPush({ settings: {} })).toBe(false);
+            expect(pushService.acceptsPush({ settings: { pushNotifications: true } })).toBe(true);
+            expect(pushService.acceptsPush({ settings: { pushNotifications: true, notifications: { push: false } } })).toBe(false);
+            expect(pushService.acceptsPush({ settings: { pushNotifications: false, notifications: { push: true } } })).toBe(true);
+            expect(pushService.acceptsPush({ isDisabled: true, settings: { notifications: { push: true } } })).toBe(false);
+        });
+    });
+
+    describe('parseSubscriptionInput', () => {
+        const keys = { p256dh: Buffer.alloc(65, 4).toString('base64url'), auth: Buffer.alloc(16, 1).toString('base64url') };
+
+        it('acepta la suscripción del navegador', () => {
+            const { values, error } = pushService.parseSubscriptionInput({ endpoint: 'https://push.example.com/abc', expirationTime: null, keys });
+            expect(error).toBeNull();
+            expect(values).toEqual({ endpoint: 'https://push.example.com/abc', ...keys, expirationTime: null });
+        });
+
+        it('rechaza endpoints y claves no válidos', () => {
+            expect(pushService.parseSubscriptionInput({ keys }).error).toMatch(/endpoint/);
+            expect(pushService.parseSubscriptionInput({ endpoint: 'ftp://push.example.com', keys }).error).toMatch(/HTTPS/);
+            expect(pushService.parseSubscriptionInput({ endpoint: 'https://push.example.com', keys: { ...keys, auth: 'abc' } }).error).toMatch(/claves/);
+        });
+    });
+
+    describe('sendNotifications', () => {
+        let mock;
+
+        beforeAll(async () => {
+            mock = createMockPushService();
+            await mock.start();
+            pushService.setVapidDetails({ subject: 'mailto:pruebas@example.com', ...webpush.generateVAPIDKeys() });
+        });
+
+        afterAll(async () => {
+            pushService.setVapidDetails(null);
+            await mock.close();
+        });
+
+        beforeEach(() => {
+            mock.received.length = 0;
+            mock.setResponseStatus(201);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        /**
+         * Registra en el mock una suscripción por usuario, como las devolvería la base de datos.
+         */
+        function mockSubscriptions(userIds) {
+            const rows = userIds.map((userId, index) => {
+                const { endpoint, keys } = mock.createSubscription();
+                return { id: `sub-${index}`, userId, endpoint, ...keys };
+            });
+            jest.spyOn(PushSubscription, 'findAll').mockResolvedValue(rows);
+            return rows;
+        }
+
+        it('envía cifrado el aviso solo a los usuarios con las notificaciones push activadas', async () => {
+            jest.spyOn(User, 'findAll').mockResolvedValue([
+                { id: 'ana', settings: { notifications: { push: true } } },
+                { id: 'luis', settings: { pushNotifications: false } },
+            ]);
+            mockSubscriptions(['ana', 'luis']);
+            const update = jest.spyOn(PushSubscription, 'update').mockResolvedValue([1]);
+
+            const summary = await pushService.sendNotifications([
+                { id: 'n-1', userId: 'ana', type: 'favorite_unavailable', title: 'Una oferta de tus favoritos venció', message: 'Dev · ACME', link: '/jobs/1' },
+                { id: 'n-2', userId: 'luis', type: 'favorite_unavailable', title: 'Otra', message: null, link: '/jobs/2' },
+            ]);
+
+            expect(summary).toEqual({ sent: 1, failed: 0, removed: 0 });
+            expect(mock.received).toHaveLength(1);
+            const [message] = mock.received;
+            expect(message.headers.authorization).toMatch(/^vapid t=.+, k=.+/);
+            expect(message.headers['content-encoding']).toBe('aes128gcm');
+            expect(JSON.parse(message.payload)).toEqual({
+                notificationId: 'n-1',
+                type: 'favorite_unavailable',
+                title: 'Una oferta de tus favoritos venció',
+                body: 'Dev · ACME',
+                url: '/jobs/1',
+            });
+            expect(update).toHaveBeenCalledWith({ lastSuccessAt: expect.any(Date) }, expect.anything());
+        });
+
+        it('borra las suscripciones que el servicio de push da por eliminadas', async () => {
+            jest.spyOn(User, 'findAll').mockResolvedValue([{ id: 'ana', settings: { notifications: { push: true } } }]);
+            const [subscription] = mockSubscriptions(['ana']);
+            const destroy = jest.spyOn(PushSubscription, 'destroy').mockResolvedValue(1);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            mock.setResponseStatus(410);
+
+            const summary = await pushService.sendNotifications([{ id: 'n-1', userId: 'ana', type: 'application_status', title: 'x' }]);
+
+            expect(summary).toEqual({ sent: 0, failed: 0, removed: 1 });
+            expect(destroy).toHaveBeenCalledWith({ where: { id: { [Op.in]: [subscription.id] } } });
+        });
+
+        it('no envía nada sin claves VAPID', async () => {
+            const findAll = jest.spyOn(User, 'findAll');
+            pushService.setVapidDetails(null);
+            try {
+                expect(await pushService.sendNotifications([{ userId: 'ana', title: 'x' }])).toEqual({ sent: 0, failed: 0, removed: 0 });
+                expect(findAll).not.toHaveBeenCalled();
+            } finally {
+                pushService.setVapidDetails({ subject: 'mailto:pruebas@example.com', ...webpush.generateVAPIDKeys() });
+            }
+        });
+    });
+});
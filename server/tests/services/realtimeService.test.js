@@ -0,0 +1,70 @@
+// server/tests/services/realtimeService.test.js
+// Pruebas del flujo de eventos: formato, reparto por usuario y seguidores de las tareas de scraping
+const { EventEmitter } = require('events');
+const realtimeService = require('../../services/realtimeService');
+
+/**
+ * Simula una conexión: la petición emite 'close' y la respuesta acumula lo escrito.
+ */
+function openConnection(userId) {
+    const req = new EventEmitter();
+    req.user = { id: userId };
+    const res = {
+        written: '',
+        ended: false,
+        status() { return this; },
+        set() { return this; },
+        flushHeaders() {},
+        write(chunk) { this.written += chunk; },
+        end() { this.ended = true; },
+    };
+    realtimeService.openStream(req, res);
+    return { req, res, close: () => req.emit('close') };
+}
+
+describe('realtimeService', () => {
+    const opened = [];
+    const connect = (userId) => {
+        const connection = openConnection(userId);
+        opened.push(connection);
+        return connection;
+    };
+
+    afterEach(() => {
+        opened.splice(0).forEach(connection => connection.close());
+    });
+
+    it('envía los eventos con el formato de Server-Sent Events solo a las conexiones del usuario', () => {
+        const ana = connect('ana');
+        const luis = connect('luis');
+
+        expect(ana.res.written).toContain('event: connected\ndata: {"userId":"ana"}\n\n');
+        expect(realtimeService.publish('ana', 'notification', { title: 'Hola' })).toBe(1);
+        expect(ana.res.written).toContain('event: notification\ndata: {"title":"Hola"}\n\n');
+        expect(luis.res.written).not.toContain('notification');
+    });
+
+    it('deja de enviar a una conexión cerrada', () => {
+        const ana = connect('ana');
+        ana.close();
+
+        expect(realtimeService.countConnections('ana')).toBe(0);
+        expect(realtimeService.publish('ana', 'notification', {})).toBe(0);
+    });
+
+    it('envía el progreso de una tarea a quien la encoló y a quienes la siguen hasta el evento final', () => {
+        const ana = connect('ana');
+        const luis = connect('luis');
+        const task = { id: 'task-1', requestedBy: 'ana' };
+
+        realtimeService.watchTask(task.id, 'luis');
+        realtimeService.publishTaskEvent(task, 'scrape-progress', { source: 'Computrabajo', jobsFound: 5 });
+        expect(ana.res.written).toContain('"taskId":"task-1","source":"Computrabajo","jobsFound":5');
+        expect(luis.res.written).toContain('"taskId":"task-1","source":"Computrabajo","jobsFound":5');
+
+        realtimeService.publishTaskEvent(task, 'scrape-status', { status: 'completed' }, { final: true });
+        realtimeService.publishTaskEvent(task, 'scrape-progress', { source: 'Monster' });
+        expect(luis.res.written).toContain('"status":"completed"');
+        expect(luis.res.written).not.toContain('Monster');
+    });
+});
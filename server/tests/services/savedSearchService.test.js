@@ -0,0 +1,148 @@
+// server/tests/services/savedSearchService.test.js
+// Pruebas de la validación de las búsquedas guardadas, del email de su resumen y de su envío
+const { Job, SavedSearch } = require('../../models');
+const mailService = require('../../services/mailService');
+const currencyService = require('../../services/currencyService');
+const notificationService = require('../../services/notificationService');
+const {
+    parseSavedSearchInput,
+    isSameSearch,
+    buildDigestEmail,
+    acceptsEmail,
+    sendDigests,
+} = require('../../services/savedSearchService');
+
+describe('savedSearchService', () => {
+    describe('parseSavedSearchInput', () => {
+        it('normaliza la palabra clave, los países y los filtros', () => {
+            const { values, error } = parseSavedSearchInput({
+                keyword: '  Desarrollador React ',
+                countries: 'ES, co,es',
+                filters: { modality: 'remoto,hibrido', salaryMin: '1000', postedWithinDays: 7 },
+                frequency: 'weekly',
+            });
+
+            expect(error).toBeNull();
+            expect(values).toEqual({
+                keyword: 'desarrollador react',
+                countries: ['co', 'es'],
+                filters: { modality: ['Remoto', 'Híbrido'], salaryMin: 1000 },
+                frequency: 'weekly',
+            });
+        });
+
+        it('exige palabra clave y países admitidos al crear', () => {
+            expect(parseSavedSearchInput({ countries: ['co'] }).error).toMatch(/palabra clave/);
+            expect(parseSavedSearchInput({ keyword: 'react', countries: [] }).error).toMatch(/al menos un país/);
+            expect(parseSavedSearchInput({ keyword: 'react', countries: ['zz'] }).error).toMatch(/zz/);
+        });
+
+        it('rechaza filtros y frecuencias no válidos', () => {
+            expect(parseSavedSearchInput({ keyword: 'react', countries: ['co'], filters: { experience: ['Experto'] } }).error).toMatch(/Experiencia no válida/);
+            expect(parseSavedSearchInput({ keyword: 'react', countries: ['co'], filters: 'remoto' }).error).toMatch(/objeto/);
+            expect(parseSavedSearchInput({ keyword: 'react', countries: ['co'], frequency: 'monthly' }).error).toMatch(/Frecuencia no válida/);
+        });
+
+        it('en una actualización solo devuelve los campos recibidos', () => {
+            expect(parseSavedSearchInput({ frequency: 'never' }, { partial: true })).toEqual({ values: { frequency: 'never' }, error: null });
+            expect(parseSavedSearchInput({}, { partial: true }).error).toMatch(/No se indicaron cambios/);
+        });
+    });
+
+    describe('isSameSearch', () => {
+        const search = { keyword: 'react', countries: ['co', 'es'], filters: { modality: ['Remoto'] } };
+
+        it('compara palabra clave, países y filtros', () => {
+            expect(isSameSearch(search, { keyword: 'react', countries: ['co', 'es'], filters: { modality: ['Remoto'] } })).toBe(true);
+            expect(isSameSearch(search, { keyword: 'react', countries: ['co'], filters: { modality: ['Remoto'] } })).toBe(false);
+            expect(isSameSearch(search, { keyword: 'react', countries: ['co', 'es'], filters: {} })).toBe(false);
+        });
+    });
+
+    describe('buildDigestEmail', () => {
+        const sections = [{
+            savedSearch: { keyword: 'react', countries: ['co'], filters: { modality: ['Remoto'] } },
+            jobs: [{ id: 'job-1', title: 'Dev <React>', companyName: 'ACME', location: 'Bogotá' }],
+            total: 3,
+        }];
+
+        it('lista las ofertas con su enlace y el total de cada búsqueda', () => {
+            const { subject, text, html } = buildDigestEmail({ username: 'ana' }, sections, { frontendUrl: 'https://empleos.test' });
+
+            expect(subject).toBe('3 ofertas nuevas para tus búsquedas guardadas');
+            expect(text).toContain('react (CO) · Remoto: 3 nuevas');
+            expect(text).toContain('- Dev <React> · ACME · Bogotá\n  https://empleos.test/jobs/job-1');
+            expect(text).toContain('y 2 más');
+            expect(html).toContain('<a href="https://empleos.test/jobs/job-1">Dev &lt;React&gt;</a>');
+        });
+    });
+
+    describe('acceptsEmail', () => {
+        it('respeta settings.emailNotifications y las cuentas desactivadas', () => {
+            expect(acceptsEmail({ settings: { emailNotifications: true } })).toBe(true);
+            expect(acceptsEmail({ settings: {} })).toBe(true);
+            expect(acceptsEmail({ settings: { emailNotifications: false } })).toBe(false);
+            expect(acceptsEmail({ isDisabled: true, settings: { emailNotifications: true } })).toBe(false);
+        });
+
+        it('respeta el interruptor de emails de la página de configuración', () => {
+            expect(acceptsEmail({ settings: { notifications: { email: true, push: false } } })).toBe(true);
+            expect(acceptsEmail({ settings: { notifications: { email: false } } })).toBe(false);
+        });
+    });
+
+    describe('sendDigests', () => {
+        const now = new Date('2026-11-01T12:00:00Z');
+        let savedSearch;
+        let sendMail;
+        let notify;
+
+        beforeEach(() => {
+            savedSearch = {
+                id: 'search-1',
+                userId: 'user-1',
+                keyword: 'react',
+                countries: ['co'],
+                filters: {},
+                lastNotifiedAt: new Date('2026-10-31T12:00:00Z'),
+                User: { id: 'user-1', username: 'ana', email: 'ana@empleos.test', settings: {}, isDisabled: false },
+                update: jest.fn(async function (values) { Object.assign(this, values); return this; }),
+            };
+            jest.spyOn(SavedSearch, 'findAll').mockResolvedValue([savedSearch]);
+            jest.spyOn(currencyService, 'getRates').mockResolvedValue({ USD: 1 });
+            jest.spyOn(Job, 'findAndCountAll').mockResolvedValue({ count: 1, rows: [{ id: 'job-1', title: 'Dev React', companyName: 'ACME', location: 'Bogotá' }] });
+            sendMail = jest.spyOn(mailService, 'sendMail');
+            notify = jest.spyOn(notificationService, 'notifySavedSearchMatches').mockResolvedValue([{ id: 'n-1' }]);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('reintenta solo el email y lo envía si un intento posterior funciona', async () => {
+            sendMail.mockRejectedValueOnce(new Error('SMTP caído')).mockResolvedValueOnce({});
+            const sleep = jest.fn(async () => {});
+
+            const summary = await sendDigests({ now, sleep });
+
+            expect(sendMail).toHaveBeenCalledTimes(2);
+            expect(sleep).toHaveBeenCalledTimes(1);
+            expect(summary).toMatchObject({ emailsSent: 1, emailsFailed: 0, notificationsCreated: 1 });
+        });
+
+        it('crea las notificaciones y avanza la búsqueda aunque el email falle en todos los intentos', async () => {
+            sendMail.mockRejectedValue(new Error('SMTP caído'));
+            const sleep = jest.fn(async () => {});
+
+            const summary = await sendDigests({ now, sleep });
+
+            expect(sendMail).toHaveBeenCalledTimes(3);
+            expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([5000, 10000]);
+            expect(summary).toMatchObject({ emailsSent: 0, emailsFailed: 1, notificationsCreated: 1 });
+            expect(notify).toHaveBeenCalledWith('user-1', [expect.objectContaining({ savedSearch, total: 1 })]);
+            expect(savedSearch.update).toHaveBeenCalledWith({ lastNotifiedAt: now, lastMatchCount: 1 });
+        });
+    });
+});
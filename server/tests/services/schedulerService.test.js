@@ -0,0 +1,58 @@
+// server/tests/services/schedulerService.test.js
+// Pruebas del registro de resultados de las programaciones de scraping (no requieren base de datos)
+const scrapingService = require('../../services/scrapingService');
+const { runSchedule } = require('../../services/schedulerService');
+
+function buildSchedule(cronExpression) {
+    return {
+        id: 'schedule-1',
+        keyword: 'react',
+        countries: ['co'],
+        cronExpression,
+        totalRuns: 2,
+        failureCount: 0,
+        update: jest.fn(async function (changes) { Object.assign(this, changes); return this; }),
+    };
+}
+
+describe('schedulerService.runSchedule', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('registra el resultado y calcula la próxima ejecución', async () => {
+        jest.spyOn(scrapingService, 'scrapeAndSave').mockResolvedValue({ created: 3, updated: 1 });
+        const schedule = buildSchedule('0 */6 * * *');
+
+        await runSchedule(schedule);
+
+        expect(schedule).toMatchObject({ lastStatus: 'success', lastNewJobs: 3, lastUpdatedJobs: 1, lastError: null, totalRuns: 3 });
+        expect(schedule.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('registra el fallo del scraping sin dejar de avanzar la próxima ejecución', async () => {
+        jest.spyOn(scrapingService, 'scrapeAndSave').mockRejectedValue(new Error('sin conexión'));
+        const schedule = buildSchedule('0 */6 * * *');
+
+        await runSchedule(schedule);
+
+        expect(schedule).toMatchObject({ lastStatus: 'failed', lastError: 'sin conexión', failureCount: 1, totalRuns: 3 });
+        expect(schedule.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('pausa la programación si su expresión ya no tiene ejecuciones, en vez de dejarla vencida', async () => {
+        jest.spyOn(scrapingService, 'scrapeAndSave').mockRejectedValue(new Error('sin conexión'));
+        const schedule = buildSchedule('0 0 31 2 *');
+
+        await runSchedule(schedule);
+
+        expect(schedule.update).toHaveBeenCalledTimes(1);
+        expect(schedule).toMatchObject({ lastStatus: 'failed', active: false, nextRunAt: null, failureCount: 1 });
+        expect(schedule.lastError).toMatch(/no tiene ejecuciones/);
+    });
+});
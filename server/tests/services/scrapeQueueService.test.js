@@ -0,0 +1,64 @@
+// server/tests/services/scrapeQueueService.test.js
+// Pruebas de la toma de tareas y de la recuperación de tareas interrumpidas de la cola de scraping (no requieren base de datos)
+const { Op } = require('sequelize');
+const { sequelize, ScrapeTask } = require('../../models');
+const { claimNextTask, requeueStaleTasks } = require('../../services/scrapeQueueService');
+
+describe('scrapeQueueService', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('requeueStaleTasks', () => {
+        it('devuelve a la cola las tareas en curso desde hace más del tiempo límite y descarta las que agotaron sus intentos', async () => {
+            const update = jest.spyOn(ScrapeTask, 'update').mockResolvedValueOnce([1]).mockResolvedValueOnce([2]);
+            const now = new Date('2026-11-01T12:00:00Z');
+            const stale = { status: 'running', startedAt: { [Op.lt]: new Date('2026-11-01T11:30:00Z') } };
+
+            expect(await requeueStaleTasks(now)).toEqual({ requeued: 2, failed: 1 });
+            expect(update).toHaveBeenNthCalledWith(1,
+                expect.objectContaining({ status: 'failed', finishedAt: now }),
+                { where: { ...stale, attempts: { [Op.gte]: sequelize.col('maxAttempts') } } }
+            );
+            expect(update).toHaveBeenNthCalledWith(2,
+                { status: 'pending', startedAt: null },
+                { where: { ...stale, attempts: { [Op.lt]: sequelize.col('maxAttempts') } } }
+            );
+        });
+    });
+
+    describe('claimNextTask', () => {
+        /**
+         * Simula una instancia de ScrapeTask pendiente.
+         */
+        function buildTask(id, attempts, maxAttempts = 3) {
+            const task = { id, status: 'pending', attempts, maxAttempts, lastError: null };
+            task.update = jest.fn(async (values) => Object.assign(task, values));
+            return task;
+        }
+
+        beforeEach(() => {
+            jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+        });
+
+        it('descarta las tareas pendientes sin intentos restantes y toma la siguiente', async () => {
+            const exhausted = buildTask('task-1', 3);
+            const next = buildTask('task-2', 1);
+            jest.spyOn(ScrapeTask, 'findOne').mockResolvedValueOnce(exhausted).mockResolvedValueOnce(next);
+
+            expect(await claimNextTask()).toBe(next);
+            expect(exhausted).toMatchObject({ status: 'failed', attempts: 3 });
+            expect(exhausted.lastError).toMatch(/agotó sus intentos/);
+            expect(next).toMatchObject({ status: 'running', attempts: 2 });
+        });
+
+        it('devuelve null si la cola está vacía', async () => {
+            jest.spyOn(ScrapeTask, 'findOne').mockResolvedValue(null);
+            expect(await claimNextTask()).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,123 @@
+// server/tests/services/scrapingService.test.js
+// Pruebas del guardado de los empleos de un scraping (no requieren base de datos)
+const { Job } = require('../../models');
+const jobProcessingService = require('../../services/jobProcessingService');
+const jobDedupService = require('../../services/jobDedupService');
+const jobLifecycleService = require('../../services/jobLifecycleService');
+const sourceRegistry = require('../../services/sourceRegistry');
+const scrapingService = require('../../services/scrapingService');
+
+const { saveScrapedJobs, scrapeAndSave } = scrapingService;
+
+describe('scrapingService', () => {
+    describe('saveScrapedJobs', () => {
+        const seenAt = new Date('2026-10-19T12:00:00Z');
+        const listing = { title: 'Dev React', sourceUrl: 'https://example.com/oferta-1', sourceName: 'computrabajo', country: 'co' };
+
+        let upsert;
+        let recordReactivation;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(jobProcessingService, 'processAndNormalizeJobs').mockImplementation(async jobs => jobs);
+            jest.spyOn(jobDedupService, 'assignCluster').mockResolvedValue('cluster-1');
+            recordReactivation = jest.spyOn(jobLifecycleService, 'recordReactivation').mockResolvedValue();
+            // Devuelve la fila como quedaría guardada: el estado anterior si el upsert no lo cambia
+            upsert = jest.spyOn(Job, 'upsert').mockImplementation(async data => [{ status: 'expired', ...data }]);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('reactiva una oferta vencida que vuelve a publicarse antes de su fecha límite', async () => {
+            jest.spyOn(Job, 'findOne').mockResolvedValue({ id: 'job-1', status: 'expired', isEnriched: false, deadlineDate: null });
+
+            await saveScrapedJobs([{ ...listing, deadlineDate: new Date('2026-11-01T00:00:00Z') }], { seenAt });
+
+            expect(upsert.mock.calls[0][0]).toMatchObject({ status: 'active', lastSeenAt: seenAt });
+            expect(recordReactivation).toHaveBeenCalledWith(expect.objectContaining({ status: 'active' }), 'expired');
+        });
+
+        it('reagrupa una oferta ya agrupada si el listado cambia sus datos de agrupación', async () => {
+            jest.spyOn(Job, 'findOne').mockResolvedValue({ id: 'job-1', status: 'active', clusterId: 'cluster-1', ...listing, companyName: 'Confidencial' });
+            upsert.mockImplementation(async data => [{ status: 'active', clusterId: 'cluster-1', ...data }]);
+            const reassignCluster = jest.spyOn(jobDedupService, 'reassignCluster').mockResolvedValue('cluster-2');
+
+            await saveScrapedJobs([{ ...listing, companyName: 'Tecnología Andina' }], { seenAt });
+
+            expect(reassignCluster).toHaveBeenCalledWith(expect.objectContaining({ companyName: 'Tecnología Andina' }));
+            expect(jobDedupService.assignCluster).not.toHaveBeenCalled();
+        });
+
+        it('conserva el cluster de una oferta cuyo listado no cambia sus datos de agrupación', async () => {
+            jest.spyOn(Job, 'findOne').mockResolvedValue({ id: 'job-1', status: 'active', clusterId: 'cluster-1', ...listing, companyName: 'ACME' });
+            const reassignCluster = jest.spyOn(jobDedupService, 'reassignCluster');
+
+            await saveScrapedJobs([{ ...listing, companyName: 'ACME S.A.S.' }], { seenAt });
+
+            expect(reassignCluster).not.toHaveBeenCalled();
+            expect(jobDedupService.assignCluster).toHaveBeenCalled();
+        });
+
+        it('no reactiva una oferta que ya pasó su fecha límite aunque siga publicada', async () => {
+            jest.spyOn(Job, 'findOne').mockResolvedValue({ id: 'job-1', status: 'expired', isEnriched: true, deadlineDate: new Date('2026-10-01T00:00:00Z') });
+
+            await saveScrapedJobs([listing], { seenAt });
+
+            expect(upsert.mock.calls[0][0].status).toBeUndefined();
+            expect(upsert.mock.calls[0][0].lastSeenAt).toBe(seenAt);
+            expect(recordReactivation).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('scrapeAndSave', () => {
+        const sources = [{ name: 'Computrabajo' }, { name: 'Monster' }, { name: 'Bumeran' }];
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(sourceRegistry, 'getSupportedCountries').mockReturnValue(['co']);
+            jest.spyOn(sourceRegistry, 'getSourcesForCountry').mockReturnValue(sources);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('sigue guardando las demás fuentes cuando falla un guardado y lanza el error al final', async () => {
+            // Monster termina primero y su guardado falla; las otras dos terminan después
+            const delays = { Computrabajo: 20, Monster: 0, Bumeran: 40 };
+            jest.spyOn(scrapingService, 'scrapeSource').mockImplementation(source =>
+                new Promise(resolve => setTimeout(() => resolve([{ title: source.name }]), delays[source.name])));
+            const save = jest.spyOn(scrapingService, 'saveScrapedJobs').mockImplementation(async (rawJobs) => {
+                if (rawJobs[0].title === 'Monster') throw new Error('conexión perdida');
+                return { jobs: rawJobs, created: 1, updated: 0, failed: 0 };
+            });
+            const onProgress = jest.fn();
+
+            await expect(scrapeAndSave('react', ['co'], { onProgress })).rejects.toThrow('conexión perdida');
+
+            expect(save).toHaveBeenCalledTimes(3);
+            expect(onProgress.mock.calls.map(([progress]) => progress.source)).toEqual(['Computrabajo', 'Bumeran']);
+        });
+
+        it('aísla el fallo del aviso de progreso de una fuente', async () => {
+            jest.spyOn(scrapingService, 'scrapeSource').mockImplementation(async source => [{ title: source.name }]);
+            const save = jest.spyOn(scrapingService, 'saveScrapedJobs').mockImplementation(async rawJobs => ({ jobs: rawJobs, created: 1, updated: 0, failed: 0 }));
+            const onProgress = jest.fn().mockRejectedValueOnce(new Error('cliente desconectado'));
+
+            await expect(scrapeAndSave('react', ['co'], { onProgress })).rejects.toThrow('cliente desconectado');
+
+            expect(save).toHaveBeenCalledTimes(3);
+            expect(onProgress).toHaveBeenCalledTimes(3);
+        });
+
+        it('devuelve el recuento de todas las fuentes si no falla ninguna', async () => {
+            jest.spyOn(scrapingService, 'scrapeSource').mockImplementation(async source => [{ title: source.name }]);
+            jest.spyOn(scrapingService, 'saveScrapedJobs').mockImplementation(async rawJobs => ({ jobs: rawJobs, created: 1, updated: 0, failed: 0 }));
+
+            await expect(scrapeAndSave('react', ['co'])).resolves.toMatchObject({ created: 3, updated: 0, failed: 0 });
+        });
+    });
+});
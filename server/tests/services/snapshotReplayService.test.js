@@ -0,0 +1,49 @@
+// server/tests/services/snapshotReplayService.test.js
+// Pruebas del archivo de páginas y de su reprocesado con los parsers actuales (no requieren base de datos)
+const fs = require('fs');
+const path = require('path');
+const { compressHtml, decompressHtml } = require('../../services/pageSnapshotService');
+const { parseSnapshot } = require('../../services/snapshotReplayService');
+
+const loadFixture = (name) => fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+
+describe('snapshotReplayService', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('comprime y recupera el HTML sin pérdidas', async () => {
+        const html = loadFixture('computrabajo-search.html');
+        const compressed = await compressHtml(html);
+        expect(compressed.length).toBeLessThan(Buffer.byteLength(html));
+        await expect(decompressHtml(compressed)).resolves.toBe(html);
+    });
+
+    it('parsea un listado archivado con el parser de su fuente', () => {
+        const parsed = parseSnapshot(
+            { sourceName: 'Computrabajo', kind: 'search', country: 'co' },
+            loadFixture('computrabajo-search.html')
+        );
+        expect(parsed.kind).toBe('search');
+        expect(parsed.jobs.length).toBeGreaterThan(0);
+        expect(parsed.jobs.every(job => job.sourceName === 'Computrabajo' && job.country === 'co')).toBe(true);
+    });
+
+    it('parsea una página de detalle archivada', () => {
+        const parsed = parseSnapshot(
+            { sourceName: 'Monster', kind: 'detail', country: 'us' },
+            loadFixture('monster-detail.html')
+        );
+        expect(parsed.kind).toBe('detail');
+        expect(parsed.details.description).toBeTruthy();
+    });
+
+    it('omite las páginas sin fuente conocida o sin tipo', () => {
+        expect(parseSnapshot({ sourceName: 'Desconocida', kind: 'search', country: 'co' }, '<html></html>')).toBeNull();
+        expect(parseSnapshot({ sourceName: 'Computrabajo', kind: null, country: 'co' }, '<html></html>')).toBeNull();
+    });
+});
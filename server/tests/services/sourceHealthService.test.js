@@ -0,0 +1,89 @@
+// server/tests/services/sourceHealthService.test.js
+// Pruebas de la detección de fuentes degradadas (no requieren base de datos)
+const { SourceHealthRun } = require('../../models');
+const sourceRegistry = require('../../services/sourceRegistry');
+const { isDegradedRun, recordRun, getSourcesHealth } = require('../../services/sourceHealthService');
+
+const healthyRun = { itemsFound: 20, itemsSkipped: 0, httpFailed: false };
+
+describe('sourceHealthService.isDegradedRun', () => {
+    it('marca como degradada una descarga fallida', () => {
+        expect(isDegradedRun({ itemsFound: 0, itemsSkipped: 0, httpFailed: true }, [20, 20, 20])).toBe(true);
+    });
+
+    it('marca como degradada una página en la que se omitieron todas las tarjetas', () => {
+        expect(isDegradedRun({ itemsFound: 0, itemsSkipped: 20, httpFailed: false }, [])).toBe(true);
+    });
+
+    it('no compara contra el promedio sin historial suficiente', () => {
+        expect(isDegradedRun({ itemsFound: 0, itemsSkipped: 0, httpFailed: false }, [20, 20])).toBe(false);
+    });
+
+    it('marca como degradada una caída brusca respecto al promedio móvil', () => {
+        expect(isDegradedRun({ itemsFound: 2, itemsSkipped: 0, httpFailed: false }, [20, 18, 22])).toBe(true);
+    });
+
+    it('acepta variaciones normales del rendimiento', () => {
+        expect(isDegradedRun(healthyRun, [20, 18, 22])).toBe(false);
+        expect(isDegradedRun({ itemsFound: 8, itemsSkipped: 0, httpFailed: false }, [20, 18, 22])).toBe(false);
+    });
+
+    it('no marca como degradada una fuente que nunca encontró resultados', () => {
+        expect(isDegradedRun({ itemsFound: 0, itemsSkipped: 0, httpFailed: false }, [0, 0, 0])).toBe(false);
+    });
+});
+
+describe('sourceHealthService.recordRun', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('compara contra el promedio de la misma fuente en el mismo país', async () => {
+        const findAll = jest.spyOn(SourceHealthRun, 'findAll').mockResolvedValue([{ itemsFound: 4 }, { itemsFound: 5 }, { itemsFound: 6 }]);
+        jest.spyOn(SourceHealthRun, 'create').mockImplementation(async values => values);
+
+        const run = await recordRun({ sourceId: 'computrabajo', country: 'cr', keyword: 'react', itemsFound: 5, itemsSkipped: 0, parseErrors: 0, httpFailed: false, durationMs: 100 });
+
+        expect(findAll.mock.calls[0][0].where).toEqual({ sourceId: 'computrabajo', country: 'cr', httpFailed: false });
+        expect(run).toMatchObject({ rollingAverage: 5, degraded: false });
+    });
+});
+
+describe('sourceHealthService.getSourcesHealth', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('resume el estado de cada fuente por país', async () => {
+        jest.spyOn(sourceRegistry, 'getSources').mockReturnValue([{ id: 'computrabajo', name: 'Computrabajo', countries: ['co', 'mx', 'pe'] }]);
+        const runsByCountry = {
+            co: [{ itemsFound: 20, itemsSkipped: 0, parseErrors: 0, httpFailed: false, durationMs: 1000, degraded: false, createdAt: new Date('2026-01-02T00:00:00Z') }],
+            mx: [
+                { itemsFound: 0, itemsSkipped: 20, parseErrors: 0, httpFailed: false, durationMs: 3000, degraded: true, createdAt: new Date('2026-01-01T00:00:00Z') },
+                { itemsFound: 30, itemsSkipped: 0, parseErrors: 1, httpFailed: false, durationMs: 1000, degraded: false, createdAt: new Date('2025-12-31T00:00:00Z') },
+            ],
+            pe: [],
+        };
+        jest.spyOn(SourceHealthRun, 'findAll').mockImplementation(async ({ where }) => runsByCountry[where.country]);
+
+        const [source] = await getSourcesHealth();
+
+        expect(source).toMatchObject({ id: 'computrabajo', status: 'degraded', lastRunAt: new Date('2026-01-02T00:00:00Z') });
+        expect(source.countries.map(({ country, status }) => ({ country, status }))).toEqual([
+            { country: 'co', status: 'healthy' },
+            { country: 'mx', status: 'degraded' },
+            { country: 'pe', status: 'unknown' },
+        ]);
+        expect(source.countries[1]).toMatchObject({ rollingAverage: 15, itemsSkipped: 20, parseErrors: 1, averageDurationMs: 2000 });
+        expect(source.countries[2]).toMatchObject({ lastRunAt: null, rollingAverage: null, recentRuns: [] });
+    });
+
+    it('marca como sin datos una fuente que nunca se ejecutó en ningún país', async () => {
+        jest.spyOn(sourceRegistry, 'getSources').mockReturnValue([{ id: 'monster', name: 'Monster', countries: ['us'] }]);
+        jest.spyOn(SourceHealthRun, 'findAll').mockResolvedValue([]);
+
+        const [source] = await getSourcesHealth();
+
+        expect(source).toMatchObject({ status: 'unknown', lastRunAt: null });
+    });
+});
@@ -0,0 +1,114 @@
+// server/tests/sources/computrabajoSource.test.js
+// Pruebas del parser de Computrabajo contra una página de resultados guardada
+const fs = require('fs');
+const path = require('path');
+const computrabajoSource = require('../../services/sources/computrabajoSource');
+
+const html = fs.readFileSync(path.join(__dirname, '../fixtures/computrabajo-search.html'), 'utf8');
+const NOW = new Date('2024-07-10T12:00:00Z');
+
+/**
+ * Calcula la fecha esperada para textos del tipo "Hace N días" respecto a NOW.
+ * @param {number} daysAgo - Días transcurridos.
+ * @returns {Date}
+ */
+function daysBeforeNow(daysAgo) {
+    const date = new Date(NOW);
+    date.setDate(date.getDate() - daysAgo);
+    return date;
+}
+
+describe('computrabajoSource', () => {
+    let jobs;
+    const report = { skipped: 0, parseErrors: 0 };
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: NOW });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jobs = computrabajoSource.parse(html, { countryCode: 'co', report });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('extrae una oferta por cada tarjeta .box_offer con título y enlace', () => {
+        expect(jobs).toHaveLength(3);
+        expect(jobs.map(job => job.title)).toEqual([
+            'Desarrollador React Senior',
+            'Frontend Developer',
+            'Practicante de Desarrollo Web',
+        ]);
+    });
+
+    it('omite las tarjetas sin enlace a la oferta y las cuenta en el reporte', () => {
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Elemento de Computrabajo omitido'));
+        expect(report).toEqual({ skipped: 1, parseErrors: 0 });
+    });
+
+    it('extrae empresa, ubicación, salario y descripción', () => {
+        expect(jobs[0]).toMatchObject({
+            company: 'Tecnología Andina S.A.S.',
+            location: 'Bogotá, D.C.',
+            salary: '$ 8.000.000,00 (Mensual)',
+            description: 'Buscamos desarrollador con 4 años de experiencia en React y TypeScript.',
+            sourceName: 'Computrabajo',
+            country: 'co',
+        });
+    });
+
+    it("usa 'N/A' cuando la tarjeta no tiene salario ni descripción", () => {
+        expect(jobs[1].salary).toBe('N/A');
+        expect(jobs[1].description).toBe('N/A');
+    });
+
+    it('convierte las fechas relativas en fechas de publicación', () => {
+        expect(jobs[0].creationDate).toEqual(daysBeforeNow(3));
+        expect(jobs[1].creationDate).toEqual(daysBeforeNow(1));
+        expect(jobs[2].creationDate).toEqual(NOW);
+    });
+
+    it('construye URLs absolutas con el dominio del país', () => {
+        expect(jobs[0].sourceUrl).toBe('https://www.computrabajo.com.co/ofertas-de-trabajo/oferta-de-trabajo-de-desarrollador-react-senior-en-bogota-dc-A1B2C3D4');
+        expect(jobs[1].sourceUrl).toBe('https://www.computrabajo.com.co/ofertas-de-trabajo/oferta-de-trabajo-de-frontend-developer-en-medellin-E5F6A7B8');
+        expect(jobs[2].sourceUrl).toBe('https://www.computrabajo.com.co/ofertas-de-trabajo/oferta-de-trabajo-de-practicante-de-desarrollo-web-en-cali-C9D0E1F2');
+    });
+
+    it('usa el dominio del país de la búsqueda', () => {
+        const [job] = computrabajoSource.parse(html, { countryCode: 'es' });
+        expect(job.sourceUrl.startsWith('https://www.computrabajo.es/')).toBe(true);
+        expect(job.country).toBe('es');
+    });
+
+    it('construye la URL de búsqueda', () => {
+        expect(computrabajoSource.buildSearchUrl('desarrollador react', 'mx'))
+            .toBe('https://www.computrabajo.com.mx/empleos-de-desarrollador%20react?q=desarrollador%20react');
+    });
+
+    describe('parseDetail', () => {
+        const detail = computrabajoSource.parseDetail(fs.readFileSync(path.join(__dirname, '../fixtures/computrabajo-detail.html'), 'utf8'));
+
+        it('extrae la descripción completa, los requisitos y la empresa de la página de detalle', () => {
+            expect(detail.description).toMatch(/^Buscamos desarrollador React Senior para liderar/);
+            expect(detail.description).toMatch(/pruebas automatizadas\.$/);
+            expect(detail.requirements).toBe('Educación mínima: Universidad / Carrera técnica; 4 años de experiencia; Conocimientos: React, TypeScript, Redux');
+            expect(detail.companyName).toBe('Tecnología Andina S.A.S.');
+        });
+
+        it('lee el tipo de contrato, la modalidad y la experiencia de las etiquetas y requisitos', () => {
+            expect(detail.employmentType).toBe('Contrato a término indefinido, Tiempo Completo');
+            expect(detail.modality).toBe('Remoto');
+            expect(detail.experienceRequired).toBe('4 años de experiencia');
+        });
+
+        it('prefiere la fecha de cierre visible a la del JSON-LD', () => {
+            expect(detail.deadlineDate).toEqual(new Date('2024-08-15T23:59:59Z'));
+        });
+
+        it('usa el JSON-LD cuando la página no trae los selectores esperados', () => {
+            const fallback = computrabajoSource.parseDetail('<script type="application/ld+json">{"@type":"JobPosting","description":"<p>Texto</p>","employmentType":"PART_TIME"}</script>');
+            expect(fallback).toEqual({ description: 'Texto', employmentType: 'Medio tiempo' });
+        });
+    });
+});
@@ -0,0 +1,90 @@
+// server/tests/sources/monsterSource.test.js
+// Pruebas del parser de Monster contra una página de resultados guardada
+const fs = require('fs');
+const path = require('path');
+const monsterSource = require('../../services/sources/monsterSource');
+
+const html = fs.readFileSync(path.join(__dirname, '../fixtures/monster-search.html'), 'utf8');
+const NOW = new Date('2024-07-10T12:00:00Z');
+
+describe('monsterSource', () => {
+    let jobs;
+    const report = { skipped: 0, parseErrors: 0 };
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: NOW });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jobs = monsterSource.parse(html, { countryCode: 'us', report });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('extrae una oferta por cada tarjeta .card-content con título y enlace', () => {
+        expect(jobs).toHaveLength(2);
+        expect(jobs.map(job => job.title)).toEqual(['Senior React Developer', 'React Native Engineer']);
+    });
+
+    it('omite las tarjetas sin título y las cuenta en el reporte', () => {
+        expect(console.warn).toHaveBeenCalledWith('Elemento de Monster omitido: Sin título.');
+        expect(report).toEqual({ skipped: 1, parseErrors: 0 });
+    });
+
+    it('extrae empresa, ubicación, salario y descripción', () => {
+        expect(jobs[0]).toMatchObject({
+            company: 'Lone Star Software',
+            location: 'Austin, TX',
+            salary: '$120,000 - $145,000 per year',
+            description: 'Build and maintain customer-facing React applications.',
+            sourceName: 'Monster',
+            country: 'us',
+        });
+    });
+
+    it("usa 'N/A' cuando la tarjeta no tiene salario ni descripción", () => {
+        expect(jobs[1].salary).toBe('N/A');
+        expect(jobs[1].description).toBe('N/A');
+    });
+
+    it('convierte "Posted N days ago" en la fecha de publicación', () => {
+        const expected = new Date(NOW);
+        expected.setDate(expected.getDate() - 2);
+        expect(jobs[0].creationDate).toEqual(expected);
+        expect(jobs[1].creationDate).toBeNull();
+    });
+
+    it('construye URLs absolutas de monster.com', () => {
+        expect(jobs[0].sourceUrl).toBe('https://www.monster.com/job-openings/senior-react-developer-austin-tx--7f3a9c');
+        expect(jobs[1].sourceUrl).toBe('https://www.monster.com/job-openings/react-native-engineer-remote--2b8e1d');
+    });
+
+    it('construye la URL de búsqueda', () => {
+        expect(monsterSource.buildSearchUrl('react developer'))
+            .toBe('https://www.monster.com/jobs/search?q=react%20developer&where=United%20States');
+    });
+
+    describe('parseDetail', () => {
+        const detail = monsterSource.parseDetail(fs.readFileSync(path.join(__dirname, '../fixtures/monster-detail.html'), 'utf8'));
+
+        it('lee la oferta completa del JSON-LD JobPosting', () => {
+            expect(detail.description).toMatch(/^Acme Corp is hiring a Senior React Developer/);
+            expect(detail.description).toMatch(/Mentor junior engineers$/);
+            expect(detail.requirements).toBe('5+ years of experience with React and TypeScript');
+            expect(detail.companyName).toBe('Acme Corp');
+        });
+
+        it('traduce el tipo de contrato, la modalidad y la experiencia', () => {
+            expect(detail.employmentType).toBe('Tiempo completo, Contratista');
+            expect(detail.modality).toBe('Remoto');
+            expect(detail.experienceRequired).toBe('5 años de experiencia');
+            expect(detail.deadlineDate).toEqual(new Date('2024-08-31T23:59:59Z'));
+        });
+
+        it('usa los selectores de la página si no hay JSON-LD', () => {
+            expect(monsterSource.parseDetail('<div data-testid="company-name">Globex</div><div data-testid="svx-description-container-inner">Need 3 years experience in Node.</div>'))
+                .toEqual({ companyName: 'Globex', description: 'Need 3 years experience in Node.', experienceRequired: '3 years experience' });
+        });
+    });
+});
@@ -0,0 +1,104 @@
+// server/tests/utils/cronExpression.test.js
+// Pruebas del intérprete de expresiones cron y del cálculo de la próxima ejecución (en hora local)
+const { parseCronExpression, getNextRun, validateCronExpression, isValidCronExpression } = require('../../utils/cronExpression');
+
+const values = set => [...set].sort((a, b) => a - b);
+
+describe('cronExpression', () => {
+    describe('parseCronExpression', () => {
+        it('interpreta valores sueltos, listas y rangos', () => {
+            const cron = parseCronExpression('5 8,12,18 1-3 6 1-5');
+            expect(values(cron.minutes)).toEqual([5]);
+            expect(values(cron.hours)).toEqual([8, 12, 18]);
+            expect(values(cron.daysOfMonth)).toEqual([1, 2, 3]);
+            expect(values(cron.months)).toEqual([6]);
+            expect(values(cron.daysOfWeek)).toEqual([1, 2, 3, 4, 5]);
+        });
+
+        it('interpreta pasos sobre *, rangos y valores iniciales', () => {
+            expect(values(parseCronExpression('*/15 * * * *').minutes)).toEqual([0, 15, 30, 45]);
+            expect(values(parseCronExpression('0-30/10 * * * *').minutes)).toEqual([0, 10, 20, 30]);
+            expect(values(parseCronExpression('50/5 * * * *').minutes)).toEqual([50, 55]);
+            expect(values(parseCronExpression('0 1-10/3,20 * * *').hours)).toEqual([1, 4, 7, 10, 20]);
+        });
+
+        it('acepta 7 como alias del domingo', () => {
+            expect(values(parseCronExpression('0 0 * * 7').daysOfWeek)).toEqual([0]);
+            expect(values(parseCronExpression('0 0 * * 5-7').daysOfWeek)).toEqual([0, 5, 6]);
+        });
+
+        it('solo aplica la regla O de los días si se restringen ambos campos', () => {
+            expect(parseCronExpression('0 0 1 * 1').restrictedDays).toBe(true);
+            expect(parseCronExpression('0 0 1 * *').restrictedDays).toBe(false);
+            expect(parseCronExpression('0 0 * * 1').restrictedDays).toBe(false);
+        });
+
+        it('rechaza expresiones mal formadas o fuera de rango', () => {
+            expect(() => parseCronExpression('* * * *')).toThrow(/5 campos/);
+            expect(() => parseCronExpression(null)).toThrow(/5 campos/);
+            expect(() => parseCronExpression('60 * * * *')).toThrow(/minuto/);
+            expect(() => parseCronExpression('0 24 * * *')).toThrow(/hora/);
+            expect(() => parseCronExpression('0 0 0 * *')).toThrow(/día del mes/);
+            expect(() => parseCronExpression('0 0 * 13 *')).toThrow(/mes/);
+            expect(() => parseCronExpression('0 0 * * 8')).toThrow(/día de la semana/);
+            expect(() => parseCronExpression('*/0 * * * *')).toThrow(/minuto/);
+            expect(() => parseCronExpression('10-5 * * * *')).toThrow(/minuto/);
+            expect(() => parseCronExpression('a * * * *')).toThrow(/minuto/);
+        });
+    });
+
+    describe('getNextRun', () => {
+        // Jueves 15 de enero de 2026, 10:20:30
+        const from = new Date(2026, 0, 15, 10, 20, 30);
+
+        it('devuelve la siguiente ejecución estrictamente posterior, con segundos a cero', () => {
+            expect(getNextRun('*/15 * * * *', from)).toEqual(new Date(2026, 0, 15, 10, 30));
+            expect(getNextRun('20 10 * * *', from)).toEqual(new Date(2026, 0, 16, 10, 20));
+            expect(getNextRun('0 */6 * * *', from)).toEqual(new Date(2026, 0, 15, 12, 0));
+        });
+
+        it('pasa al mes y al año siguientes cuando hace falta', () => {
+            expect(getNextRun('0 0 1 * *', from)).toEqual(new Date(2026, 1, 1, 0, 0));
+            expect(getNextRun('30 8 10 1 *', from)).toEqual(new Date(2027, 0, 10, 8, 30));
+        });
+
+        it('respeta los días de la semana', () => {
+            // Siguiente lunes
+            expect(getNextRun('0 9 * * 1', from)).toEqual(new Date(2026, 0, 19, 9, 0));
+            expect(getNextRun('0 9 * * 1-5', from)).toEqual(new Date(2026, 0, 16, 9, 0));
+        });
+
+        it('con ambos campos de día restringidos ejecuta cuando coincide cualquiera de ellos', () => {
+            // Día 20 del mes O lunes: el lunes 19 llega antes que el día 20
+            expect(getNextRun('0 0 20 * 1', from)).toEqual(new Date(2026, 0, 19, 0, 0));
+            // Día 16 del mes O domingo: el viernes 16 llega antes que el domingo 18
+            expect(getNextRun('0 0 16 * 0', from)).toEqual(new Date(2026, 0, 16, 0, 0));
+        });
+
+        it('con un solo campo de día restringido exige ambos (el otro es *)', () => {
+            expect(getNextRun('0 0 13 * *', from)).toEqual(new Date(2026, 1, 13, 0, 0));
+        });
+
+        it('encuentra el 29 de febrero aunque falten años', () => {
+            expect(getNextRun('0 0 29 2 *', from)).toEqual(new Date(2028, 1, 29, 0, 0));
+        });
+
+        it('falla con fechas imposibles en lugar de buscar indefinidamente', () => {
+            expect(() => getNextRun('0 0 31 2 *', from)).toThrow(/no tiene ejecuciones/);
+            expect(() => getNextRun('0 0 31 4,6,9,11 *', from)).toThrow(/no tiene ejecuciones/);
+        });
+    });
+
+    describe('validateCronExpression', () => {
+        it('acepta expresiones con ejecuciones futuras', () => {
+            expect(validateCronExpression('0 */6 * * *')).toBeNull();
+            expect(isValidCronExpression('0 0 29 2 *')).toBe(true);
+        });
+
+        it('rechaza expresiones mal formadas y fechas imposibles', () => {
+            expect(validateCronExpression('0 0 * *')).toMatch(/5 campos/);
+            expect(validateCronExpression('0 0 30 2 *')).toMatch(/no tiene ejecuciones/);
+            expect(isValidCronExpression('0 0 31 2 *')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,29 @@
+// server/tests/utils/csv.test.js
+// Pruebas de la conversión a CSV de la exportación de empleos
+const { toCsvField, toCsvRow } = require('../../utils/csv');
+
+describe('csv', () => {
+    it('entrecomilla los textos con comas, comillas o saltos de línea', () => {
+        expect(toCsvField('Bogotá, Colombia')).toBe('"Bogotá, Colombia"');
+        expect(toCsvField('Empresa "Andina"')).toBe('"Empresa ""Andina"""');
+        expect(toCsvField('línea 1\nlínea 2')).toBe('"línea 1\nlínea 2"');
+        expect(toCsvField('React')).toBe('React');
+    });
+
+    it('convierte nulos, números y fechas', () => {
+        expect(toCsvField(null)).toBe('');
+        expect(toCsvField(undefined)).toBe('');
+        expect(toCsvField(3500000)).toBe('3500000');
+        expect(toCsvField(new Date('2024-06-01T00:00:00Z'))).toBe('2024-06-01T00:00:00.000Z');
+    });
+
+    it('neutraliza los textos que una hoja de cálculo interpretaría como fórmulas', () => {
+        expect(toCsvField('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+        expect(toCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+        expect(toCsvField(-5)).toBe('-5');
+    });
+
+    it('arma una fila terminada en CRLF', () => {
+        expect(toCsvRow(['a', 1, null, 'b,c'])).toBe('a,1,,"b,c"\r\n');
+    });
+});
@@ -0,0 +1,20 @@
+// server/tests/utils/helpers.test.js
+// Pruebas de la paginación de los listados de la API
+const { parsePagination } = require('../../utils/helpers');
+
+describe('helpers', () => {
+    describe('parsePagination', () => {
+        it('usa la primera página de 20 elementos por defecto', () => {
+            expect(parsePagination({})).toEqual({ page: 1, limit: 20, offset: 0 });
+        });
+
+        it('calcula el desplazamiento de la página pedida', () => {
+            expect(parsePagination({ page: '3', limit: '50' })).toEqual({ page: 3, limit: 50, offset: 100 });
+        });
+
+        it('corrige páginas y tamaños no válidos o demasiado grandes', () => {
+            expect(parsePagination({ page: '-2', limit: 'abc' })).toEqual({ page: 1, limit: 20, offset: 0 });
+            expect(parsePagination({ page: '2', limit: '5000' })).toEqual({ page: 2, limit: 100, offset: 100 });
+        });
+    });
+});
@@ -0,0 +1,64 @@
+// server/tests/utils/robotsTxt.test.js
+// Pruebas del intérprete de robots.txt (grupos por agente, comodines, precedencia y Crawl-delay)
+const { parseRobotsTxt, getRulesForAgent, isPathAllowed } = require('../../utils/robotsTxt');
+
+const ROBOTS = `
+# Comentario
+Sitemap: https://co.computrabajo.com/sitemap.xml
+
+User-agent: *
+Disallow: /candidato/
+Disallow: /*?q=
+Allow: /candidato/ofertas
+Crawl-delay: 5
+
+User-agent: Googlebot
+User-agent: BuscadorEmpleosBot
+Disallow: /privado
+Disallow:
+
+User-agent: BadBot
+Disallow: /
+`;
+
+const UA = 'BuscadorEmpleosBot/1.0 (+http://localhost:3000)';
+
+describe('robotsTxt', () => {
+    it('agrupa los User-agent consecutivos e ignora las directivas sin grupo', () => {
+        const groups = parseRobotsTxt(ROBOTS);
+        expect(groups).toHaveLength(3);
+        expect(groups[1].agents).toEqual(['googlebot', 'buscadorempleosbot']);
+        expect(groups[1].rules).toEqual([{ allow: false, pattern: '/privado' }]); // El Disallow vacío no cuenta
+        expect(groups[0].crawlDelay).toBe(5);
+    });
+
+    it('usa el grupo propio del crawler y, si no hay, el de *', () => {
+        const groups = parseRobotsTxt(ROBOTS);
+        expect(getRulesForAgent(groups, UA).rules).toEqual([{ allow: false, pattern: '/privado' }]);
+        const generic = getRulesForAgent(groups, 'OtroBot/2.0');
+        expect(generic.rules).toHaveLength(3);
+        expect(generic.crawlDelay).toBe(5);
+    });
+
+    it('aplica la regla más larga, con Allow ganando los empates', () => {
+        const { rules } = getRulesForAgent(parseRobotsTxt(ROBOTS), 'OtroBot');
+        expect(isPathAllowed(rules, '/trabajo-de-desarrollador')).toBe(true);
+        expect(isPathAllowed(rules, '/candidato/perfil')).toBe(false);
+        expect(isPathAllowed(rules, '/candidato/ofertas/123')).toBe(true);
+        expect(isPathAllowed([{ allow: false, pattern: '/a' }, { allow: true, pattern: '/a' }], '/a')).toBe(true);
+    });
+
+    it('interpreta los comodines * y $', () => {
+        const { rules } = getRulesForAgent(parseRobotsTxt(ROBOTS), 'OtroBot');
+        expect(isPathAllowed(rules, '/ofertas?q=react')).toBe(false);
+        expect(isPathAllowed(rules, '/ofertas?p=2')).toBe(true);
+
+        const pdf = [{ allow: false, pattern: '/*.pdf$' }];
+        expect(isPathAllowed(pdf, '/docs/oferta.pdf')).toBe(false);
+        expect(isPathAllowed(pdf, '/docs/oferta.pdf?v=2')).toBe(true);
+    });
+
+    it('permite todo sin robots.txt o sin reglas', () => {
+        expect(isPathAllowed(getRulesForAgent(parseRobotsTxt(''), UA).rules, '/cualquier')).toBe(true);
+    });
+});
@@ -0,0 +1,121 @@
+// server/tests/utils/salaryParser.test.js
+// Pruebas del intérprete de salarios (formatos numéricos en español e inglés, monedas y periodos)
+const { parseAmount, parseSalary } = require('../../utils/salaryParser');
+
+describe('salaryParser', () => {
+    describe('parseAmount', () => {
+        it('interpreta separadores de miles y decimales en español e inglés', () => {
+            expect(parseAmount('3.000.000')).toBe(3000000);
+            expect(parseAmount('3.000.000,50')).toBe(3000000.5);
+            expect(parseAmount('120,000')).toBe(120000);
+            expect(parseAmount('1,250,000.75')).toBe(1250000.75);
+            expect(parseAmount('3.500')).toBe(3500);
+        });
+
+        it('trata un único separador sin tres dígitos detrás como decimal', () => {
+            expect(parseAmount('12,5')).toBe(12.5);
+            expect(parseAmount('25.50')).toBe(25.5);
+        });
+
+        it('admite el sufijo k de miles', () => {
+            expect(parseAmount('45k')).toBe(45000);
+            expect(parseAmount('2,5K')).toBe(2500);
+        });
+
+        it('aplica los multiplicadores de miles y millones escritos con palabras', () => {
+            expect(parseAmount('800 mil')).toBe(800000);
+            expect(parseAmount('1,5 millones')).toBe(1500000);
+            expect(parseAmount('1 millón')).toBe(1000000);
+            expect(parseAmount('1.1 millones')).toBe(1100000);
+            expect(parseAmount('2MM')).toBe(2000000);
+            expect(parseAmount('1.2 million')).toBe(1200000);
+        });
+    });
+
+    describe('parseSalary', () => {
+        it('interpreta rangos de Computrabajo con la moneda local del país', () => {
+            expect(parseSalary('$ 3.000.000,00 a $ 4.000.000,00 (Mensual)', { country: 'co' })).toEqual({
+                salaryMin: 3000000,
+                salaryMax: 4000000,
+                salaryCurrency: 'COP',
+                salaryPeriod: 'month',
+            });
+            expect(parseSalary('$ 25.000 al mes', { country: 'mx' }).salaryCurrency).toBe('MXN');
+        });
+
+        it('interpreta rangos en inglés con periodo anual u horario', () => {
+            expect(parseSalary('$120,000 - $145,000 per year', { country: 'us' })).toEqual({
+                salaryMin: 120000,
+                salaryMax: 145000,
+                salaryCurrency: 'USD',
+                salaryPeriod: 'year',
+            });
+            expect(parseSalary('$25.50 - $30 per hour', { country: 'us' })).toMatchObject({
+                salaryMin: 25.5,
+                salaryMax: 30,
+                salaryPeriod: 'hour',
+            });
+            expect(parseSalary('USD 60k to 80k annually')).toMatchObject({ salaryMin: 60000, salaryMax: 80000, salaryCurrency: 'USD' });
+        });
+
+        it('interpreta los salarios expresados en millones', () => {
+            expect(parseSalary('$ 1,5 millones mensuales', { country: 'co' })).toEqual({
+                salaryMin: 1500000,
+                salaryMax: 1500000,
+                salaryCurrency: 'COP',
+                salaryPeriod: 'month',
+            });
+            expect(parseSalary('De 2 a 3 millones', { country: 'co' })).toMatchObject({ salaryMin: 2000000, salaryMax: 3000000 });
+            expect(parseSalary('Entre 800 mil y 1,2 millones', { country: 'co' })).toMatchObject({ salaryMin: 800000, salaryMax: 1200000 });
+            expect(parseSalary('Salario militar de 2.000 USD')).toMatchObject({ salaryMin: 2000, salaryMax: 2000 });
+        });
+
+        it('prefiere la moneda explícita al país de la oferta', () => {
+            expect(parseSalary('1.800 € brutos/mes', { country: 'co' })).toMatchObject({ salaryCurrency: 'EUR', salaryPeriod: 'month' });
+            expect(parseSalary('US$ 2.000 mensuales', { country: 'co' }).salaryCurrency).toBe('USD');
+        });
+
+        it('distingue cotas "hasta" y "desde" de un valor único', () => {
+            expect(parseSalary('Hasta 5.000.000 COP')).toMatchObject({ salaryMin: null, salaryMax: 5000000 });
+            expect(parseSalary('From $90,000 a year')).toMatchObject({ salaryMin: 90000, salaryMax: null });
+            expect(parseSalary('35.000 € anuales')).toMatchObject({ salaryMin: 35000, salaryMax: 35000, salaryPeriod: 'year' });
+        });
+
+        it('solo forma un rango si las cifras están unidas por un conector', () => {
+            expect(parseSalary('Entre 2.000 y 3.000 USD mensuales')).toMatchObject({ salaryMin: 2000, salaryMax: 3000 });
+            expect(parseSalary('$ 3.000.000 COP a $ 4.000.000 COP')).toMatchObject({ salaryMin: 3000000, salaryMax: 4000000 });
+            expect(parseSalary('Desde 1.500 hasta 2.000 €')).toMatchObject({ salaryMin: 1500, salaryMax: 2000 });
+            expect(parseSalary('$3.000.000 + $500.000 de auxilio', { country: 'co' })).toMatchObject({ salaryMin: 3000000, salaryMax: 3000000 });
+        });
+
+        it('ignora las cifras que no son dinero', () => {
+            expect(parseSalary('40 horas semanales, $3.000.000 mensuales', { country: 'co' })).toEqual({
+                salaryMin: 3000000,
+                salaryMax: 3000000,
+                salaryCurrency: 'COP',
+                salaryPeriod: 'month',
+            });
+            expect(parseSalary('$ 2.000.000 + 2 primas', { country: 'co' })).toMatchObject({ salaryMin: 2000000, salaryMax: 2000000 });
+            expect(parseSalary('$90,000 a year, 3 years of experience', { country: 'us' })).toMatchObject({ salaryMin: 90000, salaryMax: 90000 });
+            expect(parseSalary('Hasta $ 4.500.000, 2 años de experiencia', { country: 'co' })).toMatchObject({ salaryMin: null, salaryMax: 4500000 });
+            expect(parseSalary('48 horas')).toMatchObject({ salaryMin: null, salaryMax: null });
+        });
+
+        it('reinterpreta los textos normalizados por versiones anteriores', () => {
+            expect(parseSalary('3000000 - 4000000 COP')).toEqual({
+                salaryMin: 3000000,
+                salaryMax: 4000000,
+                salaryCurrency: 'COP',
+                salaryPeriod: null,
+            });
+        });
+
+        it('devuelve todo en null si el salario no se publica', () => {
+            const empty = { salaryMin: null, salaryMax: null, salaryCurrency: null, salaryPeriod: null };
+            expect(parseSalary('Confidencial')).toEqual(empty);
+            expect(parseSalary('A convenir')).toEqual(empty);
+            expect(parseSalary('N/A')).toEqual(empty);
+            expect(parseSalary(null)).toEqual(empty);
+        });
+    });
+});
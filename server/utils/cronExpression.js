@@ -0,0 +1,171 @@
+// server/utils/cronExpression.js
+// Intérprete mínimo de expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana)
+
+/**
+ * Rango admitido por cada campo de la expresión, en orden.
+ */
+const FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'día del mes', min: 1, max: 31 },
+    { name: 'mes', min: 1, max: 12 },
+    { name: 'día de la semana', min: 0, max: 6 }, // 0 = domingo (también se acepta 7)
+];
+
+// Límite de búsqueda de la siguiente ejecución, en años. Cubre el 29 de febrero, que puede
+// tardar hasta 4 años en repetirse; las fechas imposibles (ej. 31 de febrero) agotan el límite.
+const MAX_LOOKAHEAD_YEARS = 5;
+
+/**
+ * Convierte un campo de la expresión en el conjunto de valores que admite.
+ * Soporta '*', valores sueltos, listas (1,15), rangos (1-5) y pasos (*\/15, 0-30/10).
+ * @param {string} part - Texto del campo.
+ * @param {{name: string, min: number, max: number}} field - Rango del campo.
+ * @returns {Set<number>} Valores admitidos.
+ */
+function parseField(part, field) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart === undefined ? 1 : Number(stepPart);
+        let start;
+        let end;
+
+        if (rangePart === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangePart.includes('-')) {
+            [start, end] = rangePart.split('-').map(Number);
+        } else {
+            start = Number(rangePart);
+            end = stepPart === undefined ? start : field.max;
+        }
+
+        // El día de la semana 7 es un alias del domingo (0)
+        const max = field.name === 'día de la semana' ? 7 : field.max;
+        if (![start, end, step].every(Number.isInteger) || step < 1 || start < field.min || end > max || start > end) {
+            throw new Error(`Valor no válido para el campo ${field.name} de la expresión cron: "${item}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'día de la semana' && value === 7 ? 0 : value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Analiza una expresión cron de 5 campos.
+ * @param {string} expression - Expresión cron (ej. '0 *\/6 * * *').
+ * @returns {{minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>, daysOfWeek: Set<number>, restrictedDays: boolean}}
+ * @throws {Error} Si la expresión no es válida.
+ */
+function parseCronExpression(expression) {
+    const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+    if (parts.length !== 5) {
+        throw new Error(`La expresión cron debe tener 5 campos (minuto hora día mes día-semana): "${expression}"`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // Como en cron, si se restringen ambos campos de día basta con que coincida uno de ellos
+        restrictedDays: parts[2] !== '*' && parts[4] !== '*',
+    };
+}
+
+/**
+ * Indica si una fecha (a nivel de minuto, hora local) cumple una expresión cron ya analizada.
+ * @param {Object} cron - Resultado de parseCronExpression.
+ * @param {Date} date - Fecha a evaluar.
+ * @returns {boolean}
+ */
+function matches(cron, date) {
+    return cron.minutes.has(date.getMinutes())
+        && cron.hours.has(date.getHours())
+        && cron.months.has(date.getMonth() + 1)
+        && matchesDay(cron, date);
+}
+
+/**
+ * Indica si el día de una fecha cumple los campos de día del mes y día de la semana.
+ * @param {Object} cron - Resultado de parseCronExpression.
+ * @param {Date} date - Fecha a evaluar.
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+    const dayOfMonthMatches = cron.daysOfMonth.has(date.getDate());
+    const dayOfWeekMatches = cron.daysOfWeek.has(date.getDay());
+    return cron.restrictedDays ? (dayOfMonthMatches || dayOfWeekMatches) : (dayOfMonthMatches && dayOfWeekMatches);
+}
+
+/**
+ * Calcula la siguiente fecha, estrictamente posterior a `from`, que cumple la expresión.
+ * Salta meses, días y horas completos que no coinciden, así que el número de iteraciones está acotado.
+ * @param {string} expression - Expresión cron.
+ * @param {Date} [from=new Date()] - Fecha de referencia.
+ * @returns {Date} La próxima ejecución (con segundos a cero).
+ * @throws {Error} Si la expresión no es válida o no tiene ejecuciones en los próximos MAX_LOOKAHEAD_YEARS años.
+ */
+function getNextRun(expression, from = new Date()) {
+    const cron = parseCronExpression(expression);
+    const candidate = new Date(from);
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    const limit = new Date(candidate);
+    limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+    while (candidate <= limit) {
+        if (!cron.months.has(candidate.getMonth() + 1)) {
+            candidate.setMonth(candidate.getMonth() + 1, 1);
+            candidate.setHours(0, 0);
+        } else if (!matchesDay(cron, candidate)) {
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0);
+        } else if (!cron.hours.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0);
+        } else if (!cron.minutes.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1);
+        } else {
+            return candidate;
+        }
+    }
+    throw new Error(`La expresión cron "${expression}" no tiene ejecuciones en los próximos ${MAX_LOOKAHEAD_YEARS} años.`);
+}
+
+/**
+ * Valida una expresión cron: que sea sintácticamente correcta y que tenga alguna ejecución futura
+ * (descarta fechas imposibles como "0 0 31 2 *").
+ * @param {string} expression - Expresión cron.
+ * @returns {string|null} Mensaje de error o null si es válida.
+ */
+function validateCronExpression(expression) {
+    try {
+        getNextRun(expression);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * @param {string} expression - Expresión cron.
+ * @returns {boolean} true si la expresión es válida y tiene ejecuciones futuras.
+ */
+function isValidCronExpression(expression) {
+    return validateCronExpression(expression) === null;
+}
+
+module.exports = {
+    parseCronExpression,
+    matches,
+    getNextRun,
+    validateCronExpression,
+    isValidCronExpression,
+};
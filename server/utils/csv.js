@@ -0,0 +1,32 @@
+// server/utils/csv.js
+// Conversión de valores a filas CSV (RFC 4180)
+
+/**
+ * Convierte un valor en un campo CSV: las fechas van en ISO 8601, los nulos quedan vacíos y los textos con
+ * comas, comillas o saltos de línea se entrecomillan. Los textos que empiezan por `=`, `+`, `-` o `@` se
+ * prefijan con `'` para que una hoja de cálculo no los ejecute como fórmulas (los datos vienen de sitios externos).
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString();
+    if (typeof value !== 'string') return String(value);
+
+    const safe = /^[=+\-@]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Convierte una lista de valores en una fila CSV terminada en salto de línea.
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+    return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+module.exports = {
+    toCsvField,
+    toCsvRow,
+};
@@ -48,6 +48,20 @@ function logWarn(message, data = {}) {
     console.warn(`[WARN] ${timestamp}: ${message}`, data);
 }
 
+// Tamaño de página máximo de los listados paginados de la API.
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Convierte `page` y `limit` de la query en valores de paginación válidos.
+ * @param {Object} query - `req.query`.
+ * @returns {{page: number, limit: number, offset: number}}
+ */
+function parsePagination({ page, limit } = {}) {
+    const parsedPage = Math.max(parseInt(page, 10) || 1, 1);
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    return { page: parsedPage, limit: parsedLimit, offset: (parsedPage - 1) * parsedLimit };
+}
+
 // Puedes añadir más funciones de utilidad aquí según las necesites, por ejemplo:
 // - capitalizeString(str)
 // - validateEmail(email) (aunque Sequelize ya tiene una validación)
@@ -58,4 +72,5 @@ module.exports = {
     formatDate,
     logInfo,
     logWarn,
+    parsePagination,
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+// server/utils/robotsTxt.js
+// Interpreta archivos robots.txt (grupos por user-agent, Allow/Disallow con comodines y Crawl-delay)
+
+/**
+ * Convierte un patrón de robots.txt en expresión regular: `*` es cualquier secuencia y un `$` final
+ * ancla el final de la URL. Sin `$`, el patrón es un prefijo.
+ * @param {string} pattern - Ruta del Allow/Disallow (ej. "/ofertas/*.pdf$").
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Interpreta el contenido de un robots.txt.
+ * Las líneas `User-agent` consecutivas comparten grupo; cualquier otra directiva cierra la lista de agentes.
+ * @param {string} text - Contenido del archivo.
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, pattern: string}>, crawlDelay: number|null}>}
+ */
+function parseRobotsTxt(text) {
+    const groups = [];
+    let current = null;
+    let readingAgents = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            if (!readingAgents) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            readingAgents = true;
+            continue;
+        }
+
+        readingAgents = false;
+        if (!current) continue; // Directivas antes del primer User-agent (ej. Sitemap)
+
+        if (field === 'allow' || field === 'disallow') {
+            // Un Disallow vacío no prohíbe nada
+            if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+        } else if (field === 'crawl-delay') {
+            const seconds = parseFloat(value);
+            if (!isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+        }
+    }
+    return groups;
+}
+
+/**
+ * Obtiene las reglas que aplican a un user-agent: las del grupo cuyo agente coincide de forma más específica
+ * con el nombre del crawler (el producto del user-agent, ej. "buscadorempleosbot") o, si no hay, las de `*`.
+ * Los grupos repetidos de un mismo agente se combinan.
+ * @param {Array<Object>} groups - Resultado de `parseRobotsTxt`.
+ * @param {string} userAgent - User-agent del crawler.
+ * @returns {{rules: Array<{allow: boolean, pattern: string}>, crawlDelay: number|null}}
+ */
+function getRulesForAgent(groups, userAgent) {
+    const product = String(userAgent).split('/')[0].trim().toLowerCase();
+
+    let bestAgent = null;
+    for (const group of groups) {
+        for (const agent of group.agents) {
+            if (agent !== '*' && product.includes(agent) && (!bestAgent || agent.length > bestAgent.length)) {
+                bestAgent = agent;
+            }
+        }
+    }
+    const target = bestAgent || '*';
+    const matching = groups.filter(group => group.agents.includes(target));
+
+    return {
+        rules: matching.flatMap(group => group.rules),
+        crawlDelay: matching.map(group => group.crawlDelay).find(delay => delay !== null) ?? null,
+    };
+}
+
+/**
+ * Decide si una ruta se puede rastrear. Gana la regla con el patrón más largo que coincida; ante un empate,
+ * gana Allow. Sin reglas que coincidan, la ruta está permitida.
+ * @param {Array<{allow: boolean, pattern: string}>} rules - Reglas del agente (ver `getRulesForAgent`).
+ * @param {string} path - Ruta con su query string (ej. "/trabajo-de-desarrollador?p=2").
+ * @returns {boolean}
+ */
+function isPathAllowed(rules, path) {
+    let winner = null;
+    for (const rule of rules) {
+        if (!patternToRegExp(rule.pattern).test(path)) continue;
+        if (!winner
+            || rule.pattern.length > winner.pattern.length
+            || (rule.pattern.length === winner.pattern.length && rule.allow)) {
+            winner = rule;
+        }
+    }
+    return !winner || winner.allow;
+}
+
+module.exports = {
+    parseRobotsTxt,
+    getRulesForAgent,
+    isPathAllowed,
+};
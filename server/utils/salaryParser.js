@@ -0,0 +1,217 @@
+// server/utils/salaryParser.js
+// Intérprete de textos de salario ("$ 3.000.000 a $ 4.000.000 mensual", "$120,000 - $145,000 per year")
+
+// Periodos de pago admitidos (mismos valores que `Job.salaryPeriod`).
+const SALARY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+
+// Moneda local de los países con fuentes registradas, usada cuando el texto solo trae "$" o "pesos".
+const LOCAL_CURRENCIES = {
+    co: 'COP',
+    mx: 'MXN',
+    ar: 'ARS',
+    cl: 'CLP',
+    pe: 'PEN',
+    es: 'EUR',
+    us: 'USD',
+};
+
+// Indicadores explícitos de moneda, en orden de prioridad (los códigos ISO ganan a los símbolos).
+const CURRENCY_PATTERNS = [
+    { currency: 'USD', pattern: /\b(usd|us\$|u\$s|d[oó]lares|dollars?)\b|us\$/i },
+    { currency: 'EUR', pattern: /\b(eur|euros?)\b|€/i },
+    { currency: 'GBP', pattern: /\b(gbp)\b|£/i },
+    { currency: 'COP', pattern: /\bcop\b/i },
+    { currency: 'MXN', pattern: /\bmxn\b/i },
+    { currency: 'ARS', pattern: /\bars\b/i },
+    { currency: 'CLP', pattern: /\bclp\b/i },
+    { currency: 'PEN', pattern: /\b(pen|soles?)\b|s\/\.?\s?\d/i },
+    { currency: 'BRL', pattern: /\bbrl\b|r\$/i },
+];
+
+// Indicadores del periodo de pago en español e inglés. Los periodos largos van primero porque los avisos
+// suelen mencionar también la jornada ("40 horas semanales, $3.000.000 mensuales").
+const PERIOD_PATTERNS = [
+    { period: 'year', pattern: /\b(al año|por año|anual(es)?|per year|a year|yearly|annual(ly)?)\b|\/\s?(año|year|yr)\b/i },
+    { period: 'month', pattern: /\b(al mes|por mes|mensual(es)?|per month|a month|monthly)\b|\/\s?(mes|month|mo)\b/i },
+    { period: 'week', pattern: /\b(por semana|a la semana|per week|a week|weekly)\b|\/\s?(semana|week|wk)\b/i },
+    { period: 'day', pattern: /\b(por d[ií]a|al d[ií]a|diario|per day|a day|daily)\b|\/\s?(d[ií]a|day)\b/i },
+    { period: 'hour', pattern: /\b(por hora|la hora|per hour|an hour|hourly)\b|\/\s?(h|hr|hora)\b/i },
+];
+
+// Multiplicadores que pueden seguir a una cifra ("45k", "3 mil", "1,5 millones", "2MM"). Las alternativas más
+// largas van primero; el final se comprueba a mano porque `\b` no reconoce las letras con tilde.
+const MULTIPLIER_SOURCE = '(millions?|mil(?:l[oó]n(?:es)?)?|mm|k)(?![a-záéíóúñ])';
+const MULTIPLIERS = { k: 1e3, mil: 1e3, mm: 1e6, millon: 1e6, millón: 1e6, millones: 1e6, million: 1e6, millions: 1e6 };
+const MULTIPLIER_SUFFIX_PATTERN = new RegExp(`${MULTIPLIER_SOURCE}$`, 'i');
+// Cifras de un texto de salario ("3.000.000,00", "120,000", "45k", "1,5 millones").
+const AMOUNT_PATTERN = new RegExp(`\\d+(?:[.,\\s]\\d{3})*(?:[.,]\\d+)?(?:\\s?${MULTIPLIER_SOURCE})?`, 'gi');
+// Unidades que, escritas detrás de una cifra, indican que no es dinero ("40 horas", "2 primas", "3 años").
+const NON_MONEY_UNIT_PATTERN = /^\s?(%|horas?\b|hrs?\b|hours?\b|h\b|primas?\b|bonos?\b|bonus(es)?\b|bonificaci|años?\b|years?\b|meses\b|months\b|d[ií]as\b|days\b|semanas\b|weeks\b|turnos?\b|vacantes?\b)/i;
+// Indicadores de moneda que pueden aparecer entre las dos cifras de un rango ("$ 3.000.000 COP a $ 4.000.000").
+const CURRENCY_MARKER_PATTERN = /us\$|u\$s|r\$|s\/\.?|[$€£]|\b(usd|eur|gbp|cop|mxn|ars|clp|pen|brl)\b/gi;
+// Conectores que unen las dos cifras de un rango ("-", "a", "to", "y", "entre ... y", "desde ... hasta").
+const RANGE_CONNECTOR_PATTERN = /^(-|–|—|a|to|y|and|hasta)$/i;
+
+// Textos que indican que el salario no se publica.
+const UNDISCLOSED_PATTERN = /^(n\/?a|confidencial|a convenir|no especificad[oa]|negociable|competitive|not specified)?$/i;
+
+/**
+ * Separa una cifra de su multiplicador ("1,5 millones" => "1,5" y 1000000).
+ * @param {string} token - Cifra tal como aparece en el texto.
+ * @returns {{text: string, multiplier: number}} La cifra sin espacios ni multiplicador, y el multiplicador (1 si no hay).
+ */
+function splitMultiplier(token) {
+    const text = token.replace(/\s/g, '');
+    const match = text.match(MULTIPLIER_SUFFIX_PATTERN);
+    if (!match) return { text, multiplier: 1 };
+    return { text: text.slice(0, match.index), multiplier: MULTIPLIERS[match[1].toLowerCase()] };
+}
+
+/**
+ * Convierte un número escrito en formato español ("3.000.000,50") o inglés ("3,000,000.50") en Number.
+ * - Con ambos separadores, el último es el decimal.
+ * - Con un solo tipo repetido, es el separador de miles.
+ * - Con un único separador seguido de exactamente 3 dígitos, es de miles ("120,000", "3.500");
+ *   en otro caso es decimal ("12,5", "25.50").
+ * Admite los multiplicadores "k" y "mil" (miles) y "millón", "millones", "million" y "MM" (millones):
+ * "45k", "1,5 millones".
+ * @param {string} token - Número tal como aparece en el texto.
+ * @returns {number|null}
+ */
+function parseAmount(token) {
+    const { text, multiplier } = splitMultiplier(token);
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    let normalized;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        const decimalSeparator = lastDot > lastComma ? '.' : ',';
+        const thousandsSeparator = decimalSeparator === '.' ? ',' : '.';
+        normalized = text.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+    } else if (lastDot !== -1 || lastComma !== -1) {
+        const separator = lastDot !== -1 ? '.' : ',';
+        const parts = text.split(separator);
+        const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+        normalized = isThousands ? parts.join('') : parts.join('.');
+    } else {
+        normalized = text;
+    }
+
+    // Se redondea a céntimos para no arrastrar errores de coma flotante ("1,1 millones" => 1100000).
+    const amount = Math.round(Number(normalized) * multiplier * 100) / 100;
+    return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Detecta la moneda del salario.
+ * @param {string} text - Texto del salario.
+ * @param {string} [country] - Código de país de la oferta, para resolver "$" o "pesos".
+ * @returns {string|null} Código ISO 4217 o null si no se puede determinar.
+ */
+function detectCurrency(text, country) {
+    const explicit = CURRENCY_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (explicit) return explicit.currency;
+
+    if (/\$|\bpesos?\b/i.test(text) && country) {
+        return LOCAL_CURRENCIES[country.toLowerCase()] || null;
+    }
+    return null;
+}
+
+/**
+ * Detecta el periodo de pago del salario.
+ * @param {string} text - Texto del salario.
+ * @returns {string|null} Uno de SALARY_PERIODS o null si el texto no lo indica.
+ */
+function detectPeriod(text) {
+    const match = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.period : null;
+}
+
+/**
+ * Busca las cantidades de dinero del texto, descartando las cifras seguidas de una unidad que no es dinero
+ * (`NON_MONEY_UNIT_PATTERN`).
+ * @param {string} text - Texto del salario normalizado.
+ * @returns {Array<{amount: number, multiplier: number, start: number, end: number}>} Las cantidades, su
+ * multiplicador y su posición en el texto.
+ */
+function findAmounts(text) {
+    return [...text.matchAll(AMOUNT_PATTERN)]
+        .filter(match => !NON_MONEY_UNIT_PATTERN.test(text.slice(match.index + match[0].length)))
+        .map(match => ({
+            amount: parseAmount(match[0]),
+            multiplier: splitMultiplier(match[0]).multiplier,
+            start: match.index,
+            end: match.index + match[0].length,
+        }))
+        .filter(({ amount }) => amount !== null && amount > 0);
+}
+
+/**
+ * Indica si dos cantidades forman un rango: entre ellas solo hay un conector y, quizá, indicadores de moneda.
+ * @param {string} text - Texto del salario normalizado.
+ * @param {{end: number}} first
+ * @param {{start: number}} second
+ * @returns {boolean}
+ */
+function isRange(text, first, second) {
+    const between = text.slice(first.end, second.start).replace(CURRENCY_MARKER_PATTERN, '').trim();
+    return RANGE_CONNECTOR_PATTERN.test(between);
+}
+
+/**
+ * Interpreta un texto de salario en un rango numérico con moneda y periodo.
+ * - Rangos: "3.000.000 - 4.000.000", "$60k to $80k", "entre 2.000 y 3.000", "de 2 a 3 millones". Dos cifras
+ *   solo forman un rango si las une un conector; si no, se usa la primera ("$ 2.000.000 + 2 primas").
+ * - Cotas: "hasta 3.000.000" (solo máximo), "desde 2.000" / "from 45,000" (solo mínimo).
+ * - Un único valor se usa como mínimo y máximo.
+ * Las cifras que no son dinero ("40 horas semanales", "2 primas", "3 años de experiencia") se ignoran.
+ * Los textos sin cifras o no publicados ("Confidencial", "A convenir", "N/A") devuelven todo en null.
+ * @param {string|null} text - Texto del salario tal como se escrapeó.
+ * @param {Object} [options={}]
+ * @param {string} [options.country] - Código de país de la oferta (ej. 'co').
+ * @returns {{salaryMin: number|null, salaryMax: number|null, salaryCurrency: string|null, salaryPeriod: string|null}}
+ */
+function parseSalary(text, { country } = {}) {
+    const empty = { salaryMin: null, salaryMax: null, salaryCurrency: null, salaryPeriod: null };
+    if (typeof text !== 'string') return empty;
+
+    const cleanText = text.replace(/\s+/g, ' ').trim();
+    if (UNDISCLOSED_PATTERN.test(cleanText)) return empty;
+
+    const amounts = findAmounts(cleanText);
+    if (amounts.length === 0) return empty;
+
+    let salaryMin;
+    let salaryMax;
+    if (amounts.length >= 2 && isRange(cleanText, amounts[0], amounts[1])) {
+        // "de 2 a 3 millones": el multiplicador escrito solo en la segunda cifra vale para las dos.
+        const [first, second] = amounts;
+        const firstAmount = first.multiplier === 1 && second.multiplier > 1 ? first.amount * second.multiplier : first.amount;
+        salaryMin = Math.min(firstAmount, second.amount);
+        salaryMax = Math.max(firstAmount, second.amount);
+    } else if (/\b(hasta|m[aá]ximo|up to|max(imum)?)\b/i.test(cleanText)) {
+        salaryMin = null;
+        salaryMax = amounts[0].amount;
+    } else if (/\b(desde|m[ií]nimo|a partir de|from|starting at|min(imum)?)\b/i.test(cleanText)) {
+        salaryMin = amounts[0].amount;
+        salaryMax = null;
+    } else {
+        salaryMin = amounts[0].amount;
+        salaryMax = amounts[0].amount;
+    }
+
+    return {
+        salaryMin,
+        salaryMax,
+        salaryCurrency: detectCurrency(cleanText, country),
+        salaryPeriod: detectPeriod(cleanText),
+    };
+}
+
+module.exports = {
+    SALARY_PERIODS,
+    parseAmount,
+    parseSalary,
+};